@@ -2,28 +2,53 @@
  * App.jsx
  *
  * Main application component that serves as the root component for the application.
- * This component sets up the basic layout structure and includes the Dashboard component.
+ * This component shows the login screen until a user is signed in, then sets up
+ * the basic layout structure and the routes for the Dashboard and channel pages.
  * It provides a full-height container with a light gray background for the application.
  */
 
+import { useState, useEffect } from 'react';
+import { Routes, Route } from 'react-router-dom';
 import Dashboard from './components/Dashboard';
+import ChannelPage from './components/ChannelPage';
+import Login from './components/Login';
+import { getSession, subscribeSession, logout } from './api';
 
 /**
  * App component - The root component of the application
  * @returns {JSX.Element} The rendered App component
  */
 function App() {
+  // State for the signed-in session, kept in sync with sign-in, refresh and sign-out
+  const [session, setSession] = useState(getSession);
+
+  useEffect(() => subscribeSession(setSession), []);
+
+  if (!session) {
+    return (
+      <div className="min-h-screen bg-gray-100">
+        <Login />
+      </div>
+    );
+  }
+
   return (
     <div className="min-h-screen bg-gray-100">
-      <Dashboard />
+      {/* Signed-in user with a sign-out button */}
+      <div className="container mx-auto px-4 pt-4 flex justify-end items-center gap-4 text-sm">
+        <span className="text-gray-600">
+          {session.user.email} ({session.user.role})
+        </span>
+        <button onClick={logout} className="text-blue-600 hover:underline">
+          Sign out
+        </button>
+      </div>
+      <Routes>
+        <Route path="/" element={<Dashboard />} />
+        <Route path="/channels/:channelId" element={<ChannelPage />} />
+      </Routes>
     </div>
   );
 }
 
 export default App;
-
-
-
-
-
-
@@ -0,0 +1,231 @@
+/**
+ * api.js
+ *
+ * Signed-in session and authenticated requests to the backend API.
+ * The session (user, access token and refresh token) is kept in
+ * localStorage, so it survives reloads. Requests send the access token;
+ * when it has expired, the session is refreshed once and the request
+ * retried. A session that can't be refreshed is cleared, which shows the
+ * login screen again. Feed links use a feed token instead of the access
+ * token, created once per user and kept in localStorage.
+ */
+
+import { API_BASE_URL } from './config';
+
+/**
+ * localStorage key of the session
+ * @type {string}
+ */
+const SESSION_KEY = 'session';
+
+/**
+ * localStorage key of the feed token
+ * @type {string}
+ */
+const FEED_TOKEN_KEY = 'feedToken';
+
+/**
+ * Reads the stored session
+ *
+ * @returns {Object|null} The session, or null when signed out
+ */
+const loadSession = () => {
+  try {
+    return JSON.parse(localStorage.getItem(SESSION_KEY));
+  } catch {
+    return null;
+  }
+};
+
+let session = loadSession();
+let refreshing = null;
+const listeners = new Set();
+
+/**
+ * Stores the session and tells the listeners about it
+ *
+ * @param {Object|null} next - The new session, or null to sign out
+ */
+const setSession = (next) => {
+  session = next;
+  if (next) {
+    localStorage.setItem(SESSION_KEY, JSON.stringify(next));
+  } else {
+    localStorage.removeItem(SESSION_KEY);
+  }
+  listeners.forEach(listener => listener(next));
+};
+
+/**
+ * Gets the current session
+ *
+ * @returns {Object|null} `{ user, accessToken, refreshToken }`, or null when signed out
+ */
+export const getSession = () => session;
+
+/**
+ * Calls a listener whenever the session changes
+ *
+ * @param {Function} listener - Called with the new session, or null on sign-out
+ * @returns {Function} Stops calling the listener
+ */
+export const subscribeSession = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Signs in with email and password
+ *
+ * @param {string} email - Email
+ * @param {string} password - Password
+ * @returns {Promise<Object>} The signed-in user
+ * @throws {Error} With the API's message when the credentials are wrong
+ */
+export const login = async (email, password) => {
+  const response = await fetch(`${API_BASE_URL}/api/auth/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ email, password }),
+  });
+  const data = await response.json();
+
+  if (!data.success) {
+    throw new Error(data.error);
+  }
+
+  const { user, accessToken, refreshToken } = data.data;
+  setSession({ user, accessToken, refreshToken });
+  return user;
+};
+
+/**
+ * Refreshes the session with its refresh token
+ * Concurrent calls share one request, since a refresh token can only be exchanged once
+ *
+ * @returns {Promise<boolean>} Whether the session was refreshed; false signs out
+ */
+export const refreshSession = () => {
+  if (!refreshing) {
+    refreshing = (async () => {
+      try {
+        const response = await fetch(`${API_BASE_URL}/api/auth/refresh`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ refreshToken: session?.refreshToken }),
+        });
+        const data = await response.json();
+
+        if (!data.success) {
+          setSession(null);
+          return false;
+        }
+
+        const { user, accessToken, refreshToken } = data.data;
+        setSession({ user, accessToken, refreshToken });
+        return true;
+      } catch (error) {
+        console.error('Error refreshing session:', error);
+        return false;
+      } finally {
+        refreshing = null;
+      }
+    })();
+  }
+  return refreshing;
+};
+
+/**
+ * Signs out of every session of the user
+ */
+export const logout = async () => {
+  try {
+    await apiFetch('/api/auth/logout', { method: 'POST' });
+  } catch (error) {
+    console.error('Error signing out:', error);
+  }
+  setSession(null);
+};
+
+/**
+ * Makes an authenticated request to the API
+ * Takes the same options as fetch; the Authorization header is added
+ *
+ * @param {string} path - API path with its query string, e.g. '/api/videos?page=2'
+ * @param {Object} [options] - fetch options
+ * @returns {Promise<Response>} The response
+ */
+export const apiFetch = async (path, options = {}) => {
+  const send = () => fetch(`${API_BASE_URL}${path}`, {
+    ...options,
+    headers: {
+      ...options.headers,
+      ...(session ? { Authorization: `Bearer ${session.accessToken}` } : {}),
+    },
+  });
+
+  const response = await send();
+  if (response.status === 401 && session && await refreshSession()) {
+    return send();
+  }
+  return response;
+};
+
+/**
+ * Gets the user's feed token, creating it on first use
+ * Feed tokens don't expire and only read RSS and Atom exports, so feed readers can keep them
+ *
+ * @returns {Promise<string>} The feed token
+ * @throws {Error} With the API's message when the token can't be created
+ */
+export const getFeedToken = async () => {
+  let stored = null;
+  try {
+    stored = JSON.parse(localStorage.getItem(FEED_TOKEN_KEY));
+  } catch {
+    stored = null;
+  }
+  if (stored && stored.userId === session?.user.id) {
+    return stored.token;
+  }
+
+  const response = await apiFetch('/api/auth/tokens', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ name: 'Feed reader', scope: 'feed' }),
+  });
+  const data = await response.json();
+
+  if (!data.success) {
+    throw new Error(data.error);
+  }
+
+  localStorage.setItem(FEED_TOKEN_KEY, JSON.stringify({ userId: session?.user.id, token: data.data.token }));
+  return data.data.token;
+};
+
+/**
+ * Gets the URL of a GET route with the access token as a query parameter
+ * For clients that can't send headers: EventSource and download links
+ *
+ * @param {string} path - API path with its query string
+ * @returns {string} The absolute URL
+ */
+export const authenticatedUrl = (path) => {
+  const separator = path.includes('?') ? '&' : '?';
+  return session
+    ? `${API_BASE_URL}${path}${separator}access_token=${encodeURIComponent(session.accessToken)}`
+    : `${API_BASE_URL}${path}`;
+};
+
+/**
+ * Gets the URL of a feed with a feed token as a query parameter
+ *
+ * @param {string} path - API path with its query string
+ * @param {string} feedToken - Token from getFeedToken
+ * @returns {string} The absolute URL
+ */
+export const feedUrl = (path, feedToken) => {
+  const separator = path.includes('?') ? '&' : '?';
+  return `${API_BASE_URL}${path}${separator}access_token=${encodeURIComponent(feedToken)}`;
+};
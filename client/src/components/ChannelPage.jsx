@@ -0,0 +1,167 @@
+/**
+ * ChannelPage.jsx
+ *
+ * Page for a single YouTube channel. Shows the channel's details from
+ * channels.list, the statistics aggregated from stored videos, and a
+ * paginated grid of the channel's stored videos.
+ */
+
+import { useState, useEffect } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { apiFetch } from '../api';
+import { formatCount } from '../utils/format';
+import VideoCard from './VideoCard';
+import VideoModal from './VideoModal';
+
+/**
+ * ChannelPage component - Displays a channel and its videos
+ * @returns {JSX.Element} The rendered ChannelPage component
+ */
+const ChannelPage = () => {
+  // Channel id from the URL
+  const { channelId } = useParams();
+
+  // State for the channel details, or null when the channel is unknown
+  const [channel, setChannel] = useState(null);
+
+  // State for the channel's videos and their pagination
+  const [videos, setVideos] = useState([]);
+  const [pagination, setPagination] = useState({ currentPage: 1, totalPages: 0 });
+  const [page, setPage] = useState(1);
+
+  // State for tracking loading status during API requests
+  const [loading, setLoading] = useState(true);
+
+  // State for the video shown in the modal
+  const [selectedVideo, setSelectedVideo] = useState(null);
+
+  /**
+   * Shows a video's new watched, starred or collection state in the grid and the modal
+   *
+   * @param {string} videoId - The video's YouTube id
+   * @param {Object} library - The video's new library state
+   */
+  const handleLibraryChange = (videoId, library) => {
+    setVideos(prev => prev.map(video => (video.videoId === videoId ? { ...video, library } : video)));
+    setSelectedVideo(prev => (prev?.videoId === videoId ? { ...prev, library } : prev));
+  };
+
+  /**
+   * Effect hook to fetch the channel details when the channel changes
+   */
+  useEffect(() => {
+    setChannel(null);
+    setPage(1);
+    apiFetch(`/api/channels/${encodeURIComponent(channelId)}`)
+      .then(response => response.json())
+      .then(data => setChannel(data.success ? data.data : null))
+      .catch(error => console.error('Error fetching channel:', error));
+  }, [channelId]);
+
+  /**
+   * Effect hook to fetch the channel's videos when the channel or page changes
+   */
+  useEffect(() => {
+    setLoading(true);
+    const queryParams = new URLSearchParams({ page, limit: 12 });
+    apiFetch(`/api/channels/${encodeURIComponent(channelId)}/videos?${queryParams}`)
+      .then(response => response.json())
+      .then(data => {
+        if (data.success) {
+          setVideos(data.data);
+          setPagination(data.pagination);
+        }
+      })
+      .catch(error => console.error('Error fetching channel videos:', error))
+      .finally(() => setLoading(false));
+  }, [channelId, page]);
+
+  return (
+    <div className="container mx-auto p-4">
+      <Link to="/" className="text-blue-600 hover:underline">&larr; Back to all videos</Link>
+
+      {/* Channel header with avatar, details and aggregated statistics */}
+      <div className="bg-white p-4 rounded shadow my-4 flex flex-col md:flex-row gap-4">
+        {channel?.thumbnails?.medium?.url && (
+          <img
+            src={channel.thumbnails.medium.url}
+            alt={channel.title}
+            className="w-24 h-24 rounded-full"
+          />
+        )}
+        <div className="flex-1">
+          <h1 className="text-2xl font-bold">
+            {channel?.title || videos[0]?.channelTitle || 'Channel'}
+          </h1>
+          {channel && (
+            <>
+              <p className="text-sm text-gray-600">
+                {channel.customUrl && `${channel.customUrl} · `}
+                {channel.hiddenSubscriberCount ? 'Subscribers hidden' : `${formatCount(channel.subscriberCount)} subscribers`}
+                {channel.country && ` · ${channel.country}`}
+              </p>
+              <p className="text-sm text-gray-500 mt-1">
+                {channel.stats.uploadCount} stored uploads
+                {` · ${channel.stats.avgUploadsPerWeek} per week`}
+                {` · ${formatCount(channel.stats.totalViews)} views`}
+                {channel.stats.lastUploadAt && ` · last upload ${new Date(channel.stats.lastUploadAt).toLocaleDateString()}`}
+              </p>
+              {channel.description && (
+                <p className="mt-2 whitespace-pre-line">{channel.description}</p>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+
+      {/* Channel videos grid */}
+      {loading ? (
+        <div className="text-center">Loading...</div>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+          {videos.map((video) => (
+            <VideoCard
+              key={video.videoId}
+              video={video}
+              onClick={setSelectedVideo}
+              onLibraryChange={handleLibraryChange}
+            />
+          ))}
+        </div>
+      )}
+
+      {selectedVideo && (
+        <VideoModal
+          video={selectedVideo}
+          onClose={() => setSelectedVideo(null)}
+          onLibraryChange={handleLibraryChange}
+        />
+      )}
+
+      {/* Pagination Controls */}
+      <div className="mt-4 flex justify-center gap-2">
+        <button
+          onClick={() => setPage(prev => prev - 1)}
+          disabled={!pagination.hasPrevPage}
+          className="px-4 py-2 bg-blue-500 text-white rounded disabled:bg-gray-300"
+          aria-label="Go to previous page"
+        >
+          Previous
+        </button>
+        <span className="px-4 py-2">
+          Page {pagination.currentPage} of {pagination.totalPages}
+        </span>
+        <button
+          onClick={() => setPage(prev => prev + 1)}
+          disabled={!pagination.hasNextPage}
+          className="px-4 py-2 bg-blue-500 text-white rounded disabled:bg-gray-300"
+          aria-label="Go to next page"
+        >
+          Next
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ChannelPage;
@@ -3,10 +3,49 @@
  *
  * Main dashboard component that displays YouTube videos with filtering, sorting, and pagination.
  * This component fetches video data from the API, allows users to filter and sort videos,
- * and provides a modal for viewing video details.
+ * provides a modal for viewing video details, and announces videos inserted
+ * since the list was loaded through the server's video stream. Videos can
+ * be marked as watched or starred and filtered by the user's library.
  */
 
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { apiFetch, authenticatedUrl, refreshSession } from '../api';
+import VideoCard from './VideoCard';
+import VideoModal from './VideoModal';
+import FacetChips from './FacetChips';
+import SuggestInput from './SuggestInput';
+import ExportMenu from './ExportMenu';
+import SavedSearches from './SavedSearches';
+import { fetchCollections } from '../utils/library';
+
+/**
+ * Filters on the signed-in user's library, which saved searches can't store
+ * @type {Array<string>}
+ */
+const LIBRARY_FILTERS = ['watched', 'starred', 'collection'];
+
+/**
+ * Compares two videos the way the API sorts them: by the sort field, then by _id
+ * Missing values come first in ascending order, as in MongoDB
+ *
+ * @param {Object} a - A video
+ * @param {Object} b - Another video
+ * @param {Object} sorting - `{ sortBy, sortOrder }`
+ * @returns {number} Negative when a comes first, positive when b does
+ */
+const compareVideos = (a, b, { sortBy, sortOrder }) => {
+  const direction = sortOrder === 'asc' ? 1 : -1;
+  const valueA = a[sortBy] ?? null;
+  const valueB = b[sortBy] ?? null;
+
+  if (valueA === valueB) {
+    return direction * (a._id < b._id ? -1 : a._id > b._id ? 1 : 0);
+  }
+  if (valueA === null || valueB === null) {
+    return direction * (valueA === null ? -1 : 1);
+  }
+  return direction * (valueA < valueB ? -1 : 1);
+};
 
 /**
  * Dashboard component - Displays YouTube videos with filtering, sorting, and pagination
@@ -31,6 +70,14 @@ const Dashboard = () => {
     title: '',        // Filter by video title
     dateFrom: '',     // Filter by publish date (start)
     dateTo: '',       // Filter by publish date (end)
+    minViews: '',     // Filter by minimum view count
+    minDuration: '',  // Minimum duration in seconds ('61' hides Shorts)
+    maxDuration: '',  // Maximum duration in seconds (set by duration chips)
+    channelId: '',    // Exact channel (set by channel chips)
+    collapseDuplicates: '', // 'true' shows only the earliest upload of re-uploaded videos
+    watched: '',      // 'true' or 'false' to show only watched or unwatched videos
+    starred: '',      // 'true' shows only starred videos
+    collection: '',   // Id of one of the user's collections
   });
 
   // State for storing sorting preferences
@@ -39,6 +86,25 @@ const Dashboard = () => {
     sortOrder: 'desc'      // Sort order (default: descending/newest first)
   });
 
+  // State for the facet counts of the current results, shown as filter chips
+  const [facets, setFacets] = useState(null);
+
+  // State for the interval of the uploads histogram ('day' or 'week')
+  const [facetInterval, setFacetInterval] = useState('day');
+
+  // State for the user's collections, offered as a filter
+  const [collections, setCollections] = useState([]);
+
+  // State for videos matching the filters that were inserted since the list was loaded
+  const [newVideos, setNewVideos] = useState([]);
+
+  // State counting reconnections of the video stream after its access token expired
+  const [streamReconnects, setStreamReconnects] = useState(0);
+
+  // Filters of the video stream, the id of the last event it received, to resume after reconnecting,
+  // and the ids of the videos it sent, since resuming sends some of them again
+  const streamRef = useRef({ filters: null, lastEventId: '', seen: new Set() });
+
   // State for pagination information
   const [pagination, setPagination] = useState({
     currentPage: 1,   // Current page number
@@ -58,17 +124,20 @@ const Dashboard = () => {
         page: pagination.currentPage,
         limit: 12, // Number of videos per page
         ...filters,
-        ...sorting
+        ...sorting,
+        facets: 'true',
+        facetInterval
       });
 
       // Make API request to fetch videos
-      const response = await fetch(`https://youtube-recent-videos.onrender.com/api/videos?${queryParams}`);
+      const response = await apiFetch(`/api/videos?${queryParams}`);
       const data = await response.json();
 
       // Update state with fetched data if successful
       if (data.success) {
         setVideos(data.data);
         setPagination(data.pagination);
+        setFacets(data.facets);
       }
     } catch (error) {
       console.error('Error fetching videos:', error);
@@ -83,7 +152,97 @@ const Dashboard = () => {
    */
   useEffect(() => {
     fetchVideos();
-  }, [pagination.currentPage, filters, sorting]);
+  }, [pagination.currentPage, filters, sorting, facetInterval]);
+
+  /**
+   * Fetches the user's collections for the collection filter
+   */
+  const loadCollections = () => {
+    fetchCollections()
+      .then(setCollections)
+      .catch(error => console.error('Error fetching collections:', error));
+  };
+
+  useEffect(() => {
+    loadCollections();
+  }, []);
+
+  /**
+   * Effect hook to listen for newly inserted videos matching the current filters
+   * EventSource reconnects by itself, resuming after the last event it received.
+   * When the server refuses a reconnection because the access token in the URL
+   * expired, the token is refreshed and the stream opened again after a pause,
+   * resuming after the last event received for the same filters. Videos
+   * received before are ignored when a resumed stream sends them again.
+   * New videos are unwatched, unstarred and in no collection, so the library
+   * filters aren't sent, and no stream is opened when they exclude new videos
+   */
+  useEffect(() => {
+    if (streamRef.current.filters !== filters) {
+      streamRef.current = { filters, lastEventId: '', seen: new Set() };
+    }
+    if (filters.watched === 'true' || filters.starred === 'true' || filters.collection) {
+      return undefined;
+    }
+    const queryParams = new URLSearchParams(
+      Object.entries({ ...filters, lastEventId: streamRef.current.lastEventId })
+        .filter(([name, value]) => value !== '' && !LIBRARY_FILTERS.includes(name))
+    );
+    const source = new EventSource(authenticatedUrl(`/api/videos/stream?${queryParams}`));
+    let retryTimer = null;
+
+    source.addEventListener('video', (event) => {
+      streamRef.current.lastEventId = event.lastEventId;
+      const video = JSON.parse(event.data);
+      if (streamRef.current.seen.has(video.videoId)) {
+        return;
+      }
+      streamRef.current.seen.add(video.videoId);
+      setNewVideos(prev => (prev.some(item => item.videoId === video.videoId) ? prev : [...prev, video]));
+    });
+
+    source.addEventListener('error', () => {
+      if (source.readyState === EventSource.CLOSED) {
+        retryTimer = setTimeout(async () => {
+          if (await refreshSession()) {
+            setStreamReconnects(count => count + 1);
+          }
+        }, 5000);
+      }
+    });
+
+    return () => {
+      clearTimeout(retryTimer);
+      source.close();
+    };
+  }, [filters, streamReconnects]);
+
+  /**
+   * Effect hook to clear the new videos announced for the previous filters
+   */
+  useEffect(() => {
+    setNewVideos([]);
+  }, [filters]);
+
+  /**
+   * Shows the newly inserted videos
+   * Inserts them where the current sorting puts them; those sorting before the first
+   * video of a later page, or after the last video of a page with more pages after it,
+   * belong to other pages and are only counted
+   */
+  const showNewVideos = () => {
+    const added = newVideos.filter(video => !videos.some(item => item.videoId === video.videoId));
+    const first = videos[0];
+    const last = videos[videos.length - 1];
+    const onPage = added.filter(video => (
+      (pagination.currentPage === 1 || !first || compareVideos(video, first, sorting) > 0)
+      && (pagination.currentPage >= pagination.totalPages || !last || compareVideos(video, last, sorting) < 0)
+    ));
+
+    setVideos(prev => [...prev, ...onPage].sort((a, b) => compareVideos(a, b, sorting)));
+    setPagination(prev => ({ ...prev, totalVideos: prev.totalVideos + added.length }));
+    setNewVideos([]);
+  };
 
   /**
    * Handles changes to filter inputs
@@ -101,6 +260,76 @@ const Dashboard = () => {
     setPagination(prev => ({ ...prev, currentPage: 1 }));
   };
 
+  /**
+   * Applies the text of a suggestion input once typing pauses or a suggestion is picked
+   * Memoized so the input's debounce isn't restarted by every render
+   *
+   * @param {string} name - The filter name
+   * @param {string} value - The filter value
+   */
+  const handleTextFilter = useCallback((name, value) => {
+    setFilters(prev => (prev[name] === value ? prev : {
+      ...prev,
+      [name]: value
+    }));
+    setPagination(prev => ({ ...prev, currentPage: 1 }));
+  }, []);
+
+  /**
+   * Applies filter values chosen with a facet chip
+   * Merges them into the filters state and resets pagination to page 1
+   *
+   * @param {Object} values - The filter values to apply
+   */
+  const handleFacetFilter = (values) => {
+    setFilters(prev => ({
+      ...prev,
+      ...values
+    }));
+    setPagination(prev => ({ ...prev, currentPage: 1 }));
+  };
+
+  /**
+   * Handles the "Hide Shorts" checkbox
+   * Shorts are at most 60 seconds long, so hiding them sets a minimum duration
+   *
+   * @param {Object} e - The event object from the checkbox change
+   */
+  const handleHideShortsChange = (e) => {
+    setFilters(prev => ({
+      ...prev,
+      minDuration: e.target.checked ? '61' : ''
+    }));
+    setPagination(prev => ({ ...prev, currentPage: 1 }));
+  };
+
+  /**
+   * Handles the "Collapse re-uploads" checkbox
+   * Shows each cluster of near-duplicate videos as its earliest upload
+   *
+   * @param {Object} e - The event object from the checkbox change
+   */
+  const handleCollapseChange = (e) => {
+    setFilters(prev => ({
+      ...prev,
+      collapseDuplicates: e.target.checked ? 'true' : ''
+    }));
+    setPagination(prev => ({ ...prev, currentPage: 1 }));
+  };
+
+  /**
+   * Handles the "Starred only" checkbox
+   *
+   * @param {Object} e - The event object from the checkbox change
+   */
+  const handleStarredChange = (e) => {
+    setFilters(prev => ({
+      ...prev,
+      starred: e.target.checked ? 'true' : ''
+    }));
+    setPagination(prev => ({ ...prev, currentPage: 1 }));
+  };
+
   /**
    * Handles changes to sorting options
    * Updates the sorting state and resets pagination to page 1
@@ -117,6 +346,32 @@ const Dashboard = () => {
     setPagination(prev => ({ ...prev, currentPage: 1 }));
   };
 
+  /**
+   * Applies the filters and sorting of a saved search
+   * Filters the saved search doesn't set are cleared, and pagination is reset to page 1
+   *
+   * @param {Object} params - The saved search's filter and sort parameters
+   */
+  const handleApplySavedSearch = (params) => {
+    setFilters(prev => Object.fromEntries(Object.keys(prev).map(name => [name, params[name] || ''])));
+    setSorting({
+      sortBy: params.sortBy || 'publishedAt',
+      sortOrder: params.sortOrder || 'desc'
+    });
+    setPagination(prev => ({ ...prev, currentPage: 1 }));
+  };
+
+  /**
+   * Shows a video's new watched, starred or collection state in the grid and the modal
+   *
+   * @param {string} videoId - The video's YouTube id
+   * @param {Object} library - The video's new library state
+   */
+  const handleLibraryChange = (videoId, library) => {
+    setVideos(prev => prev.map(video => (video.videoId === videoId ? { ...video, library } : video)));
+    setSelectedVideo(prev => (prev?.videoId === videoId ? { ...prev, library } : prev));
+  };
+
   /**
    * Handles clicking on a video card
    * Sets the selected video and opens the modal
@@ -130,47 +385,51 @@ const Dashboard = () => {
 
   /**
    * Closes the video modal
-   * Resets the selected video and closes the modal
+   * Resets the selected video and closes the modal, and reloads the
+   * collections, since the modal can create them
    */
   const closeModal = () => {
     setIsModalOpen(false);
     setSelectedVideo(null);
+    loadCollections();
   };
 
+  // Filters and sorting a saved search can store
+  const savedSearchParams = Object.fromEntries(
+    Object.entries({ ...filters, ...sorting }).filter(([name]) => !LIBRARY_FILTERS.includes(name))
+  );
+
   return (
     <div className="container mx-auto p-4">
       <h1 className="text-2xl font-bold mb-4 text-center">Latest YouTube Videos</h1>
 
+      {/* Saved Searches - Applies saved filter and sort combinations, or saves the current one */}
+      <SavedSearches params={savedSearchParams} onApply={handleApplySavedSearch} />
+
       {/* Filters Section - Allows filtering videos by title, channel, and date range */}
       <div className="bg-white p-4 rounded shadow mb-4">
         <h2 className="text-lg font-semibold mb-2">Filters</h2>
         <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
-          {/* Title filter input */}
-          <label htmlFor="title-filter">
-            By title:
-            <input
-              id="title-filter"
-              type="text"
-              name="title"
-              placeholder="Filter by title"
-              value={filters.title}
-              onChange={handleFilterChange}
-              className="border p-2 rounded w-full"
-            />
-          </label>
-          {/* Channel filter input */}
-          <label htmlFor="channel-filter">
-            By channel:
-            <input
-              id="channel-filter"
-              type="text"
-              name="channelTitle"
-              placeholder="Filter by channel"
-              value={filters.channelTitle}
-              onChange={handleFilterChange}
-              className="border p-2 rounded w-full"
-            />
-          </label>
+          {/* Title filter input with title suggestions */}
+          <SuggestInput
+            id="title-filter"
+            label="By title:"
+            name="title"
+            placeholder="Filter by title"
+            value={filters.title}
+            type="titles"
+            onChange={handleTextFilter}
+          />
+          {/* Channel filter input with channel name suggestions */}
+          <SuggestInput
+            id="channel-filter"
+            label="By channel:"
+            name="channelTitle"
+            placeholder="Filter by channel"
+            value={filters.channelTitle}
+            type="channels"
+            onChange={handleTextFilter}
+          />
           {/* Date range filter - start date */}
           <label htmlFor="date-from-filter">
             From date:
@@ -195,7 +454,93 @@ const Dashboard = () => {
               className="border p-2 rounded w-full"
             />
           </label>
+          {/* Minimum views filter input */}
+          <label htmlFor="min-views-filter">
+            Min views:
+            <input
+              id="min-views-filter"
+              type="number"
+              min="0"
+              name="minViews"
+              placeholder="Any"
+              value={filters.minViews}
+              onChange={handleFilterChange}
+              className="border p-2 rounded w-full"
+            />
+          </label>
+          {/* Hide Shorts checkbox */}
+          <label htmlFor="hide-shorts-filter" className="flex items-center gap-2">
+            <input
+              id="hide-shorts-filter"
+              type="checkbox"
+              checked={filters.minDuration === '61'}
+              onChange={handleHideShortsChange}
+            />
+            Hide Shorts
+          </label>
+          {/* Collapse re-uploads checkbox */}
+          <label htmlFor="collapse-duplicates-filter" className="flex items-center gap-2">
+            <input
+              id="collapse-duplicates-filter"
+              type="checkbox"
+              checked={filters.collapseDuplicates === 'true'}
+              onChange={handleCollapseChange}
+            />
+            Collapse re-uploads
+          </label>
+          {/* Watched state filter */}
+          <label htmlFor="watched-filter">
+            Watched:
+            <select
+              id="watched-filter"
+              name="watched"
+              value={filters.watched}
+              onChange={handleFilterChange}
+              className="border p-2 rounded w-full"
+            >
+              <option value="">All videos</option>
+              <option value="false">Unwatched</option>
+              <option value="true">Watched</option>
+            </select>
+          </label>
+          {/* Collection filter */}
+          <label htmlFor="collection-filter">
+            Collection:
+            <select
+              id="collection-filter"
+              name="collection"
+              value={filters.collection}
+              onChange={handleFilterChange}
+              className="border p-2 rounded w-full"
+            >
+              <option value="">Any</option>
+              {collections.map(collection => (
+                <option key={collection._id} value={collection._id}>
+                  {collection.name} ({collection.videoCount})
+                </option>
+              ))}
+            </select>
+          </label>
+          {/* Starred only checkbox */}
+          <label htmlFor="starred-filter" className="flex items-center gap-2">
+            <input
+              id="starred-filter"
+              type="checkbox"
+              checked={filters.starred === 'true'}
+              onChange={handleStarredChange}
+            />
+            Starred only
+          </label>
         </div>
+        {/* Facet chips - Show how results are distributed and apply a value as a filter */}
+        {facets && (
+          <FacetChips
+            facets={facets}
+            filters={filters}
+            onFilter={handleFacetFilter}
+            onIntervalChange={setFacetInterval}
+          />
+        )}
       </div>
 
       {/* Sorting Section - Allows sorting videos by different fields and order */}
@@ -212,6 +557,10 @@ const Dashboard = () => {
             <option value="publishedAt">Published Date</option>
             <option value="title">Title</option>
             <option value="channelTitle">Channel</option>
+            <option value="viewCount">Views</option>
+            <option value="likeCount">Likes</option>
+            <option value="commentCount">Comments</option>
+            <option value="durationSeconds">Duration</option>
           </select>
           {/* Sort order selector */}
           <select
@@ -223,9 +572,25 @@ const Dashboard = () => {
             <option value="desc">Descending</option>
             <option value="asc">Ascending</option>
           </select>
+          {/* Export menu - Exports all videos matching the current filters and sorting */}
+          <div className="ml-auto">
+            <ExportMenu params={{ ...filters, ...sorting }} />
+          </div>
         </div>
       </div>
 
+      {/* New videos banner - Announces videos inserted since the list was loaded */}
+      <div aria-live="polite">
+        {newVideos.length > 0 && (
+          <button
+            onClick={showNewVideos}
+            className="w-full mb-4 px-4 py-2 bg-blue-100 text-blue-800 rounded shadow hover:bg-blue-200"
+          >
+            {newVideos.length} new video{newVideos.length === 1 ? '' : 's'}
+          </button>
+        )}
+      </div>
+
       {/* Videos Grid Section - Displays videos in a responsive grid layout */}
       {loading ? (
         <div className="text-center">Loading...</div>
@@ -233,68 +598,19 @@ const Dashboard = () => {
         <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
           {/* Map through videos array and render a card for each video */}
           {videos.map((video) => (
-            <div
+            <VideoCard
               key={video.videoId}
-              className="bg-white rounded shadow cursor-pointer transform transition hover:scale-105"
-              onClick={() => handleVideoClick(video)}
-            >
-              {/* Video thumbnail */}
-              <img
-                src={video.thumbnails.medium.url}
-                alt={video.title}
-                className="w-full rounded-t"
-              />
-              {/* Video information */}
-              <div className="p-4">
-                <h3 className="font-semibold mb-2">{video.title}</h3>
-                <p className="text-sm text-gray-600">{video.channelTitle}</p>
-                <p className="text-sm text-gray-500">
-                  {new Date(video.publishedAt).toLocaleDateString()}
-                </p>
-              </div>
-            </div>
+              video={video}
+              onClick={handleVideoClick}
+              onLibraryChange={handleLibraryChange}
+            />
           ))}
         </div>
       )}
 
       {/* Video Modal - Displays when a video is clicked */}
       {isModalOpen && selectedVideo && (
-        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
-          <div className="bg-white rounded-lg p-4 max-w-4xl w-full mx-4">
-            {/* Modal header with title and close button */}
-            <div className="flex justify-between items-center mb-4">
-              <h2 className="text-xl font-semibold">{selectedVideo.title}</h2>
-              <button
-                onClick={closeModal}
-                className="text-gray-500 hover:text-gray-700"
-                aria-label="Close modal"
-              >
-                <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12" />
-                </svg>
-              </button>
-            </div>
-            {/* YouTube video embed with 16:9 aspect ratio */}
-            <div className="relative pt-[56.25%]">
-              <iframe
-                className="absolute top-0 left-0 w-full h-full"
-                src={`https://www.youtube.com/embed/${selectedVideo.videoId}`}
-                title={selectedVideo.title}
-                style={{ border: 0 }}
-                allow="accelerometer; autoplay; clipboard-write; encrypted-media; gyroscope; picture-in-picture"
-                allowFullScreen
-              ></iframe>
-            </div>
-            {/* Video details */}
-            <div className="mt-4">
-              <p className="text-sm text-gray-600">{selectedVideo.channelTitle}</p>
-              <p className="text-sm text-gray-500 mt-2">
-                Published on {new Date(selectedVideo.publishedAt).toLocaleDateString()}
-              </p>
-              <p className="mt-2">{selectedVideo.description}</p>
-            </div>
-          </div>
-        </div>
+        <VideoModal video={selectedVideo} onClose={closeModal} onLibraryChange={handleLibraryChange} />
       )}
 
       {/* Pagination Controls - For navigating between pages of results */}
@@ -0,0 +1,94 @@
+/**
+ * ExportMenu.jsx
+ *
+ * Dropdown of export links for the videos matching the dashboard's
+ * current filters and sorting. CSV and JSON Lines download as files;
+ * the RSS and Atom feeds open in a new tab, so their URL can be copied
+ * into a feed reader. Download links carry the access token, which is
+ * refreshed whenever the menu is opened, so it hasn't expired when a link
+ * is used. Feed links carry the user's feed token, which doesn't expire
+ * and only reads feeds, fetched the first time the menu is opened.
+ */
+
+import { useState } from 'react';
+import { authenticatedUrl, feedUrl, getFeedToken, refreshSession } from '../api';
+
+/**
+ * Export formats offered in the menu
+ * @type {Array<Object>}
+ */
+const EXPORT_OPTIONS = [
+  { format: 'csv', label: 'CSV', download: true },
+  { format: 'ndjson', label: 'JSON Lines', download: true },
+  { format: 'rss', label: 'RSS feed', download: false },
+  { format: 'atom', label: 'Atom feed', download: false },
+];
+
+/**
+ * ExportMenu component - Links exporting the current results
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.params - Filter and sort values to export with; empty values are left out
+ * @returns {JSX.Element} The rendered ExportMenu component
+ */
+const ExportMenu = ({ params }) => {
+  // State counting token refreshes, so the links are rebuilt with the new token
+  const [, setRefreshCount] = useState(0);
+  // State for the feed token, null until it is fetched
+  const [feedToken, setFeedToken] = useState(null);
+
+  const exportUrl = (format, download) => {
+    const queryParams = new URLSearchParams(
+      Object.entries({ ...params, format }).filter(([, value]) => value !== '')
+    );
+    const path = `/api/videos/export?${queryParams}`;
+    if (download) {
+      return authenticatedUrl(path);
+    }
+    return feedToken ? feedUrl(path, feedToken) : undefined;
+  };
+
+  /**
+   * Refreshes the access token in the links and fetches the feed token when the menu is opened
+   *
+   * @param {Object} e - The event object from the details toggle
+   */
+  const handleToggle = async (e) => {
+    if (!e.currentTarget.open) {
+      return;
+    }
+    if (await refreshSession()) {
+      setRefreshCount(count => count + 1);
+    }
+    if (!feedToken) {
+      try {
+        setFeedToken(await getFeedToken());
+      } catch (error) {
+        console.error('Error getting feed token:', error);
+      }
+    }
+  };
+
+  return (
+    <details className="relative" onToggle={handleToggle}>
+      <summary className="px-4 py-2 bg-blue-500 text-white rounded cursor-pointer select-none">
+        Export
+      </summary>
+      <ul className="absolute right-0 z-10 mt-1 w-40 bg-white border rounded shadow">
+        {EXPORT_OPTIONS.map(({ format, label, download }) => (
+          <li key={format}>
+            <a
+              href={exportUrl(format, download)}
+              {...(download ? { download: '' } : { target: '_blank', rel: 'noopener noreferrer' })}
+              className="block px-3 py-2 hover:bg-gray-100"
+            >
+              {label}
+            </a>
+          </li>
+        ))}
+      </ul>
+    </details>
+  );
+};
+
+export default ExportMenu;
@@ -0,0 +1,165 @@
+/**
+ * FacetChips.jsx
+ *
+ * Shows how the current results are distributed over channels, upload
+ * dates and duration bands, as clickable chips with counts. Clicking a
+ * chip applies it as a filter; clicking an active chip clears it.
+ */
+
+/**
+ * Formats a histogram bucket date, e.g. "Jan 5" or "Week of Jan 1"
+ *
+ * @param {string} date - ISO date of the bucket start
+ * @param {string} interval - Histogram interval ('day' or 'week')
+ * @returns {string} The formatted label
+ */
+const formatBucket = (date, interval) => {
+  const label = new Date(date).toLocaleDateString(undefined, { month: 'short', day: 'numeric', timeZone: 'UTC' });
+  return interval === 'week' ? `Week of ${label}` : label;
+};
+
+/**
+ * Gets the dateFrom/dateTo filter values covering a histogram bucket
+ *
+ * @param {string} date - ISO date of the bucket start
+ * @param {string} interval - Histogram interval ('day' or 'week')
+ * @returns {Object} The dateFrom and dateTo values (YYYY-MM-DD, dateTo inclusive)
+ */
+const getBucketRange = (date, interval) => {
+  const start = new Date(date);
+  const end = new Date(start);
+  if (interval === 'week') {
+    end.setUTCDate(end.getUTCDate() + 6);
+  }
+  return {
+    dateFrom: start.toISOString().slice(0, 10),
+    dateTo: end.toISOString().slice(0, 10),
+  };
+};
+
+/**
+ * Chip - A single clickable facet value with its count
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.label - The facet value
+ * @param {number} props.count - Number of matching videos
+ * @param {boolean} props.active - Whether the chip's filter is applied
+ * @param {Function} [props.onClick] - Called when the chip is clicked; omitted for chips that can't filter
+ * @returns {JSX.Element} The rendered chip
+ */
+const Chip = ({ label, count, active, onClick }) => (
+  <button
+    type="button"
+    onClick={onClick}
+    disabled={!onClick}
+    aria-pressed={active}
+    className={`px-3 py-1 rounded-full text-sm border whitespace-nowrap ${
+      active ? 'bg-blue-500 text-white border-blue-500' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+    } disabled:opacity-60 disabled:cursor-default`}
+  >
+    {label} <span className={active ? 'text-blue-100' : 'text-gray-500'}>{count}</span>
+  </button>
+);
+
+/**
+ * FacetChips component - Displays facet counts as filter chips
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.facets - Facets from the API (channels, histogram, durations)
+ * @param {Object} props.filters - The current filter values
+ * @param {Function} props.onFilter - Called with the filter values to apply
+ * @param {Function} props.onIntervalChange - Called with 'day' or 'week' to change the histogram interval
+ * @returns {JSX.Element} The rendered FacetChips component
+ */
+const FacetChips = ({ facets, filters, onFilter, onIntervalChange }) => {
+  const { channels, histogram, durations } = facets;
+
+  return (
+    <div className="space-y-3 mt-4">
+      {/* Top channels */}
+      {channels.length > 0 && (
+        <div>
+          <h3 className="text-sm font-semibold text-gray-600 mb-1">Channels</h3>
+          <div className="flex flex-wrap gap-2">
+            {channels.map((channel) => {
+              const active = filters.channelId === channel.channelId;
+              return (
+                <Chip
+                  key={channel.channelId}
+                  label={channel.channelTitle}
+                  count={channel.count}
+                  active={active}
+                  onClick={() => onFilter({ channelId: active ? '' : channel.channelId })}
+                />
+              );
+            })}
+          </div>
+        </div>
+      )}
+
+      {/* Uploads per day or week */}
+      {histogram.buckets.length > 0 && (
+        <div>
+          <div className="flex items-center gap-2 mb-1">
+            <h3 className="text-sm font-semibold text-gray-600">Uploads per</h3>
+            <select
+              value={histogram.interval}
+              onChange={(e) => onIntervalChange(e.target.value)}
+              className="border rounded text-sm px-1"
+              aria-label="Upload histogram interval"
+            >
+              <option value="day">day</option>
+              <option value="week">week</option>
+            </select>
+          </div>
+          <div className="flex gap-2 overflow-x-auto pb-1">
+            {histogram.buckets.map((bucket) => {
+              const range = getBucketRange(bucket.date, histogram.interval);
+              const active = filters.dateFrom === range.dateFrom && filters.dateTo === range.dateTo;
+              return (
+                <Chip
+                  key={bucket.date}
+                  label={formatBucket(bucket.date, histogram.interval)}
+                  count={bucket.count}
+                  active={active}
+                  onClick={() => onFilter(active ? { dateFrom: '', dateTo: '' } : range)}
+                />
+              );
+            })}
+          </div>
+        </div>
+      )}
+
+      {/* Duration bands */}
+      {durations.some((band) => band.count > 0) && (
+        <div>
+          <h3 className="text-sm font-semibold text-gray-600 mb-1">Duration</h3>
+          <div className="flex flex-wrap gap-2">
+            {durations.filter((band) => band.count > 0).map((band) => {
+              const range = {
+                minDuration: band.minDuration != null ? String(band.minDuration) : '',
+                maxDuration: band.maxDuration != null ? String(band.maxDuration) : '',
+              };
+              const active = band.minDuration != null
+                && filters.minDuration === range.minDuration
+                && filters.maxDuration === range.maxDuration;
+              return (
+                <Chip
+                  key={band.key}
+                  label={band.label}
+                  count={band.count}
+                  active={active}
+                  onClick={band.minDuration != null
+                    ? () => onFilter(active ? { minDuration: '', maxDuration: '' } : range)
+                    : undefined}
+                />
+              );
+            })}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default FacetChips;
@@ -0,0 +1,85 @@
+/**
+ * Login.jsx
+ *
+ * Sign-in screen shown while no user is signed in.
+ */
+
+import { useState } from 'react';
+import { login } from '../api';
+
+/**
+ * Login component - Email and password form
+ * Signing in stores the session, which makes the app show the dashboard
+ *
+ * @returns {JSX.Element} The rendered Login component
+ */
+const Login = () => {
+  // State for the form fields
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+
+  // State for the message of a failed sign-in
+  const [loginError, setLoginError] = useState('');
+
+  // State for tracking the sign-in request
+  const [submitting, setSubmitting] = useState(false);
+
+  /**
+   * Signs in with the entered credentials
+   *
+   * @param {Object} e - The event object from the form submission
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoginError('');
+    setSubmitting(true);
+    try {
+      await login(email, password);
+    } catch (error) {
+      setLoginError(error.message || 'Sign-in failed');
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center p-4">
+      <form onSubmit={handleSubmit} className="bg-white p-6 rounded shadow w-full max-w-sm space-y-4">
+        <h1 className="text-2xl font-bold text-center">Sign in</h1>
+        <label htmlFor="login-email" className="block">
+          Email:
+          <input
+            id="login-email"
+            type="email"
+            autoComplete="username"
+            required
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            className="border p-2 rounded w-full"
+          />
+        </label>
+        <label htmlFor="login-password" className="block">
+          Password:
+          <input
+            id="login-password"
+            type="password"
+            autoComplete="current-password"
+            required
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            className="border p-2 rounded w-full"
+          />
+        </label>
+        {loginError && <p className="text-red-600" role="alert">{loginError}</p>}
+        <button
+          type="submit"
+          disabled={submitting}
+          className="w-full px-4 py-2 bg-blue-500 text-white rounded disabled:bg-gray-300"
+        >
+          {submitting ? 'Signing in...' : 'Sign in'}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default Login;
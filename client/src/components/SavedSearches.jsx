@@ -0,0 +1,175 @@
+/**
+ * SavedSearches.jsx
+ *
+ * Saves the dashboard's current filters and sorting under a name, and
+ * applies saved searches again. Each saved search shows how many matching
+ * videos were added since it was last applied.
+ */
+
+import { useState, useEffect } from 'react';
+import { apiFetch } from '../api';
+
+/**
+ * SavedSearches component - Picker for saved searches with save and delete controls
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.params - The current filter and sort values; empty values are left out
+ * @param {Function} props.onApply - Called with the parameters of the saved search to apply
+ * @returns {JSX.Element} The rendered SavedSearches component
+ */
+const SavedSearches = ({ params, onApply }) => {
+  // State for the saved searches and their new video counts
+  const [savedSearches, setSavedSearches] = useState([]);
+
+  // State for the id of the saved search picked last
+  const [selectedId, setSelectedId] = useState('');
+
+  // State for the name to save the current search under
+  const [name, setName] = useState('');
+
+  // State for the message of the last failed request
+  const [saveError, setSaveError] = useState('');
+
+  /**
+   * Fetches the saved searches with their new video counts
+   */
+  const fetchSavedSearches = async () => {
+    try {
+      const response = await apiFetch('/api/saved-searches');
+      const data = await response.json();
+      if (data.success) {
+        setSavedSearches(data.data);
+      }
+    } catch (error) {
+      console.error('Error fetching saved searches:', error);
+    }
+  };
+
+  useEffect(() => {
+    fetchSavedSearches();
+  }, []);
+
+  /**
+   * Applies the picked saved search and marks it as viewed, resetting its new video count
+   *
+   * @param {Object} e - The event object from the select change
+   */
+  const handleSelect = async (e) => {
+    const savedSearch = savedSearches.find(item => item._id === e.target.value);
+    setSelectedId(e.target.value);
+    if (!savedSearch) {
+      return;
+    }
+
+    onApply(savedSearch.params);
+    try {
+      const response = await apiFetch(`/api/saved-searches/${savedSearch._id}/viewed`, { method: 'POST' });
+      const data = await response.json();
+      if (data.success) {
+        setSavedSearches(prev => prev.map(item => (item._id === data.data._id ? data.data : item)));
+      }
+    } catch (error) {
+      console.error('Error marking saved search as viewed:', error);
+    }
+  };
+
+  /**
+   * Saves the current filters and sorting under the entered name
+   *
+   * @param {Object} e - The event object from the form submission
+   */
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaveError('');
+    try {
+      const response = await apiFetch('/api/saved-searches', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          name,
+          params: Object.fromEntries(Object.entries(params).filter(([, value]) => value !== '')),
+        }),
+      });
+      const data = await response.json();
+      if (!data.success) {
+        setSaveError(data.error);
+        return;
+      }
+      setSavedSearches(prev => [...prev, data.data].sort((a, b) => a.name.localeCompare(b.name)));
+      setSelectedId(data.data._id);
+      setName('');
+    } catch (error) {
+      console.error('Error saving search:', error);
+      setSaveError('The search could not be saved');
+    }
+  };
+
+  /**
+   * Deletes the picked saved search
+   */
+  const handleDelete = async () => {
+    try {
+      const response = await apiFetch(`/api/saved-searches/${selectedId}`, { method: 'DELETE' });
+      const data = await response.json();
+      if (data.success) {
+        setSavedSearches(prev => prev.filter(item => item._id !== selectedId));
+        setSelectedId('');
+      }
+    } catch (error) {
+      console.error('Error deleting saved search:', error);
+    }
+  };
+
+  return (
+    <div className="flex flex-wrap items-end gap-4 mb-4">
+      {/* Saved search picker with new video counts */}
+      <div className="flex items-end gap-2">
+        <label htmlFor="saved-search-select">
+          Saved searches:
+          <select
+            id="saved-search-select"
+            value={selectedId}
+            onChange={handleSelect}
+            className="border p-2 rounded block"
+          >
+            <option value="">Choose a saved search</option>
+            {savedSearches.map(savedSearch => (
+              <option key={savedSearch._id} value={savedSearch._id}>
+                {savedSearch.name}{savedSearch.newCount > 0 ? ` (${savedSearch.newCount} new)` : ''}
+              </option>
+            ))}
+          </select>
+        </label>
+        <button
+          type="button"
+          onClick={handleDelete}
+          disabled={!selectedId}
+          className="px-3 py-2 border rounded hover:bg-gray-100 disabled:opacity-50"
+        >
+          Delete
+        </button>
+      </div>
+      {/* Form saving the current filters and sorting */}
+      <form onSubmit={handleSave} className="flex gap-2">
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="Name this search"
+          aria-label="Saved search name"
+          className="border p-2 rounded"
+        />
+        <button
+          type="submit"
+          disabled={!name.trim()}
+          className="px-4 py-2 bg-blue-500 text-white rounded disabled:bg-gray-300"
+        >
+          Save search
+        </button>
+      </form>
+      {saveError && <p className="text-red-600" role="alert">{saveError}</p>}
+    </div>
+  );
+};
+
+export default SavedSearches;
@@ -0,0 +1,222 @@
+/**
+ * SuggestInput.jsx
+ *
+ * Text filter input with search-as-you-type suggestions, following the
+ * WAI-ARIA combobox pattern: suggestions appear in a listbox below the
+ * input and can be picked with the arrow keys and Enter, or with the mouse.
+ * Typing is debounced, both for applying the filter and for requesting
+ * suggestions, and a request still in flight is cancelled when the text
+ * changes again.
+ */
+
+import { useState, useEffect } from 'react';
+import { apiFetch } from '../api';
+import { formatCount } from '../utils/format';
+
+/**
+ * Delay after the last keystroke before the text is applied and suggestions are requested
+ * @type {number}
+ */
+const SUGGEST_DELAY_MS = 250;
+
+/**
+ * Shortest text that gets suggestions, as enforced by the API
+ * @type {number}
+ */
+const SUGGEST_MIN_LENGTH = 2;
+
+/**
+ * Gets the text and secondary details of a suggestion
+ *
+ * @param {Object} suggestion - A title or channel suggestion from the API
+ * @param {string} type - Suggestion type ('titles' or 'channels')
+ * @returns {Object} The option's value and detail text
+ */
+const describeSuggestion = (suggestion, type) => (type === 'titles'
+  ? { value: suggestion.title, detail: `${suggestion.channelTitle} · ${formatCount(suggestion.viewCount)} views` }
+  : { value: suggestion.channelTitle, detail: `${suggestion.videoCount} videos` });
+
+/**
+ * SuggestInput component - A filter input with a suggestions dropdown
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.id - Id of the input; the listbox and options ids derive from it
+ * @param {string} props.label - Visible label of the input
+ * @param {string} props.name - Filter name passed to onChange
+ * @param {string} props.placeholder - Placeholder of the input
+ * @param {string} props.value - The applied filter value
+ * @param {string} props.type - Suggestion type ('titles' or 'channels')
+ * @param {Function} props.onChange - Called with the filter name and value to apply; should be stable
+ * @returns {JSX.Element} The rendered SuggestInput component
+ */
+const SuggestInput = ({ id, label, name, placeholder, value, type, onChange }) => {
+  // Text in the input, which runs ahead of the applied value while typing
+  const [text, setText] = useState(value);
+
+  // Last value applied or received, to notice changes made elsewhere (e.g. a reset)
+  const [appliedValue, setAppliedValue] = useState(value);
+
+  // Typed text waiting to be applied and looked up, or null
+  const [pending, setPending] = useState(null);
+
+  // Suggestions for the current text, whether the listbox is open, and the highlighted option
+  const [suggestions, setSuggestions] = useState([]);
+  const [isOpen, setIsOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(-1);
+
+  const listboxId = `${id}-listbox`;
+
+  if (value !== appliedValue) {
+    setAppliedValue(value);
+    setText(value);
+  }
+
+  /**
+   * Effect hook to apply typed text and fetch suggestions once typing pauses
+   * Cleaning up cancels both the timer and a request still in flight
+   */
+  useEffect(() => {
+    if (pending === null) {
+      return undefined;
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(async () => {
+      setAppliedValue(pending);
+      onChange(name, pending);
+
+      if (pending.trim().length < SUGGEST_MIN_LENGTH) {
+        setSuggestions([]);
+        setIsOpen(false);
+        return;
+      }
+
+      try {
+        const queryParams = new URLSearchParams({ q: pending, type, limit: 8 });
+        const response = await apiFetch(`/api/videos/suggest?${queryParams}`, {
+          signal: controller.signal,
+        });
+        const data = await response.json();
+
+        if (data.success) {
+          setSuggestions(data[type]);
+          setIsOpen(data[type].length > 0);
+          setActiveIndex(-1);
+        }
+      } catch (error) {
+        if (error.name !== 'AbortError') {
+          console.error('Error fetching suggestions:', error);
+        }
+      }
+    }, SUGGEST_DELAY_MS);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [pending, name, type, onChange]);
+
+  /**
+   * Handles typing in the input
+   *
+   * @param {Object} e - The event object from the input change
+   */
+  const handleInput = (e) => {
+    setText(e.target.value);
+    setPending(e.target.value);
+  };
+
+  /**
+   * Applies a suggestion right away and closes the listbox
+   *
+   * @param {Object} suggestion - The chosen suggestion
+   */
+  const selectSuggestion = (suggestion) => {
+    const { value: selected } = describeSuggestion(suggestion, type);
+    setText(selected);
+    setAppliedValue(selected);
+    setPending(null);
+    setIsOpen(false);
+    setSuggestions([]);
+    onChange(name, selected);
+  };
+
+  /**
+   * Handles keyboard navigation of the listbox
+   *
+   * @param {Object} e - The keyboard event from the input
+   */
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      if (suggestions.length === 0) {
+        return;
+      }
+      e.preventDefault();
+      setIsOpen(true);
+      setActiveIndex(prev => (e.key === 'ArrowDown'
+        ? (prev + 1) % suggestions.length
+        : (prev <= 0 ? suggestions.length : prev) - 1));
+    } else if (e.key === 'Enter' && isOpen && activeIndex >= 0) {
+      e.preventDefault();
+      selectSuggestion(suggestions[activeIndex]);
+    } else if (e.key === 'Escape' && isOpen) {
+      e.preventDefault();
+      setIsOpen(false);
+      setActiveIndex(-1);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <label htmlFor={id}>{label}</label>
+      <input
+        id={id}
+        type="text"
+        role="combobox"
+        autoComplete="off"
+        aria-autocomplete="list"
+        aria-expanded={isOpen}
+        aria-controls={listboxId}
+        aria-activedescendant={isOpen && activeIndex >= 0 ? `${id}-option-${activeIndex}` : undefined}
+        placeholder={placeholder}
+        value={text}
+        onChange={handleInput}
+        onKeyDown={handleKeyDown}
+        onBlur={() => setIsOpen(false)}
+        className="border p-2 rounded w-full"
+      />
+      {/* Suggestions listbox - options keep focus in the input when clicked */}
+      <ul
+        id={listboxId}
+        role="listbox"
+        aria-label={`${label} suggestions`}
+        hidden={!isOpen}
+        className="absolute z-10 mt-1 w-full max-h-64 overflow-auto bg-white border rounded shadow"
+      >
+        {suggestions.map((suggestion, index) => {
+          const { value: optionValue, detail } = describeSuggestion(suggestion, type);
+          return (
+            <li
+              key={suggestion.videoId || suggestion.channelId}
+              id={`${id}-option-${index}`}
+              role="option"
+              aria-selected={index === activeIndex}
+              onMouseDown={(e) => e.preventDefault()}
+              onClick={() => selectSuggestion(suggestion)}
+              className={`px-2 py-1 cursor-pointer ${index === activeIndex ? 'bg-blue-100' : 'hover:bg-gray-100'}`}
+            >
+              <div className="truncate">{optionValue}</div>
+              <div className="text-xs text-gray-500 truncate">{detail}</div>
+            </li>
+          );
+        })}
+      </ul>
+      {/* Announces the number of suggestions to screen readers */}
+      <div role="status" className="sr-only">
+        {isOpen ? `${suggestions.length} suggestions available, use the arrow keys to choose` : ''}
+      </div>
+    </div>
+  );
+};
+
+export default SuggestInput;
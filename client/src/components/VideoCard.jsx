@@ -0,0 +1,112 @@
+/**
+ * VideoCard.jsx
+ *
+ * Card showing a video's thumbnail, title, channel and statistics, and
+ * the signed-in user's watched and starred state, which it toggles.
+ * The channel name links to the channel page; clicking anywhere else
+ * on the card selects the video.
+ */
+
+import { Link } from 'react-router-dom';
+import { formatCount, formatDuration } from '../utils/format';
+import { getLibrary, updateVideoState } from '../utils/library';
+
+/**
+ * VideoCard component - Displays a single video in a grid
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.video - The video to display
+ * @param {Function} props.onClick - Called with the video when the card is clicked
+ * @param {Function} props.onLibraryChange - Called with the video id and its new library state
+ * @returns {JSX.Element} The rendered VideoCard component
+ */
+const VideoCard = ({ video, onClick, onLibraryChange }) => {
+  const library = getLibrary(video);
+
+  /**
+   * Toggles the watched or starred state without selecting the video
+   *
+   * @param {Object} e - The event object from the button click
+   * @param {string} field - 'watched' or 'starred'
+   */
+  const handleToggle = async (e, field) => {
+    e.stopPropagation();
+    try {
+      onLibraryChange(video.videoId, await updateVideoState(video, { [field]: !library[field] }));
+    } catch (error) {
+      console.error('Error updating video state:', error);
+    }
+  };
+
+  return (
+    <div
+      className="bg-white rounded shadow cursor-pointer transform transition hover:scale-105"
+      onClick={() => onClick(video)}
+    >
+      {/* Video thumbnail, dimmed once watched */}
+      <div className="relative">
+        <img
+          src={video.thumbnails.medium.url}
+          alt={video.title}
+          className={`w-full rounded-t ${library.watched ? 'opacity-60' : ''}`}
+        />
+        {library.watched && (
+          <span className="absolute top-2 left-2 px-2 py-1 text-xs bg-gray-800 text-white rounded">Watched</span>
+        )}
+      </div>
+      {/* Video information */}
+      <div className="p-4">
+        <h3 className="font-semibold mb-2">{video.title}</h3>
+        {video.channelId ? (
+          <Link
+            to={`/channels/${video.channelId}`}
+            onClick={(e) => e.stopPropagation()}
+            className="text-sm text-gray-600 hover:text-blue-600 hover:underline"
+          >
+            {video.channelTitle}
+          </Link>
+        ) : (
+          <p className="text-sm text-gray-600">{video.channelTitle}</p>
+        )}
+        <p className="text-sm text-gray-500">
+          {new Date(video.publishedAt).toLocaleDateString()}
+          {video.viewCount != null && ` · ${formatCount(video.viewCount)} views`}
+          {video.durationSeconds != null && ` · ${formatDuration(video.durationSeconds)}`}
+        </p>
+        {/* Re-uploads collapsed into this video */}
+        {video.duplicates > 0 && (
+          <p className="text-xs text-gray-500 mt-1">
+            +{video.duplicates} {video.duplicates === 1 ? 're-upload' : 're-uploads'}
+          </p>
+        )}
+        {/* Collections the video is in */}
+        {library.collections.length > 0 && (
+          <p className="text-xs text-gray-500 mt-1">
+            In {library.collections.map(collection => collection.name).join(', ')}
+          </p>
+        )}
+        {/* Watched and starred toggles */}
+        <div className="flex gap-2 mt-2">
+          <button
+            type="button"
+            onClick={(e) => handleToggle(e, 'starred')}
+            aria-pressed={library.starred}
+            className={`px-2 py-1 text-sm border rounded hover:bg-gray-100 ${library.starred ? 'text-yellow-600' : ''}`}
+          >
+            {library.starred ? '★ Starred' : '☆ Star'}
+          </button>
+          <button
+            type="button"
+            onClick={(e) => handleToggle(e, 'watched')}
+            aria-pressed={library.watched}
+            className={`px-2 py-1 text-sm border rounded hover:bg-gray-100 ${library.watched ? 'text-green-700' : ''}`}
+          >
+            {library.watched ? '✓ Watched' : 'Mark watched'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default VideoCard;
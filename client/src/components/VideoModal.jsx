@@ -0,0 +1,235 @@
+/**
+ * VideoModal.jsx
+ *
+ * Modal dialog that embeds a YouTube video and shows its details, with
+ * controls marking it as watched or starred and keeping it in the signed-in
+ * user's collections with a note.
+ */
+
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { formatCount } from '../utils/format';
+import {
+  getLibrary,
+  updateVideoState,
+  saveToCollection,
+  removeFromCollection,
+  fetchCollections,
+  createCollection,
+} from '../utils/library';
+
+/**
+ * VideoModal component - Plays a video and shows its details
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.video - The video to display
+ * @param {Function} props.onClose - Called when the modal is closed
+ * @param {Function} props.onLibraryChange - Called with the video id and its new library state
+ * @returns {JSX.Element} The rendered VideoModal component
+ */
+const VideoModal = ({ video, onClose, onLibraryChange }) => {
+  const library = getLibrary(video);
+
+  // State for the user's collections
+  const [collections, setCollections] = useState([]);
+
+  // State for the notes being edited, by collection id
+  const [notes, setNotes] = useState(() => Object.fromEntries(
+    library.collections.map(item => [item._id, item.note])
+  ));
+
+  // State for the name of a new collection
+  const [newCollectionName, setNewCollectionName] = useState('');
+
+  // State for the message of the last failed request
+  const [libraryError, setLibraryError] = useState('');
+
+  /**
+   * Effect hook to fetch the user's collections when the modal opens
+   */
+  useEffect(() => {
+    fetchCollections()
+      .then(setCollections)
+      .catch(error => console.error('Error fetching collections:', error));
+  }, []);
+
+  /**
+   * Runs a library request and reports the video's new state
+   *
+   * @param {Function} request - Resolves to the video's new library state
+   */
+  const changeLibrary = async (request) => {
+    setLibraryError('');
+    try {
+      onLibraryChange(video.videoId, await request());
+    } catch (error) {
+      console.error('Error updating library:', error);
+      setLibraryError(error.message || 'The change could not be saved');
+    }
+  };
+
+  /**
+   * Adds the video to a collection or removes it
+   *
+   * @param {Object} collection - The collection
+   * @param {boolean} checked - Whether the video should be in the collection
+   */
+  const handleCollectionToggle = (collection, checked) => {
+    changeLibrary(() => (checked
+      ? saveToCollection(video, collection, notes[collection._id] || '')
+      : removeFromCollection(video, collection)));
+  };
+
+  /**
+   * Saves the note on the video in a collection when it was changed
+   *
+   * @param {Object} collection - The collection
+   */
+  const handleNoteBlur = (collection) => {
+    const current = library.collections.find(item => item._id === collection._id);
+    const note = notes[collection._id] || '';
+    if (current && current.note !== note.trim()) {
+      changeLibrary(() => saveToCollection(video, collection, note));
+    }
+  };
+
+  /**
+   * Creates a collection with the entered name and adds the video to it
+   *
+   * @param {Object} e - The event object from the form submission
+   */
+  const handleCreateCollection = (e) => {
+    e.preventDefault();
+    changeLibrary(async () => {
+      const collection = await createCollection(newCollectionName);
+      setCollections(prev => [...prev, collection].sort((a, b) => a.name.localeCompare(b.name)));
+      setNewCollectionName('');
+      return saveToCollection(video, collection, '');
+    });
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg p-4 max-w-4xl w-full mx-4 max-h-[90vh] overflow-y-auto">
+        {/* Modal header with title and close button */}
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-xl font-semibold">{video.title}</h2>
+          <button
+            onClick={onClose}
+            className="text-gray-500 hover:text-gray-700"
+            aria-label="Close modal"
+          >
+            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+        {/* YouTube video embed with 16:9 aspect ratio */}
+        <div className="relative pt-[56.25%]">
+          <iframe
+            className="absolute top-0 left-0 w-full h-full"
+            src={`https://www.youtube.com/embed/${video.videoId}`}
+            title={video.title}
+            style={{ border: 0 }}
+            allow="accelerometer; autoplay; clipboard-write; encrypted-media; gyroscope; picture-in-picture"
+            allowFullScreen
+          ></iframe>
+        </div>
+        {/* Video details */}
+        <div className="mt-4">
+          {video.channelId ? (
+            <Link
+              to={`/channels/${video.channelId}`}
+              className="text-sm text-gray-600 hover:text-blue-600 hover:underline"
+            >
+              {video.channelTitle}
+            </Link>
+          ) : (
+            <p className="text-sm text-gray-600">{video.channelTitle}</p>
+          )}
+          <p className="text-sm text-gray-500 mt-2">
+            Published on {new Date(video.publishedAt).toLocaleDateString()}
+          </p>
+          {video.viewCount != null && (
+            <p className="text-sm text-gray-500">
+              {formatCount(video.viewCount)} views · {formatCount(video.likeCount)} likes · {formatCount(video.commentCount)} comments
+            </p>
+          )}
+          <p className="mt-2">{video.description}</p>
+        </div>
+        {/* Watched and starred state, and the user's collections */}
+        <div className="mt-4 border-t pt-4">
+          <div className="flex gap-2">
+            <button
+              type="button"
+              onClick={() => changeLibrary(() => updateVideoState(video, { watched: !library.watched }))}
+              aria-pressed={library.watched}
+              className="px-3 py-2 border rounded hover:bg-gray-100"
+            >
+              {library.watched ? '✓ Watched' : 'Mark as watched'}
+            </button>
+            <button
+              type="button"
+              onClick={() => changeLibrary(() => updateVideoState(video, { starred: !library.starred }))}
+              aria-pressed={library.starred}
+              className="px-3 py-2 border rounded hover:bg-gray-100"
+            >
+              {library.starred ? '★ Starred' : '☆ Star'}
+            </button>
+          </div>
+          <h3 className="font-semibold mt-4 mb-2">Collections</h3>
+          <ul className="space-y-2">
+            {collections.map(collection => {
+              const inCollection = library.collections.some(item => item._id === collection._id);
+              return (
+                <li key={collection._id} className="flex flex-wrap items-center gap-2">
+                  <label htmlFor={`collection-${collection._id}`} className="flex items-center gap-2">
+                    <input
+                      id={`collection-${collection._id}`}
+                      type="checkbox"
+                      checked={inCollection}
+                      onChange={(e) => handleCollectionToggle(collection, e.target.checked)}
+                    />
+                    {collection.name}
+                  </label>
+                  {inCollection && (
+                    <input
+                      type="text"
+                      value={notes[collection._id] || ''}
+                      onChange={(e) => setNotes(prev => ({ ...prev, [collection._id]: e.target.value }))}
+                      onBlur={() => handleNoteBlur(collection)}
+                      placeholder="Add a note"
+                      aria-label={`Note in ${collection.name}`}
+                      className="border p-1 rounded flex-1"
+                    />
+                  )}
+                </li>
+              );
+            })}
+          </ul>
+          {/* Form creating a collection with this video */}
+          <form onSubmit={handleCreateCollection} className="flex gap-2 mt-2">
+            <input
+              type="text"
+              value={newCollectionName}
+              onChange={(e) => setNewCollectionName(e.target.value)}
+              placeholder="New collection"
+              aria-label="New collection name"
+              className="border p-2 rounded"
+            />
+            <button
+              type="submit"
+              disabled={!newCollectionName.trim()}
+              className="px-4 py-2 bg-blue-500 text-white rounded disabled:bg-gray-300"
+            >
+              Create and add
+            </button>
+          </form>
+          {libraryError && <p className="text-red-600 mt-2" role="alert">{libraryError}</p>}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default VideoModal;
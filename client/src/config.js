@@ -0,0 +1,13 @@
+/**
+ * config.js
+ *
+ * Application configuration shared by all components.
+ * The API base URL comes from the VITE_API_URL environment variable,
+ * falling back to the deployed backend.
+ */
+
+/**
+ * Base URL of the backend API, without a trailing slash
+ * @type {string}
+ */
+export const API_BASE_URL = (import.meta.env.VITE_API_URL || 'https://youtube-recent-videos.onrender.com').replace(/\/$/, '');
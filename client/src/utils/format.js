@@ -0,0 +1,27 @@
+/**
+ * format.js
+ *
+ * Formatting helpers for video and channel statistics.
+ */
+
+/**
+ * Formats a count compactly, e.g. 1234567 -> "1.2M"
+ *
+ * @param {number} value - The count to format
+ * @returns {string} The formatted count
+ */
+export const formatCount = (value) =>
+  new Intl.NumberFormat(undefined, { notation: 'compact', maximumFractionDigits: 1 }).format(value || 0);
+
+/**
+ * Formats a duration in seconds as h:mm:ss or m:ss
+ *
+ * @param {number} seconds - The duration in seconds
+ * @returns {string} The formatted duration
+ */
+export const formatDuration = (seconds) => {
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  const s = String(seconds % 60).padStart(2, '0');
+  return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+};
@@ -0,0 +1,114 @@
+/**
+ * library.js
+ *
+ * Requests changing the signed-in user's library: the watched and starred
+ * state of videos and the videos in their collections. Each request
+ * resolves to the video's new `library` state, shaped as the video
+ * listings return it.
+ */
+
+import { apiFetch } from '../api';
+
+/**
+ * State of a video the user hasn't marked or collected yet
+ * @type {Object}
+ */
+const EMPTY_LIBRARY = { watched: false, starred: false, collections: [] };
+
+/**
+ * Gets the user's state of a video
+ * Videos announced by the video stream come without one
+ *
+ * @param {Object} video - The video
+ * @returns {Object} `{ watched, starred, collections }`
+ */
+export const getLibrary = (video) => video.library || EMPTY_LIBRARY;
+
+/**
+ * Sends a JSON request to the API
+ *
+ * @param {string} path - API path
+ * @param {string} method - HTTP method
+ * @param {Object} [body] - JSON body
+ * @returns {Promise<Object>} The response's data
+ * @throws {Error} With the API's message when the request fails
+ */
+const sendJson = async (path, method, body) => {
+  const response = await apiFetch(path, {
+    method,
+    ...(body ? { headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) } : {}),
+  });
+  const data = await response.json();
+
+  if (!data.success) {
+    throw new Error(data.error);
+  }
+  return data.data;
+};
+
+/**
+ * Marks a video as watched or starred, or not
+ *
+ * @param {Object} video - The video
+ * @param {Object} changes - `{ watched }` and/or `{ starred }`
+ * @returns {Promise<Object>} The video's new library state
+ */
+export const updateVideoState = async (video, changes) => {
+  const state = await sendJson(`/api/videos/${encodeURIComponent(video.videoId)}/state`, 'PATCH', changes);
+  return {
+    ...getLibrary(video),
+    watched: state.watched,
+    watchedAt: state.watchedAt,
+    starred: state.starred,
+    starredAt: state.starredAt,
+  };
+};
+
+/**
+ * Adds a video to a collection, or changes its note there
+ *
+ * @param {Object} video - The video
+ * @param {Object} collection - The collection, with its `_id` and `name`
+ * @param {string} note - Note on the video
+ * @returns {Promise<Object>} The video's new library state
+ */
+export const saveToCollection = async (video, collection, note) => {
+  await sendJson(`/api/collections/${collection._id}/videos/${encodeURIComponent(video.videoId)}`, 'PUT', { note });
+  const library = getLibrary(video);
+  const others = library.collections.filter(item => item._id !== collection._id);
+  return {
+    ...library,
+    collections: [...others, { _id: collection._id, name: collection.name, note: note.trim() }],
+  };
+};
+
+/**
+ * Removes a video from a collection
+ *
+ * @param {Object} video - The video
+ * @param {Object} collection - The collection, with its `_id`
+ * @returns {Promise<Object>} The video's new library state
+ */
+export const removeFromCollection = async (video, collection) => {
+  await sendJson(`/api/collections/${collection._id}/videos/${encodeURIComponent(video.videoId)}`, 'DELETE');
+  const library = getLibrary(video);
+  return {
+    ...library,
+    collections: library.collections.filter(item => item._id !== collection._id),
+  };
+};
+
+/**
+ * Fetches the user's collections, sorted by name
+ *
+ * @returns {Promise<Array<Object>>} The collections with their video counts
+ */
+export const fetchCollections = () => sendJson('/api/collections', 'GET');
+
+/**
+ * Creates a collection
+ *
+ * @param {string} name - Name of the collection
+ * @returns {Promise<Object>} The created collection
+ */
+export const createCollection = (name) => sendJson('/api/collections', 'POST', { name });
@@ -0,0 +1,90 @@
+/**
+ * Video Import Script
+ *
+ * Imports videos from a file into the database, the same way as
+ * POST /api/import, and prints the import report as JSON:
+ *
+ *   npm run import -- <file> [--format ndjson|csv|takeout] [--dry-run]
+ *
+ * Without --format, the format follows the file extension: .ndjson and
+ * .jsonl are NDJSON, .csv is CSV and .json is Takeout watch history.
+ * Run it from the server directory, so the server's .env is used.
+ *
+ * @module scripts/importVideos
+ */
+
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const connectDB = require('../src/config/db');
+const { importVideos } = require('../src/services/importService');
+
+/**
+ * Import formats by file extension
+ * @constant {Object<string, string>}
+ */
+const EXTENSION_FORMATS = {
+  '.ndjson': 'ndjson',
+  '.jsonl': 'ndjson',
+  '.csv': 'csv',
+  '.json': 'takeout',
+};
+
+const USAGE = 'Usage: npm run import -- <file> [--format ndjson|csv|takeout] [--dry-run]';
+
+/**
+ * Read the command line arguments
+ *
+ * @param {Array<string>} args - Arguments after the script name
+ * @returns {Object} - `{ file, format, dryRun }`
+ */
+const parseArgs = (args) => {
+  const options = { file: null, format: null, dryRun: false };
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--dry-run') {
+      options.dryRun = true;
+    } else if (args[i] === '--format') {
+      options.format = args[++i];
+    } else if (args[i].startsWith('--format=')) {
+      options.format = args[i].slice('--format='.length);
+    } else {
+      options.file = args[i];
+    }
+  }
+
+  return options;
+};
+
+const main = async () => {
+  const { file, format, dryRun } = parseArgs(process.argv.slice(2));
+  if (!file) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  const importFormat = format || EXTENSION_FORMATS[path.extname(file).toLowerCase()];
+  if (!importFormat) {
+    console.error(`Can't tell the format of ${file}, use --format`);
+    process.exit(1);
+  }
+
+  const text = fs.readFileSync(file, 'utf8');
+  await connectDB();
+
+  try {
+    const report = await importVideos(text, {
+      format: importFormat,
+      dryRun,
+      source: path.basename(file),
+    });
+    console.log(JSON.stringify(report, null, 2));
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+main().catch(error => {
+  console.error('Error importing videos:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,152 @@
+/**
+ * WebSub Stub Hub
+ *
+ * A minimal local WebSub hub for testing push ingestion without exposing
+ * the server to the internet:
+ * - POST /subscribe accepts (un)subscription requests and verifies them
+ *   against the callback, like the real hub
+ * - POST /publish pushes a signed Atom notification for a video to every
+ *   callback subscribed to the video's channel
+ * - GET /subscriptions lists the verified subscriptions
+ *
+ * Run it with `npm run websub:stub-hub` and start the server with
+ * WEBSUB_HUB_URL=http://localhost:8085/subscribe and
+ * WEBSUB_CALLBACK_BASE_URL=http://localhost:3000, then announce a video:
+ *
+ *   curl -X POST "http://localhost:8085/publish?channelId=<channel id>&videoId=<video id>"
+ *
+ * @module scripts/websubStubHub
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const axios = require('axios');
+
+const PORT = process.env.WEBSUB_STUB_PORT || 8085;
+const TOPIC_PREFIX = 'https://www.youtube.com/xml/feeds/videos.xml?channel_id=';
+
+/**
+ * Verified subscriptions, keyed by callback URL
+ * @type {Map<string, Object>}
+ */
+const subscriptions = new Map();
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+/**
+ * Verify a subscription request against its callback
+ *
+ * @async
+ * @param {Object} request - Parsed hub.* parameters
+ * @returns {Promise<void>}
+ */
+const verify = async (request) => {
+  const challenge = crypto.randomBytes(16).toString('hex');
+  const response = await axios.get(request.callback, {
+    params: {
+      'hub.mode': request.mode,
+      'hub.topic': request.topic,
+      'hub.challenge': challenge,
+      'hub.lease_seconds': request.leaseSeconds,
+    },
+    responseType: 'text',
+    validateStatus: () => true,
+  });
+
+  if (response.status !== 200 || response.data !== challenge) {
+    console.log(`Verification refused for ${request.mode} ${request.callback} (${response.status})`);
+    return;
+  }
+
+  if (request.mode === 'subscribe') {
+    subscriptions.set(request.callback, request);
+  } else {
+    subscriptions.delete(request.callback);
+  }
+  console.log(`Verified ${request.mode} ${request.callback}`);
+};
+
+/**
+ * Build the Atom notification YouTube sends for a new or updated video
+ *
+ * @param {string} channelId - YouTube channel id
+ * @param {string} videoId - YouTube video id
+ * @param {string} title - Video title
+ * @returns {string} - Atom XML
+ */
+const buildAtom = (channelId, videoId, title) => {
+  const now = new Date().toISOString();
+  return `<?xml version='1.0' encoding='UTF-8'?>
+<feed xmlns:yt="http://www.youtube.com/xml/schemas/2015" xmlns="http://www.w3.org/2005/Atom">
+  <link rel="hub" href="http://localhost:${PORT}/subscribe"/>
+  <link rel="self" href="${TOPIC_PREFIX}${channelId}"/>
+  <title>YouTube video feed</title>
+  <updated>${now}</updated>
+  <entry>
+    <id>yt:video:${videoId}</id>
+    <yt:videoId>${videoId}</yt:videoId>
+    <yt:channelId>${channelId}</yt:channelId>
+    <title>${title}</title>
+    <link rel="alternate" href="https://www.youtube.com/watch?v=${videoId}"/>
+    <published>${now}</published>
+    <updated>${now}</updated>
+  </entry>
+</feed>`;
+};
+
+app.post('/subscribe', (req, res) => {
+  const request = {
+    callback: req.body['hub.callback'],
+    topic: req.body['hub.topic'],
+    mode: req.body['hub.mode'],
+    secret: req.body['hub.secret'],
+    leaseSeconds: parseInt(req.body['hub.lease_seconds']) || 432000,
+  };
+
+  if (!request.callback || !request.topic || !['subscribe', 'unsubscribe'].includes(request.mode)) {
+    return res.status(400).send('Missing hub.callback, hub.topic or hub.mode');
+  }
+
+  res.status(202).end();
+
+  verify(request).catch(error => {
+    console.error(`Verification failed for ${request.callback}:`, error.message);
+  });
+});
+
+app.post('/publish', async (req, res) => {
+  const { channelId, videoId, title = 'Stub hub video' } = req.query;
+
+  if (!channelId || !videoId) {
+    return res.status(400).send('channelId and videoId are required');
+  }
+
+  const body = buildAtom(channelId, videoId, title);
+  const targets = [...subscriptions.values()].filter(sub => sub.topic === `${TOPIC_PREFIX}${channelId}`);
+  const deliveries = [];
+
+  for (const sub of targets) {
+    const headers = { 'Content-Type': 'application/atom+xml' };
+    if (sub.secret) {
+      headers['X-Hub-Signature'] = `sha1=${crypto.createHmac('sha1', sub.secret).update(body).digest('hex')}`;
+    }
+
+    try {
+      const response = await axios.post(sub.callback, body, { headers, validateStatus: () => true });
+      deliveries.push({ callback: sub.callback, status: response.status });
+    } catch (error) {
+      deliveries.push({ callback: sub.callback, error: error.message });
+    }
+  }
+
+  return res.status(200).json({ delivered: deliveries.length, deliveries });
+});
+
+app.get('/subscriptions', (req, res) => {
+  res.status(200).json([...subscriptions.values()].map(({ secret, ...sub }) => sub));
+});
+
+app.listen(PORT, () => {
+  console.log(`WebSub stub hub running on port ${PORT}`);
+});
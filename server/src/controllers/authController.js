@@ -0,0 +1,318 @@
+/**
+ * Auth Controller Module
+ *
+ * Handles all HTTP requests related to signing in: login, token refresh,
+ * sign-out, the signed-in user, and the user's API tokens.
+ *
+ * @module controllers/authController
+ */
+
+const mongoose = require('mongoose');
+const ApiToken = require('../models/ApiToken');
+const {
+  ROLES,
+  AuthError,
+  LoginLimitError,
+  hasRole,
+  login: loginUser,
+  refreshSession,
+  revokeSessions,
+  createApiToken,
+} = require('../services/authService');
+
+/**
+ * Sign in with email and password
+ *
+ * @async
+ * @function login
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.email - Email
+ * @param {string} req.body.password - Password
+ * @param {Object} res - Express response object
+ * @returns {Object} - JSON response with the user, an access token and a refresh token, or
+ *   429 with Retry-After after too many failed attempts
+ */
+const login = async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    if (typeof email !== 'string' || typeof password !== 'string' || !email || !password) {
+      return res.status(400).json({
+        success: false,
+        error: 'Email and password are required',
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: await loginUser(email, password, req.ip),
+    });
+  } catch (error) {
+    if (error instanceof LoginLimitError) {
+      return res.status(429).set('Retry-After', String(Math.ceil(error.retryAfterMs / 1000))).json({
+        success: false,
+        error: error.message,
+      });
+    }
+    if (error instanceof AuthError) {
+      return res.status(401).json({
+        success: false,
+        error: error.message,
+      });
+    }
+    console.error('Error signing in:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Server Error',
+    });
+  }
+};
+
+/**
+ * Exchange a refresh token for new tokens
+ *
+ * @async
+ * @function refresh
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.refreshToken - Refresh token
+ * @param {Object} res - Express response object
+ * @returns {Object} - JSON response with the user, a new access token and a new refresh token
+ */
+const refresh = async (req, res) => {
+  try {
+    if (typeof req.body.refreshToken !== 'string' || !req.body.refreshToken) {
+      return res.status(400).json({
+        success: false,
+        error: 'Refresh token is required',
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: await refreshSession(req.body.refreshToken),
+    });
+  } catch (error) {
+    if (error instanceof AuthError) {
+      return res.status(401).json({
+        success: false,
+        error: error.message,
+      });
+    }
+    console.error('Error refreshing session:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Server Error',
+    });
+  }
+};
+
+/**
+ * Sign out
+ *
+ * Revokes every access and refresh token of the user, on every device.
+ * API tokens keep working.
+ *
+ * @async
+ * @function logout
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} - JSON response confirming the sign-out
+ */
+const logout = async (req, res) => {
+  try {
+    await revokeSessions(req.auth.user.id);
+
+    return res.status(200).json({
+      success: true,
+      data: {},
+    });
+  } catch (error) {
+    console.error('Error signing out:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Server Error',
+    });
+  }
+};
+
+/**
+ * Get the authenticated user
+ *
+ * @function getMe
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} - JSON response with the user and how the request was authenticated
+ */
+const getMe = (req, res) => res.status(200).json({
+  success: true,
+  data: { ...req.auth.user, method: req.auth.method },
+});
+
+/**
+ * Get the API tokens of the authenticated user
+ *
+ * @async
+ * @function getApiTokens
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} - JSON response with the tokens, without the tokens themselves
+ */
+const getApiTokens = async (req, res) => {
+  try {
+    const apiTokens = await ApiToken.find({ user: req.auth.user.id }).sort({ createdAt: -1 });
+
+    return res.status(200).json({
+      success: true,
+      count: apiTokens.length,
+      data: apiTokens,
+    });
+  } catch (error) {
+    console.error('Error getting API tokens:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Server Error',
+    });
+  }
+};
+
+/**
+ * Create an API token
+ *
+ * Only a signed-in user can create tokens, not another API token. The
+ * response is the only one that includes the token.
+ *
+ * @async
+ * @function createToken
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.name - What the token is for
+ * @param {string} [req.body.role] - Role the token grants, at most the user's (default: the
+ *   user's, or 'viewer' for a feed token)
+ * @param {string} [req.body.scope='api'] - 'api', or 'feed' for a read-only token only accepted
+ *   by the RSS and Atom exports
+ * @param {number} [req.body.expiresInDays] - Days until the token expires (default: never)
+ * @param {Object} res - Express response object
+ * @returns {Object} - JSON response with the token and its details
+ */
+const createToken = async (req, res) => {
+  try {
+    if (req.auth.method !== 'jwt') {
+      return res.status(403).json({
+        success: false,
+        error: 'API tokens can only be created when signed in',
+      });
+    }
+
+    const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+    const { scope = 'api', expiresInDays } = req.body;
+    const { role = scope === 'feed' ? 'viewer' : req.auth.user.role } = req.body;
+
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        error: 'Name is required',
+      });
+    }
+
+    if (!ROLES.includes(role) || !hasRole(req.auth.user.role, role)) {
+      return res.status(400).json({
+        success: false,
+        error: `Role must be one of: ${ROLES.filter(item => hasRole(req.auth.user.role, item)).join(', ')}`,
+      });
+    }
+
+    if (!['api', 'feed'].includes(scope)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Scope must be one of: api, feed',
+      });
+    }
+
+    if (scope === 'feed' && role !== 'viewer') {
+      return res.status(400).json({
+        success: false,
+        error: 'Feed tokens can only have the viewer role',
+      });
+    }
+
+    if (expiresInDays !== undefined && !(Number.isInteger(expiresInDays) && expiresInDays > 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'expiresInDays must be a positive integer',
+      });
+    }
+
+    const expiresAt = expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : undefined;
+    const { token, apiToken } = await createApiToken(req.auth.user, { name, role, expiresAt, scope });
+    const data = apiToken.toObject();
+    delete data.tokenHash;
+
+    return res.status(201).json({
+      success: true,
+      data: { ...data, token },
+    });
+  } catch (error) {
+    console.error('Error creating API token:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Server Error',
+    });
+  }
+};
+
+/**
+ * Revoke an API token of the authenticated user
+ *
+ * @async
+ * @function deleteToken
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - API token id
+ * @param {Object} res - Express response object
+ * @returns {Object} - JSON response confirming the deletion
+ */
+const deleteToken = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid token id',
+      });
+    }
+
+    const apiToken = await ApiToken.findOneAndDelete({ _id: req.params.id, user: req.auth.user.id });
+
+    if (!apiToken) {
+      return res.status(404).json({
+        success: false,
+        error: 'Token not found',
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {},
+    });
+  } catch (error) {
+    console.error('Error deleting API token:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Server Error',
+    });
+  }
+};
+
+/**
+ * Export controller functions
+ * @type {Object}
+ */
+module.exports = {
+  login,
+  refresh,
+  logout,
+  getMe,
+  getApiTokens,
+  createToken,
+  deleteToken,
+};
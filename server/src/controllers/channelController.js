@@ -0,0 +1,144 @@
+/**
+ * Channel Controller Module
+ *
+ * Handles all HTTP requests related to channels, including listing
+ * channels with their aggregated statistics, retrieving a single
+ * channel, and listing the stored videos of a channel.
+ *
+ * @module controllers/channelController
+ */
+
+const Channel = require('../models/Channel');
+const { getVideos } = require('./videoController');
+
+/**
+ * Sort fields supported by getChannels, mapped to the channel field they sort on
+ * @constant {Object<string, string>}
+ */
+const CHANNEL_SORT_FIELDS = {
+  subscriberCount: 'subscriberCount',
+  title: 'title',
+  uploadCount: 'stats.uploadCount',
+  avgUploadsPerWeek: 'stats.avgUploadsPerWeek',
+  lastUploadAt: 'stats.lastUploadAt',
+};
+
+/**
+ * Get channels with pagination
+ *
+ * @async
+ * @function getChannels
+ * @param {Object} req - Express request object
+ * @param {Object} req.query - Query parameters
+ * @param {number} [req.query.page=1] - Page number for pagination
+ * @param {number} [req.query.limit=10] - Number of channels per page
+ * @param {string} [req.query.sortBy='uploadCount'] - Field to sort by (subscriberCount, title, uploadCount, avgUploadsPerWeek, lastUploadAt)
+ * @param {string} [req.query.sortOrder='desc'] - Sort order (asc or desc)
+ * @param {string} [req.query.title] - Filter by channel title
+ * @param {Object} res - Express response object
+ * @returns {Object} - JSON response with channels and pagination metadata
+ */
+const getChannels = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (req.query.title) {
+      filter.title = { $regex: req.query.title, $options: 'i' };
+    }
+
+    const sortField = CHANNEL_SORT_FIELDS[req.query.sortBy] || CHANNEL_SORT_FIELDS.uploadCount;
+    const sortOrder = req.query.sortOrder?.toLowerCase() === 'asc' ? 1 : -1;
+
+    const channels = await Channel.find(filter)
+      .sort({ [sortField]: sortOrder, _id: 1 })
+      .skip(skip)
+      .limit(limit);
+
+    const totalChannels = await Channel.countDocuments(filter);
+    const totalPages = Math.ceil(totalChannels / limit);
+
+    return res.status(200).json({
+      success: true,
+      count: channels.length,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalChannels,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1,
+      },
+      data: channels,
+    });
+  } catch (error) {
+    console.error('Error getting channels:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Server Error',
+    });
+  }
+};
+
+/**
+ * Get a single channel
+ *
+ * @async
+ * @function getChannel
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - YouTube channel id
+ * @param {Object} res - Express response object
+ * @returns {Object} - JSON response with the channel
+ */
+const getChannel = async (req, res) => {
+  try {
+    const channel = await Channel.findOne({ channelId: req.params.id });
+
+    if (!channel) {
+      return res.status(404).json({
+        success: false,
+        error: 'Channel not found',
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: channel,
+    });
+  } catch (error) {
+    console.error('Error getting channel:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Server Error',
+    });
+  }
+};
+
+/**
+ * Get the stored videos of a channel
+ *
+ * Accepts the same pagination, sorting and filter parameters as
+ * getVideos, restricted to the given channel.
+ *
+ * @async
+ * @function getChannelVideos
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - YouTube channel id
+ * @param {Object} res - Express response object
+ * @returns {Object} - JSON response with videos and pagination metadata
+ */
+const getChannelVideos = (req, res) => {
+  req.query.channelId = req.params.id;
+  return getVideos(req, res);
+};
+
+/**
+ * Export controller functions
+ * @type {Object}
+ */
+module.exports = {
+  getChannels,
+  getChannel,
+  getChannelVideos,
+};
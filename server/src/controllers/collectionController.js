@@ -0,0 +1,405 @@
+/**
+ * Collection Controller Module
+ *
+ * Handles HTTP requests for the signed-in user's collections: listing,
+ * creating, renaming and deleting them, and adding videos with a note
+ * or removing them. Users only see their own collections.
+ *
+ * @module controllers/collectionController
+ */
+
+const mongoose = require('mongoose');
+const Collection = require('../models/Collection');
+const { videoExists } = require('../services/libraryService');
+
+/**
+ * Get the signed-in user's collections
+ *
+ * Collections are sorted by name and listed without their videos, with
+ * a `videoCount` instead.
+ *
+ * @async
+ * @function getCollections
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} - JSON response with the collections
+ */
+const getCollections = async (req, res) => {
+  try {
+    const collections = await Collection.aggregate([
+      { $match: { owner: new mongoose.Types.ObjectId(req.auth.user.id) } },
+      { $sort: { name: 1 } },
+      {
+        $project: {
+          name: 1,
+          description: 1,
+          videoCount: { $size: '$videos' },
+          createdAt: 1,
+          updatedAt: 1,
+        },
+      },
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      count: collections.length,
+      data: collections,
+    });
+  } catch (error) {
+    console.error('Error getting collections:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Server Error',
+    });
+  }
+};
+
+/**
+ * Get one of the signed-in user's collections with its videos and notes
+ *
+ * @async
+ * @function getCollection
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Collection id
+ * @param {Object} res - Express response object
+ * @returns {Object} - JSON response with the collection
+ */
+const getCollection = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid collection id',
+      });
+    }
+
+    const collection = await Collection.findOne({ _id: req.params.id, owner: req.auth.user.id });
+
+    if (!collection) {
+      return res.status(404).json({
+        success: false,
+        error: 'Collection not found',
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: collection,
+    });
+  } catch (error) {
+    console.error('Error getting collection:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Server Error',
+    });
+  }
+};
+
+/**
+ * Create a collection for the signed-in user
+ *
+ * @async
+ * @function createCollection
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.name - Name, unique among the user's collections
+ * @param {string} [req.body.description] - Description
+ * @param {Object} res - Express response object
+ * @returns {Object} - JSON response with the created collection
+ */
+const createCollection = async (req, res) => {
+  try {
+    const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        error: 'Name is required',
+      });
+    }
+
+    const { description } = req.body;
+    if (description !== undefined && typeof description !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Description must be a string',
+      });
+    }
+
+    if (await Collection.exists({ owner: req.auth.user.id, name })) {
+      return res.status(409).json({
+        success: false,
+        error: 'A collection with this name already exists',
+      });
+    }
+
+    const collection = await Collection.create({ name, description, owner: req.auth.user.id });
+
+    return res.status(201).json({
+      success: true,
+      data: collection,
+    });
+  } catch (error) {
+    console.error('Error creating collection:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Server Error',
+    });
+  }
+};
+
+/**
+ * Rename a collection or change its description
+ *
+ * @async
+ * @function updateCollection
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Collection id
+ * @param {Object} req.body - Request body
+ * @param {string} [req.body.name] - New name
+ * @param {string} [req.body.description] - New description
+ * @param {Object} res - Express response object
+ * @returns {Object} - JSON response with the updated collection
+ */
+const updateCollection = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid collection id',
+      });
+    }
+
+    const collection = await Collection.findOne({ _id: req.params.id, owner: req.auth.user.id });
+
+    if (!collection) {
+      return res.status(404).json({
+        success: false,
+        error: 'Collection not found',
+      });
+    }
+
+    const { name, description } = req.body;
+
+    if (name !== undefined) {
+      const trimmed = typeof name === 'string' ? name.trim() : '';
+      if (!trimmed) {
+        return res.status(400).json({
+          success: false,
+          error: 'Name is required',
+        });
+      }
+      if (trimmed !== collection.name && await Collection.exists({ owner: req.auth.user.id, name: trimmed })) {
+        return res.status(409).json({
+          success: false,
+          error: 'A collection with this name already exists',
+        });
+      }
+      collection.name = trimmed;
+    }
+
+    if (description !== undefined) {
+      if (typeof description !== 'string') {
+        return res.status(400).json({
+          success: false,
+          error: 'Description must be a string',
+        });
+      }
+      collection.description = description;
+    }
+
+    await collection.save();
+
+    return res.status(200).json({
+      success: true,
+      data: collection,
+    });
+  } catch (error) {
+    console.error('Error updating collection:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Server Error',
+    });
+  }
+};
+
+/**
+ * Delete a collection
+ *
+ * The videos stay; only the collection and its notes are removed.
+ *
+ * @async
+ * @function deleteCollection
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Collection id
+ * @param {Object} res - Express response object
+ * @returns {Object} - JSON response confirming the deletion
+ */
+const deleteCollection = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid collection id',
+      });
+    }
+
+    const collection = await Collection.findOneAndDelete({ _id: req.params.id, owner: req.auth.user.id });
+
+    if (!collection) {
+      return res.status(404).json({
+        success: false,
+        error: 'Collection not found',
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {},
+    });
+  } catch (error) {
+    console.error('Error deleting collection:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Server Error',
+    });
+  }
+};
+
+/**
+ * Add a video to a collection, or change its note
+ *
+ * Responds with 201 when the video was added and 200 when it was
+ * already in the collection and only its note changed.
+ *
+ * @async
+ * @function putCollectionVideo
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Collection id
+ * @param {string} req.params.videoId - YouTube video identifier
+ * @param {Object} req.body - Request body
+ * @param {string} [req.body.note] - Note on the video
+ * @param {Object} res - Express response object
+ * @returns {Object} - JSON response with the updated collection
+ */
+const putCollectionVideo = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid collection id',
+      });
+    }
+
+    const { note = '' } = req.body;
+    if (typeof note !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Note must be a string',
+      });
+    }
+
+    const collection = await Collection.findOne({ _id: req.params.id, owner: req.auth.user.id });
+
+    if (!collection) {
+      return res.status(404).json({
+        success: false,
+        error: 'Collection not found',
+      });
+    }
+
+    const item = collection.videos.find(entry => entry.videoId === req.params.videoId);
+
+    if (item) {
+      item.note = note.trim();
+    } else {
+      if (!await videoExists(req.params.videoId)) {
+        return res.status(404).json({
+          success: false,
+          error: 'Video not found',
+        });
+      }
+      collection.videos.push({ videoId: req.params.videoId, note: note.trim() });
+    }
+
+    await collection.save();
+
+    return res.status(item ? 200 : 201).json({
+      success: true,
+      data: collection,
+    });
+  } catch (error) {
+    console.error('Error adding video to collection:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Server Error',
+    });
+  }
+};
+
+/**
+ * Remove a video from a collection
+ *
+ * @async
+ * @function deleteCollectionVideo
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Collection id
+ * @param {string} req.params.videoId - YouTube video identifier
+ * @param {Object} res - Express response object
+ * @returns {Object} - JSON response with the updated collection
+ */
+const deleteCollectionVideo = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid collection id',
+      });
+    }
+
+    const collection = await Collection.findOne({ _id: req.params.id, owner: req.auth.user.id });
+
+    if (!collection) {
+      return res.status(404).json({
+        success: false,
+        error: 'Collection not found',
+      });
+    }
+
+    const index = collection.videos.findIndex(entry => entry.videoId === req.params.videoId);
+
+    if (index === -1) {
+      return res.status(404).json({
+        success: false,
+        error: 'Video not in collection',
+      });
+    }
+
+    collection.videos.splice(index, 1);
+    await collection.save();
+
+    return res.status(200).json({
+      success: true,
+      data: collection,
+    });
+  } catch (error) {
+    console.error('Error removing video from collection:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Server Error',
+    });
+  }
+};
+
+/**
+ * Export controller functions
+ * @type {Object}
+ */
+module.exports = {
+  getCollections,
+  getCollection,
+  createCollection,
+  updateCollection,
+  deleteCollection,
+  putCollectionVideo,
+  deleteCollectionVideo,
+};
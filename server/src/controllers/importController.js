@@ -0,0 +1,92 @@
+/**
+ * Import Controller Module
+ *
+ * Handles uploads of video files to import (NDJSON, CSV or Google
+ * Takeout watch history), with an optional dry run.
+ *
+ * @module controllers/importController
+ */
+
+const { importVideos } = require('../services/importService');
+const { ImportFormatError } = require('../utils/videoImport');
+
+/**
+ * Import formats implied by the Content-Type of an upload without a `format` parameter
+ * @constant {Object<string, string>}
+ */
+const CONTENT_TYPE_FORMATS = {
+  'application/x-ndjson': 'ndjson',
+  'text/csv': 'csv',
+  'application/json': 'takeout',
+};
+
+/**
+ * Import videos from an uploaded file
+ *
+ * The request body is the file itself. Rows are validated against the
+ * Video schema and the ingest rules and saved like fetched videos, without
+ * calling the YouTube API; the response lists every row that wasn't
+ * imported with its errors (see services/importService).
+ *
+ * @async
+ * @function createImport
+ * @param {Object} req - Express request object
+ * @param {string} req.body - File contents
+ * @param {Object} req.query - Query parameters
+ * @param {string} [req.query.format] - 'ndjson', 'csv' or 'takeout'; defaults from the Content-Type
+ * @param {string} [req.query.dryRun] - 'true' to validate without saving
+ * @param {string} [req.query.source] - Name of the import for the ingest report, e.g. the file name
+ * @param {Object} res - Express response object
+ * @returns {Object} - JSON response with the import report
+ */
+const createImport = async (req, res) => {
+  try {
+    const format = req.query.format
+      || CONTENT_TYPE_FORMATS[Object.keys(CONTENT_TYPE_FORMATS).find(type => req.is(type))];
+
+    if (!format) {
+      return res.status(400).json({
+        success: false,
+        error: 'Format is required, use format=ndjson, csv or takeout',
+      });
+    }
+
+    if (typeof req.body !== 'string' || !req.body.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Import file is required as the request body',
+      });
+    }
+
+    const report = await importVideos(req.body, {
+      format,
+      dryRun: req.query.dryRun === 'true',
+      source: req.query.source,
+    });
+
+    return res.status(report.dryRun ? 200 : 201).json({
+      success: true,
+      data: report,
+    });
+  } catch (error) {
+    if (error instanceof ImportFormatError) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+    console.error('Error importing videos:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Server Error',
+    });
+  }
+};
+
+/**
+ * Export controller functions
+ * @type {Object}
+ */
+module.exports = {
+  createImport,
+};
@@ -0,0 +1,303 @@
+/**
+ * Ingest Controller Module
+ *
+ * Handles all HTTP requests related to ingest rules (blocked and allowed
+ * channels, title deny-patterns) and the per-run ingest reports.
+ *
+ * @module controllers/ingestController
+ */
+
+const mongoose = require('mongoose');
+const IngestRule = require('../models/IngestRule');
+const IngestReport = require('../models/IngestReport');
+const Video = require('../models/Video');
+const Channel = require('../models/Channel');
+const VideoStatsSnapshot = require('../models/VideoStatsSnapshot');
+const videoEvents = require('../services/videoEvents');
+const { checkPatternSafety } = require('../utils/regexSafety');
+
+/**
+ * Delete the stored videos of a channel
+ *
+ * Also removes the channel document and the videos' stats snapshots.
+ *
+ * @async
+ * @param {string} channelId - YouTube channel id
+ * @returns {Promise<number>} - Number of deleted videos
+ */
+const purgeChannelVideos = async (channelId) => {
+  const videoIds = await Video.find({ channelId }).distinct('videoId');
+  const result = await Video.deleteMany({ channelId });
+  await VideoStatsSnapshot.deleteMany({ videoId: { $in: videoIds } });
+  await Channel.deleteOne({ channelId });
+  videoEvents.emit('removed', videoIds);
+  return result.deletedCount;
+};
+
+/**
+ * Get all ingest rules
+ *
+ * @async
+ * @function getRules
+ * @param {Object} req - Express request object
+ * @param {Object} req.query - Query parameters
+ * @param {string} [req.query.type] - Filter by rule type
+ * @param {Object} res - Express response object
+ * @returns {Object} - JSON response with the ingest rules
+ */
+const getRules = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.type) {
+      filter.type = req.query.type;
+    }
+
+    const rules = await IngestRule.find(filter).sort({ type: 1, createdAt: 1 });
+
+    return res.status(200).json({
+      success: true,
+      count: rules.length,
+      data: rules,
+    });
+  } catch (error) {
+    console.error('Error getting ingest rules:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Server Error',
+    });
+  }
+};
+
+/**
+ * Create an ingest rule
+ *
+ * When a channel is blocked, its already stored videos are deleted if
+ * `purge` is true. Otherwise the response reports how many stored videos
+ * the channel has, so they can be purged later.
+ *
+ * @async
+ * @function createRule
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.type - 'blockChannel', 'allowChannel' or 'denyTitlePattern'
+ * @param {string} req.body.value - Channel id, or a regular expression for titles
+ * @param {string} [req.body.note] - Optional reason for the rule
+ * @param {boolean} [req.body.purge=false] - Delete stored videos of a blocked channel
+ * @param {Object} res - Express response object
+ * @returns {Object} - JSON response with the created rule
+ */
+const createRule = async (req, res) => {
+  try {
+    const { type, note, purge = false } = req.body;
+    const value = typeof req.body.value === 'string' ? req.body.value.trim() : '';
+
+    if (!['blockChannel', 'allowChannel', 'denyTitlePattern'].includes(type)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Type must be blockChannel, allowChannel or denyTitlePattern',
+      });
+    }
+
+    if (!value) {
+      return res.status(400).json({
+        success: false,
+        error: 'Value is required',
+      });
+    }
+
+    if (type === 'denyTitlePattern') {
+      try {
+        new RegExp(value, 'i');
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid pattern: ${error.message}`,
+        });
+      }
+
+      const unsafe = checkPatternSafety(value);
+      if (unsafe) {
+        return res.status(400).json({
+          success: false,
+          error: unsafe,
+        });
+      }
+    }
+
+    const existing = await IngestRule.findOne({ type, value });
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        error: 'Rule already exists',
+      });
+    }
+
+    const rule = await IngestRule.create({ type, value, note });
+    const response = {
+      success: true,
+      data: rule,
+    };
+
+    if (type === 'blockChannel') {
+      if (purge === true) {
+        response.purgedVideos = await purgeChannelVideos(value);
+      } else {
+        response.storedVideos = await Video.countDocuments({ channelId: value });
+      }
+    }
+
+    return res.status(201).json(response);
+  } catch (error) {
+    console.error('Error creating ingest rule:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Server Error',
+    });
+  }
+};
+
+/**
+ * Purge the stored videos of a blocked channel
+ *
+ * @async
+ * @function purgeRule
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Ingest rule id of a blockChannel rule
+ * @param {Object} res - Express response object
+ * @returns {Object} - JSON response with the number of deleted videos
+ */
+const purgeRule = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid rule id',
+      });
+    }
+
+    const rule = await IngestRule.findById(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        error: 'Rule not found',
+      });
+    }
+
+    if (rule.type !== 'blockChannel') {
+      return res.status(400).json({
+        success: false,
+        error: 'Only blockChannel rules can be purged',
+      });
+    }
+
+    const purgedVideos = await purgeChannelVideos(rule.value);
+
+    return res.status(200).json({
+      success: true,
+      purgedVideos,
+    });
+  } catch (error) {
+    console.error('Error purging channel videos:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Server Error',
+    });
+  }
+};
+
+/**
+ * Delete an ingest rule
+ *
+ * @async
+ * @function deleteRule
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Ingest rule id
+ * @param {Object} res - Express response object
+ * @returns {Object} - JSON response confirming the deletion
+ */
+const deleteRule = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid rule id',
+      });
+    }
+
+    const rule = await IngestRule.findByIdAndDelete(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        error: 'Rule not found',
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {},
+    });
+  } catch (error) {
+    console.error('Error deleting ingest rule:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Server Error',
+    });
+  }
+};
+
+/**
+ * Get recent ingest reports
+ *
+ * @async
+ * @function getReports
+ * @param {Object} req - Express request object
+ * @param {Object} req.query - Query parameters
+ * @param {number} [req.query.limit=20] - Number of reports to return
+ * @param {string} [req.query.query] - Filter by tracked query id
+ * @param {Object} res - Express response object
+ * @returns {Object} - JSON response with the most recent reports first
+ */
+const getReports = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 200);
+    const filter = {};
+
+    if (req.query.query) {
+      if (!mongoose.isValidObjectId(req.query.query)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid query id',
+        });
+      }
+      filter.trackedQuery = req.query.query;
+    }
+
+    const reports = await IngestReport.find(filter).sort({ createdAt: -1 }).limit(limit);
+
+    return res.status(200).json({
+      success: true,
+      count: reports.length,
+      data: reports,
+    });
+  } catch (error) {
+    console.error('Error getting ingest reports:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Server Error',
+    });
+  }
+};
+
+/**
+ * Export controller functions
+ * @type {Object}
+ */
+module.exports = {
+  getRules,
+  createRule,
+  purgeRule,
+  deleteRule,
+  getReports,
+};
@@ -0,0 +1,140 @@
+/**
+ * Job Controller Module
+ *
+ * Handles all HTTP requests related to the background jobs: their
+ * schedules and state, their run history, and manual runs.
+ *
+ * @module controllers/jobController
+ */
+
+const JobRun = require('../models/JobRun');
+const { listJobs, hasJob, triggerJob } = require('../services/jobScheduler');
+
+/**
+ * Get all background jobs
+ *
+ * @async
+ * @function getJobs
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} - JSON response with the jobs and their state
+ */
+const getJobs = async (req, res) => {
+  try {
+    const jobs = await listJobs();
+
+    return res.status(200).json({
+      success: true,
+      count: jobs.length,
+      data: jobs,
+    });
+  } catch (error) {
+    console.error('Error getting jobs:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Server Error',
+    });
+  }
+};
+
+/**
+ * Get recent job runs
+ *
+ * @async
+ * @function getRuns
+ * @param {Object} req - Express request object
+ * @param {Object} req.query - Query parameters
+ * @param {string} [req.query.job] - Filter by job name
+ * @param {string} [req.query.status] - Filter by status: 'running', 'succeeded' or 'failed'
+ * @param {number} [req.query.limit=20] - Number of runs to return
+ * @param {Object} res - Express response object
+ * @returns {Object} - JSON response with the most recent runs first
+ */
+const getRuns = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 200);
+    const filter = {};
+
+    if (req.query.job) {
+      filter.job = req.query.job;
+    }
+
+    if (req.query.status) {
+      if (!['running', 'succeeded', 'failed'].includes(req.query.status)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Status must be running, succeeded or failed',
+        });
+      }
+      filter.status = req.query.status;
+    }
+
+    const runs = await JobRun.find(filter).sort({ startedAt: -1 }).limit(limit);
+
+    return res.status(200).json({
+      success: true,
+      count: runs.length,
+      data: runs,
+    });
+  } catch (error) {
+    console.error('Error getting job runs:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Server Error',
+    });
+  }
+};
+
+/**
+ * Run a job now
+ *
+ * The run continues in the background; its progress can be followed in
+ * the job runs.
+ *
+ * @async
+ * @function runJob
+ * @param {Object} req - Express request object
+ * @param {string} req.params.name - Job name
+ * @param {Object} res - Express response object
+ * @returns {Object} - JSON response with the started run
+ */
+const runJob = async (req, res) => {
+  try {
+    if (!hasJob(req.params.name)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found',
+      });
+    }
+
+    const run = await triggerJob(req.params.name);
+
+    if (!run) {
+      return res.status(409).json({
+        success: false,
+        error: 'Job is already running',
+      });
+    }
+
+    return res.status(202).json({
+      success: true,
+      data: run,
+    });
+  } catch (error) {
+    console.error('Error running job:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Server Error',
+    });
+  }
+};
+
+/**
+ * Export controller functions
+ * @type {Object}
+ */
+module.exports = {
+  getJobs,
+  getRuns,
+  runJob,
+};
@@ -0,0 +1,283 @@
+/**
+ * Query Controller Module
+ *
+ * Handles all HTTP requests related to tracked queries, the sources
+ * polled by the background fetch job: keyword searches and channel
+ * subscriptions. Includes creating, listing, pausing and deleting them.
+ *
+ * @module controllers/queryController
+ */
+
+const mongoose = require('mongoose');
+const TrackedQuery = require('../models/TrackedQuery');
+const Video = require('../models/Video');
+const RetentionRule = require('../models/RetentionRule');
+const { resolveChannel } = require('../services/channelService');
+const { syncSubscriptions } = require('../services/websubService');
+
+/**
+ * Bring the WebSub subscriptions in line after a channel source changed
+ *
+ * Runs in the background; the renewal job retries anything that fails.
+ *
+ * @param {Object} trackedQuery - Created, updated or deleted TrackedQuery document
+ */
+const syncChannelSubscriptions = (trackedQuery) => {
+  if (trackedQuery.type !== 'channel') {
+    return;
+  }
+
+  syncSubscriptions().catch(error => {
+    console.error('Error syncing WebSub subscriptions:', error.message);
+  });
+};
+
+/**
+ * Get all tracked queries
+ *
+ * Lists tracked queries, optionally filtered by their active state or type.
+ *
+ * @async
+ * @function getQueries
+ * @param {Object} req - Express request object
+ * @param {Object} req.query - Query parameters
+ * @param {string} [req.query.active] - Filter by active state ('true' or 'false')
+ * @param {string} [req.query.type] - Filter by source type ('search' or 'channel')
+ * @param {Object} res - Express response object
+ * @returns {Object} - JSON response with the tracked queries
+ */
+const getQueries = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.active === 'true' || req.query.active === 'false') {
+      filter.active = req.query.active === 'true';
+    }
+    if (req.query.type === 'search' || req.query.type === 'channel') {
+      filter.type = req.query.type;
+    }
+
+    const queries = await TrackedQuery.find(filter).sort({ createdAt: 1 });
+
+    return res.status(200).json({
+      success: true,
+      count: queries.length,
+      data: queries,
+    });
+  } catch (error) {
+    console.error('Error getting queries:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Server Error',
+    });
+  }
+};
+
+/**
+ * Create a tracked query
+ *
+ * Creates either a keyword search source or, with `type: 'channel'`,
+ * a channel subscription. A channel is resolved to its uploads playlist
+ * when it is created, so polling it only needs playlistItems.list.
+ *
+ * @async
+ * @function createQuery
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Request body
+ * @param {string} [req.body.type='search'] - Source type ('search' or 'channel')
+ * @param {string} [req.body.query] - Search term to track (search sources)
+ * @param {string} [req.body.channelId] - Channel id to subscribe to (channel sources)
+ * @param {boolean} [req.body.active=true] - Whether the query starts active
+ * @param {Object} res - Express response object
+ * @returns {Object} - JSON response with the created query
+ */
+const createQuery = async (req, res) => {
+  try {
+    const type = req.body.type || 'search';
+
+    if (!['search', 'channel'].includes(type)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Type must be search or channel',
+      });
+    }
+
+    const fields = { type, active: req.body.active !== false };
+
+    if (type === 'channel') {
+      const channelId = typeof req.body.channelId === 'string' ? req.body.channelId.trim() : '';
+
+      if (!channelId) {
+        return res.status(400).json({
+          success: false,
+          error: 'Channel id is required',
+        });
+      }
+
+      const channel = await resolveChannel(channelId);
+      if (!channel) {
+        return res.status(404).json({
+          success: false,
+          error: 'Channel not found on YouTube',
+        });
+      }
+
+      Object.assign(fields, {
+        query: `channel:${channelId}`,
+        channelId,
+        channelTitle: channel.title,
+        uploadsPlaylistId: channel.uploadsPlaylistId,
+      });
+    } else {
+      fields.query = typeof req.body.query === 'string' ? req.body.query.trim() : '';
+
+      if (!fields.query) {
+        return res.status(400).json({
+          success: false,
+          error: 'Query is required',
+        });
+      }
+    }
+
+    const existing = await TrackedQuery.findOne({ query: fields.query });
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        error: type === 'channel' ? 'Channel is already subscribed' : 'Query is already tracked',
+      });
+    }
+
+    const trackedQuery = await TrackedQuery.create(fields);
+    syncChannelSubscriptions(trackedQuery);
+
+    return res.status(201).json({
+      success: true,
+      data: trackedQuery,
+    });
+  } catch (error) {
+    console.error('Error creating query:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Server Error',
+    });
+  }
+};
+
+/**
+ * Update a tracked query
+ *
+ * Used to pause (`active: false`) or resume (`active: true`) a query.
+ *
+ * @async
+ * @function updateQuery
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Tracked query id
+ * @param {Object} req.body - Request body
+ * @param {boolean} req.body.active - New active state
+ * @param {Object} res - Express response object
+ * @returns {Object} - JSON response with the updated query
+ */
+const updateQuery = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid query id',
+      });
+    }
+
+    if (typeof req.body.active !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: 'Field "active" must be a boolean',
+      });
+    }
+
+    const trackedQuery = await TrackedQuery.findByIdAndUpdate(
+      req.params.id,
+      { $set: { active: req.body.active } },
+      { new: true }
+    );
+
+    if (!trackedQuery) {
+      return res.status(404).json({
+        success: false,
+        error: 'Query not found',
+      });
+    }
+
+    syncChannelSubscriptions(trackedQuery);
+
+    return res.status(200).json({
+      success: true,
+      data: trackedQuery,
+    });
+  } catch (error) {
+    console.error('Error updating query:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Server Error',
+    });
+  }
+};
+
+/**
+ * Delete a tracked query
+ *
+ * Removes the query, its reference from every stored video and its
+ * retention rules. The videos themselves are kept.
+ *
+ * @async
+ * @function deleteQuery
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Tracked query id
+ * @param {Object} res - Express response object
+ * @returns {Object} - JSON response confirming the deletion
+ */
+const deleteQuery = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid query id',
+      });
+    }
+
+    const trackedQuery = await TrackedQuery.findByIdAndDelete(req.params.id);
+
+    if (!trackedQuery) {
+      return res.status(404).json({
+        success: false,
+        error: 'Query not found',
+      });
+    }
+
+    await Video.updateMany(
+      { queries: trackedQuery._id },
+      { $pull: { queries: trackedQuery._id } }
+    );
+    await RetentionRule.deleteMany({ trackedQuery: trackedQuery._id });
+    syncChannelSubscriptions(trackedQuery);
+
+    return res.status(200).json({
+      success: true,
+      data: {},
+    });
+  } catch (error) {
+    console.error('Error deleting query:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Server Error',
+    });
+  }
+};
+
+/**
+ * Export controller functions
+ * @type {Object}
+ */
+module.exports = {
+  getQueries,
+  createQuery,
+  updateQuery,
+  deleteQuery,
+};
@@ -0,0 +1,251 @@
+/**
+ * Retention Controller Module
+ *
+ * Handles all HTTP requests related to retention rules, manual retention
+ * runs and the per-run retention reports.
+ *
+ * @module controllers/retentionController
+ */
+
+const mongoose = require('mongoose');
+const RetentionRule = require('../models/RetentionRule');
+const RetentionReport = require('../models/RetentionReport');
+const TrackedQuery = require('../models/TrackedQuery');
+const { applyRetention } = require('../services/retentionService');
+
+/**
+ * Retention rule types
+ * @constant {Array<string>}
+ */
+const RULE_TYPES = ['maxAgeDays', 'maxVideosPerQuery', 'keepCollected'];
+
+/**
+ * Get all retention rules
+ *
+ * @async
+ * @function getRules
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} - JSON response with the retention rules
+ */
+const getRules = async (req, res) => {
+  try {
+    const rules = await RetentionRule.find()
+      .populate('trackedQuery', 'query type')
+      .sort({ type: 1, createdAt: 1 });
+
+    return res.status(200).json({
+      success: true,
+      count: rules.length,
+      data: rules,
+    });
+  } catch (error) {
+    console.error('Error getting retention rules:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Server Error',
+    });
+  }
+};
+
+/**
+ * Create a retention rule
+ *
+ * @async
+ * @function createRule
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.type - 'maxAgeDays', 'maxVideosPerQuery' or 'keepCollected'
+ * @param {number} [req.body.value] - Number of days or videos, required unless keepCollected
+ * @param {string} [req.body.trackedQuery] - Tracked query id to limit a maxAgeDays or maxVideosPerQuery rule to
+ * @param {string} [req.body.note] - Optional reason for the rule
+ * @param {Object} res - Express response object
+ * @returns {Object} - JSON response with the created rule
+ */
+const createRule = async (req, res) => {
+  try {
+    const { type, note } = req.body;
+    const trackedQuery = req.body.trackedQuery || null;
+    const value = type === 'keepCollected' ? undefined : req.body.value;
+
+    if (!RULE_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Type must be maxAgeDays, maxVideosPerQuery or keepCollected',
+      });
+    }
+
+    if (value !== undefined && !(Number.isInteger(value) && value > 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Value must be a positive integer',
+      });
+    }
+
+    if (type !== 'keepCollected' && value === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'Value is required',
+      });
+    }
+
+    if (trackedQuery) {
+      if (type === 'keepCollected') {
+        return res.status(400).json({
+          success: false,
+          error: 'keepCollected rules apply to all videos',
+        });
+      }
+
+      if (!mongoose.isValidObjectId(trackedQuery) || !(await TrackedQuery.exists({ _id: trackedQuery }))) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid query id',
+        });
+      }
+    }
+
+    const existing = await RetentionRule.findOne({ type, trackedQuery });
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        error: 'Rule already exists',
+      });
+    }
+
+    const rule = await RetentionRule.create({ type, value, trackedQuery, note });
+
+    return res.status(201).json({
+      success: true,
+      data: rule,
+    });
+  } catch (error) {
+    console.error('Error creating retention rule:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Server Error',
+    });
+  }
+};
+
+/**
+ * Delete a retention rule
+ *
+ * @async
+ * @function deleteRule
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Retention rule id
+ * @param {Object} res - Express response object
+ * @returns {Object} - JSON response confirming the deletion
+ */
+const deleteRule = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid rule id',
+      });
+    }
+
+    const rule = await RetentionRule.findByIdAndDelete(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        error: 'Rule not found',
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {},
+    });
+  } catch (error) {
+    console.error('Error deleting retention rule:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Server Error',
+    });
+  }
+};
+
+/**
+ * Apply the retention rules now
+ *
+ * With `dryRun=true`, the response lists the videos that would be
+ * removed, and nothing is removed or recorded.
+ *
+ * @async
+ * @function runRetention
+ * @param {Object} req - Express request object
+ * @param {Object} req.query - Query parameters
+ * @param {string} [req.query.dryRun] - 'true' to find expired videos without removing them
+ * @param {Object} res - Express response object
+ * @returns {Object} - JSON response with the retention report
+ */
+const runRetention = async (req, res) => {
+  try {
+    const dryRun = req.query.dryRun === 'true';
+    const report = await applyRetention({ trigger: 'manual', dryRun });
+
+    if (!report) {
+      return res.status(400).json({
+        success: false,
+        error: 'There are no maxAgeDays or maxVideosPerQuery rules to apply',
+      });
+    }
+
+    return res.status(dryRun ? 200 : 201).json({
+      success: true,
+      data: report,
+    });
+  } catch (error) {
+    console.error('Error applying retention rules:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Server Error',
+    });
+  }
+};
+
+/**
+ * Get recent retention reports
+ *
+ * @async
+ * @function getReports
+ * @param {Object} req - Express request object
+ * @param {Object} req.query - Query parameters
+ * @param {number} [req.query.limit=20] - Number of reports to return
+ * @param {Object} res - Express response object
+ * @returns {Object} - JSON response with the most recent reports first
+ */
+const getReports = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 200);
+    const reports = await RetentionReport.find().sort({ createdAt: -1 }).limit(limit);
+
+    return res.status(200).json({
+      success: true,
+      count: reports.length,
+      data: reports,
+    });
+  } catch (error) {
+    console.error('Error getting retention reports:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Server Error',
+    });
+  }
+};
+
+/**
+ * Export controller functions
+ * @type {Object}
+ */
+module.exports = {
+  getRules,
+  createRule,
+  deleteRule,
+  runRetention,
+  getReports,
+};
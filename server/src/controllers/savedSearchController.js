@@ -0,0 +1,515 @@
+/**
+ * Saved Search Controller Module
+ *
+ * Handles all HTTP requests related to saved searches: managing them,
+ * their "new since last viewed" counts, and their digests.
+ *
+ * @module controllers/savedSearchController
+ */
+
+const mongoose = require('mongoose');
+const SavedSearch = require('../models/SavedSearch');
+const { VideoQueryError } = require('../utils/videoQuery');
+const {
+  DIGEST_PERIODS,
+  normalizeSearchParams,
+  countNewVideos,
+  buildDigest,
+  sendDigest,
+} = require('../services/savedSearchService');
+
+/**
+ * Pattern a digest recipient must match
+ * @constant {RegExp}
+ */
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Validate the digest settings of a saved search
+ *
+ * @param {Object} digest - `{ frequency, recipients }` from the request body
+ * @returns {Object} - `{ digest }` with the settings to store, or `{ error }`
+ */
+const validateDigest = (digest) => {
+  if (typeof digest !== 'object' || digest === null || Array.isArray(digest)) {
+    return { error: 'Digest must be an object' };
+  }
+
+  const frequency = digest.frequency || null;
+  if (frequency && !DIGEST_PERIODS[frequency]) {
+    return { error: 'Digest frequency must be daily or weekly' };
+  }
+
+  const recipients = digest.recipients || [];
+  if (!Array.isArray(recipients) || !recipients.every(address => typeof address === 'string' && EMAIL_PATTERN.test(address))) {
+    return { error: 'Digest recipients must be a list of email addresses' };
+  }
+  if (frequency && recipients.length === 0) {
+    return { error: 'A digest needs at least one recipient' };
+  }
+
+  return { digest: { frequency, recipients } };
+};
+
+/**
+ * Add the "new since last viewed" count to a saved search
+ *
+ * @async
+ * @param {Object} savedSearch - SavedSearch document
+ * @returns {Promise<Object>} - Saved search with `newCount`
+ */
+const withNewCount = async (savedSearch) => ({
+  ...savedSearch.toObject(),
+  newCount: await countNewVideos(savedSearch),
+});
+
+/**
+ * Get all saved searches
+ *
+ * @async
+ * @function getSavedSearches
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} - JSON response with the saved searches and their `newCount`
+ */
+const getSavedSearches = async (req, res) => {
+  try {
+    const savedSearches = await SavedSearch.find().sort({ name: 1 });
+    const data = await Promise.all(savedSearches.map(withNewCount));
+
+    return res.status(200).json({
+      success: true,
+      count: data.length,
+      data,
+    });
+  } catch (error) {
+    console.error('Error getting saved searches:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Server Error',
+    });
+  }
+};
+
+/**
+ * Get a saved search
+ *
+ * @async
+ * @function getSavedSearch
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Saved search id
+ * @param {Object} res - Express response object
+ * @returns {Object} - JSON response with the saved search and its `newCount`
+ */
+const getSavedSearch = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid saved search id',
+      });
+    }
+
+    const savedSearch = await SavedSearch.findById(req.params.id);
+
+    if (!savedSearch) {
+      return res.status(404).json({
+        success: false,
+        error: 'Saved search not found',
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: await withNewCount(savedSearch),
+    });
+  } catch (error) {
+    console.error('Error getting saved search:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Server Error',
+    });
+  }
+};
+
+/**
+ * Create a saved search
+ *
+ * @async
+ * @function createSavedSearch
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.name - Unique name
+ * @param {Object} [req.body.params] - Filter and sort parameters of GET /api/videos
+ * @param {Object} [req.body.digest] - `{ frequency: 'daily'|'weekly', recipients: [...] }`
+ * @param {Object} res - Express response object
+ * @returns {Object} - JSON response with the created saved search
+ */
+const createSavedSearch = async (req, res) => {
+  try {
+    const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        error: 'Name is required',
+      });
+    }
+
+    const params = normalizeSearchParams(req.body.params || {});
+    const { digest, error } = validateDigest(req.body.digest || {});
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error,
+      });
+    }
+
+    if (await SavedSearch.exists({ name })) {
+      return res.status(409).json({
+        success: false,
+        error: 'A saved search with this name already exists',
+      });
+    }
+
+    const savedSearch = await SavedSearch.create({ name, params, digest });
+
+    return res.status(201).json({
+      success: true,
+      data: await withNewCount(savedSearch),
+    });
+  } catch (error) {
+    if (error instanceof VideoQueryError) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+    console.error('Error creating saved search:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Server Error',
+    });
+  }
+};
+
+/**
+ * Update a saved search
+ *
+ * @async
+ * @function updateSavedSearch
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Saved search id
+ * @param {Object} req.body - Request body
+ * @param {string} [req.body.name] - New name
+ * @param {Object} [req.body.params] - New parameters, replacing the current ones
+ * @param {Object} [req.body.digest] - New digest settings
+ * @param {Object} res - Express response object
+ * @returns {Object} - JSON response with the updated saved search
+ */
+const updateSavedSearch = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid saved search id',
+      });
+    }
+
+    const savedSearch = await SavedSearch.findById(req.params.id);
+
+    if (!savedSearch) {
+      return res.status(404).json({
+        success: false,
+        error: 'Saved search not found',
+      });
+    }
+
+    const { name, params, digest } = req.body;
+
+    if (name !== undefined) {
+      const trimmed = typeof name === 'string' ? name.trim() : '';
+      if (!trimmed) {
+        return res.status(400).json({
+          success: false,
+          error: 'Name is required',
+        });
+      }
+      if (trimmed !== savedSearch.name && await SavedSearch.exists({ name: trimmed })) {
+        return res.status(409).json({
+          success: false,
+          error: 'A saved search with this name already exists',
+        });
+      }
+      savedSearch.name = trimmed;
+    }
+
+    if (params !== undefined) {
+      savedSearch.params = normalizeSearchParams(params);
+    }
+
+    if (digest !== undefined) {
+      const result = validateDigest(digest);
+      if (result.error) {
+        return res.status(400).json({
+          success: false,
+          error: result.error,
+        });
+      }
+      savedSearch.digest.frequency = result.digest.frequency;
+      savedSearch.digest.recipients = result.digest.recipients;
+    }
+
+    await savedSearch.save();
+
+    return res.status(200).json({
+      success: true,
+      data: await withNewCount(savedSearch),
+    });
+  } catch (error) {
+    if (error instanceof VideoQueryError) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+    console.error('Error updating saved search:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Server Error',
+    });
+  }
+};
+
+/**
+ * Delete a saved search
+ *
+ * @async
+ * @function deleteSavedSearch
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Saved search id
+ * @param {Object} res - Express response object
+ * @returns {Object} - JSON response confirming the deletion
+ */
+const deleteSavedSearch = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid saved search id',
+      });
+    }
+
+    const savedSearch = await SavedSearch.findById(req.params.id);
+
+    if (!savedSearch) {
+      return res.status(404).json({
+        success: false,
+        error: 'Saved search not found',
+      });
+    }
+
+    await savedSearch.deleteOne();
+
+    return res.status(200).json({
+      success: true,
+      data: {},
+    });
+  } catch (error) {
+    console.error('Error deleting saved search:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Server Error',
+    });
+  }
+};
+
+/**
+ * Mark a saved search as viewed
+ *
+ * Resets its "new since last viewed" count.
+ *
+ * @async
+ * @function markSavedSearchViewed
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Saved search id
+ * @param {Object} res - Express response object
+ * @returns {Object} - JSON response with the updated saved search
+ */
+const markSavedSearchViewed = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid saved search id',
+      });
+    }
+
+    const savedSearch = await SavedSearch.findById(req.params.id);
+
+    if (!savedSearch) {
+      return res.status(404).json({
+        success: false,
+        error: 'Saved search not found',
+      });
+    }
+
+    savedSearch.lastViewedAt = new Date();
+    await savedSearch.save();
+
+    return res.status(200).json({
+      success: true,
+      data: await withNewCount(savedSearch),
+    });
+  } catch (error) {
+    console.error('Error marking saved search as viewed:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Server Error',
+    });
+  }
+};
+
+/**
+ * Get the digest of a saved search
+ *
+ * Renders the videos the search matched that were added in the last day
+ * or week, whether or not the search has digest emails set up.
+ *
+ * @async
+ * @function getDigest
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Saved search id
+ * @param {Object} req.query - Query parameters
+ * @param {string} [req.query.period] - 'daily' or 'weekly' (default: the search's frequency, or daily)
+ * @param {string} [req.query.format='html'] - 'html' or 'text'
+ * @param {Object} res - Express response object
+ * @returns {string} - The digest as an HTML document or plain text
+ */
+const getDigest = async (req, res) => {
+  try {
+    const format = req.query.format || 'html';
+    if (!['html', 'text'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Format must be html or text',
+      });
+    }
+
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid saved search id',
+      });
+    }
+
+    const savedSearch = await SavedSearch.findById(req.params.id);
+
+    if (!savedSearch) {
+      return res.status(404).json({
+        success: false,
+        error: 'Saved search not found',
+      });
+    }
+
+    const period = req.query.period || savedSearch.digest.frequency || 'daily';
+    if (!DIGEST_PERIODS[period]) {
+      return res.status(400).json({
+        success: false,
+        error: 'Period must be daily or weekly',
+      });
+    }
+
+    const digest = await buildDigest(savedSearch, { period });
+
+    return res.status(200)
+      .type(format === 'html' ? 'text/html; charset=utf-8' : 'text/plain; charset=utf-8')
+      .send(format === 'html' ? digest.html : digest.text);
+  } catch (error) {
+    console.error('Error building digest:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Server Error',
+    });
+  }
+};
+
+/**
+ * Email the digest of a saved search now
+ *
+ * Sends the digest of the last day or week through the configured mail
+ * transport, even without new videos. The schedule of the search's
+ * digest emails is not changed.
+ *
+ * @async
+ * @function sendSavedSearchDigest
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Saved search id
+ * @param {Object} req.body - Request body
+ * @param {string} [req.body.period] - 'daily' or 'weekly' (default: the search's frequency, or daily)
+ * @param {Array<string>} [req.body.to] - Recipients (default: the search's digest recipients)
+ * @param {Object} res - Express response object
+ * @returns {Object} - JSON response with the number of videos and the transport's message id
+ */
+const sendSavedSearchDigest = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid saved search id',
+      });
+    }
+
+    const savedSearch = await SavedSearch.findById(req.params.id);
+
+    if (!savedSearch) {
+      return res.status(404).json({
+        success: false,
+        error: 'Saved search not found',
+      });
+    }
+
+    const period = req.body.period || savedSearch.digest.frequency || 'daily';
+    if (!DIGEST_PERIODS[period]) {
+      return res.status(400).json({
+        success: false,
+        error: 'Period must be daily or weekly',
+      });
+    }
+
+    const { digest, error } = validateDigest({ recipients: req.body.to || savedSearch.digest.recipients });
+    if (error || digest.recipients.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: error || 'No recipients: pass "to" or set digest recipients',
+      });
+    }
+
+    const result = await sendDigest(savedSearch, { period, to: digest.recipients });
+
+    return res.status(200).json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    console.error('Error sending digest:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Server Error',
+    });
+  }
+};
+
+/**
+ * Export controller functions
+ * @type {Object}
+ */
+module.exports = {
+  getSavedSearches,
+  getSavedSearch,
+  createSavedSearch,
+  updateSavedSearch,
+  deleteSavedSearch,
+  markSavedSearchViewed,
+  getDigest,
+  sendSavedSearchDigest,
+};
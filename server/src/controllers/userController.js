@@ -0,0 +1,316 @@
+/**
+ * User Controller Module
+ *
+ * Handles all HTTP requests related to managing user accounts. Every
+ * route requires the admin role.
+ *
+ * @module controllers/userController
+ */
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const ApiToken = require('../models/ApiToken');
+const VideoState = require('../models/VideoState');
+const Collection = require('../models/Collection');
+const {
+  ROLES,
+  hashPassword,
+  validatePassword,
+  toPublicUser,
+} = require('../services/authService');
+
+/**
+ * Pattern a user's email must match
+ * @constant {RegExp}
+ */
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Check whether a change would leave no active admin
+ *
+ * @async
+ * @param {Object} user - User document about to lose the admin role, be disabled or be deleted
+ * @returns {Promise<boolean>} - True if the user is the last active admin
+ */
+const isLastAdmin = async (user) => user.role === 'admin' && user.active
+  && !(await User.exists({ _id: { $ne: user._id }, role: 'admin', active: true }));
+
+/**
+ * Get the fields of a user returned by the user routes
+ *
+ * @param {Object} user - User document
+ * @returns {Object} - Public user with its state and dates
+ */
+const toUserData = (user) => ({
+  ...toPublicUser(user),
+  active: user.active,
+  lastLoginAt: user.lastLoginAt,
+  createdAt: user.createdAt,
+});
+
+/**
+ * Get all users
+ *
+ * @async
+ * @function getUsers
+ * @param {Object} req - Express request object
+ * @param {Object} req.query - Query parameters
+ * @param {string} [req.query.role] - Filter by role
+ * @param {Object} res - Express response object
+ * @returns {Object} - JSON response with the users
+ */
+const getUsers = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.role) {
+      filter.role = req.query.role;
+    }
+
+    const users = await User.find(filter).sort({ email: 1 });
+
+    return res.status(200).json({
+      success: true,
+      count: users.length,
+      data: users.map(toUserData),
+    });
+  } catch (error) {
+    console.error('Error getting users:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Server Error',
+    });
+  }
+};
+
+/**
+ * Create a user
+ *
+ * @async
+ * @function createUser
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.email - Sign-in email
+ * @param {string} req.body.password - Password, at least 8 characters
+ * @param {string} [req.body.role='viewer'] - 'viewer', 'editor' or 'admin'
+ * @param {string} [req.body.name] - Display name
+ * @param {Object} res - Express response object
+ * @returns {Object} - JSON response with the created user
+ */
+const createUser = async (req, res) => {
+  try {
+    const { password, role = 'viewer', name } = req.body;
+    const email = typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+
+    if (!EMAIL_PATTERN.test(email)) {
+      return res.status(400).json({
+        success: false,
+        error: 'A valid email is required',
+      });
+    }
+
+    const passwordError = validatePassword(password);
+    if (passwordError) {
+      return res.status(400).json({
+        success: false,
+        error: passwordError,
+      });
+    }
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        error: `Role must be one of: ${ROLES.join(', ')}`,
+      });
+    }
+
+    if (await User.exists({ email })) {
+      return res.status(409).json({
+        success: false,
+        error: 'A user with this email already exists',
+      });
+    }
+
+    const user = await User.create({ email, name, role, passwordHash: await hashPassword(password) });
+
+    return res.status(201).json({
+      success: true,
+      data: toUserData(user),
+    });
+  } catch (error) {
+    console.error('Error creating user:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Server Error',
+    });
+  }
+};
+
+/**
+ * Update a user
+ *
+ * Changing the role, password or active state signs the user out of
+ * every session. The last active admin can't be demoted or disabled.
+ *
+ * @async
+ * @function updateUser
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - User id
+ * @param {Object} req.body - Request body
+ * @param {string} [req.body.role] - New role
+ * @param {boolean} [req.body.active] - Disable (false) or enable (true) the user
+ * @param {string} [req.body.password] - New password
+ * @param {string} [req.body.name] - New display name
+ * @param {Object} res - Express response object
+ * @returns {Object} - JSON response with the updated user
+ */
+const updateUser = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid user id',
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found',
+      });
+    }
+
+    const { role, active, password, name } = req.body;
+
+    if (role !== undefined && !ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        error: `Role must be one of: ${ROLES.join(', ')}`,
+      });
+    }
+
+    if (active !== undefined && typeof active !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: 'Field "active" must be a boolean',
+      });
+    }
+
+    if (password !== undefined) {
+      const passwordError = validatePassword(password);
+      if (passwordError) {
+        return res.status(400).json({
+          success: false,
+          error: passwordError,
+        });
+      }
+    }
+
+    if (((role !== undefined && role !== 'admin') || active === false) && await isLastAdmin(user)) {
+      return res.status(409).json({
+        success: false,
+        error: 'At least one active admin is required',
+      });
+    }
+
+    const revoke = (role !== undefined && role !== user.role)
+      || (active !== undefined && active !== user.active)
+      || password !== undefined;
+
+    if (role !== undefined) {
+      user.role = role;
+    }
+    if (active !== undefined) {
+      user.active = active;
+    }
+    if (password !== undefined) {
+      user.passwordHash = await hashPassword(password);
+    }
+    if (name !== undefined) {
+      user.name = name;
+    }
+    if (revoke) {
+      user.tokenVersion++;
+    }
+
+    await user.save();
+
+    return res.status(200).json({
+      success: true,
+      data: toUserData(user),
+    });
+  } catch (error) {
+    console.error('Error updating user:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Server Error',
+    });
+  }
+};
+
+/**
+ * Delete a user with their API tokens, video states and collections
+ *
+ * The last active admin can't be deleted.
+ *
+ * @async
+ * @function deleteUser
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - User id
+ * @param {Object} res - Express response object
+ * @returns {Object} - JSON response confirming the deletion
+ */
+const deleteUser = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid user id',
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found',
+      });
+    }
+
+    if (await isLastAdmin(user)) {
+      return res.status(409).json({
+        success: false,
+        error: 'At least one active admin is required',
+      });
+    }
+
+    await user.deleteOne();
+    await ApiToken.deleteMany({ user: user._id });
+    await VideoState.deleteMany({ user: user._id });
+    await Collection.deleteMany({ owner: user._id });
+
+    return res.status(200).json({
+      success: true,
+      data: {},
+    });
+  } catch (error) {
+    console.error('Error deleting user:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Server Error',
+    });
+  }
+};
+
+/**
+ * Export controller functions
+ * @type {Object}
+ */
+module.exports = {
+  getUsers,
+  createUser,
+  updateUser,
+  deleteUser,
+};
@@ -3,12 +3,223 @@
  *
  * Handles all HTTP requests related to videos, including
  * retrieving videos with pagination and filtering, and
- * searching videos by title and description.
+ * searching videos by title and description, suggesting
+ * completions as the user types, exporting videos, and marking
+ * videos as watched or starred.
  *
  * @module controllers/videoController
  */
 
 const Video = require('../models/Video');
+const ArchivedVideo = require('../models/ArchivedVideo');
+const VideoStatsSnapshot = require('../models/VideoStatsSnapshot');
+const {
+  decodeCursor,
+  buildCursorFilter,
+  getCursorSort,
+  buildCursorPage,
+} = require('../utils/cursor');
+const { VideoQueryError, buildVideoFilter, buildVideoSort } = require('../utils/videoQuery');
+const { SearchSyntaxError, parseSearchQuery } = require('../utils/searchQuery');
+const { getSearchProvider } = require('../services/searchService');
+const { getSuggestions } = require('../services/suggestService');
+const { subscribeToNewVideos } = require('../services/videoStream');
+const { buildCollapseStages } = require('../services/duplicateService');
+const {
+  buildLibraryFilter,
+  addLibraryState,
+  videoExists,
+  setVideoState,
+} = require('../services/libraryService');
+const { EXPORT_FORMATS } = require('../utils/videoExport');
+const { FACET_INTERVALS, buildFacetStages, formatFacets } = require('../utils/videoFacets');
+
+/**
+ * Types of suggestions returned by suggestVideos
+ * @constant {Array<string>}
+ */
+const SUGGEST_TYPES = ['titles', 'channels'];
+
+/**
+ * Fields left out of exports
+ * @constant {Object}
+ */
+const EXPORT_PROJECTION = { __v: 0, fingerprint: 0, fingerprintBands: 0 };
+
+/**
+ * Stream configuration constants
+ * @constant {number} STREAM_RETRY_MS - Reconnection delay suggested to stream clients
+ * @constant {number} STREAM_HEARTBEAT_MS - Interval of the comments keeping idle streams open through proxies
+ */
+const STREAM_RETRY_MS = 5000;
+const STREAM_HEARTBEAT_MS = 25000;
+
+/**
+ * Build the pagination metadata shared by all video listings
+ *
+ * @param {number} page - Current page number
+ * @param {number} limit - Number of videos per page
+ * @param {number} totalVideos - Total number of matching videos
+ * @returns {Object} - Pagination metadata
+ */
+const buildPagination = (page, limit, totalVideos) => {
+  const totalPages = Math.ceil(totalVideos / limit);
+  return {
+    currentPage: page,
+    totalPages,
+    totalVideos,
+    hasNextPage: page < totalPages,
+    hasPrevPage: page > 1,
+  };
+};
+
+/**
+ * Whether a request asked for cursor pagination
+ *
+ * Cursor mode is used when a cursor is given, or for the first page
+ * with `paginate=cursor`. Page-number mode stays the default.
+ *
+ * @param {Object} query - Express query parameters
+ * @returns {boolean} - True for cursor mode
+ */
+const isCursorMode = (query) => Boolean(query.cursor) || query.paginate === 'cursor';
+
+/**
+ * Find one page of videos
+ *
+ * Pages are selected by page number, or in cursor mode by a cursor on
+ * the sort keys, which skips the total count unless `includeTotal=true`.
+ * With a `score` expression (from the search provider), each video gets
+ * a relevance `score` the sort keys may include.
+ * With `facets=true`, the page, its total and the facets (see
+ * utils/videoFacets) are computed in a single aggregation over the filter.
+ * With `collapseDuplicates=true`, each cluster of near-duplicates is
+ * collapsed to its earliest matching upload before sorting, paging,
+ * counting and faceting, and each video gets a `duplicates` count.
+ * With `includeArchived=true`, matching videos of the archive (see
+ * services/retentionService) are listed too, with their `archivedAt` date.
+ *
+ * @async
+ * @param {Object} filter - MongoDB filter
+ * @param {Array<Array>} sortKeys - [field, order] pairs, ending with `_id`
+ * @param {Object} params - Express query parameters (page, limit, paginate, cursor, includeTotal, facets,
+ *   facetInterval, collapseDuplicates, includeArchived)
+ * @param {Object} [score=null] - Aggregation expression computing the relevance score
+ * @returns {Promise<Object>} - `{ videos, pagination, facets }`, facets only when requested
+ * @throws {VideoQueryError} - If the cursor or facet interval is invalid
+ */
+const findVideoPage = async (filter, sortKeys, params, score = null) => {
+  const limit = parseInt(params.limit) || 10;
+  const withFacets = params.facets === 'true';
+  const collapse = params.collapseDuplicates === 'true';
+  const withArchived = params.includeArchived === 'true';
+  const interval = params.facetInterval || 'day';
+
+  if (withFacets && !FACET_INTERVALS.includes(interval)) {
+    throw new VideoQueryError('Facet interval must be day or week');
+  }
+
+  const cursorMode = isCursorMode(params);
+  const cursor = cursorMode && params.cursor ? decodeCursor(params.cursor, sortKeys) : null;
+
+  if (params.cursor && !cursor) {
+    throw new VideoQueryError('Invalid cursor');
+  }
+
+  const page = parseInt(params.page) || 1;
+  const skip = (page - 1) * limit;
+
+  // Stages selecting the page itself, after the filter
+  const pageStages = cursorMode
+    ? [
+      ...(cursor ? [{ $match: buildCursorFilter(sortKeys, cursor.values, cursor.direction) }] : []),
+      { $sort: getCursorSort(sortKeys, cursor?.direction) },
+      { $limit: limit + 1 },
+    ]
+    : [
+      { $sort: Object.fromEntries(sortKeys) },
+      { $skip: skip },
+      { $limit: limit },
+    ];
+  const countTotal = !cursorMode || params.includeTotal === 'true';
+
+  let docs;
+  let totalVideos;
+  let facets;
+
+  if (score || withFacets || collapse || withArchived) {
+    // The score, the collapsed videos and the archived videos are only known inside
+    // the pipeline, so sorting, the cursor condition and counting are applied there.
+    // Grouping and sorting the whole library can pass the 100 MB stage memory limit
+    const matchStages = [{ $match: filter }, ...(score ? [{ $addFields: { score } }] : [])];
+    const pipeline = [...matchStages];
+    if (withArchived) {
+      pipeline.push({ $unionWith: { coll: ArchivedVideo.collection.name, pipeline: matchStages } });
+    }
+    if (collapse) {
+      pipeline.push(...buildCollapseStages());
+    }
+
+    if (withFacets || ((collapse || withArchived) && countTotal)) {
+      pipeline.push({
+        $facet: {
+          data: pageStages,
+          ...(countTotal ? { total: [{ $count: 'count' }] } : {}),
+          ...(withFacets ? buildFacetStages(interval) : {}),
+        },
+      });
+      const [result] = await Video.aggregate(pipeline).allowDiskUse(true);
+      docs = result.data;
+      totalVideos = countTotal ? result.total[0]?.count || 0 : undefined;
+      facets = withFacets ? formatFacets(result, interval) : undefined;
+    } else {
+      docs = await Video.aggregate([...pipeline, ...pageStages]).allowDiskUse(true);
+    }
+  } else {
+    const cursorFilter = cursor
+      ? { $and: [filter, buildCursorFilter(sortKeys, cursor.values, cursor.direction)] }
+      : filter;
+    const sort = pageStages.find(stage => stage.$sort).$sort;
+
+    // Fetch videos from database with filters, sorting, and pagination
+    docs = await Video.find(cursorFilter)
+      .sort(sort)
+      .skip(cursorMode ? 0 : skip)
+      .limit(cursorMode ? limit + 1 : limit);
+  }
+
+  if (countTotal && totalVideos === undefined) {
+    // Get total count for pagination
+    totalVideos = await Video.countDocuments(filter);
+  }
+
+  if (cursorMode) {
+    const { data: videos, pagination } = buildCursorPage(docs, { limit, sortKeys, cursor });
+    if (countTotal) {
+      pagination.totalVideos = totalVideos;
+    }
+    return { videos, pagination, facets };
+  }
+
+  return { videos: docs, pagination: buildPagination(page, limit, totalVideos), facets };
+};
+
+/**
+ * Parse a trending window such as '6h', '24h' or '7d' into milliseconds
+ *
+ * Plain numbers are read as hours.
+ *
+ * @param {string} value - Window from the query string
+ * @returns {number|null} - Window in milliseconds, or null if invalid
+ */
+const parseWindow = (value) => {
+  const match = /^(\d+)([hd]?)$/.exec(value);
+  if (!match || parseInt(match[1]) === 0) {
+    return null;
+  }
+  const hours = match[2] === 'd' ? parseInt(match[1]) * 24 : parseInt(match[1]);
+  return hours * 60 * 60 * 1000;
+};
 
 /**
  * Get videos with pagination and optional dashboard filters
@@ -16,6 +227,8 @@ const Video = require('../models/Video');
  * Retrieves videos from the database with support for pagination,
  * sorting, and filtering by various criteria. This endpoint powers
  * both the main video listing and the dashboard filtering functionality.
+ * Pages are selected by page number, or in cursor mode by a cursor on
+ * (sort field, _id), which skips the total count unless it is requested.
  *
  * @async
  * @function getVideos
@@ -26,100 +239,74 @@ const Video = require('../models/Video');
  * @param {string} [req.query.sortBy='publishedAt'] - Field to sort by
  * @param {string} [req.query.sortOrder='desc'] - Sort order (asc or desc)
  * @param {string} [req.query.channelTitle] - Filter by channel title
+ * @param {string} [req.query.channelId] - Filter by exact YouTube channel id
  * @param {string} [req.query.dateFrom] - Filter by date from (ISO format)
  * @param {string} [req.query.dateTo] - Filter by date to (ISO format)
  * @param {string} [req.query.title] - Filter by video title
+ * @param {string} [req.query.query] - Filter by tracked query id
+ * @param {string} [req.query.sourceType] - Filter by type of source that found the video (search, channel)
+ * @param {number} [req.query.minViews] - Minimum view count (also maxViews)
+ * @param {number} [req.query.minLikes] - Minimum like count (also maxLikes)
+ * @param {number} [req.query.minComments] - Minimum comment count (also maxComments)
+ * @param {number} [req.query.minDuration] - Minimum duration in seconds (also maxDuration)
+ * @param {string} [req.query.categoryId] - Filter by YouTube category id
+ * @param {string} [req.query.liveBroadcastContent] - Filter by live state (none, upcoming, live)
+ * @param {string} [req.query.paginate] - 'cursor' to start cursor pagination instead of page numbers
+ * @param {string} [req.query.cursor] - nextCursor or prevCursor of a previous cursor page
+ * @param {string} [req.query.includeTotal] - 'true' to count the matching videos in cursor mode
+ * @param {string} [req.query.facets] - 'true' to add channel, upload date and duration facets
+ * @param {string} [req.query.facetInterval='day'] - Upload histogram interval ('day' or 'week')
+ * @param {string} [req.query.collapseDuplicates] - 'true' to show only the earliest upload of each cluster of near-duplicates
+ * @param {string} [req.query.includeArchived] - 'true' to include videos moved to the archive by the retention job
+ * @param {string} [req.query.watched] - 'true' or 'false' to filter by whether the user watched the video
+ * @param {string} [req.query.starred] - 'true' or 'false' to filter by whether the user starred the video
+ * @param {string} [req.query.collection] - Filter by one of the user's collections
  * @param {Object} res - Express response object
  * @returns {Object} - JSON response with videos and pagination metadata
  */
 const getVideos = async (req, res) => {
   try {
-    // Extract pagination parameters from query, maintaining original defaults
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const skip = (page - 1) * limit;
-
-    // Extract optional dashboard filters
-    const {
-      sortBy = 'publishedAt',
-      sortOrder = ['asc', 'desc'].includes(req.query.sortOrder?.toLowerCase()) ? req.query.sortOrder.toLowerCase() : 'desc',
-      channelTitle,
-      dateFrom,
-      dateTo,
-      title,
-    } = req.query;
-
-    // Build filter object for dashboard queries
-    const filter = {};
-
-    if (channelTitle) {
-      filter.channelTitle = { $regex: channelTitle, $options: 'i' };
-    }
-
-    if (title) {
-      filter.title = { $regex: title, $options: 'i' };
-    }
-
-    if (dateFrom || dateTo) {
-      filter.publishedAt = {};
-      if (dateFrom) {
-        filter.publishedAt.$gte = new Date(dateFrom);
-      }
-      if (dateTo) {
-        const endDate = new Date(dateTo);
-        endDate.setDate(endDate.getDate() + 1);
-        filter.publishedAt.$lt = endDate;
-      }
-    }
-
-    // Build sort object
-    const allowedSortFields = ['publishedAt', 'title', 'channelTitle'];
-    const validSortBy = allowedSortFields.includes(sortBy) ? sortBy : 'publishedAt';
-    const validSortOrder = sortOrder === 'asc' ? 1 : -1;
-    const sort = { [validSortBy]: validSortOrder };
-
-    // Fetch videos from database with filters, sorting, and pagination
-    const videos = await Video.find(filter)
-      .sort(sort)
-      .skip(skip)
-      .limit(limit);
-
-    // Get total count for pagination
-    const totalVideos = await Video.countDocuments(filter);
-    const totalPages = Math.ceil(totalVideos / limit);
+    const { filter: dashboardFilter, filters: dashboardFilters, hasFilters: hasDashboardFilters } = buildVideoFilter(req.query);
+    const library = await buildLibraryFilter(req.query, req.auth.user.id);
+    const filter = library.conditions.length > 0
+      ? { $and: [dashboardFilter, ...library.conditions] }
+      : dashboardFilter;
+    const filters = { ...dashboardFilters, ...library.filters };
+    const hasFilters = hasDashboardFilters || library.conditions.length > 0;
+    const { sortBy, sortOrder, sortKeys } = buildVideoSort(req.query);
+    const { videos, pagination, facets } = await findVideoPage(filter, sortKeys, req.query);
 
     // Construct response with both original and new dashboard metadata
     const response = {
       success: true,
       count: videos.length,
-      pagination: {
-        currentPage: page,
-        totalPages,
-        totalVideos,
-        hasNextPage: page < totalPages,
-        hasPrevPage: page > 1,
-      },
-      data: videos,
+      pagination,
+      data: await addLibraryState(videos, req.auth.user.id),
     };
 
-     // Add dashboard metadata only if dashboard filters are used
-     if (channelTitle || dateFrom || dateTo || title || sortBy !== 'publishedAt' || sortOrder !== req.query.sortOrder) {
+    if (facets) {
+      response.facets = facets;
+    }
+
+    // Add dashboard metadata only if dashboard filters are used
+    if (hasFilters || (req.query.sortBy || 'publishedAt') !== 'publishedAt' || sortOrder !== req.query.sortOrder) {
       response.dashboard = {
-        filters: {
-          channelTitle,
-          dateFrom,
-          dateTo,
-          title,
-        },
+        filters,
         sorting: {
-          sortBy: validSortBy,
-          sortOrder: sortOrder // Use the processed sortOrder directly
+          sortBy,
+          sortOrder,
         },
       };
     }
 
     return res.status(200).json(response);
   } catch (error) {
+    if (error instanceof VideoQueryError) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
     console.error('Error getting videos:', error.message);
     return res.status(500).json({
       success: false,
@@ -129,19 +316,33 @@ const getVideos = async (req, res) => {
 };
 
 /**
- * Search videos by title and description
+ * Search videos with the search query language
  *
- * Performs a text search on the video collection using MongoDB's
- * text index capabilities. Results are sorted by relevance score
- * and then by publish date.
+ * Parses `q` (quoted phrases, `-exclusions`, `channel:`, `before:`/`after:`,
+ * `duration:` and `views:`/`likes:`/`comments:` comparisons, see
+ * utils/searchQuery) and combines it with the same dashboard filters,
+ * sort options and cursor mode as getVideos. Without an explicit `sortBy`,
+ * results are sorted by relevance score and then by publish date; a query
+ * made only of operators is sorted by publish date.
+ * Words and phrases are matched by the configured search provider (see
+ * services/searchService); providers that support it add `highlights`.
+ * Invalid syntax returns 400 with the position of the error.
  *
  * @async
  * @function searchVideos
  * @param {Object} req - Express request object
  * @param {Object} req.query - Query parameters
- * @param {string} req.query.q - Search query term
+ * @param {string} req.query.q - Search query
+ * @param {string} [req.query.sortBy='relevance'] - 'relevance' or any getVideos sort field
  * @param {number} [req.query.page=1] - Page number for pagination
  * @param {number} [req.query.limit=10] - Number of videos per page
+ * @param {string} [req.query.paginate] - 'cursor' to start cursor pagination instead of page numbers
+ * @param {string} [req.query.cursor] - nextCursor or prevCursor of a previous cursor page
+ * @param {string} [req.query.includeTotal] - 'true' to count the matching videos in cursor mode
+ * @param {string} [req.query.facets] - 'true' to add channel, upload date and duration facets
+ * @param {string} [req.query.facetInterval='day'] - Upload histogram interval ('day' or 'week')
+ * @param {string} [req.query.collapseDuplicates] - 'true' to show only the earliest upload of each cluster of near-duplicates
+ * @param {string} [req.query.includeArchived] - 'true' to include videos moved to the archive by the retention job
  * @param {Object} res - Express response object
  * @returns {Object} - JSON response with search results and pagination metadata
  */
@@ -150,46 +351,518 @@ const searchVideos = async (req, res) => {
     const searchTerm = req.query.q;
 
     // Validate search term
-    if (!searchTerm) {
+    if (!searchTerm || !searchTerm.trim()) {
       return res.status(400).json({
         success: false,
         error: 'Search term is required',
       });
     }
 
-    // Extract pagination parameters
+    const search = parseSearchQuery(searchTerm);
+    const { filter: dashboardFilter, filters: dashboardFilters, hasFilters: hasDashboardFilters } = buildVideoFilter(req.query);
+    const library = await buildLibraryFilter(req.query, req.auth.user.id);
+    const filters = { ...dashboardFilters, ...library.filters };
+    const hasFilters = hasDashboardFilters || library.conditions.length > 0;
+    const provider = getSearchProvider();
+    const textQuery = search.text ? await provider.buildQuery(search.text) : null;
+
+    // The provider's match (e.g. $text) must stay at the top level of the filter
+    const filter = textQuery ? { ...textQuery.match } : {};
+    const conditions = [...search.conditions, ...(textQuery ? textQuery.conditions : [])];
+    if (Object.keys(dashboardFilter).length > 0) {
+      conditions.unshift(dashboardFilter);
+    }
+    conditions.push(...library.conditions);
+    if (conditions.length > 0) {
+      filter.$and = conditions;
+    }
+
+    const byRelevance = Boolean(search.text) && (!req.query.sortBy || req.query.sortBy === 'relevance');
+    const sorting = byRelevance
+      ? { sortBy: 'relevance', sortOrder: 'desc', sortKeys: [['score', -1], ['publishedAt', -1], ['_id', -1]] }
+      : buildVideoSort(req.query);
+
+    const { videos, pagination, facets } = await findVideoPage(filter, sorting.sortKeys, req.query, textQuery?.score);
+
+    const response = {
+      success: true,
+      count: videos.length,
+      pagination,
+      data: await addLibraryState(
+        textQuery && provider.highlight ? provider.highlight(videos, textQuery.context) : videos,
+        req.auth.user.id,
+      ),
+      search: {
+        q: searchTerm,
+        provider: textQuery?.provider || provider.name,
+        terms: search.terms,
+        sortBy: sorting.sortBy,
+        sortOrder: sorting.sortOrder,
+      },
+    };
+
+    if (facets) {
+      response.facets = facets;
+    }
+
+    if (hasFilters) {
+      response.dashboard = { filters };
+    }
+
+    return res.status(200).json(response);
+  } catch (error) {
+    if (error instanceof SearchSyntaxError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid search query',
+        details: {
+          message: error.message,
+          position: error.position,
+          token: error.token,
+        },
+      });
+    }
+    if (error instanceof VideoQueryError) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+    console.error('Error searching videos:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Server Error',
+    });
+  }
+};
+
+/**
+ * Get trending videos
+ *
+ * Ranks videos by views gained per hour over a time window, using the
+ * stats snapshots recorded during each video's first days. The growth is
+ * measured between the first and last snapshot inside the window; a video
+ * with a single snapshot is measured from its publish date. Uses the same
+ * pagination response shape as getVideos.
+ *
+ * @async
+ * @function getTrendingVideos
+ * @param {Object} req - Express request object
+ * @param {Object} req.query - Query parameters
+ * @param {string} [req.query.window='24h'] - Time window, e.g. '6h', '24h' or '7d'
+ * @param {number} [req.query.page=1] - Page number for pagination
+ * @param {number} [req.query.limit=10] - Number of videos per page
+ * @param {Object} res - Express response object
+ * @returns {Object} - JSON response with trending videos and pagination metadata
+ */
+const getTrendingVideos = async (req, res) => {
+  try {
+    const window = req.query.window || '24h';
+    const windowMs = parseWindow(window);
+
+    if (!windowMs) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid window, use a value such as 6h, 24h or 7d',
+      });
+    }
+
+    if (windowMs > VideoStatsSnapshot.retentionMs()) {
+      return res.status(400).json({
+        success: false,
+        error: `Window can be at most ${VideoStatsSnapshot.retentionMs() / 86400000}d, the time snapshots are kept`,
+      });
+    }
+
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
     const skip = (page - 1) * limit;
+    const since = new Date(Date.now() - windowMs);
 
-    // Perform text search on the database
-    const videos = await Video.find(
-      { $text: { $search: searchTerm } },
-      { score: { $meta: 'textScore' } }
-    )
-      .sort({ score: { $meta: 'textScore' }, publishedAt: -1 })
-      .skip(skip)
-      .limit(limit);
+    const [result] = await VideoStatsSnapshot.aggregate([
+      { $match: { capturedAt: { $gte: since } } },
+      { $sort: { capturedAt: 1 } },
+      {
+        $group: {
+          _id: '$videoId',
+          firstViews: { $first: '$viewCount' },
+          firstAt: { $first: '$capturedAt' },
+          lastViews: { $last: '$viewCount' },
+          lastAt: { $last: '$capturedAt' },
+          snapshots: { $sum: 1 },
+        },
+      },
+      {
+        $lookup: {
+          from: Video.collection.name,
+          localField: '_id',
+          foreignField: 'videoId',
+          as: 'video',
+        },
+      },
+      { $unwind: '$video' },
+      {
+        // With a single snapshot, measure the growth since the video was published
+        $addFields: {
+          baselineViews: { $cond: [{ $gt: ['$snapshots', 1] }, '$firstViews', 0] },
+          baselineAt: { $cond: [{ $gt: ['$snapshots', 1] }, '$firstAt', '$video.publishedAt'] },
+        },
+      },
+      {
+        $addFields: {
+          viewsGained: { $subtract: ['$lastViews', '$baselineViews'] },
+          hours: { $max: [{ $divide: [{ $subtract: ['$lastAt', '$baselineAt'] }, 3600000] }, 1 / 60] },
+        },
+      },
+      { $addFields: { viewsPerHour: { $divide: ['$viewsGained', '$hours'] } } },
+      { $sort: { viewsPerHour: -1, _id: 1 } },
+      {
+        $facet: {
+          data: [
+            { $skip: skip },
+            { $limit: limit },
+            {
+              $replaceRoot: {
+                newRoot: {
+                  $mergeObjects: [
+                    '$video',
+                    {
+                      trending: {
+                        viewsPerHour: { $round: ['$viewsPerHour', 2] },
+                        viewsGained: '$viewsGained',
+                        hours: { $round: ['$hours', 2] },
+                      },
+                    },
+                  ],
+                },
+              },
+            },
+          ],
+          total: [{ $count: 'count' }],
+        },
+      },
+    ]);
 
-    // Get total count of matching videos for pagination metadata
-    const totalVideos = await Video.countDocuments({ $text: { $search: searchTerm } });
-    const totalPages = Math.ceil(totalVideos / limit);
+    const videos = result.data;
+    const totalVideos = result.total.length > 0 ? result.total[0].count : 0;
 
-    // Return original search response structure
     return res.status(200).json({
       success: true,
       count: videos.length,
-      pagination: {
-        currentPage: page,
-        totalPages,
-        totalVideos,
-        hasNextPage: page < totalPages,
-        hasPrevPage: page > 1,
-      },
+      window,
+      pagination: buildPagination(page, limit, totalVideos),
       data: videos,
     });
   } catch (error) {
-    console.error('Error searching videos:', error.message);
+    console.error('Error getting trending videos:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Server Error',
+    });
+  }
+};
+
+/**
+ * Suggest title and channel name completions
+ *
+ * Answers search-as-you-type requests from the prefix indexes of the
+ * suggest service: titles containing a word that starts with `q`, ranked
+ * by views, and channel names ranked by number of stored videos. Names
+ * that start with `q` itself rank first. Fewer than two characters give
+ * empty lists.
+ *
+ * @async
+ * @function suggestVideos
+ * @param {Object} req - Express request object
+ * @param {Object} req.query - Query parameters
+ * @param {string} req.query.q - Text typed so far
+ * @param {number} [req.query.limit=5] - Maximum number of suggestions of each type (at most 10)
+ * @param {string} [req.query.type] - 'titles' or 'channels' to get only that type
+ * @param {Object} res - Express response object
+ * @returns {Object} - JSON response with title and channel suggestions
+ */
+const suggestVideos = async (req, res) => {
+  try {
+    const { q, type } = req.query;
+
+    if (!q || !q.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Search term is required',
+      });
+    }
+
+    if (type && !SUGGEST_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid type, use one of: ${SUGGEST_TYPES.join(', ')}`,
+      });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 5, 10);
+    const { titles, channels } = await getSuggestions(q, {
+      limit,
+      types: type ? [type] : SUGGEST_TYPES,
+    });
+
+    return res.status(200).json({
+      success: true,
+      q,
+      titles,
+      channels,
+    });
+  } catch (error) {
+    console.error('Error suggesting videos:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Server Error',
+    });
+  }
+};
+
+/**
+ * Write a chunk to a response, waiting for it to drain when its buffer is full
+ *
+ * Resolves early if the connection closes, so a stalled client can't hold
+ * up the caller.
+ *
+ * @param {Object} res - Express response object
+ * @param {string} chunk - Text to write
+ * @returns {Promise<void>}
+ */
+const writeChunk = (res, chunk) => new Promise(resolve => {
+  if (!chunk || res.write(chunk)) {
+    resolve();
+    return;
+  }
+
+  const done = () => {
+    res.off('drain', done);
+    res.off('close', done);
+    resolve();
+  };
+  res.on('drain', done);
+  res.on('close', done);
+});
+
+/**
+ * Export videos as CSV, NDJSON, RSS 2.0 or Atom
+ *
+ * Takes the same filters, sort options and `collapseDuplicates` as
+ * getVideos and streams every matching video (or the first `limit`)
+ * from a database cursor, so large exports are never held in memory.
+ * CSV and NDJSON are sent as file downloads, feeds inline. An error
+ * after streaming has started aborts the response, so a truncated export
+ * can't pass for a complete one.
+ *
+ * @async
+ * @function exportVideos
+ * @param {Object} req - Express request object
+ * @param {Object} req.query - Query parameters
+ * @param {string} [req.query.format='csv'] - 'csv', 'ndjson', 'rss' or 'atom'
+ * @param {number} [req.query.limit] - Maximum number of videos to export (default: all)
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const exportVideos = async (req, res) => {
+  const formatName = req.query.format || 'csv';
+  const format = EXPORT_FORMATS[formatName];
+
+  try {
+    if (!format) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid format, use one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`,
+      });
+    }
+
+    const { filter: dashboardFilter } = buildVideoFilter(req.query);
+    const library = await buildLibraryFilter(req.query, req.auth.user.id);
+    const filter = library.conditions.length > 0
+      ? { $and: [dashboardFilter, ...library.conditions] }
+      : dashboardFilter;
+    const { sortKeys } = buildVideoSort(req.query);
+    const sort = Object.fromEntries(sortKeys);
+    const limit = parseInt(req.query.limit) || 0;
+
+    const cursor = req.query.collapseDuplicates === 'true'
+      ? Video.aggregate([
+        { $match: filter },
+        ...buildCollapseStages(),
+        { $sort: sort },
+        ...(limit ? [{ $limit: limit }] : []),
+        { $project: EXPORT_PROJECTION },
+      ]).allowDiskUse(true).cursor({ batchSize: 500 })
+      : Video.find(filter, EXPORT_PROJECTION).sort(sort).limit(limit).lean().cursor({ batchSize: 500 });
+
+    const feed = {
+      title: 'YouTube videos',
+      selfUrl: `${req.protocol}://${req.get('host')}${req.originalUrl}`,
+      updated: new Date(),
+    };
+
+    res.status(200).set('Content-Type', format.contentType);
+    if (format.attachment) {
+      const date = feed.updated.toISOString().slice(0, 10);
+      res.set('Content-Disposition', `attachment; filename="videos-${date}.${format.extension}"`);
+    }
+
+    await writeChunk(res, format.header(feed));
+    for await (const video of cursor) {
+      // Stop reading from the database once the client has gone
+      if (res.destroyed) {
+        break;
+      }
+      await writeChunk(res, format.item(video));
+    }
+    res.end(format.footer(feed));
+  } catch (error) {
+    if (error instanceof VideoQueryError) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+    console.error('Error exporting videos:', error.message);
+    if (res.headersSent) {
+      res.destroy(error);
+      return;
+    }
+    return res.status(500).json({
+      success: false,
+      error: 'Server Error',
+    });
+  }
+};
+
+/**
+ * Stream newly inserted videos as Server-Sent Events
+ *
+ * Takes the same filters as getVideos, except the personal ones (new
+ * videos are unwatched, unstarred and in no collection), and sends every
+ * matching video inserted while the stream is open as a `video` event
+ * whose id is the video's `_id`. A client reconnecting with the `Last-Event-ID` header
+ * (sent by EventSource automatically) or the `lastEventId` parameter first
+ * receives the matching videos inserted since that event, and again those
+ * of the overlap window before it (see services/videoStream).
+ *
+ * @async
+ * @function streamVideos
+ * @param {Object} req - Express request object
+ * @param {Object} req.query - Query parameters
+ * @param {string} [req.query.lastEventId] - Id of the last event received, if the header can't be set
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const streamVideos = async (req, res) => {
+  let unsubscribe;
+  try {
+    const { filter } = buildVideoFilter(req.query);
+    const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+
+    if (lastEventId && !/^[0-9a-f]{24}$/i.test(lastEventId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid Last-Event-ID',
+      });
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    });
+    res.flushHeaders();
+    res.write(`retry: ${STREAM_RETRY_MS}\n\n`);
+
+    const heartbeat = setInterval(() => {
+      res.write(': ping\n\n');
+    }, STREAM_HEARTBEAT_MS);
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      if (unsubscribe) {
+        unsubscribe();
+      }
+    });
+
+    unsubscribe = await subscribeToNewVideos({
+      filter,
+      lastEventId,
+      send: (video) => writeChunk(res, `id: ${video._id}\nevent: video\ndata: ${JSON.stringify(video)}\n\n`),
+    });
+    if (res.destroyed) {
+      unsubscribe();
+    }
+  } catch (error) {
+    if (res.headersSent) {
+      console.error('Error streaming videos:', error.message);
+      res.end();
+      return;
+    }
+    if (error instanceof VideoQueryError) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+    console.error('Error streaming videos:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Server Error',
+    });
+  }
+};
+
+/**
+ * Mark a video as watched or starred for the signed-in user
+ *
+ * Only the given flags change. Archived videos can be marked too.
+ *
+ * @async
+ * @function updateVideoState
+ * @param {Object} req - Express request object
+ * @param {string} req.params.videoId - YouTube video identifier
+ * @param {Object} req.body - Request body
+ * @param {boolean} [req.body.watched] - Whether the user watched the video
+ * @param {boolean} [req.body.starred] - Whether the user starred the video
+ * @param {Object} res - Express response object
+ * @returns {Object} - JSON response with the user's state of the video
+ */
+const updateVideoState = async (req, res) => {
+  try {
+    const { watched, starred } = req.body;
+
+    if (watched === undefined && starred === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'watched or starred is required',
+      });
+    }
+
+    if ((watched !== undefined && typeof watched !== 'boolean')
+      || (starred !== undefined && typeof starred !== 'boolean')) {
+      return res.status(400).json({
+        success: false,
+        error: 'watched and starred must be booleans',
+      });
+    }
+
+    if (!await videoExists(req.params.videoId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Video not found',
+      });
+    }
+
+    const state = await setVideoState(req.auth.user.id, req.params.videoId, { watched, starred });
+
+    return res.status(200).json({
+      success: true,
+      data: state,
+    });
+  } catch (error) {
+    console.error('Error updating video state:', error.message);
     return res.status(500).json({
       success: false,
       error: 'Server Error',
@@ -204,4 +877,9 @@ const searchVideos = async (req, res) => {
 module.exports = {
   getVideos,
   searchVideos,
-};
\ No newline at end of file
+  suggestVideos,
+  exportVideos,
+  streamVideos,
+  getTrendingVideos,
+  updateVideoState,
+};
@@ -0,0 +1,415 @@
+/**
+ * Webhook Controller Module
+ *
+ * Handles all HTTP requests related to outbound webhooks: creating,
+ * listing, updating and deleting them, sending test events and reading
+ * their delivery log.
+ *
+ * @module controllers/webhookController
+ */
+
+const mongoose = require('mongoose');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const TrackedQuery = require('../models/TrackedQuery');
+const { generateSecret, sendTestEvent, validateWebhookUrl } = require('../services/webhookService');
+
+/**
+ * Webhook event types
+ * @constant {Array<string>}
+ */
+const WEBHOOK_EVENTS = ['video.new', 'video.alert'];
+
+/**
+ * Validate the filter criteria of a webhook
+ *
+ * @async
+ * @param {Object} [filters] - Criteria from the request body
+ * @param {string} event - Event type of the webhook
+ * @returns {Promise<Object>} - `{ filters }` with the criteria to store, or `{ error }`
+ */
+const validateFilters = async (filters = {}, event) => {
+  if (typeof filters !== 'object' || filters === null || Array.isArray(filters)) {
+    return { error: 'Filters must be an object' };
+  }
+
+  const { trackedQuery, channelId, keyword, minViews } = filters;
+  const valid = {};
+
+  if (trackedQuery) {
+    if (!mongoose.isValidObjectId(trackedQuery) || !(await TrackedQuery.exists({ _id: trackedQuery }))) {
+      return { error: 'Invalid query id' };
+    }
+    valid.trackedQuery = trackedQuery;
+  }
+
+  if (channelId) {
+    if (typeof channelId !== 'string') {
+      return { error: 'Channel id must be a string' };
+    }
+    valid.channelId = channelId.trim();
+  }
+
+  if (keyword) {
+    if (typeof keyword !== 'string') {
+      return { error: 'Keyword must be a string' };
+    }
+    valid.keyword = keyword.trim();
+  }
+
+  if (event === 'video.alert') {
+    if (!Number.isInteger(minViews) || minViews < 0) {
+      return { error: 'video.alert webhooks need minViews, a non-negative integer' };
+    }
+    valid.minViews = minViews;
+  } else if (minViews !== undefined) {
+    return { error: 'minViews only applies to video.alert webhooks' };
+  }
+
+  return { filters: valid };
+};
+
+/**
+ * Get all webhooks
+ *
+ * @async
+ * @function getWebhooks
+ * @param {Object} req - Express request object
+ * @param {Object} req.query - Query parameters
+ * @param {string} [req.query.event] - Filter by event type
+ * @param {Object} res - Express response object
+ * @returns {Object} - JSON response with the webhooks, without their secrets
+ */
+const getWebhooks = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.event) {
+      filter.event = req.query.event;
+    }
+
+    const webhooks = await Webhook.find(filter).sort({ createdAt: 1 });
+
+    return res.status(200).json({
+      success: true,
+      count: webhooks.length,
+      data: webhooks,
+    });
+  } catch (error) {
+    console.error('Error getting webhooks:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Server Error',
+    });
+  }
+};
+
+/**
+ * Create a webhook
+ *
+ * The response is the only one that includes the secret deliveries are
+ * signed with.
+ *
+ * @async
+ * @function createWebhook
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.url - Target URL (http or https, on a public address)
+ * @param {string} req.body.event - 'video.new' or 'video.alert'
+ * @param {Object} [req.body.filters] - Criteria: trackedQuery, channelId, keyword, and minViews (video.alert only)
+ * @param {string} [req.body.description] - Optional description
+ * @param {Object} res - Express response object
+ * @returns {Object} - JSON response with the created webhook and its secret
+ */
+const createWebhook = async (req, res) => {
+  try {
+    const { url, event, description } = req.body;
+
+    const urlError = await validateWebhookUrl(url);
+    if (urlError) {
+      return res.status(400).json({
+        success: false,
+        error: urlError,
+      });
+    }
+
+    if (!WEBHOOK_EVENTS.includes(event)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Event must be video.new or video.alert',
+      });
+    }
+
+    const { filters, error } = await validateFilters(req.body.filters, event);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error,
+      });
+    }
+
+    const secret = generateSecret();
+    const webhook = await Webhook.create({ url, event, filters, description, secret });
+
+    return res.status(201).json({
+      success: true,
+      data: { ...webhook.toObject(), secret },
+    });
+  } catch (error) {
+    console.error('Error creating webhook:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Server Error',
+    });
+  }
+};
+
+/**
+ * Update a webhook
+ *
+ * Changes its URL, criteria, description or active state. With
+ * `rotateSecret: true`, a new secret is generated and returned.
+ *
+ * @async
+ * @function updateWebhook
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Webhook id
+ * @param {Object} req.body - Request body
+ * @param {string} [req.body.url] - New target URL
+ * @param {Object} [req.body.filters] - New criteria, replacing the current ones
+ * @param {string} [req.body.description] - New description
+ * @param {boolean} [req.body.active] - Pause (false) or resume (true) deliveries
+ * @param {boolean} [req.body.rotateSecret] - Generate a new secret
+ * @param {Object} res - Express response object
+ * @returns {Object} - JSON response with the updated webhook
+ */
+const updateWebhook = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid webhook id',
+      });
+    }
+
+    const webhook = await Webhook.findById(req.params.id);
+
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook not found',
+      });
+    }
+
+    const { url, filters, description, active, rotateSecret } = req.body;
+
+    if (url !== undefined) {
+      const urlError = await validateWebhookUrl(url);
+      if (urlError) {
+        return res.status(400).json({
+          success: false,
+          error: urlError,
+        });
+      }
+      webhook.url = url;
+    }
+
+    if (filters !== undefined) {
+      const result = await validateFilters(filters, webhook.event);
+      if (result.error) {
+        return res.status(400).json({
+          success: false,
+          error: result.error,
+        });
+      }
+      webhook.filters = result.filters;
+    }
+
+    if (active !== undefined) {
+      if (typeof active !== 'boolean') {
+        return res.status(400).json({
+          success: false,
+          error: 'Field "active" must be a boolean',
+        });
+      }
+      webhook.active = active;
+    }
+
+    if (description !== undefined) {
+      webhook.description = description;
+    }
+
+    let secret;
+    if (rotateSecret === true) {
+      secret = generateSecret();
+      webhook.secret = secret;
+    }
+
+    await webhook.save();
+    const data = webhook.toObject();
+    delete data.secret;
+
+    return res.status(200).json({
+      success: true,
+      data: secret ? { ...data, secret } : data,
+    });
+  } catch (error) {
+    console.error('Error updating webhook:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Server Error',
+    });
+  }
+};
+
+/**
+ * Delete a webhook
+ *
+ * Its delivery log is kept until it expires.
+ *
+ * @async
+ * @function deleteWebhook
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Webhook id
+ * @param {Object} res - Express response object
+ * @returns {Object} - JSON response confirming the deletion
+ */
+const deleteWebhook = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid webhook id',
+      });
+    }
+
+    const webhook = await Webhook.findByIdAndDelete(req.params.id);
+
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook not found',
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {},
+    });
+  } catch (error) {
+    console.error('Error deleting webhook:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Server Error',
+    });
+  }
+};
+
+/**
+ * Send a test event to a webhook
+ *
+ * The event is sent once, even to a paused webhook, and the response
+ * reports how the target answered.
+ *
+ * @async
+ * @function testWebhook
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Webhook id
+ * @param {Object} res - Express response object
+ * @returns {Object} - JSON response with the test delivery
+ */
+const testWebhook = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid webhook id',
+      });
+    }
+
+    const webhook = await Webhook.findById(req.params.id).select('+secret');
+
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook not found',
+      });
+    }
+
+    const delivery = await sendTestEvent(webhook);
+
+    return res.status(200).json({
+      success: delivery.status === 'succeeded',
+      data: delivery,
+    });
+  } catch (error) {
+    console.error('Error testing webhook:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Server Error',
+    });
+  }
+};
+
+/**
+ * Get the delivery log of a webhook
+ *
+ * @async
+ * @function getDeliveries
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Webhook id
+ * @param {Object} req.query - Query parameters
+ * @param {string} [req.query.status] - Filter by status: 'pending', 'succeeded' or 'failed'
+ * @param {number} [req.query.limit=20] - Number of deliveries to return
+ * @param {Object} res - Express response object
+ * @returns {Object} - JSON response with the most recent deliveries first
+ */
+const getDeliveries = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid webhook id',
+      });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 20, 200);
+    const filter = { webhook: req.params.id };
+
+    if (req.query.status) {
+      if (!['pending', 'succeeded', 'failed'].includes(req.query.status)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Status must be pending, succeeded or failed',
+        });
+      }
+      filter.status = req.query.status;
+    }
+
+    const deliveries = await WebhookDelivery.find(filter).sort({ createdAt: -1 }).limit(limit);
+
+    return res.status(200).json({
+      success: true,
+      count: deliveries.length,
+      data: deliveries,
+    });
+  } catch (error) {
+    console.error('Error getting webhook deliveries:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Server Error',
+    });
+  }
+};
+
+/**
+ * Export controller functions
+ * @type {Object}
+ */
+module.exports = {
+  getWebhooks,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  testWebhook,
+  getDeliveries,
+};
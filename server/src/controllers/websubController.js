@@ -0,0 +1,109 @@
+/**
+ * WebSub Controller Module
+ *
+ * Handles the WebSub (PubSubHubbub) callback the hub talks to:
+ * verification of subscription requests and pushed notifications.
+ * Also lists the subscriptions and their lease state.
+ *
+ * @module controllers/websubController
+ */
+
+const WebSubSubscription = require('../models/WebSubSubscription');
+const { verifyIntent, handleNotification } = require('../services/websubService');
+
+/**
+ * Answer a verification request from the hub
+ *
+ * Echoes `hub.challenge` as plain text for a (un)subscription the server
+ * requested; anything else is refused with 404.
+ *
+ * @async
+ * @function verifyCallback
+ * @param {Object} req - Express request object
+ * @param {string} req.params.channelId - Channel id the callback belongs to
+ * @param {Object} req.query - Hub parameters (hub.mode, hub.topic, hub.challenge, hub.lease_seconds)
+ * @param {Object} res - Express response object
+ * @returns {Object} - Plain text challenge, or 404
+ */
+const verifyCallback = async (req, res) => {
+  try {
+    const challenge = await verifyIntent(req.params.channelId, req.query);
+
+    if (challenge === null) {
+      return res.status(404).type('text/plain').send('Unknown subscription');
+    }
+
+    return res.status(200).type('text/plain').send(challenge);
+  } catch (error) {
+    console.error('Error verifying WebSub subscription:', error.message);
+    return res.status(500).type('text/plain').send('Server Error');
+  }
+};
+
+/**
+ * Receive a pushed notification
+ *
+ * Acknowledges the notification right away, as the hub expects, and
+ * processes it afterwards. Notifications with an invalid signature are
+ * acknowledged too but ignored, so a forged request learns nothing.
+ *
+ * @function receiveNotification
+ * @param {Object} req - Express request object
+ * @param {string} req.params.channelId - Channel id the callback belongs to
+ * @param {Buffer} req.body - Raw Atom XML payload
+ * @param {Object} res - Express response object
+ * @returns {Object} - Empty 204 response
+ */
+const receiveNotification = (req, res) => {
+  const body = Buffer.isBuffer(req.body) ? req.body : Buffer.from('');
+  res.status(204).end();
+
+  handleNotification(req.params.channelId, body, req.get('X-Hub-Signature'))
+    .catch(error => {
+      console.error('Error handling WebSub notification:', error.message);
+    });
+};
+
+/**
+ * Get all WebSub subscriptions
+ *
+ * @async
+ * @function getSubscriptions
+ * @param {Object} req - Express request object
+ * @param {Object} req.query - Query parameters
+ * @param {string} [req.query.status] - Filter by subscription status
+ * @param {Object} res - Express response object
+ * @returns {Object} - JSON response with the subscriptions, without their secrets
+ */
+const getSubscriptions = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    const subscriptions = await WebSubSubscription.find(filter, '-secret').sort({ createdAt: 1 });
+
+    return res.status(200).json({
+      success: true,
+      count: subscriptions.length,
+      data: subscriptions,
+    });
+  } catch (error) {
+    console.error('Error getting WebSub subscriptions:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Server Error',
+    });
+  }
+};
+
+/**
+ * Export controller functions
+ * @type {Object}
+ */
+module.exports = {
+  verifyCallback,
+  receiveNotification,
+  getSubscriptions,
+};
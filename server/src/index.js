@@ -2,32 +2,91 @@
  * Main application entry point for YouTube API server
  *
  * This file initializes the Express server, connects to MongoDB,
- * sets up middleware, defines routes, and configures the cron job
- * to periodically fetch videos from YouTube API.
+ * sets up middleware, defines routes, and defines the background jobs,
+ * such as periodically fetching videos from YouTube API.
  *
  * @module index
  */
 
 const express = require('express');
 const cors = require('cors');
-const cron = require('node-cron');
 const connectDB = require('./config/db');
 const videoRoutes = require('./routes/videoRoutes');
-const { fetchAndSaveVideos } = require('./services/youtubeService');
+const queryRoutes = require('./routes/queryRoutes');
+const channelRoutes = require('./routes/channelRoutes');
+const ingestRoutes = require('./routes/ingestRoutes');
+const websubRoutes = require('./routes/websubRoutes');
+const importRoutes = require('./routes/importRoutes');
+const retentionRoutes = require('./routes/retentionRoutes');
+const jobRoutes = require('./routes/jobRoutes');
+const webhookRoutes = require('./routes/webhookRoutes');
+const savedSearchRoutes = require('./routes/savedSearchRoutes');
+const authRoutes = require('./routes/authRoutes');
+const userRoutes = require('./routes/userRoutes');
+const collectionRoutes = require('./routes/collectionRoutes');
+const { authorize, authenticate } = require('./middleware/auth');
+const { ensureAdminUser } = require('./services/authService');
+const {
+  fetchAndSaveAllQueries,
+  ensureDefaultQuery,
+  refreshRecentVideoStats,
+} = require('./services/youtubeService');
+const { syncSubscriptions } = require('./services/websubService');
+const { initSearchProvider } = require('./services/searchService');
+const { initSuggestIndex } = require('./services/suggestService');
+const { backfillDuplicateClusters } = require('./services/duplicateService');
+const { applyRetention } = require('./services/retentionService');
+const { retryDueDeliveries } = require('./services/webhookService');
+const { sendDueDigests } = require('./services/savedSearchService');
+const { defineJob, startScheduler } = require('./services/jobScheduler');
+const keyManager = require('./services/apiKeyManager');
 require('dotenv').config();
 
 // Initialize Express app
 const app = express();
 
-// Connect to MongoDB
-connectDB();
+// Connect to MongoDB, then build the suggestion index and the search index if the search provider keeps one
+connectDB().then(() => Promise.all([initSuggestIndex(), initSearchProvider()])).catch(error => {
+  console.error('Error building search indexes:', error.message);
+});
+
+/**
+ * Origins allowed to call the API from a browser
+ *
+ * Comma-separated in the CORS_ORIGINS environment variable; '*' allows
+ * any origin. Defaults to the Vite development server.
+ * @constant {Array<string>}
+ */
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || 'http://localhost:5173')
+  .split(',')
+  .map(origin => origin.trim().replace(/\/$/, ''))
+  .filter(Boolean);
+
+// Behind a reverse proxy, take the client's IP address (used to limit sign-ins) from X-Forwarded-For
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? parseInt(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+}
 
 // Middleware
-app.use(cors());
+app.use(cors({ origin: CORS_ORIGINS.includes('*') ? true : CORS_ORIGINS }));
+// Import files can be JSON larger than the JSON parser allows, so they are read by their own route first
+app.use('/api/import', authorize('admin'), importRoutes);
 app.use(express.json());
 
-// Routes
-app.use('/api/videos', videoRoutes);
+// Routes: reading videos and keeping a personal library requires the viewer role, changing
+// queries and saved searches the editor role (checked in their routes), and admin routes the admin role
+app.use('/api/auth', authRoutes);
+app.use('/api/videos', authorize('viewer'), videoRoutes);
+app.use('/api/queries', authenticate, queryRoutes);
+app.use('/api/channels', authorize('viewer'), channelRoutes);
+app.use('/api/saved-searches', authenticate, savedSearchRoutes);
+app.use('/api/collections', authorize('viewer'), collectionRoutes);
+app.use('/api/websub', websubRoutes);
+app.use('/api/ingest', authorize('admin'), ingestRoutes);
+app.use('/api/retention', authorize('admin'), retentionRoutes);
+app.use('/api/jobs', authorize('admin'), jobRoutes);
+app.use('/api/webhooks', authorize('admin'), webhookRoutes);
+app.use('/api/users', authorize('admin'), userRoutes);
 
 /**
  * Health check endpoint
@@ -41,35 +100,104 @@ app.get('/health', (req, res) => {
 });
 
 /**
- * Cron job configuration to fetch videos periodically
+ * Job to fetch videos periodically
+ *
+ * Fetches new videos for every active tracked query at the interval in
+ * milliseconds given by the FETCH_INTERVAL environment variable, and on
+ * server startup. Default interval is 10 seconds if not specified.
+ */
+defineJob('fetchVideos', {
+  intervalMs: parseInt(process.env.FETCH_INTERVAL) || 10000,
+  runAtStartup: true,
+  run: async (errors) => (await fetchAndSaveAllQueries(errors)).length,
+});
+
+/**
+ * Job to refresh statistics of recent videos
+ *
+ * Records a stats snapshot for every video still inside the snapshot
+ * window, on the schedule given by the STATS_REFRESH_CRON environment
+ * variable. Default is hourly.
+ */
+defineJob('refreshStats', {
+  cron: process.env.STATS_REFRESH_CRON || '0 * * * *',
+  run: refreshRecentVideoStats,
+});
+
+/**
+ * Job to maintain WebSub subscriptions
  *
- * Sets up a scheduled task to fetch new videos from YouTube API
- * at regular intervals defined by the FETCH_INTERVAL environment variable.
- * Default interval is 10 seconds if not specified.
+ * Subscribes new channel sources, renews leases before they expire and
+ * unsubscribes paused or deleted channels, on the schedule given by the
+ * WEBSUB_RENEW_CRON environment variable, and on server startup. Default
+ * is every 15 minutes. Does nothing unless WEBSUB_CALLBACK_BASE_URL is set.
  */
-const fetchIntervalSeconds = Math.floor(parseInt(process.env.FETCH_INTERVAL) / 1000) || 10;
-const cronExpression = `*/${fetchIntervalSeconds} * * * * *`; // Run every X seconds
-
-cron.schedule(cronExpression, async () => {
-  try {
-    await fetchAndSaveVideos();
-  } catch (error) {
-    console.error('Error in cron job:', error.message);
-  }
+defineJob('syncWebSub', {
+  cron: process.env.WEBSUB_RENEW_CRON || '*/15 * * * *',
+  runAtStartup: true,
+  run: async () => {
+    await syncSubscriptions();
+  },
+});
+
+/**
+ * Job to apply the retention rules
+ *
+ * Archives or deletes the videos expired by the retention rules, on the
+ * schedule given by the RETENTION_CRON environment variable. Default is
+ * daily at 03:30. Does nothing until a retention rule is created.
+ */
+defineJob('applyRetention', {
+  cron: process.env.RETENTION_CRON || '30 3 * * *',
+  run: async () => (await applyRetention())?.removed ?? 0,
+});
+
+/**
+ * Job to retry webhook deliveries
+ *
+ * Sends the webhook deliveries whose retry is due, every
+ * WEBHOOK_RETRY_POLL_MS milliseconds. Default is every 15 seconds.
+ */
+defineJob('retryWebhooks', {
+  intervalMs: parseInt(process.env.WEBHOOK_RETRY_POLL_MS) || 15000,
+  run: retryDueDeliveries,
+});
+
+/**
+ * Job to email saved search digests
+ *
+ * Sends the daily and weekly digests that are due, on the schedule given
+ * by the DIGEST_CRON environment variable. Default is daily at 07:00.
+ */
+defineJob('sendDigests', {
+  cron: process.env.DIGEST_CRON || '0 7 * * *',
+  run: sendDueDigests,
 });
 
 /**
  * Server initialization
  *
- * Starts the Express server on the specified port (default: 3000)
- * and performs an initial fetch of videos from YouTube API.
+ * Starts the Express server on the specified port (default: 3000), then
+ * creates the first admin user from ADMIN_EMAIL and ADMIN_PASSWORD on a
+ * database without users, restores persisted API key usage, seeds the default tracked query from
+ * SEARCH_QUERY on a fresh database, fingerprints videos stored before
+ * duplicate detection existed, and starts the job scheduler, which runs
+ * the initial video fetch.
  */
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
 
-  // Initial fetch of videos on server startup
-  fetchAndSaveVideos().catch(error => {
-    console.error('Error in initial video fetch:', error.message);
+  ensureAdminUser().catch(error => {
+    console.error('Error creating the admin user:', error.message);
   });
+
+  // Restore persisted quota usage, then start the scheduled jobs
+  keyManager.load()
+    .then(ensureDefaultQuery)
+    .then(backfillDuplicateClusters)
+    .then(startScheduler)
+    .catch(error => {
+      console.error('Error starting background jobs:', error.message);
+    });
 });
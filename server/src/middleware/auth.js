@@ -0,0 +1,162 @@
+/**
+ * Auth Middleware
+ *
+ * Authenticates requests with a JWT access token or an API token sent as
+ * `Authorization: Bearer <token>`, and checks the role of the user.
+ * GET requests to the video stream and export can pass the token as
+ * `access_token` instead, for clients that can't set headers: EventSource,
+ * download links and feed readers. In the query, an API token must be a
+ * feed token, so long-lived tokens that can do more don't end up in URLs
+ * and logs; feed tokens are only accepted by the RSS and Atom exports.
+ *
+ * @module middleware/auth
+ */
+
+const { AuthError, hasRole, authenticateToken } = require('../services/authService');
+
+/**
+ * Routes that accept the token as an `access_token` query parameter
+ * @constant {Array<string>}
+ */
+const QUERY_TOKEN_PATHS = ['/api/videos/stream', '/api/videos/export'];
+
+/**
+ * Export formats feed tokens are accepted for
+ * @constant {Array<string>}
+ */
+const FEED_FORMATS = ['rss', 'atom'];
+
+/**
+ * Get the path of a request, without its query string
+ *
+ * @param {Object} req - Express request object
+ * @returns {string} - Path
+ */
+const getRequestPath = (req) => req.originalUrl.split('?')[0].replace(/\/+$/, '');
+
+/**
+ * Read the token of a request
+ *
+ * @param {Object} req - Express request object
+ * @returns {Object|null} - `{ token, inQuery }`, or null if the request has none
+ */
+const getRequestToken = (req) => {
+  const header = req.get('Authorization');
+  if (header && header.startsWith('Bearer ')) {
+    return { token: header.slice('Bearer '.length).trim(), inQuery: false };
+  }
+  if (req.method === 'GET' && typeof req.query.access_token === 'string'
+    && QUERY_TOKEN_PATHS.includes(getRequestPath(req))) {
+    return { token: req.query.access_token, inQuery: true };
+  }
+  return null;
+};
+
+/**
+ * Check whether a request reads an RSS or Atom export
+ *
+ * @param {Object} req - Express request object
+ * @returns {boolean} - True for a GET of the export in a feed format
+ */
+const isFeedRequest = (req) => req.method === 'GET'
+  && getRequestPath(req) === '/api/videos/export'
+  && FEED_FORMATS.includes(req.query.format);
+
+/**
+ * Authenticate a request
+ *
+ * Sets `req.auth` to `{ user, method, tokenId, scope }` (see
+ * authService.authenticateToken), or answers 401, or 403 for a feed
+ * token used on another route.
+ *
+ * @async
+ * @function authenticate
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware
+ * @returns {Promise<void>}
+ */
+const authenticate = async (req, res, next) => {
+  const requestToken = getRequestToken(req);
+  if (!requestToken) {
+    return res.status(401).json({
+      success: false,
+      error: 'Authentication required',
+    });
+  }
+
+  try {
+    const auth = await authenticateToken(requestToken.token);
+
+    if (requestToken.inQuery && auth.method === 'apiToken' && auth.scope !== 'feed') {
+      return res.status(401).json({
+        success: false,
+        error: 'API tokens must be sent in the Authorization header',
+      });
+    }
+    if (auth.scope === 'feed' && !isFeedRequest(req)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Feed tokens can only read RSS and Atom exports',
+      });
+    }
+
+    req.auth = auth;
+    next();
+  } catch (error) {
+    if (error instanceof AuthError) {
+      return res.status(401).json({
+        success: false,
+        error: error.message,
+      });
+    }
+    console.error('Error authenticating request:', error.message);
+    return res.status(500).json({
+      success: false,
+      error: 'Server Error',
+    });
+  }
+};
+
+/**
+ * Require a role of the authenticated user
+ *
+ * Must run after authenticate; answers 403 when the user's role is below
+ * the required one.
+ *
+ * @function requireRole
+ * @param {string} role - Least privileged role allowed: 'viewer', 'editor' or 'admin'
+ * @returns {Function} - Express middleware
+ */
+const requireRole = (role) => (req, res, next) => {
+  if (!req.auth) {
+    return res.status(401).json({
+      success: false,
+      error: 'Authentication required',
+    });
+  }
+
+  if (!hasRole(req.auth.user.role, role)) {
+    return res.status(403).json({
+      success: false,
+      error: `Requires the ${role} role`,
+    });
+  }
+
+  next();
+};
+
+/**
+ * Authenticate a request and require a role
+ *
+ * @function authorize
+ * @param {string} role - Least privileged role allowed
+ * @returns {Array<Function>} - authenticate and requireRole middleware
+ */
+const authorize = (role) => [authenticate, requireRole(role)];
+
+module.exports = {
+  authenticate,
+  requireRole,
+  authorize,
+};
@@ -0,0 +1,63 @@
+/**
+ * API Key Usage Model
+ *
+ * Defines the schema for the persisted quota state of each YouTube API key,
+ * so that quota accounting survives restarts and redeploys. Keys are stored
+ * by fingerprint only; the raw key never reaches the database.
+ *
+ * @module models/ApiKeyUsage
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * API Key Usage Schema
+ *
+ * @typedef {Object} ApiKeyUsageSchema
+ * @property {string} keyFingerprint - SHA-256 fingerprint of the API key
+ * @property {string} quotaDay - Pacific calendar day (YYYY-MM-DD) the usage belongs to
+ * @property {number} unitsUsed - Quota units spent during the quota day
+ * @property {boolean} quotaExhausted - Whether YouTube reported the key's quota as exceeded
+ * @property {boolean} disabled - Whether the key was permanently disabled as invalid
+ * @property {Date} lastUsedAt - Date of the last call made with the key
+ * @property {Date} createdAt - Automatically added by timestamps
+ * @property {Date} updatedAt - Automatically added by timestamps
+ */
+const apiKeyUsageSchema = new mongoose.Schema({
+  keyFingerprint: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  quotaDay: {
+    type: String,
+    required: true,
+  },
+  unitsUsed: {
+    type: Number,
+    default: 0,
+  },
+  quotaExhausted: {
+    type: Boolean,
+    default: false,
+  },
+  disabled: {
+    type: Boolean,
+    default: false,
+  },
+  lastUsedAt: {
+    type: Date,
+  },
+}, {
+  timestamps: true,
+});
+
+/**
+ * API Key Usage model
+ *
+ * Mongoose model for the ApiKeyUsage collection based on the defined schema.
+ * @type {mongoose.Model}
+ */
+const ApiKeyUsage = mongoose.model('ApiKeyUsage', apiKeyUsageSchema);
+
+module.exports = ApiKeyUsage;
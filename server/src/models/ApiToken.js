@@ -0,0 +1,81 @@
+/**
+ * API Token Model
+ *
+ * Defines the schema for the long-lived tokens scripts use instead of
+ * signing in. A token acts as the user who created it, with that user's
+ * role or a lower one. Only a hash of the token is stored. Feed tokens
+ * are only accepted by the RSS and Atom exports, so they can be put in
+ * the URL a feed reader is subscribed to.
+ *
+ * @module models/ApiToken
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * API Token Schema
+ *
+ * @typedef {Object} ApiTokenSchema
+ * @property {string} name - Description of what the token is for
+ * @property {mongoose.Types.ObjectId} user - User the token acts as
+ * @property {string} role - Highest role the token grants: 'viewer', 'editor' or 'admin'
+ * @property {string} scope - 'api' for any route the role allows, 'feed' for the RSS and Atom exports only
+ * @property {string} tokenHash - SHA-256 hash of the token (not selected by default)
+ * @property {string} preview - Start of the token, to recognize it in listings
+ * @property {Date} lastUsedAt - Date the token was last used (updated at most once a minute)
+ * @property {Date} expiresAt - Date the token expires and is deleted; none for tokens that don't expire
+ * @property {Date} createdAt - Automatically added by timestamps
+ * @property {Date} updatedAt - Automatically added by timestamps
+ */
+const apiTokenSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true,
+  },
+  role: {
+    type: String,
+    enum: ['viewer', 'editor', 'admin'],
+    required: true,
+  },
+  scope: {
+    type: String,
+    enum: ['api', 'feed'],
+    default: 'api',
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false,
+  },
+  preview: {
+    type: String,
+  },
+  lastUsedAt: {
+    type: Date,
+  },
+  expiresAt: {
+    type: Date,
+    // Expired tokens are removed by MongoDB
+    expires: 0,
+  },
+}, {
+  timestamps: true,
+});
+
+/**
+ * API Token model
+ *
+ * Mongoose model for the ApiToken collection based on the defined schema.
+ * @type {mongoose.Model}
+ */
+const ApiToken = mongoose.model('ApiToken', apiTokenSchema);
+
+module.exports = ApiToken;
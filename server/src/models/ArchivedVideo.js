@@ -0,0 +1,44 @@
+/**
+ * Archived Video Model
+ *
+ * Defines the schema for videos moved out of the videos collection by
+ * the retention job. Archived videos keep every field of the Video
+ * schema, so searches can include them, plus when and why they were
+ * archived.
+ *
+ * @module models/ArchivedVideo
+ */
+
+const mongoose = require('mongoose');
+const Video = require('./Video');
+
+/**
+ * Archived Video Schema
+ *
+ * @typedef {Object} ArchivedVideoSchema
+ * @property {Date} archivedAt - Date the video was archived
+ * @property {string} archiveReason - Retention rule type that expired the video: 'maxAgeDays' or 'maxVideosPerQuery'
+ * The other fields are those of VideoSchema, including its timestamps.
+ */
+const archivedVideoSchema = Video.schema.clone();
+
+archivedVideoSchema.add({
+  archivedAt: {
+    type: Date,
+    index: true,
+  },
+  archiveReason: {
+    type: String,
+    enum: ['maxAgeDays', 'maxVideosPerQuery'],
+  },
+});
+
+/**
+ * Archived Video model
+ *
+ * Mongoose model for the ArchivedVideo collection based on the defined schema.
+ * @type {mongoose.Model}
+ */
+const ArchivedVideo = mongoose.model('ArchivedVideo', archivedVideoSchema);
+
+module.exports = ArchivedVideo;
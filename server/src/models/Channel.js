@@ -0,0 +1,127 @@
+/**
+ * Channel Model
+ *
+ * Defines the schema for YouTube channels. Channel details come from
+ * channels.list, while the `stats` sub-document is aggregated from the
+ * videos stored in our own database.
+ *
+ * @module models/Channel
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Channel Schema
+ *
+ * @typedef {Object} ChannelSchema
+ * @property {string} channelId - Unique YouTube channel identifier
+ * @property {string} title - Channel name
+ * @property {string} description - Channel description
+ * @property {string} customUrl - Channel handle, e.g. '@example'
+ * @property {string} country - Country the channel is associated with
+ * @property {Object} thumbnails - Channel avatar in different sizes
+ * @property {number} subscriberCount - Subscriber count (rounded by YouTube)
+ * @property {boolean} hiddenSubscriberCount - Whether the subscriber count is hidden
+ * @property {number} videoCount - Number of public videos on YouTube
+ * @property {number} viewCount - Total channel views on YouTube
+ * @property {string} uploadsPlaylistId - Playlist holding all uploads of the channel
+ * @property {Date} publishedAt - Date the channel was created
+ * @property {Date} fetchedAt - Date the details were last fetched from YouTube
+ * @property {Object} stats - Statistics aggregated from stored videos
+ * @property {number} stats.uploadCount - Number of stored videos from the channel
+ * @property {Date} stats.firstUploadAt - Publish date of the oldest stored video
+ * @property {Date} stats.lastUploadAt - Publish date of the newest stored video
+ * @property {number} stats.avgUploadsPerWeek - Average stored uploads per week
+ * @property {number} stats.totalViews - Sum of the views of stored videos
+ * @property {Date} stats.updatedAt - Date the statistics were last aggregated
+ * @property {Date} createdAt - Automatically added by timestamps
+ * @property {Date} updatedAt - Automatically added by timestamps
+ */
+const channelSchema = new mongoose.Schema({
+  channelId: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  title: {
+    type: String,
+    index: true,
+  },
+  description: {
+    type: String,
+  },
+  customUrl: {
+    type: String,
+  },
+  country: {
+    type: String,
+  },
+  thumbnails: {
+    default: {
+      url: String,
+      width: Number,
+      height: Number,
+    },
+    medium: {
+      url: String,
+      width: Number,
+      height: Number,
+    },
+    high: {
+      url: String,
+      width: Number,
+      height: Number,
+    },
+  },
+  subscriberCount: {
+    type: Number,
+    index: true,
+  },
+  hiddenSubscriberCount: {
+    type: Boolean,
+  },
+  videoCount: {
+    type: Number,
+  },
+  viewCount: {
+    type: Number,
+  },
+  uploadsPlaylistId: {
+    type: String,
+  },
+  publishedAt: {
+    type: Date,
+  },
+  fetchedAt: {
+    type: Date,
+  },
+  stats: {
+    uploadCount: {
+      type: Number,
+      default: 0,
+    },
+    firstUploadAt: Date,
+    lastUploadAt: Date,
+    avgUploadsPerWeek: {
+      type: Number,
+      default: 0,
+    },
+    totalViews: {
+      type: Number,
+      default: 0,
+    },
+    updatedAt: Date,
+  },
+}, {
+  timestamps: true,
+});
+
+/**
+ * Channel model
+ *
+ * Mongoose model for the Channel collection based on the defined schema.
+ * @type {mongoose.Model}
+ */
+const Channel = mongoose.model('Channel', channelSchema);
+
+module.exports = Channel;
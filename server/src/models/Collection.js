@@ -0,0 +1,71 @@
+/**
+ * Collection Model
+ *
+ * Defines the schema for a user's named collections of videos, with a
+ * note on each video. Videos in any collection can be kept by the
+ * retention job (see models/RetentionRule).
+ *
+ * @module models/Collection
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Collection Schema
+ *
+ * @typedef {Object} CollectionSchema
+ * @property {string} name - Collection name, unique for its owner
+ * @property {mongoose.Types.ObjectId} owner - User the collection belongs to
+ * @property {string} description - Optional description
+ * @property {Array<Object>} videos - Videos in the collection
+ * @property {string} videos.videoId - YouTube video identifier
+ * @property {string} videos.note - Optional note on the video
+ * @property {Date} videos.addedAt - Date the video was added
+ * @property {Date} createdAt - Automatically added by timestamps
+ * @property {Date} updatedAt - Automatically added by timestamps
+ */
+const collectionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  description: {
+    type: String,
+    trim: true,
+  },
+  videos: [{
+    _id: false,
+    videoId: {
+      type: String,
+      required: true,
+    },
+    note: {
+      type: String,
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  }],
+}, {
+  timestamps: true,
+});
+
+collectionSchema.index({ owner: 1, name: 1 }, { unique: true });
+collectionSchema.index({ 'videos.videoId': 1 });
+
+/**
+ * Collection model
+ *
+ * Mongoose model for the Collection collection based on the defined schema.
+ * @type {mongoose.Model}
+ */
+const Collection = mongoose.model('Collection', collectionSchema);
+
+module.exports = Collection;
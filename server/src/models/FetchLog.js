@@ -0,0 +1,84 @@
+/**
+ * Fetch Log Model
+ *
+ * Defines the schema for the log of YouTube API calls. Every attempt,
+ * successful or not, is recorded with its outcome so quota problems and
+ * flaky upstream behaviour can be diagnosed after the fact. Entries
+ * expire automatically after FETCH_LOG_TTL_DAYS days.
+ *
+ * @module models/FetchLog
+ */
+
+const mongoose = require('mongoose');
+
+const FETCH_LOG_TTL_DAYS = parseInt(process.env.FETCH_LOG_TTL_DAYS) || 30;
+
+/**
+ * Fetch Log Schema
+ *
+ * @typedef {Object} FetchLogSchema
+ * @property {string} operation - YouTube API operation, e.g. 'search.list'
+ * @property {string} outcome - Result of the attempt (success, retry, quotaExceeded, keyInvalid, forbidden, rateLimited, error)
+ * @property {number} attempt - Attempt number within the call, starting at 1
+ * @property {number} status - HTTP status of the response, if any
+ * @property {Array<string>} reasons - Error reasons reported by the API
+ * @property {string} message - Error message, if any
+ * @property {string} keyFingerprint - Fingerprint of the API key used
+ * @property {string} query - Search query or other context of the call
+ * @property {number} itemCount - Number of items returned on success
+ * @property {number} durationMs - Duration of the attempt in milliseconds
+ * @property {Date} createdAt - Automatically added by timestamps
+ * @property {Date} updatedAt - Automatically added by timestamps
+ */
+const fetchLogSchema = new mongoose.Schema({
+  operation: {
+    type: String,
+    required: true,
+  },
+  outcome: {
+    type: String,
+    required: true,
+    enum: ['success', 'retry', 'quotaExceeded', 'keyInvalid', 'forbidden', 'rateLimited', 'error'],
+    index: true,
+  },
+  attempt: {
+    type: Number,
+    default: 1,
+  },
+  status: {
+    type: Number,
+  },
+  reasons: [String],
+  message: {
+    type: String,
+  },
+  keyFingerprint: {
+    type: String,
+  },
+  query: {
+    type: String,
+  },
+  itemCount: {
+    type: Number,
+  },
+  durationMs: {
+    type: Number,
+  },
+}, {
+  timestamps: true,
+});
+
+/**
+ * Expire old log entries
+ */
+fetchLogSchema.index({ createdAt: 1 }, { expireAfterSeconds: FETCH_LOG_TTL_DAYS * 24 * 60 * 60 });
+
+/**
+ * Fetch Log model
+ *
+ * Mongoose model for the FetchLog collection based on the defined schema.
+ * @type {mongoose.Model}
+ */
+const FetchLog = mongoose.model('FetchLog', fetchLogSchema);
+
+module.exports = FetchLog;
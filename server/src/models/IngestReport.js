@@ -0,0 +1,86 @@
+/**
+ * Ingest Report Model
+ *
+ * Defines the schema for the report written after each ingest run that
+ * received videos: how many were received, saved, and rejected by ingest
+ * rules. Reports are deleted INGEST_REPORT_RETENTION_DAYS days after they
+ * were created.
+ *
+ * @module models/IngestReport
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+/**
+ * Number of days reports are kept
+ * @constant {number}
+ */
+const INGEST_REPORT_RETENTION_DAYS = parseInt(process.env.INGEST_REPORT_RETENTION_DAYS) || 30;
+
+/**
+ * Ingest Report Schema
+ *
+ * @typedef {Object} IngestReportSchema
+ * @property {string} source - Description of what was ingested, e.g. 'query: music'
+ * @property {mongoose.Types.ObjectId} trackedQuery - Tracked query of the run, if any
+ * @property {number} received - Number of videos received from the source
+ * @property {number} saved - Number of videos saved
+ * @property {number} duplicates - Number of new videos found to be near-duplicates of stored videos
+ * @property {Object} rejected - Number of rejected videos per reason
+ * @property {number} rejected.blockedChannel - Rejected because the channel is blocked
+ * @property {number} rejected.notAllowed - Rejected because only allowed channels are accepted
+ * @property {number} rejected.deniedTitle - Rejected because the title matched a deny-pattern
+ * @property {Date} createdAt - Automatically added by timestamps
+ * @property {Date} updatedAt - Automatically added by timestamps
+ */
+const ingestReportSchema = new mongoose.Schema({
+  source: {
+    type: String,
+  },
+  trackedQuery: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TrackedQuery',
+  },
+  received: {
+    type: Number,
+    default: 0,
+  },
+  saved: {
+    type: Number,
+    default: 0,
+  },
+  duplicates: {
+    type: Number,
+    default: 0,
+  },
+  rejected: {
+    blockedChannel: {
+      type: Number,
+      default: 0,
+    },
+    notAllowed: {
+      type: Number,
+      default: 0,
+    },
+    deniedTitle: {
+      type: Number,
+      default: 0,
+    },
+  },
+}, {
+  timestamps: true,
+});
+
+ingestReportSchema.index({ createdAt: -1 });
+ingestReportSchema.index({ createdAt: 1 }, { expireAfterSeconds: INGEST_REPORT_RETENTION_DAYS * 24 * 60 * 60 });
+
+/**
+ * Ingest Report model
+ *
+ * Mongoose model for the IngestReport collection based on the defined schema.
+ * @type {mongoose.Model}
+ */
+const IngestReport = mongoose.model('IngestReport', ingestReportSchema);
+
+module.exports = IngestReport;
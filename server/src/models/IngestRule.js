@@ -0,0 +1,53 @@
+/**
+ * Ingest Rule Model
+ *
+ * Defines the schema for the rules applied to videos before they are
+ * saved: blocked channels, allowed channels, and title deny-patterns.
+ *
+ * @module models/IngestRule
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Ingest Rule Schema
+ *
+ * @typedef {Object} IngestRuleSchema
+ * @property {string} type - 'blockChannel', 'allowChannel' or 'denyTitlePattern'
+ * @property {string} value - Channel id, or a case-insensitive regular expression for titles
+ * @property {string} note - Optional reason for the rule
+ * @property {Date} createdAt - Automatically added by timestamps
+ * @property {Date} updatedAt - Automatically added by timestamps
+ */
+const ingestRuleSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true,
+    enum: ['blockChannel', 'allowChannel', 'denyTitlePattern'],
+  },
+  value: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  note: {
+    type: String,
+  },
+}, {
+  timestamps: true,
+});
+
+/**
+ * A value can only appear once per rule type
+ */
+ingestRuleSchema.index({ type: 1, value: 1 }, { unique: true });
+
+/**
+ * Ingest Rule model
+ *
+ * Mongoose model for the IngestRule collection based on the defined schema.
+ * @type {mongoose.Model}
+ */
+const IngestRule = mongoose.model('IngestRule', ingestRuleSchema);
+
+module.exports = IngestRule;
@@ -0,0 +1,67 @@
+/**
+ * Job Model
+ *
+ * Defines the schema for the state of a scheduled background job, shared
+ * by every server instance: when it runs next and which instance holds
+ * its lock. Jobs themselves are defined in code (see services/jobScheduler).
+ *
+ * @module models/Job
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Job Schema
+ *
+ * @typedef {Object} JobSchema
+ * @property {string} name - Unique job name
+ * @property {string} schedule - Schedule of the job, as a cron expression or 'every <n>s'
+ * @property {Date} nextRunAt - Date the job is due next
+ * @property {string} lockedBy - Id of the instance running the job, null when idle
+ * @property {Date} lockedUntil - Date the lock expires unless the running instance renews it
+ * @property {Date} lastRunAt - Start date of the last run
+ * @property {string} lastStatus - Status of the last run: 'succeeded' or 'failed'
+ * @property {Date} createdAt - Automatically added by timestamps
+ * @property {Date} updatedAt - Automatically added by timestamps
+ */
+const jobSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  schedule: {
+    type: String,
+  },
+  nextRunAt: {
+    type: Date,
+    index: true,
+  },
+  lockedBy: {
+    type: String,
+    default: null,
+  },
+  lockedUntil: {
+    type: Date,
+    default: null,
+  },
+  lastRunAt: {
+    type: Date,
+  },
+  lastStatus: {
+    type: String,
+    enum: ['succeeded', 'failed'],
+  },
+}, {
+  timestamps: true,
+});
+
+/**
+ * Job model
+ *
+ * Mongoose model for the Job collection based on the defined schema.
+ * @type {mongoose.Model}
+ */
+const Job = mongoose.model('Job', jobSchema);
+
+module.exports = Job;
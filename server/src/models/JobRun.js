@@ -0,0 +1,79 @@
+/**
+ * Job Run Model
+ *
+ * Defines the schema for the history of background job runs: when each
+ * run started, how long it took, how many items it processed and the
+ * errors it met. Runs are deleted JOB_RUN_RETENTION_DAYS days after they
+ * started.
+ *
+ * @module models/JobRun
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+/**
+ * Number of days job runs are kept
+ * @constant {number}
+ */
+const JOB_RUN_RETENTION_DAYS = parseInt(process.env.JOB_RUN_RETENTION_DAYS) || 7;
+
+/**
+ * Job Run Schema
+ *
+ * @typedef {Object} JobRunSchema
+ * @property {string} job - Name of the job
+ * @property {string} trigger - What started the run: 'schedule' or 'manual'
+ * @property {string} status - 'running', 'succeeded' or 'failed'
+ * @property {string} instance - Id of the server instance that ran the job
+ * @property {Date} startedAt - Date the run started
+ * @property {Date} finishedAt - Date the run finished
+ * @property {number} durationMs - Duration of the run in milliseconds
+ * @property {number} items - Number of items the run processed, e.g. videos fetched
+ * @property {Array<string>} errorMessages - Errors met during the run; a failed run ends with the error that stopped it
+ */
+const jobRunSchema = new mongoose.Schema({
+  job: {
+    type: String,
+    required: true,
+  },
+  trigger: {
+    type: String,
+    enum: ['schedule', 'manual'],
+  },
+  status: {
+    type: String,
+    enum: ['running', 'succeeded', 'failed'],
+    default: 'running',
+  },
+  instance: {
+    type: String,
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now,
+    expires: JOB_RUN_RETENTION_DAYS * 24 * 60 * 60,
+  },
+  finishedAt: {
+    type: Date,
+  },
+  durationMs: {
+    type: Number,
+  },
+  items: {
+    type: Number,
+  },
+  errorMessages: [String],
+});
+
+jobRunSchema.index({ job: 1, startedAt: -1 });
+
+/**
+ * Job Run model
+ *
+ * Mongoose model for the JobRun collection based on the defined schema.
+ * @type {mongoose.Model}
+ */
+const JobRun = mongoose.model('JobRun', jobRunSchema);
+
+module.exports = JobRun;
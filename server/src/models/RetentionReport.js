@@ -0,0 +1,69 @@
+/**
+ * Retention Report Model
+ *
+ * Defines the schema for the report written after each retention run:
+ * how many videos were removed, why, and which ones.
+ *
+ * @module models/RetentionReport
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Retention Report Schema
+ *
+ * @typedef {Object} RetentionReportSchema
+ * @property {string} trigger - What started the run: 'schedule' or 'manual'
+ * @property {string} mode - 'archive' (moved to the archive) or 'delete'
+ * @property {number} removed - Number of videos removed
+ * @property {Object} expired - Number of removed videos per rule type
+ * @property {number} expired.maxAgeDays - Removed because they were older than the maximum age
+ * @property {number} expired.maxVideosPerQuery - Removed because their queries had more videos than the maximum
+ * @property {number} keptInCollections - Number of expired videos kept because they are in a collection
+ * @property {Array<string>} videoIds - Ids of the removed videos (the first RETENTION_REPORT_ID_LIMIT)
+ * @property {Date} createdAt - Automatically added by timestamps
+ * @property {Date} updatedAt - Automatically added by timestamps
+ */
+const retentionReportSchema = new mongoose.Schema({
+  trigger: {
+    type: String,
+    enum: ['schedule', 'manual'],
+  },
+  mode: {
+    type: String,
+    enum: ['archive', 'delete'],
+  },
+  removed: {
+    type: Number,
+    default: 0,
+  },
+  expired: {
+    maxAgeDays: {
+      type: Number,
+      default: 0,
+    },
+    maxVideosPerQuery: {
+      type: Number,
+      default: 0,
+    },
+  },
+  keptInCollections: {
+    type: Number,
+    default: 0,
+  },
+  videoIds: [String],
+}, {
+  timestamps: true,
+});
+
+retentionReportSchema.index({ createdAt: -1 });
+
+/**
+ * Retention Report model
+ *
+ * Mongoose model for the RetentionReport collection based on the defined schema.
+ * @type {mongoose.Model}
+ */
+const RetentionReport = mongoose.model('RetentionReport', retentionReportSchema);
+
+module.exports = RetentionReport;
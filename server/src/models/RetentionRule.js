@@ -0,0 +1,60 @@
+/**
+ * Retention Rule Model
+ *
+ * Defines the schema for the rules the retention job applies to stored
+ * videos: a maximum age, a maximum number of videos per tracked query,
+ * and keeping videos that are in a collection.
+ *
+ * @module models/RetentionRule
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Retention Rule Schema
+ *
+ * @typedef {Object} RetentionRuleSchema
+ * @property {string} type - 'maxAgeDays', 'maxVideosPerQuery' or 'keepCollected'
+ * @property {number} value - Number of days or videos (not used by keepCollected)
+ * @property {mongoose.Types.ObjectId} trackedQuery - Tracked query the rule is limited to;
+ *   without one, the rule applies to all videos (maxAgeDays) or to every query (maxVideosPerQuery)
+ * @property {string} note - Optional reason for the rule
+ * @property {Date} createdAt - Automatically added by timestamps
+ * @property {Date} updatedAt - Automatically added by timestamps
+ */
+const retentionRuleSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true,
+    enum: ['maxAgeDays', 'maxVideosPerQuery', 'keepCollected'],
+  },
+  value: {
+    type: Number,
+    min: 1,
+  },
+  trackedQuery: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TrackedQuery',
+    default: null,
+  },
+  note: {
+    type: String,
+  },
+}, {
+  timestamps: true,
+});
+
+/**
+ * A rule type can only be set once per tracked query, and once for all videos
+ */
+retentionRuleSchema.index({ type: 1, trackedQuery: 1 }, { unique: true });
+
+/**
+ * Retention Rule model
+ *
+ * Mongoose model for the RetentionRule collection based on the defined schema.
+ * @type {mongoose.Model}
+ */
+const RetentionRule = mongoose.model('RetentionRule', retentionRuleSchema);
+
+module.exports = RetentionRule;
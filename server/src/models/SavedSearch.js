@@ -0,0 +1,74 @@
+/**
+ * Saved Search Model
+ *
+ * Defines the schema for saved searches: a name for a combination of the
+ * video listing's filter and sort parameters, when the search was last
+ * viewed, and its digest settings.
+ *
+ * @module models/SavedSearch
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Saved Search Schema
+ *
+ * @typedef {Object} SavedSearchSchema
+ * @property {string} name - Unique name of the search
+ * @property {Object} params - Filter and sort parameters of GET /api/videos, as strings
+ * @property {Date} lastViewedAt - When the search was last viewed; later videos count as new
+ * @property {Object} digest - Digest settings
+ * @property {string} digest.frequency - 'daily' or 'weekly', or null for no digest
+ * @property {Array<string>} digest.recipients - Email addresses the digest is sent to
+ * @property {Date} digest.lastSentAt - When the last digest was sent
+ * @property {Date} createdAt - Automatically added by timestamps
+ * @property {Date} updatedAt - Automatically added by timestamps
+ */
+const savedSearchSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+  },
+  params: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+  },
+  lastViewedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  digest: {
+    frequency: {
+      type: String,
+      enum: ['daily', 'weekly'],
+      default: null,
+    },
+    recipients: {
+      type: [String],
+      default: [],
+    },
+    lastSentAt: {
+      type: Date,
+    },
+  },
+}, {
+  timestamps: true,
+  minimize: false,
+});
+
+/**
+ * Index for finding the searches with a digest to send
+ */
+savedSearchSchema.index({ 'digest.frequency': 1 });
+
+/**
+ * Saved Search model
+ *
+ * Mongoose model for the SavedSearch collection based on the defined schema.
+ * @type {mongoose.Model}
+ */
+const SavedSearch = mongoose.model('SavedSearch', savedSearchSchema);
+
+module.exports = SavedSearch;
@@ -0,0 +1,78 @@
+/**
+ * Tracked Query Model
+ *
+ * Defines the schema for the sources the background job polls. A source
+ * is either a keyword search (search.list) or a channel subscription,
+ * which polls the channel's uploads playlist (playlistItems.list).
+ * Each active source is fetched on every cron tick, and saved videos
+ * keep a reference to the sources that found them.
+ *
+ * @module models/TrackedQuery
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Tracked Query Schema
+ *
+ * @typedef {Object} TrackedQuerySchema
+ * @property {string} type - Source type: 'search' or 'channel'
+ * @property {string} query - Search term sent to the YouTube API; 'channel:<channelId>' for channel sources
+ * @property {string} channelId - Subscribed channel id (channel sources only)
+ * @property {string} channelTitle - Subscribed channel name (channel sources only)
+ * @property {string} uploadsPlaylistId - Uploads playlist polled for new videos (channel sources only)
+ * @property {boolean} active - Whether the query is polled (false when paused)
+ * @property {Date} watermark - Publish date of the newest video seen; later runs only ask for newer videos
+ * @property {Date} lastFetchedAt - Date of the last successful fetch
+ * @property {string} lastError - Message of the last failed fetch, if any
+ * @property {Date} createdAt - Automatically added by timestamps
+ * @property {Date} updatedAt - Automatically added by timestamps
+ */
+const trackedQuerySchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['search', 'channel'],
+    default: 'search',
+  },
+  query: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+  },
+  channelId: {
+    type: String,
+  },
+  channelTitle: {
+    type: String,
+  },
+  uploadsPlaylistId: {
+    type: String,
+  },
+  active: {
+    type: Boolean,
+    default: true,
+    index: true,
+  },
+  watermark: {
+    type: Date,
+  },
+  lastFetchedAt: {
+    type: Date,
+  },
+  lastError: {
+    type: String,
+  },
+}, {
+  timestamps: true,
+});
+
+/**
+ * Tracked Query model
+ *
+ * Mongoose model for the TrackedQuery collection based on the defined schema.
+ * @type {mongoose.Model}
+ */
+const TrackedQuery = mongoose.model('TrackedQuery', trackedQuerySchema);
+
+module.exports = TrackedQuery;
@@ -0,0 +1,72 @@
+/**
+ * User Model
+ *
+ * Defines the schema for the accounts that sign in to the API. Each user
+ * has one role: viewers can read videos, editors can also manage tracked
+ * queries and saved searches, and admins can use every route.
+ *
+ * @module models/User
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * User Schema
+ *
+ * @typedef {Object} UserSchema
+ * @property {string} email - Unique sign-in email, stored in lowercase
+ * @property {string} name - Optional display name
+ * @property {string} passwordHash - scrypt hash of the password (not selected by default)
+ * @property {string} role - 'viewer', 'editor' or 'admin'
+ * @property {boolean} active - Whether the user can sign in (false when disabled)
+ * @property {number} tokenVersion - Incremented to revoke the user's issued JWTs, e.g. on sign-out
+ * @property {Date} lastLoginAt - Date of the last successful sign-in
+ * @property {Date} createdAt - Automatically added by timestamps
+ * @property {Date} updatedAt - Automatically added by timestamps
+ */
+const userSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+  },
+  name: {
+    type: String,
+    trim: true,
+  },
+  passwordHash: {
+    type: String,
+    required: true,
+    select: false,
+  },
+  role: {
+    type: String,
+    enum: ['viewer', 'editor', 'admin'],
+    default: 'viewer',
+  },
+  active: {
+    type: Boolean,
+    default: true,
+  },
+  tokenVersion: {
+    type: Number,
+    default: 0,
+  },
+  lastLoginAt: {
+    type: Date,
+  },
+}, {
+  timestamps: true,
+});
+
+/**
+ * User model
+ *
+ * Mongoose model for the User collection based on the defined schema.
+ * @type {mongoose.Model}
+ */
+const User = mongoose.model('User', userSchema);
+
+module.exports = User;
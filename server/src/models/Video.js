@@ -21,6 +21,19 @@ const mongoose = require('mongoose');
  * @property {Object} thumbnails - Object containing thumbnail images in different sizes
  * @property {string} channelTitle - Name of the YouTube channel
  * @property {string} channelId - YouTube channel identifier
+ * @property {Array<mongoose.Types.ObjectId>} queries - Tracked queries (sources) that found this video
+ * @property {Array<string>} sourceTypes - Types of the sources that found this video ('search', 'channel')
+ * @property {number} viewCount - Number of views, from videos.list statistics
+ * @property {number} likeCount - Number of likes, from videos.list statistics
+ * @property {number} commentCount - Number of comments, from videos.list statistics
+ * @property {number} durationSeconds - Video length in seconds, parsed from contentDetails.duration
+ * @property {Array<string>} tags - Tags set by the uploader
+ * @property {string} categoryId - YouTube video category identifier
+ * @property {string} liveBroadcastContent - 'none', 'upcoming' or 'live'
+ * @property {Date} statsUpdatedAt - Date the statistics were last refreshed
+ * @property {string} fingerprint - SimHash of the title and description, null if they are too short
+ * @property {Array<string>} fingerprintBands - Bands of the fingerprint, to look up near-duplicates
+ * @property {string} duplicateClusterId - Cluster of near-duplicates (re-uploads) the video belongs to
  * @property {Date} createdAt - Automatically added by timestamps
  * @property {Date} updatedAt - Automatically added by timestamps
  */
@@ -67,6 +80,52 @@ const videoSchema = new mongoose.Schema({
   channelId: {
     type: String,
   },
+  queries: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TrackedQuery',
+    index: true,
+  }],
+  sourceTypes: [{
+    type: String,
+    enum: ['search', 'channel'],
+  }],
+  viewCount: {
+    type: Number,
+    index: true,
+  },
+  likeCount: {
+    type: Number,
+    index: true,
+  },
+  commentCount: {
+    type: Number,
+  },
+  durationSeconds: {
+    type: Number,
+    index: true,
+  },
+  tags: [String],
+  categoryId: {
+    type: String,
+  },
+  liveBroadcastContent: {
+    type: String,
+    enum: ['none', 'upcoming', 'live'],
+  },
+  statsUpdatedAt: {
+    type: Date,
+  },
+  fingerprint: {
+    type: String,
+  },
+  fingerprintBands: {
+    type: [String],
+    index: true,
+  },
+  duplicateClusterId: {
+    type: String,
+    index: true,
+  },
 }, {
   timestamps: true,
 });
@@ -79,6 +138,15 @@ const videoSchema = new mongoose.Schema({
  */
 videoSchema.index({ title: 'text', description: 'text' });
 
+/**
+ * Create compound indexes for cursor pagination
+ *
+ * Cursor pages are selected and sorted on (sort field, _id); these cover
+ * the default sort and the most common statistics sort.
+ */
+videoSchema.index({ publishedAt: -1, _id: -1 });
+videoSchema.index({ viewCount: -1, _id: -1 });
+
 /**
  * Video model
  *
@@ -0,0 +1,66 @@
+/**
+ * Video State Model
+ *
+ * Defines the schema for a user's personal state of a video: whether
+ * they have watched it and whether they starred it. Videos without a
+ * state are unwatched and not starred.
+ *
+ * @module models/VideoState
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Video State Schema
+ *
+ * @typedef {Object} VideoStateSchema
+ * @property {mongoose.Types.ObjectId} user - User the state belongs to
+ * @property {string} videoId - YouTube video identifier
+ * @property {boolean} watched - Whether the user has watched the video
+ * @property {Date} watchedAt - Date the video was marked as watched
+ * @property {boolean} starred - Whether the user starred the video
+ * @property {Date} starredAt - Date the video was starred
+ * @property {Date} createdAt - Automatically added by timestamps
+ * @property {Date} updatedAt - Automatically added by timestamps
+ */
+const videoStateSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  videoId: {
+    type: String,
+    required: true,
+  },
+  watched: {
+    type: Boolean,
+    default: false,
+  },
+  watchedAt: {
+    type: Date,
+  },
+  starred: {
+    type: Boolean,
+    default: false,
+  },
+  starredAt: {
+    type: Date,
+  },
+}, {
+  timestamps: true,
+});
+
+videoStateSchema.index({ user: 1, videoId: 1 }, { unique: true });
+videoStateSchema.index({ user: 1, watched: 1 });
+videoStateSchema.index({ user: 1, starred: 1 });
+
+/**
+ * Video State model
+ *
+ * Mongoose model for the VideoState collection based on the defined schema.
+ * @type {mongoose.Model}
+ */
+const VideoState = mongoose.model('VideoState', videoStateSchema);
+
+module.exports = VideoState;
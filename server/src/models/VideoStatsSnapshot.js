@@ -0,0 +1,85 @@
+/**
+ * Video Stats Snapshot Model
+ *
+ * Defines the schema for point-in-time statistics of a video. A snapshot
+ * is recorded on every statistics refresh during the first days after a
+ * video is published, which lets the trending endpoint measure how fast
+ * a video is growing rather than only its total. Snapshots are deleted
+ * SNAPSHOT_RETENTION_DAYS days after they were captured, the longest
+ * window trending can be measured over.
+ *
+ * @module models/VideoStatsSnapshot
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+/**
+ * Number of days snapshots are kept
+ * @constant {number}
+ */
+const SNAPSHOT_RETENTION_DAYS = parseInt(process.env.SNAPSHOT_RETENTION_DAYS) || 7;
+
+/**
+ * Video Stats Snapshot Schema
+ *
+ * @typedef {Object} VideoStatsSnapshotSchema
+ * @property {string} videoId - YouTube video identifier
+ * @property {number} viewCount - Number of views at capture time
+ * @property {number} likeCount - Number of likes at capture time
+ * @property {number} commentCount - Number of comments at capture time
+ * @property {Date} capturedAt - Date the statistics were captured
+ * @property {Date} expiresAt - Date the snapshot is deleted, SNAPSHOT_RETENTION_DAYS after capture
+ */
+const videoStatsSnapshotSchema = new mongoose.Schema({
+  videoId: {
+    type: String,
+    required: true,
+  },
+  viewCount: {
+    type: Number,
+    default: 0,
+  },
+  likeCount: {
+    type: Number,
+    default: 0,
+  },
+  commentCount: {
+    type: Number,
+    default: 0,
+  },
+  capturedAt: {
+    type: Date,
+    required: true,
+    default: Date.now,
+    index: true,
+  },
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + SNAPSHOT_RETENTION_DAYS * 24 * 60 * 60 * 1000),
+    // Expired snapshots are removed by MongoDB
+    expires: 0,
+  },
+});
+
+/**
+ * Index for reading the time series of a single video
+ */
+videoStatsSnapshotSchema.index({ videoId: 1, capturedAt: 1 });
+
+/**
+ * Get how long snapshots are kept, which bounds the trending window
+ *
+ * @returns {number} - Retention in milliseconds
+ */
+videoStatsSnapshotSchema.static('retentionMs', () => SNAPSHOT_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+
+/**
+ * Video Stats Snapshot model
+ *
+ * Mongoose model for the VideoStatsSnapshot collection based on the defined schema.
+ * @type {mongoose.Model}
+ */
+const VideoStatsSnapshot = mongoose.model('VideoStatsSnapshot', videoStatsSnapshotSchema);
+
+module.exports = VideoStatsSnapshot;
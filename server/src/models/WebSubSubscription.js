@@ -0,0 +1,85 @@
+/**
+ * WebSub Subscription Model
+ *
+ * Defines the schema for WebSub (PubSubHubbub) subscriptions to the
+ * upload feeds of channels. The hub pushes a notification to our
+ * callback whenever a subscribed channel publishes a video.
+ *
+ * @module models/WebSubSubscription
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * WebSub Subscription Schema
+ *
+ * @typedef {Object} WebSubSubscriptionSchema
+ * @property {string} channelId - Subscribed YouTube channel id
+ * @property {string} topic - Feed URL of the channel's uploads
+ * @property {string} hubUrl - Hub the subscription was requested from
+ * @property {string} callbackUrl - Callback URL the hub delivers to
+ * @property {string} secret - Secret the hub signs notifications with
+ * @property {string} status - 'pending', 'active', 'unsubscribing', 'unsubscribed' or 'failed'
+ * @property {number} leaseSeconds - Lease granted by the hub
+ * @property {Date} expiresAt - Date the lease expires
+ * @property {Date} requestedAt - Date the last (re)subscription was requested
+ * @property {Date} lastNotificationAt - Date of the last verified notification
+ * @property {string} lastError - Message of the last failed request, if any
+ * @property {Date} createdAt - Automatically added by timestamps
+ * @property {Date} updatedAt - Automatically added by timestamps
+ */
+const webSubSubscriptionSchema = new mongoose.Schema({
+  channelId: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  topic: {
+    type: String,
+    required: true,
+  },
+  hubUrl: {
+    type: String,
+  },
+  callbackUrl: {
+    type: String,
+  },
+  secret: {
+    type: String,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'active', 'unsubscribing', 'unsubscribed', 'failed'],
+    default: 'pending',
+    index: true,
+  },
+  leaseSeconds: {
+    type: Number,
+  },
+  expiresAt: {
+    type: Date,
+    index: true,
+  },
+  requestedAt: {
+    type: Date,
+  },
+  lastNotificationAt: {
+    type: Date,
+  },
+  lastError: {
+    type: String,
+  },
+}, {
+  timestamps: true,
+});
+
+/**
+ * WebSub Subscription model
+ *
+ * Mongoose model for the WebSubSubscription collection based on the defined schema.
+ * @type {mongoose.Model}
+ */
+const WebSubSubscription = mongoose.model('WebSubSubscription', webSubSubscriptionSchema);
+
+module.exports = WebSubSubscription;
@@ -0,0 +1,83 @@
+/**
+ * Webhook Model
+ *
+ * Defines the schema for outbound webhook subscriptions: the event a
+ * target URL is called for, and the criteria a video must match.
+ *
+ * @module models/Webhook
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Webhook Schema
+ *
+ * @typedef {Object} WebhookSchema
+ * @property {string} url - Target URL the events are POSTed to
+ * @property {string} event - 'video.new' for newly saved videos, or 'video.alert' for videos reaching minViews
+ * @property {Object} filters - Criteria a video must match; unset criteria match every video
+ * @property {mongoose.Types.ObjectId} filters.trackedQuery - Tracked query (source) that found the video
+ * @property {string} filters.channelId - YouTube channel id of the video
+ * @property {string} filters.keyword - Text the title or description contains (case-insensitive)
+ * @property {number} filters.minViews - View count that triggers an alert (video.alert only)
+ * @property {string} secret - Key of the HMAC-SHA256 signature of every delivery
+ * @property {boolean} active - Whether events are delivered (false when paused)
+ * @property {string} description - Optional description of the webhook
+ * @property {Date} createdAt - Automatically added by timestamps
+ * @property {Date} updatedAt - Automatically added by timestamps
+ */
+const webhookSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  event: {
+    type: String,
+    required: true,
+    enum: ['video.new', 'video.alert'],
+  },
+  filters: {
+    trackedQuery: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'TrackedQuery',
+    },
+    channelId: {
+      type: String,
+    },
+    keyword: {
+      type: String,
+      trim: true,
+    },
+    minViews: {
+      type: Number,
+      min: 0,
+    },
+  },
+  secret: {
+    type: String,
+    required: true,
+    select: false,
+  },
+  active: {
+    type: Boolean,
+    default: true,
+  },
+  description: {
+    type: String,
+  },
+}, {
+  timestamps: true,
+});
+
+webhookSchema.index({ event: 1, active: 1 });
+
+/**
+ * Webhook model
+ *
+ * Mongoose model for the Webhook collection based on the defined schema.
+ * @type {mongoose.Model}
+ */
+const Webhook = mongoose.model('Webhook', webhookSchema);
+
+module.exports = Webhook;
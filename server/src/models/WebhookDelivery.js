@@ -0,0 +1,94 @@
+/**
+ * Webhook Delivery Model
+ *
+ * Defines the schema for the delivery log of outbound webhooks: one
+ * document per event sent to a webhook, with its payload, attempts and
+ * outcome. Deliveries are deleted WEBHOOK_DELIVERY_RETENTION_DAYS days
+ * after they were created.
+ *
+ * @module models/WebhookDelivery
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+/**
+ * Number of days deliveries are kept
+ * @constant {number}
+ */
+const WEBHOOK_DELIVERY_RETENTION_DAYS = parseInt(process.env.WEBHOOK_DELIVERY_RETENTION_DAYS) || 30;
+
+/**
+ * Webhook Delivery Schema
+ *
+ * @typedef {Object} WebhookDeliverySchema
+ * @property {mongoose.Types.ObjectId} webhook - Webhook the event is sent to
+ * @property {string} event - 'video.new', 'video.alert' or 'webhook.test'
+ * @property {string} videoId - YouTube video identifier of the event, if any
+ * @property {Object} payload - JSON body sent to the webhook
+ * @property {string} status - 'pending' (until it succeeds or runs out of attempts), 'succeeded' or 'failed'
+ * @property {number} attempts - Number of attempts made
+ * @property {Date} nextAttemptAt - Date of the next attempt, while pending
+ * @property {number} responseStatus - HTTP status of the last attempt
+ * @property {string} lastError - Error of the last failed attempt
+ * @property {Date} deliveredAt - Date the webhook accepted the event
+ * @property {Date} createdAt - Automatically added by timestamps
+ * @property {Date} updatedAt - Automatically added by timestamps
+ */
+const webhookDeliverySchema = new mongoose.Schema({
+  webhook: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Webhook',
+    required: true,
+  },
+  event: {
+    type: String,
+    required: true,
+    enum: ['video.new', 'video.alert', 'webhook.test'],
+  },
+  videoId: {
+    type: String,
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'succeeded', 'failed'],
+    default: 'pending',
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now,
+  },
+  responseStatus: {
+    type: Number,
+  },
+  lastError: {
+    type: String,
+  },
+  deliveredAt: {
+    type: Date,
+  },
+}, {
+  timestamps: true,
+});
+
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ webhook: 1, event: 1, videoId: 1 });
+webhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: WEBHOOK_DELIVERY_RETENTION_DAYS * 24 * 60 * 60 });
+
+/**
+ * Webhook Delivery model
+ *
+ * Mongoose model for the WebhookDelivery collection based on the defined schema.
+ * @type {mongoose.Model}
+ */
+const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+
+module.exports = WebhookDelivery;
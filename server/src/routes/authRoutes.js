@@ -0,0 +1,99 @@
+/**
+ * Auth Routes Module
+ *
+ * Defines the API routes for signing in and out, refreshing tokens, and
+ * managing the signed-in user's API tokens. Login and refresh are public;
+ * the other routes need a token.
+ *
+ * @module routes/authRoutes
+ */
+
+const express = require('express');
+const {
+  login,
+  refresh,
+  logout,
+  getMe,
+  getApiTokens,
+  createToken,
+  deleteToken,
+} = require('../controllers/authController');
+const { authenticate } = require('../middleware/auth');
+
+/**
+ * Express router to mount auth related functions on.
+ * @type {object}
+ * @const
+ */
+const router = express.Router();
+
+/**
+ * Route to sign in
+ *
+ * @name POST /api/auth/login
+ * @function
+ * @param {string} email - Email
+ * @param {string} password - Password
+ * @returns {Object} JSON response with the user, an access token and a refresh token
+ */
+router.post('/login', login);
+
+/**
+ * Route to exchange a refresh token for new tokens
+ *
+ * @name POST /api/auth/refresh
+ * @function
+ * @param {string} refreshToken - Refresh token
+ * @returns {Object} JSON response with the user and new tokens
+ */
+router.post('/refresh', refresh);
+
+/**
+ * Route to sign out of every session
+ *
+ * @name POST /api/auth/logout
+ * @function
+ * @returns {Object} JSON response confirming the sign-out
+ */
+router.post('/logout', authenticate, logout);
+
+/**
+ * Route to get the authenticated user
+ *
+ * @name GET /api/auth/me
+ * @function
+ * @returns {Object} JSON response with the user
+ */
+router.get('/me', authenticate, getMe);
+
+/**
+ * Route to list the user's API tokens
+ *
+ * @name GET /api/auth/tokens
+ * @function
+ * @returns {Object} JSON response with the tokens
+ */
+router.get('/tokens', authenticate, getApiTokens);
+
+/**
+ * Route to create an API token
+ *
+ * @name POST /api/auth/tokens
+ * @function
+ * @param {string} name - What the token is for
+ * @param {string} [role] - Role the token grants, at most the user's
+ * @param {number} [expiresInDays] - Days until the token expires
+ * @returns {Object} JSON response with the token
+ */
+router.post('/tokens', authenticate, createToken);
+
+/**
+ * Route to revoke an API token
+ *
+ * @name DELETE /api/auth/tokens/:id
+ * @function
+ * @returns {Object} JSON response confirming the deletion
+ */
+router.delete('/tokens/:id', authenticate, deleteToken);
+
+module.exports = router;
@@ -0,0 +1,53 @@
+/**
+ * Channel Routes Module
+ *
+ * Defines all API routes related to channels and their videos.
+ *
+ * @module routes/channelRoutes
+ */
+
+const express = require('express');
+const { getChannels, getChannel, getChannelVideos } = require('../controllers/channelController');
+
+/**
+ * Express router to mount channel related functions on.
+ * @type {object}
+ * @const
+ */
+const router = express.Router();
+
+/**
+ * Route to list channels with their aggregated statistics
+ *
+ * @name GET /api/channels
+ * @function
+ * @param {string} [page=1] - Page number for pagination
+ * @param {string} [limit=10] - Number of channels per page
+ * @param {string} [sortBy=uploadCount] - Field to sort by (subscriberCount, title, uploadCount, avgUploadsPerWeek, lastUploadAt)
+ * @param {string} [sortOrder=desc] - Sort order (asc or desc)
+ * @param {string} [title] - Filter by channel title
+ * @returns {Object} JSON response with channels and pagination metadata
+ */
+router.get('/', getChannels);
+
+/**
+ * Route to get a single channel
+ *
+ * @name GET /api/channels/:id
+ * @function
+ * @returns {Object} JSON response with the channel
+ */
+router.get('/:id', getChannel);
+
+/**
+ * Route to get the stored videos of a channel
+ *
+ * Accepts the same parameters as GET /api/videos.
+ *
+ * @name GET /api/channels/:id/videos
+ * @function
+ * @returns {Object} JSON response with videos and pagination metadata
+ */
+router.get('/:id/videos', getChannelVideos);
+
+module.exports = router;
@@ -0,0 +1,97 @@
+/**
+ * Collection Routes Module
+ *
+ * Defines all API routes for the signed-in user's collections of videos
+ * and the notes on their videos. Any signed-in user can keep collections;
+ * they are private to their owner.
+ *
+ * @module routes/collectionRoutes
+ */
+
+const express = require('express');
+const {
+  getCollections,
+  getCollection,
+  createCollection,
+  updateCollection,
+  deleteCollection,
+  putCollectionVideo,
+  deleteCollectionVideo,
+} = require('../controllers/collectionController');
+
+/**
+ * Express router to mount collection related functions on.
+ * @type {object}
+ * @const
+ */
+const router = express.Router();
+
+/**
+ * Route to list the user's collections
+ *
+ * @name GET /api/collections
+ * @function
+ * @returns {Object} JSON response with the collections and their video counts
+ */
+router.get('/', getCollections);
+
+/**
+ * Route to create a collection
+ *
+ * @name POST /api/collections
+ * @function
+ * @param {string} name - Name, unique among the user's collections
+ * @param {string} [description] - Description
+ * @returns {Object} JSON response with the created collection
+ */
+router.post('/', createCollection);
+
+/**
+ * Route to get a collection with its videos and notes
+ *
+ * @name GET /api/collections/:id
+ * @function
+ * @returns {Object} JSON response with the collection
+ */
+router.get('/:id', getCollection);
+
+/**
+ * Route to rename a collection or change its description
+ *
+ * @name PATCH /api/collections/:id
+ * @function
+ * @param {string} [name] - New name
+ * @param {string} [description] - New description
+ * @returns {Object} JSON response with the updated collection
+ */
+router.patch('/:id', updateCollection);
+
+/**
+ * Route to delete a collection
+ *
+ * @name DELETE /api/collections/:id
+ * @function
+ * @returns {Object} JSON response confirming the deletion
+ */
+router.delete('/:id', deleteCollection);
+
+/**
+ * Route to add a video to a collection, or change its note
+ *
+ * @name PUT /api/collections/:id/videos/:videoId
+ * @function
+ * @param {string} [note] - Note on the video
+ * @returns {Object} JSON response with the updated collection
+ */
+router.put('/:id/videos/:videoId', putCollectionVideo);
+
+/**
+ * Route to remove a video from a collection
+ *
+ * @name DELETE /api/collections/:id/videos/:videoId
+ * @function
+ * @returns {Object} JSON response with the updated collection
+ */
+router.delete('/:id/videos/:videoId', deleteCollectionVideo);
+
+module.exports = router;
@@ -0,0 +1,41 @@
+/**
+ * Import Routes Module
+ *
+ * Defines the route for importing videos from files.
+ *
+ * @module routes/importRoutes
+ */
+
+const express = require('express');
+const { createImport } = require('../controllers/importController');
+require('dotenv').config();
+
+/**
+ * Largest accepted import file
+ * @constant {string}
+ */
+const IMPORT_MAX_SIZE = process.env.IMPORT_MAX_SIZE || '50mb';
+
+/**
+ * Express router to mount import functions on.
+ * @type {object}
+ * @const
+ */
+const router = express.Router();
+
+/**
+ * Route to import videos from an NDJSON, CSV or Takeout watch history file
+ *
+ * The body is read as text whatever its Content-Type, since each format
+ * is parsed by the import itself.
+ *
+ * @name POST /api/import
+ * @function
+ * @param {string} [format] - 'ndjson', 'csv' or 'takeout'; defaults from the Content-Type
+ * @param {string} [dryRun] - 'true' to validate without saving
+ * @param {string} [source] - Name of the import for the ingest report
+ * @returns {Object} JSON response with the import report
+ */
+router.post('/', express.text({ type: () => true, limit: IMPORT_MAX_SIZE }), createImport);
+
+module.exports = router;
@@ -0,0 +1,78 @@
+/**
+ * Ingest Routes Module
+ *
+ * Defines all API routes for managing ingest rules and reading
+ * the per-run ingest reports.
+ *
+ * @module routes/ingestRoutes
+ */
+
+const express = require('express');
+const {
+  getRules,
+  createRule,
+  purgeRule,
+  deleteRule,
+  getReports,
+} = require('../controllers/ingestController');
+
+/**
+ * Express router to mount ingest related functions on.
+ * @type {object}
+ * @const
+ */
+const router = express.Router();
+
+/**
+ * Route to list ingest rules
+ *
+ * @name GET /api/ingest/rules
+ * @function
+ * @param {string} [type] - Filter by rule type
+ * @returns {Object} JSON response with the ingest rules
+ */
+router.get('/rules', getRules);
+
+/**
+ * Route to create an ingest rule
+ *
+ * @name POST /api/ingest/rules
+ * @function
+ * @param {string} type - 'blockChannel', 'allowChannel' or 'denyTitlePattern'
+ * @param {string} value - Channel id, or a regular expression for titles
+ * @param {string} [note] - Optional reason for the rule
+ * @param {boolean} [purge=false] - Delete stored videos of a blocked channel
+ * @returns {Object} JSON response with the created rule
+ */
+router.post('/rules', createRule);
+
+/**
+ * Route to purge the stored videos of a blocked channel
+ *
+ * @name POST /api/ingest/rules/:id/purge
+ * @function
+ * @returns {Object} JSON response with the number of deleted videos
+ */
+router.post('/rules/:id/purge', purgeRule);
+
+/**
+ * Route to delete an ingest rule
+ *
+ * @name DELETE /api/ingest/rules/:id
+ * @function
+ * @returns {Object} JSON response confirming the deletion
+ */
+router.delete('/rules/:id', deleteRule);
+
+/**
+ * Route to list recent ingest reports
+ *
+ * @name GET /api/ingest/reports
+ * @function
+ * @param {string} [limit=20] - Number of reports to return
+ * @param {string} [query] - Filter by tracked query id
+ * @returns {Object} JSON response with the most recent reports first
+ */
+router.get('/reports', getReports);
+
+module.exports = router;
@@ -0,0 +1,53 @@
+/**
+ * Job Routes Module
+ *
+ * Defines all API routes for the background jobs.
+ *
+ * @module routes/jobRoutes
+ */
+
+const express = require('express');
+const {
+  getJobs,
+  getRuns,
+  runJob,
+} = require('../controllers/jobController');
+
+/**
+ * Express router to mount job related functions on.
+ * @type {object}
+ * @const
+ */
+const router = express.Router();
+
+/**
+ * Route to list the background jobs with their schedule and state
+ *
+ * @name GET /api/jobs
+ * @function
+ * @returns {Object} JSON response with the jobs
+ */
+router.get('/', getJobs);
+
+/**
+ * Route to list recent job runs
+ *
+ * @name GET /api/jobs/runs
+ * @function
+ * @param {string} [job] - Filter by job name
+ * @param {string} [status] - Filter by status: 'running', 'succeeded' or 'failed'
+ * @param {string} [limit=20] - Number of runs to return
+ * @returns {Object} JSON response with the most recent runs first
+ */
+router.get('/runs', getRuns);
+
+/**
+ * Route to run a job now
+ *
+ * @name POST /api/jobs/:name/run
+ * @function
+ * @returns {Object} JSON response with the started run
+ */
+router.post('/:name/run', runJob);
+
+module.exports = router;
@@ -0,0 +1,70 @@
+/**
+ * Query Routes Module
+ *
+ * Defines all API routes for managing the tracked queries that the
+ * background job polls: keyword searches and channel subscriptions.
+ * Viewers can list them; changing them requires the editor role.
+ *
+ * @module routes/queryRoutes
+ */
+
+const express = require('express');
+const {
+  getQueries,
+  createQuery,
+  updateQuery,
+  deleteQuery,
+} = require('../controllers/queryController');
+const { requireRole } = require('../middleware/auth');
+
+/**
+ * Express router to mount tracked query functions on.
+ * @type {object}
+ * @const
+ */
+const router = express.Router();
+
+/**
+ * Route to list tracked queries
+ *
+ * @name GET /api/queries
+ * @function
+ * @param {string} [active] - Filter by active state ('true' or 'false')
+ * @param {string} [type] - Filter by source type ('search' or 'channel')
+ * @returns {Object} JSON response with the tracked queries
+ */
+router.get('/', getQueries);
+
+/**
+ * Route to create a tracked query
+ *
+ * @name POST /api/queries
+ * @function
+ * @param {string} [type=search] - Source type ('search' or 'channel')
+ * @param {string} [query] - Search term to track (search sources)
+ * @param {string} [channelId] - Channel id to subscribe to (channel sources)
+ * @param {boolean} [active=true] - Whether the query starts active
+ * @returns {Object} JSON response with the created query
+ */
+router.post('/', requireRole('editor'), createQuery);
+
+/**
+ * Route to pause or resume a tracked query
+ *
+ * @name PATCH /api/queries/:id
+ * @function
+ * @param {boolean} active - New active state
+ * @returns {Object} JSON response with the updated query
+ */
+router.patch('/:id', requireRole('editor'), updateQuery);
+
+/**
+ * Route to delete a tracked query
+ *
+ * @name DELETE /api/queries/:id
+ * @function
+ * @returns {Object} JSON response confirming the deletion
+ */
+router.delete('/:id', requireRole('editor'), deleteQuery);
+
+module.exports = router;
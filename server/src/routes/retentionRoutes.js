@@ -0,0 +1,77 @@
+/**
+ * Retention Routes Module
+ *
+ * Defines all API routes for managing retention rules, running the
+ * retention job and reading the per-run retention reports.
+ *
+ * @module routes/retentionRoutes
+ */
+
+const express = require('express');
+const {
+  getRules,
+  createRule,
+  deleteRule,
+  runRetention,
+  getReports,
+} = require('../controllers/retentionController');
+
+/**
+ * Express router to mount retention related functions on.
+ * @type {object}
+ * @const
+ */
+const router = express.Router();
+
+/**
+ * Route to list retention rules
+ *
+ * @name GET /api/retention/rules
+ * @function
+ * @returns {Object} JSON response with the retention rules
+ */
+router.get('/rules', getRules);
+
+/**
+ * Route to create a retention rule
+ *
+ * @name POST /api/retention/rules
+ * @function
+ * @param {string} type - 'maxAgeDays', 'maxVideosPerQuery' or 'keepCollected'
+ * @param {number} [value] - Number of days or videos, required unless keepCollected
+ * @param {string} [trackedQuery] - Tracked query id to limit the rule to
+ * @param {string} [note] - Optional reason for the rule
+ * @returns {Object} JSON response with the created rule
+ */
+router.post('/rules', createRule);
+
+/**
+ * Route to delete a retention rule
+ *
+ * @name DELETE /api/retention/rules/:id
+ * @function
+ * @returns {Object} JSON response confirming the deletion
+ */
+router.delete('/rules/:id', deleteRule);
+
+/**
+ * Route to apply the retention rules now
+ *
+ * @name POST /api/retention/run
+ * @function
+ * @param {string} [dryRun] - 'true' to list expired videos without removing them
+ * @returns {Object} JSON response with the retention report
+ */
+router.post('/run', runRetention);
+
+/**
+ * Route to list recent retention reports
+ *
+ * @name GET /api/retention/reports
+ * @function
+ * @param {string} [limit=20] - Number of reports to return
+ * @returns {Object} JSON response with the most recent reports first
+ */
+router.get('/reports', getReports);
+
+module.exports = router;
@@ -0,0 +1,113 @@
+/**
+ * Saved Search Routes Module
+ *
+ * Defines all API routes for saved searches, their "new since last
+ * viewed" counts and their digests. Viewers can read and view them;
+ * changing them and sending digests requires the editor role.
+ *
+ * @module routes/savedSearchRoutes
+ */
+
+const express = require('express');
+const {
+  getSavedSearches,
+  getSavedSearch,
+  createSavedSearch,
+  updateSavedSearch,
+  deleteSavedSearch,
+  markSavedSearchViewed,
+  getDigest,
+  sendSavedSearchDigest,
+} = require('../controllers/savedSearchController');
+const { requireRole } = require('../middleware/auth');
+
+/**
+ * Express router to mount saved search related functions on.
+ * @type {object}
+ * @const
+ */
+const router = express.Router();
+
+/**
+ * Route to list saved searches
+ *
+ * @name GET /api/saved-searches
+ * @function
+ * @returns {Object} JSON response with the saved searches and their new video counts
+ */
+router.get('/', getSavedSearches);
+
+/**
+ * Route to create a saved search
+ *
+ * @name POST /api/saved-searches
+ * @function
+ * @param {string} name - Unique name
+ * @param {Object} [params] - Filter and sort parameters of GET /api/videos
+ * @param {Object} [digest] - Digest frequency and recipients
+ * @returns {Object} JSON response with the created saved search
+ */
+router.post('/', requireRole('editor'), createSavedSearch);
+
+/**
+ * Route to get a saved search
+ *
+ * @name GET /api/saved-searches/:id
+ * @function
+ * @returns {Object} JSON response with the saved search and its new video count
+ */
+router.get('/:id', getSavedSearch);
+
+/**
+ * Route to update a saved search
+ *
+ * @name PATCH /api/saved-searches/:id
+ * @function
+ * @param {string} [name] - New name
+ * @param {Object} [params] - New filter and sort parameters
+ * @param {Object} [digest] - New digest frequency and recipients
+ * @returns {Object} JSON response with the updated saved search
+ */
+router.patch('/:id', requireRole('editor'), updateSavedSearch);
+
+/**
+ * Route to delete a saved search
+ *
+ * @name DELETE /api/saved-searches/:id
+ * @function
+ * @returns {Object} JSON response confirming the deletion
+ */
+router.delete('/:id', requireRole('editor'), deleteSavedSearch);
+
+/**
+ * Route to mark a saved search as viewed, resetting its new video count
+ *
+ * @name POST /api/saved-searches/:id/viewed
+ * @function
+ * @returns {Object} JSON response with the updated saved search
+ */
+router.post('/:id/viewed', markSavedSearchViewed);
+
+/**
+ * Route to get the digest of a saved search
+ *
+ * @name GET /api/saved-searches/:id/digest
+ * @function
+ * @param {string} [period] - 'daily' or 'weekly'
+ * @param {string} [format=html] - 'html' or 'text'
+ * @returns {string} The digest as HTML or plain text
+ */
+router.get('/:id/digest', getDigest);
+
+/**
+ * Route to email the digest of a saved search now
+ *
+ * @name POST /api/saved-searches/:id/digest/send
+ * @function
+ * @param {string} [period] - 'daily' or 'weekly'
+ * @param {Array<string>} [to] - Recipients (default: the digest recipients)
+ * @returns {Object} JSON response with the number of videos and the message id
+ */
+router.post('/:id/digest/send', requireRole('editor'), sendSavedSearchDigest);
+
+module.exports = router;
@@ -0,0 +1,70 @@
+/**
+ * User Routes Module
+ *
+ * Defines all API routes for managing user accounts. They are mounted
+ * for admins only.
+ *
+ * @module routes/userRoutes
+ */
+
+const express = require('express');
+const {
+  getUsers,
+  createUser,
+  updateUser,
+  deleteUser,
+} = require('../controllers/userController');
+
+/**
+ * Express router to mount user related functions on.
+ * @type {object}
+ * @const
+ */
+const router = express.Router();
+
+/**
+ * Route to list users
+ *
+ * @name GET /api/users
+ * @function
+ * @param {string} [role] - Filter by role
+ * @returns {Object} JSON response with the users
+ */
+router.get('/', getUsers);
+
+/**
+ * Route to create a user
+ *
+ * @name POST /api/users
+ * @function
+ * @param {string} email - Sign-in email
+ * @param {string} password - Password, at least 8 characters
+ * @param {string} [role=viewer] - 'viewer', 'editor' or 'admin'
+ * @param {string} [name] - Display name
+ * @returns {Object} JSON response with the created user
+ */
+router.post('/', createUser);
+
+/**
+ * Route to update a user
+ *
+ * @name PATCH /api/users/:id
+ * @function
+ * @param {string} [role] - New role
+ * @param {boolean} [active] - Disable or enable the user
+ * @param {string} [password] - New password
+ * @param {string} [name] - New display name
+ * @returns {Object} JSON response with the updated user
+ */
+router.patch('/:id', updateUser);
+
+/**
+ * Route to delete a user
+ *
+ * @name DELETE /api/users/:id
+ * @function
+ * @returns {Object} JSON response confirming the deletion
+ */
+router.delete('/:id', deleteUser);
+
+module.exports = router;
@@ -2,13 +2,24 @@
  * Video Routes Module
  *
  * Defines all API routes related to video operations.
- * This includes retrieving videos with pagination and searching videos.
+ * This includes retrieving videos with pagination, searching videos,
+ * suggesting completions as the user types, exporting videos,
+ * streaming newly inserted videos and marking videos as watched or
+ * starred.
  *
  * @module routes/videoRoutes
  */
 
 const express = require('express');
-const { getVideos, searchVideos } = require('../controllers/videoController');
+const {
+  getVideos,
+  searchVideos,
+  suggestVideos,
+  exportVideos,
+  streamVideos,
+  getTrendingVideos,
+  updateVideoState,
+} = require('../controllers/videoController');
 
 /**
  * Express router to mount video related functions on.
@@ -24,13 +35,27 @@ const router = express.Router();
  * @function
  * @param {string} [page=1] - Page number for pagination
  * @param {string} [limit=10] - Number of videos per page
- * @param {string} [sortBy=publishedAt] - Field to sort by
+ * @param {string} [sortBy=publishedAt] - Field to sort by (publishedAt, title, channelTitle, viewCount, likeCount, commentCount, durationSeconds)
  * @param {string} [sortOrder=desc] - Sort order (asc or desc)
  * @param {string} [channelTitle] - Filter by channel title
+ * @param {string} [channelId] - Filter by exact YouTube channel id
  * @param {string} [dateFrom] - Filter by date from
  * @param {string} [dateTo] - Filter by date to
  * @param {string} [title] - Filter by video title
- * @returns {Object} JSON response with videos and pagination metadata
+ * @param {string} [query] - Filter by tracked query id
+ * @param {string} [sourceType] - Filter by type of source that found the video (search, channel)
+ * @param {string} [minViews] - Minimum view count (also maxViews)
+ * @param {string} [minLikes] - Minimum like count (also maxLikes)
+ * @param {string} [minComments] - Minimum comment count (also maxComments)
+ * @param {string} [minDuration] - Minimum duration in seconds (also maxDuration)
+ * @param {string} [categoryId] - Filter by YouTube category id
+ * @param {string} [liveBroadcastContent] - Filter by live state
+ * @param {string} [collapseDuplicates] - 'true' to show only the earliest upload of each cluster of near-duplicates
+ * @param {string} [includeArchived] - 'true' to include videos moved to the archive by the retention job
+ * @param {string} [watched] - 'true' or 'false' to filter by whether the user watched the video
+ * @param {string} [starred] - 'true' or 'false' to filter by whether the user starred the video
+ * @param {string} [collection] - Filter by one of the user's collections
+ * @returns {Object} JSON response with videos, each with the user's state, and pagination metadata
  */
 router.get('/', getVideos);
 
@@ -42,8 +67,71 @@ router.get('/', getVideos);
  * @param {string} q - Search query term
  * @param {string} [page=1] - Page number for pagination
  * @param {string} [limit=10] - Number of videos per page
+ * @param {string} [includeArchived] - 'true' to include videos moved to the archive by the retention job
  * @returns {Object} JSON response with search results and pagination metadata
  */
 router.get('/search', searchVideos);
 
+/**
+ * Route to suggest title and channel name completions as the user types
+ *
+ * @name GET /api/videos/suggest
+ * @function
+ * @param {string} q - Text typed so far
+ * @param {string} [limit=5] - Maximum number of suggestions of each type (at most 10)
+ * @param {string} [type] - 'titles' or 'channels' to get only that type
+ * @returns {Object} JSON response with title and channel suggestions
+ */
+router.get('/suggest', suggestVideos);
+
+/**
+ * Route to export videos as CSV, NDJSON, RSS 2.0 or Atom
+ *
+ * Takes the same filter and sort parameters as GET /api/videos and
+ * streams the full result set.
+ *
+ * @name GET /api/videos/export
+ * @function
+ * @param {string} [format=csv] - 'csv', 'ndjson', 'rss' or 'atom'
+ * @param {string} [limit] - Maximum number of videos to export (default: all)
+ * @returns {Object} The exported videos in the requested format
+ */
+router.get('/export', exportVideos);
+
+/**
+ * Route to stream newly inserted videos as Server-Sent Events
+ *
+ * Takes the same filter parameters as GET /api/videos. Reconnecting
+ * clients resume after the `Last-Event-ID` header.
+ *
+ * @name GET /api/videos/stream
+ * @function
+ * @param {string} [lastEventId] - Id of the last event received, if the header can't be set
+ * @returns {Object} A text/event-stream of `video` events
+ */
+router.get('/stream', streamVideos);
+
+/**
+ * Route to get videos ranked by views gained per hour
+ *
+ * @name GET /api/videos/trending
+ * @function
+ * @param {string} [window=24h] - Time window, e.g. '6h', '24h' or '7d'
+ * @param {string} [page=1] - Page number for pagination
+ * @param {string} [limit=10] - Number of videos per page
+ * @returns {Object} JSON response with trending videos and pagination metadata
+ */
+router.get('/trending', getTrendingVideos);
+
+/**
+ * Route to mark a video as watched or starred for the signed-in user
+ *
+ * @name PATCH /api/videos/:videoId/state
+ * @function
+ * @param {boolean} [watched] - Whether the user watched the video
+ * @param {boolean} [starred] - Whether the user starred the video
+ * @returns {Object} JSON response with the user's state of the video
+ */
+router.patch('/:videoId/state', updateVideoState);
+
 module.exports = router;
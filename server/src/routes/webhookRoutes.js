@@ -0,0 +1,92 @@
+/**
+ * Webhook Routes Module
+ *
+ * Defines all API routes for managing outbound webhooks, sending test
+ * events and reading their delivery log.
+ *
+ * @module routes/webhookRoutes
+ */
+
+const express = require('express');
+const {
+  getWebhooks,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  testWebhook,
+  getDeliveries,
+} = require('../controllers/webhookController');
+
+/**
+ * Express router to mount webhook related functions on.
+ * @type {object}
+ * @const
+ */
+const router = express.Router();
+
+/**
+ * Route to list webhooks
+ *
+ * @name GET /api/webhooks
+ * @function
+ * @param {string} [event] - Filter by event type
+ * @returns {Object} JSON response with the webhooks
+ */
+router.get('/', getWebhooks);
+
+/**
+ * Route to create a webhook
+ *
+ * @name POST /api/webhooks
+ * @function
+ * @param {string} url - Target URL
+ * @param {string} event - 'video.new' or 'video.alert'
+ * @param {Object} [filters] - Criteria: trackedQuery, channelId, keyword, minViews
+ * @param {string} [description] - Optional description
+ * @returns {Object} JSON response with the created webhook and its secret
+ */
+router.post('/', createWebhook);
+
+/**
+ * Route to update a webhook
+ *
+ * @name PATCH /api/webhooks/:id
+ * @function
+ * @param {string} [url] - New target URL
+ * @param {Object} [filters] - New criteria
+ * @param {boolean} [active] - Pause or resume deliveries
+ * @param {boolean} [rotateSecret] - Generate a new secret
+ * @returns {Object} JSON response with the updated webhook
+ */
+router.patch('/:id', updateWebhook);
+
+/**
+ * Route to delete a webhook
+ *
+ * @name DELETE /api/webhooks/:id
+ * @function
+ * @returns {Object} JSON response confirming the deletion
+ */
+router.delete('/:id', deleteWebhook);
+
+/**
+ * Route to send a test event to a webhook
+ *
+ * @name POST /api/webhooks/:id/test
+ * @function
+ * @returns {Object} JSON response with the test delivery
+ */
+router.post('/:id/test', testWebhook);
+
+/**
+ * Route to list the deliveries of a webhook
+ *
+ * @name GET /api/webhooks/:id/deliveries
+ * @function
+ * @param {string} [status] - Filter by status: 'pending', 'succeeded' or 'failed'
+ * @param {string} [limit=20] - Number of deliveries to return
+ * @returns {Object} JSON response with the most recent deliveries first
+ */
+router.get('/:id/deliveries', getDeliveries);
+
+module.exports = router;
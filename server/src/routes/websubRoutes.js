@@ -0,0 +1,60 @@
+/**
+ * WebSub Routes Module
+ *
+ * Defines the callback routes the WebSub hub talks to, which are public,
+ * and a route for admins to list the subscriptions.
+ *
+ * @module routes/websubRoutes
+ */
+
+const express = require('express');
+const {
+  verifyCallback,
+  receiveNotification,
+  getSubscriptions,
+} = require('../controllers/websubController');
+const { authorize } = require('../middleware/auth');
+
+/**
+ * Express router to mount WebSub functions on.
+ * @type {object}
+ * @const
+ */
+const router = express.Router();
+
+/**
+ * Route for the hub's verification of a (un)subscription request
+ *
+ * @name GET /api/websub/callback/:channelId
+ * @function
+ * @param {string} hub.mode - 'subscribe', 'unsubscribe' or 'denied'
+ * @param {string} hub.topic - Feed URL of the channel's uploads
+ * @param {string} hub.challenge - Challenge to echo back
+ * @param {string} [hub.lease_seconds] - Lease granted by the hub
+ * @returns {string} The challenge as plain text, or 404
+ */
+router.get('/callback/:channelId', verifyCallback);
+
+/**
+ * Route for notifications pushed by the hub
+ *
+ * The body is kept raw, since the signature covers the exact bytes.
+ *
+ * @name POST /api/websub/callback/:channelId
+ * @function
+ * @param {string} X-Hub-Signature - HMAC signature header, e.g. 'sha1=<hex>'
+ * @returns {void} Empty 204 response
+ */
+router.post('/callback/:channelId', express.raw({ type: '*/*', limit: '1mb' }), receiveNotification);
+
+/**
+ * Route to list WebSub subscriptions
+ *
+ * @name GET /api/websub/subscriptions
+ * @function
+ * @param {string} [status] - Filter by status
+ * @returns {Object} JSON response with the subscriptions
+ */
+router.get('/subscriptions', authorize('admin'), getSubscriptions);
+
+module.exports = router;
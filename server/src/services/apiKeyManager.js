@@ -2,21 +2,86 @@
  * API Key Manager Module
  *
  * Manages multiple YouTube API keys to handle quota limitations.
- * Provides functionality to rotate keys, track exhausted keys,
- * and reset keys after the quota period (24 hours).
+ * Counts the quota units spent by every call, resets them at the
+ * Pacific-midnight boundary YouTube uses for its daily quota, and
+ * persists the usage to MongoDB so it survives restarts and is shared by
+ * every server instance using the same keys.
  *
  * @module services/apiKeyManager
  */
 
+const crypto = require('crypto');
+const ApiKeyUsage = require('../models/ApiKeyUsage');
 require('dotenv').config();
 
+/**
+ * Quota configuration constants
+ * @constant {Object<string, number>} QUOTA_COSTS - Quota units charged per YouTube API operation
+ * @constant {number} DAILY_QUOTA_PER_KEY - Daily quota units available to each key
+ * @constant {string} QUOTA_TIME_ZONE - Time zone whose midnight resets the YouTube quota
+ */
+const QUOTA_COSTS = {
+    'search.list': 100,
+    'videos.list': 1,
+    'channels.list': 1,
+    'playlistItems.list': 1,
+};
+const DAILY_QUOTA_PER_KEY = parseInt(process.env.DAILY_QUOTA_PER_KEY) || 10000;
+const QUOTA_TIME_ZONE = 'America/Los_Angeles';
+
+const quotaDayFormatter = new Intl.DateTimeFormat('en-CA', {
+    timeZone: QUOTA_TIME_ZONE,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+});
+const quotaHourFormatter = new Intl.DateTimeFormat('en-US', {
+    timeZone: QUOTA_TIME_ZONE,
+    hour: 'numeric',
+    hourCycle: 'h23',
+});
+
+/**
+ * Get the Pacific calendar day for a date
+ *
+ * @param {Date} [date=new Date()] - Date to convert
+ * @returns {string} Day in YYYY-MM-DD format
+ */
+const getQuotaDay = (date = new Date()) => quotaDayFormatter.format(date);
+
+/**
+ * Get the instant of the next Pacific midnight, when the quota resets
+ *
+ * @param {Date} [date=new Date()] - Date to start from
+ * @returns {Date} The next quota reset
+ */
+const getNextQuotaReset = (date = new Date()) => {
+    const [year, month, day] = getQuotaDay(date).split('-').map(Number);
+    // Pacific midnight is 08:00 UTC in standard time and 07:00 UTC in daylight time
+    const reset = new Date(Date.UTC(year, month - 1, day + 1, 8));
+    if (parseInt(quotaHourFormatter.format(reset)) === 1) {
+        reset.setUTCHours(reset.getUTCHours() - 1);
+    }
+    return reset;
+};
+
+/**
+ * Compute the fingerprint a key is stored under
+ *
+ * @param {string} key - YouTube API key
+ * @returns {string} Short SHA-256 fingerprint of the key
+ */
+const fingerprintKey = (key) => crypto.createHash('sha256').update(key).digest('hex').slice(0, 16);
+
 /**
  * API Key Manager Class
  *
  * Handles the management of multiple YouTube API keys, including:
  * - Initialization from comma-separated list of keys
- * - Rotation between keys when quota is exhausted
- * - Tracking of exhausted keys and reset after 24 hours
+ * - Counting quota units spent per key and per call
+ * - Choosing the key with the most remaining budget before each call
+ * - Resetting usage at Pacific midnight and persisting it to MongoDB
+ * - Permanently disabling keys that YouTube reports as invalid
  *
  * @class APIKeyManager
  */
@@ -26,9 +91,10 @@ class APIKeyManager {
      *
      * @constructor
      * @param {string} keys - Comma-separated list of YouTube API keys
+     * @param {number} [dailyQuota=DAILY_QUOTA_PER_KEY] - Daily quota units available to each key
      * @throws {Error} If no valid keys are provided
      */
-    constructor(keys) {
+    constructor(keys, dailyQuota = DAILY_QUOTA_PER_KEY) {
         if (!keys || typeof keys !== 'string' || keys.trim() === '') {
             throw new Error('No YouTube API keys provided. Please set YOUTUBE_API_KEYS in your environment variables.');
         }
@@ -41,14 +107,187 @@ class APIKeyManager {
 
         console.log(`Initialized with ${keyArray.length} API keys`);
 
+        this.dailyQuota = dailyQuota;
         this.keys = keyArray.map(key => ({
             key: key,
+            fingerprint: fingerprintKey(key),
+            quotaDay: getQuotaDay(),
+            unitsUsed: 0,
             quotaExhausted: false,
+            disabled: false,
             lastUsed: 0
         }));
         this.currentKeyIndex = 0;
     }
 
+    /**
+     * Load persisted usage from MongoDB
+     *
+     * Restores the usage recorded for the current quota day. Usage from
+     * an earlier day is ignored, since the quota has reset since then.
+     * Disabled keys stay disabled regardless of the day.
+     *
+     * @async
+     * @returns {Promise<void>}
+     */
+    async load() {
+        const records = await ApiKeyUsage.find({
+            keyFingerprint: { $in: this.keys.map(key => key.fingerprint) },
+        });
+
+        records.forEach(record => {
+            const state = this.keys.find(key => key.fingerprint === record.keyFingerprint);
+            if (state) {
+                state.disabled = record.disabled;
+            }
+            if (state && record.quotaDay === getQuotaDay()) {
+                state.quotaDay = record.quotaDay;
+                state.unitsUsed = record.unitsUsed;
+                state.quotaExhausted = record.quotaExhausted;
+                state.lastUsed = record.lastUsedAt ? record.lastUsedAt.getTime() : 0;
+            }
+        });
+
+        console.log(`Loaded quota usage for ${records.length} API keys`);
+    }
+
+    /**
+     * Persist a change to the usage of a key to MongoDB
+     *
+     * Several server instances share the keys, so units are added with
+     * `$inc` and flags only ever set, never overwritten with this
+     * instance's view. A record from an earlier quota day is reset first.
+     * The key's state is then updated with the combined usage of every
+     * instance.
+     *
+     * @async
+     * @param {Object} state - Internal key state
+     * @param {Object} [change] - What changed
+     * @param {number} [change.units=0] - Quota units spent
+     * @param {boolean} [change.exhausted=false] - The key's quota was reported exceeded
+     * @param {boolean} [change.disabled=false] - The key was disabled
+     * @returns {Promise<void>}
+     */
+    async persist(state, { units = 0, exhausted = false, disabled = false } = {}) {
+        try {
+            await ApiKeyUsage.updateOne(
+                { keyFingerprint: state.fingerprint, quotaDay: { $lt: state.quotaDay } },
+                { $set: { quotaDay: state.quotaDay, unitsUsed: 0, quotaExhausted: false } }
+            );
+
+            const update = { $inc: { unitsUsed: units } };
+            if (exhausted || disabled) {
+                update.$set = {
+                    ...(exhausted ? { quotaExhausted: true } : {}),
+                    ...(disabled ? { disabled: true } : {}),
+                };
+            }
+            if (state.lastUsed) {
+                update.$max = { lastUsedAt: new Date(state.lastUsed) };
+            }
+
+            const record = await ApiKeyUsage.findOneAndUpdate(
+                { keyFingerprint: state.fingerprint, quotaDay: state.quotaDay },
+                update,
+                { upsert: true, new: true }
+            );
+
+            if (record && record.quotaDay === state.quotaDay) {
+                state.unitsUsed = Math.max(state.unitsUsed, record.unitsUsed);
+                state.quotaExhausted = state.quotaExhausted || record.quotaExhausted;
+                state.disabled = state.disabled || record.disabled;
+            }
+        } catch (error) {
+            console.error('Error persisting API key usage:', error.message);
+        }
+    }
+
+    /**
+     * Reset a key's usage when a new quota day has started
+     *
+     * @param {Object} state - Internal key state
+     */
+    resetIfNewQuotaDay(state) {
+        const today = getQuotaDay();
+        if (state.quotaDay !== today) {
+            state.quotaDay = today;
+            state.unitsUsed = 0;
+            state.quotaExhausted = false;
+        }
+    }
+
+    /**
+     * Get the quota units a key has left for the current quota day
+     *
+     * @param {Object} state - Internal key state
+     * @returns {number} Remaining quota units
+     */
+    getRemainingUnits(state) {
+        this.resetIfNewQuotaDay(state);
+        if (state.quotaExhausted || state.disabled) {
+            return 0;
+        }
+        return Math.max(this.dailyQuota - state.unitsUsed, 0);
+    }
+
+    /**
+     * Get the quota cost of an operation
+     *
+     * @param {string} operation - YouTube API operation, e.g. 'search.list'
+     * @returns {number} Quota units charged for one call
+     */
+    getCost(operation) {
+        return QUOTA_COSTS[operation] || 1;
+    }
+
+    /**
+     * Select the key with the most remaining budget for an operation
+     *
+     * Makes the selected key the current key.
+     *
+     * @param {string} operation - YouTube API operation, e.g. 'search.list'
+     * @returns {string} The selected API key
+     * @throws {Error} If no key has enough quota left for the operation
+     */
+    selectKey(operation) {
+        const cost = this.getCost(operation);
+        let bestIndex = -1;
+        let bestRemaining = -1;
+
+        this.keys.forEach((state, index) => {
+            const remaining = this.getRemainingUnits(state);
+            if (remaining >= cost && remaining > bestRemaining) {
+                bestIndex = index;
+                bestRemaining = remaining;
+            }
+        });
+
+        if (bestIndex === -1) {
+            throw new Error(`No API key has ${cost} quota units left for ${operation}. Quota resets at ${getNextQuotaReset().toISOString()}.`);
+        }
+
+        this.currentKeyIndex = bestIndex;
+        return this.keys[bestIndex].key;
+    }
+
+    /**
+     * Record the quota units spent by a call
+     *
+     * @param {string} key - API key the call was made with
+     * @param {string} operation - YouTube API operation, e.g. 'search.list'
+     */
+    recordUsage(key, operation) {
+        const state = this.keys.find(item => item.key === key);
+        if (!state) {
+            return;
+        }
+
+        this.resetIfNewQuotaDay(state);
+        state.unitsUsed += this.getCost(operation);
+        state.lastUsed = Date.now();
+        this.persist(state, { units: this.getCost(operation) });
+    }
+
     /**
      * Get the current active API key
      *
@@ -63,59 +302,79 @@ class APIKeyManager {
     }
 
     /**
-     * Mark the current key as having exhausted its quota
+     * Mark a key as having exhausted its quota
      *
-     * Records the time when the key was marked as exhausted
-     * and rotates to the next available key.
+     * The key stays unavailable until the next Pacific midnight.
+     *
+     * @param {string} [key] - API key to mark; defaults to the current key
      */
-    markKeyAsExhausted() {
-        this.keys[this.currentKeyIndex].quotaExhausted = true;
-        this.keys[this.currentKeyIndex].lastUsed = Date.now();
-        this.rotateToNextKey();
+    markKeyAsExhausted(key = this.keys[this.currentKeyIndex].key) {
+        const state = this.keys.find(item => item.key === key);
+        if (!state) {
+            return;
+        }
+
+        this.resetIfNewQuotaDay(state);
+        state.quotaExhausted = true;
+        state.lastUsed = Date.now();
+        this.persist(state, { exhausted: true });
     }
 
     /**
-     * Rotate to the next available API key
+     * Permanently disable a key that YouTube reports as invalid
      *
-     * Cycles through the keys until finding one that is not exhausted.
-     * If all keys are exhausted, attempts to reset keys older than 24 hours.
+     * @param {string} key - API key to disable
      */
-    rotateToNextKey() {
-        const startIndex = this.currentKeyIndex;
-        do {
-            this.currentKeyIndex = (this.currentKeyIndex + 1) % this.keys.length;
-            // If we've checked all keys and come back to the start, reset quotaExhausted for keys older than 24 hours
-            if (this.currentKeyIndex === startIndex) {
-                this.resetExhaustedKeys();
-            }
-        } while (
-            this.keys[this.currentKeyIndex].quotaExhausted &&
-            this.currentKeyIndex !== startIndex
-        );
+    disableKey(key) {
+        const state = this.keys.find(item => item.key === key);
+        if (!state) {
+            return;
+        }
+
+        console.error(`Disabling invalid API key ${state.fingerprint}`);
+        state.disabled = true;
+        this.persist(state, { disabled: true });
     }
 
     /**
-     * Reset exhausted keys that are older than 24 hours
+     * Get the fingerprint of a key, safe to log and store
      *
-     * YouTube API quota resets after 24 hours, so keys that were
-     * exhausted more than 24 hours ago can be used again.
+     * @param {string} key - API key
+     * @returns {string} Short SHA-256 fingerprint of the key
      */
-    resetExhaustedKeys() {
-        const twentyFourHours = 24 * 60 * 60 * 1000;
-        this.keys.forEach(key => {
-            if (Date.now() - key.lastUsed >= twentyFourHours) {
-                key.quotaExhausted = false;
-            }
-        });
+    getFingerprint(key) {
+        return fingerprintKey(key);
     }
 
     /**
      * Check if there are any available (non-exhausted) API keys
      *
+     * @param {string} [operation] - Only count keys with enough quota left for this operation
      * @returns {boolean} True if at least one key is available, false otherwise
      */
-    hasAvailableKeys() {
-        return this.keys.some(key => !key.quotaExhausted);
+    hasAvailableKeys(operation) {
+        const cost = operation ? this.getCost(operation) : 1;
+        return this.keys.some(state => this.getRemainingUnits(state) >= cost);
+    }
+
+    /**
+     * Get a summary of the usage of every key
+     *
+     * @returns {Array<Object>} Usage per key, identified by fingerprint
+     */
+    getUsage() {
+        return this.keys.map(state => {
+            const remainingUnits = this.getRemainingUnits(state);
+            return {
+                fingerprint: state.fingerprint,
+                quotaDay: state.quotaDay,
+                unitsUsed: state.unitsUsed,
+                remainingUnits,
+                quotaExhausted: state.quotaExhausted,
+                disabled: state.disabled,
+                resetsAt: getNextQuotaReset(),
+            };
+        });
     }
 }
 
@@ -131,4 +390,4 @@ const keyManager = new APIKeyManager(process.env.YOUTUBE_API_KEYS);
  * Export the singleton instance
  * @module apiKeyManager
  */
-module.exports = keyManager;
\ No newline at end of file
+module.exports = keyManager;
@@ -0,0 +1,409 @@
+/**
+ * Auth Service Module
+ *
+ * Signs users in with their email and password, issues and verifies the
+ * JWTs sent by the dashboard, and creates and verifies API tokens for
+ * scripts.
+ *
+ * Sign-in returns a short-lived access token and a longer-lived refresh
+ * token, both signed with JWT_SECRET. Both carry the user's
+ * `tokenVersion`, which is incremented on sign-out, password changes and
+ * role changes, so every token issued before is revoked. API tokens are
+ * random strings starting with `yva_`; only their SHA-256 hash is stored.
+ * Failed sign-ins are limited per IP address and per email, since every
+ * password check costs an scrypt hash.
+ *
+ * @module services/authService
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const ApiToken = require('../models/ApiToken');
+const { AttemptLimiter } = require('../utils/attemptLimiter');
+require('dotenv').config();
+
+const scrypt = promisify(crypto.scrypt);
+
+/**
+ * Roles, from least to most privileged
+ * @constant {Array<string>}
+ */
+const ROLES = ['viewer', 'editor', 'admin'];
+
+/**
+ * Auth configuration constants
+ * @constant {string} JWT_ACCESS_TTL - Lifetime of access tokens, e.g. '15m'
+ * @constant {string} JWT_REFRESH_TTL - Lifetime of refresh tokens, e.g. '7d'
+ * @constant {string} API_TOKEN_PREFIX - Start of every API token
+ * @constant {number} PASSWORD_MIN_LENGTH - Minimum password length
+ * @constant {number} TOKEN_USE_UPDATE_MS - How often an API token's lastUsedAt is updated
+ * @constant {number} LOGIN_WINDOW_MS - Window failed sign-ins are counted in
+ * @constant {number} LOGIN_MAX_FAILURES_PER_IP - Failed sign-ins allowed per IP address and window
+ * @constant {number} LOGIN_MAX_FAILURES_PER_EMAIL - Failed sign-ins allowed per email and window
+ */
+const JWT_ACCESS_TTL = process.env.JWT_ACCESS_TTL || '15m';
+const JWT_REFRESH_TTL = process.env.JWT_REFRESH_TTL || '7d';
+const API_TOKEN_PREFIX = 'yva_';
+const PASSWORD_MIN_LENGTH = 8;
+const TOKEN_USE_UPDATE_MS = 60 * 1000;
+const LOGIN_WINDOW_MS = parseInt(process.env.LOGIN_WINDOW_MS) || 15 * 60 * 1000;
+const LOGIN_MAX_FAILURES_PER_IP = parseInt(process.env.LOGIN_MAX_FAILURES_PER_IP) || 20;
+const LOGIN_MAX_FAILURES_PER_EMAIL = parseInt(process.env.LOGIN_MAX_FAILURES_PER_EMAIL) || 5;
+
+const ipFailures = new AttemptLimiter({ maxAttempts: LOGIN_MAX_FAILURES_PER_IP, windowMs: LOGIN_WINDOW_MS });
+const emailFailures = new AttemptLimiter({ maxAttempts: LOGIN_MAX_FAILURES_PER_EMAIL, windowMs: LOGIN_WINDOW_MS });
+
+/**
+ * Secret JWTs are signed with. Without JWT_SECRET, a random secret is used,
+ * which signs everyone out on restart and doesn't work across instances.
+ * @constant {string}
+ */
+const JWT_SECRET = process.env.JWT_SECRET || crypto.randomBytes(32).toString('hex');
+
+if (!process.env.JWT_SECRET) {
+  console.warn('JWT_SECRET is not set, using a random secret: sessions end when the server restarts');
+}
+
+/**
+ * Error thrown when credentials or a token are invalid
+ *
+ * @class AuthError
+ * @extends Error
+ */
+class AuthError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AuthError';
+  }
+}
+
+/**
+ * Error thrown when a sign-in is refused after too many failed attempts
+ *
+ * @class LoginLimitError
+ * @extends Error
+ */
+class LoginLimitError extends Error {
+  constructor(message, retryAfterMs) {
+    super(message);
+    this.name = 'LoginLimitError';
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+/**
+ * Check whether a role grants at least the rights of another
+ *
+ * @function hasRole
+ * @param {string} role - Role to check
+ * @param {string} required - Least privileged role allowed
+ * @returns {boolean} - True if `role` is `required` or above it
+ */
+const hasRole = (role, required) => ROLES.indexOf(role) >= ROLES.indexOf(required);
+
+/**
+ * Hash a password with scrypt and a random salt
+ *
+ * @async
+ * @function hashPassword
+ * @param {string} password - Password
+ * @returns {Promise<string>} - `scrypt$<salt>$<hash>`, both hex
+ */
+const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = await scrypt(password, salt, 64);
+  return `scrypt$${salt}$${hash.toString('hex')}`;
+};
+
+/**
+ * Check a password against a hash from hashPassword
+ *
+ * @async
+ * @function verifyPassword
+ * @param {string} password - Password to check
+ * @param {string} stored - Stored hash
+ * @returns {Promise<boolean>} - True if the password matches
+ */
+const verifyPassword = async (password, stored) => {
+  const [scheme, salt, hash] = (stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) {
+    return false;
+  }
+
+  const expected = Buffer.from(hash, 'hex');
+  const actual = await scrypt(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+};
+
+/**
+ * Check that a password is acceptable
+ *
+ * @function validatePassword
+ * @param {*} password - Password from a request
+ * @returns {string|null} - Error message, or null if the password is acceptable
+ */
+const validatePassword = (password) => {
+  if (typeof password !== 'string' || password.length < PASSWORD_MIN_LENGTH) {
+    return `Password must be at least ${PASSWORD_MIN_LENGTH} characters`;
+  }
+  return null;
+};
+
+/**
+ * Get the SHA-256 hash of an API token
+ *
+ * @param {string} token - API token
+ * @returns {string} - Hex hash
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Get the fields of a user returned by the API
+ *
+ * @function toPublicUser
+ * @param {Object} user - User document
+ * @returns {Object} - `{ id, email, name, role }`
+ */
+const toPublicUser = (user) => ({
+  id: user._id.toString(),
+  email: user.email,
+  name: user.name,
+  role: user.role,
+});
+
+/**
+ * Issue an access token and a refresh token for a user
+ *
+ * @function issueTokens
+ * @param {Object} user - User document
+ * @returns {Object} - `{ accessToken, refreshToken, expiresIn }`, expiresIn being
+ *   the access token's lifetime in seconds
+ */
+const issueTokens = (user) => {
+  const subject = user._id.toString();
+  const accessToken = jwt.sign({ type: 'access', ver: user.tokenVersion }, JWT_SECRET, {
+    subject,
+    expiresIn: JWT_ACCESS_TTL,
+  });
+  const refreshToken = jwt.sign({ type: 'refresh', ver: user.tokenVersion }, JWT_SECRET, {
+    subject,
+    expiresIn: JWT_REFRESH_TTL,
+  });
+  const { iat, exp } = jwt.decode(accessToken);
+
+  return { accessToken, refreshToken, expiresIn: exp - iat };
+};
+
+/**
+ * Verify a JWT of the given type and load its user
+ *
+ * @async
+ * @param {string} token - JWT
+ * @param {string} type - 'access' or 'refresh'
+ * @returns {Promise<Object>} - User document
+ * @throws {AuthError} - If the token is invalid, expired or revoked, or the user is disabled
+ */
+const verifyJwt = async (token, type) => {
+  let payload;
+  try {
+    payload = jwt.verify(token, JWT_SECRET);
+  } catch (error) {
+    throw new AuthError(error.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token');
+  }
+
+  if (payload.type !== type) {
+    throw new AuthError('Invalid token');
+  }
+
+  const user = await User.findById(payload.sub);
+  if (!user || !user.active || user.tokenVersion !== payload.ver) {
+    throw new AuthError('Token revoked');
+  }
+
+  return user;
+};
+
+/**
+ * Sign a user in with email and password
+ *
+ * After LOGIN_MAX_FAILURES_PER_IP failures from an IP address, or
+ * LOGIN_MAX_FAILURES_PER_EMAIL for an email, sign-ins from that address
+ * or for that email are refused without checking the password until
+ * LOGIN_WINDOW_MS after the first failure. A successful sign-in clears
+ * the email's failures.
+ *
+ * @async
+ * @function login
+ * @param {string} email - Email
+ * @param {string} password - Password
+ * @param {string} ip - IP address of the client
+ * @returns {Promise<Object>} - `{ user, accessToken, refreshToken, expiresIn }`
+ * @throws {LoginLimitError} - If the IP address or email has too many failed attempts
+ * @throws {AuthError} - If the credentials are wrong or the user is disabled
+ */
+const login = async (email, password, ip) => {
+  const normalizedEmail = String(email).toLowerCase().trim();
+  const retryAfterMs = Math.max(ipFailures.retryAfter(ip), emailFailures.retryAfter(normalizedEmail));
+  if (retryAfterMs > 0) {
+    throw new LoginLimitError('Too many failed sign-in attempts, try again later', retryAfterMs);
+  }
+
+  const user = await User.findOne({ email: normalizedEmail }).select('+passwordHash');
+
+  if (!user || !user.active || !(await verifyPassword(String(password), user.passwordHash))) {
+    ipFailures.fail(ip);
+    emailFailures.fail(normalizedEmail);
+    throw new AuthError('Invalid email or password');
+  }
+
+  emailFailures.reset(normalizedEmail);
+  await User.updateOne({ _id: user._id }, { $set: { lastLoginAt: new Date() } });
+  return { user: toPublicUser(user), ...issueTokens(user) };
+};
+
+/**
+ * Issue new tokens for a refresh token
+ *
+ * @async
+ * @function refreshSession
+ * @param {string} refreshToken - Refresh token from login or an earlier refresh
+ * @returns {Promise<Object>} - `{ user, accessToken, refreshToken, expiresIn }`
+ * @throws {AuthError} - If the refresh token is invalid, expired or revoked
+ */
+const refreshSession = async (refreshToken) => {
+  const user = await verifyJwt(refreshToken, 'refresh');
+  return { user: toPublicUser(user), ...issueTokens(user) };
+};
+
+/**
+ * Revoke every JWT issued to a user
+ *
+ * @async
+ * @function revokeSessions
+ * @param {string} userId - User id
+ * @returns {Promise<void>}
+ */
+const revokeSessions = async (userId) => {
+  await User.updateOne({ _id: userId }, { $inc: { tokenVersion: 1 } });
+};
+
+/**
+ * Verify an access token or API token sent with a request
+ *
+ * @async
+ * @function authenticateToken
+ * @param {string} token - Bearer token
+ * @returns {Promise<Object>} - `{ user, method, tokenId, scope }`: the public user with the role
+ *   the token grants, 'jwt' or 'apiToken', and the API token's id and scope
+ * @throws {AuthError} - If the token is invalid, expired or revoked
+ */
+const authenticateToken = async (token) => {
+  if (!token.startsWith(API_TOKEN_PREFIX)) {
+    const user = await verifyJwt(token, 'access');
+    return { user: toPublicUser(user), method: 'jwt' };
+  }
+
+  const apiToken = await ApiToken.findOne({ tokenHash: hashToken(token) }).populate('user');
+  if (!apiToken || (apiToken.expiresAt && apiToken.expiresAt <= new Date())) {
+    throw new AuthError('Invalid token');
+  }
+  if (!apiToken.user || !apiToken.user.active) {
+    throw new AuthError('Token revoked');
+  }
+
+  if (!apiToken.lastUsedAt || Date.now() - apiToken.lastUsedAt >= TOKEN_USE_UPDATE_MS) {
+    ApiToken.updateOne({ _id: apiToken._id }, { $set: { lastUsedAt: new Date() } }).catch(error => {
+      console.error('Error updating API token usage:', error.message);
+    });
+  }
+
+  // A token never grants more than its user currently has
+  const role = hasRole(apiToken.user.role, apiToken.role) ? apiToken.role : apiToken.user.role;
+  return {
+    user: { ...toPublicUser(apiToken.user), role },
+    method: 'apiToken',
+    tokenId: apiToken._id.toString(),
+    scope: apiToken.scope || 'api',
+  };
+};
+
+/**
+ * Create an API token for a user
+ *
+ * @async
+ * @function createApiToken
+ * @param {Object} user - Public user creating the token
+ * @param {Object} options - Token options
+ * @param {string} options.name - What the token is for
+ * @param {string} [options.role] - Role the token grants, at most the user's (default: the user's)
+ * @param {Date} [options.expiresAt] - Expiry date (default: never)
+ * @param {string} [options.scope='api'] - 'api', or 'feed' for a token only accepted by the RSS and Atom exports
+ * @returns {Promise<Object>} - `{ token, apiToken }`: the token, which isn't stored, and its document
+ */
+const createApiToken = async (user, { name, role = user.role, expiresAt, scope = 'api' }) => {
+  const token = `${API_TOKEN_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+  const apiToken = await ApiToken.create({
+    name,
+    user: user.id,
+    role,
+    scope,
+    tokenHash: hashToken(token),
+    preview: `${token.slice(0, API_TOKEN_PREFIX.length + 6)}...`,
+    expiresAt,
+  });
+
+  return { token, apiToken };
+};
+
+/**
+ * Create the first admin user
+ *
+ * On a database without users, creates an admin from the ADMIN_EMAIL and
+ * ADMIN_PASSWORD environment variables, so a new deployment can sign in.
+ *
+ * @async
+ * @function ensureAdminUser
+ * @returns {Promise<void>}
+ */
+const ensureAdminUser = async () => {
+  if (await User.exists({})) {
+    return;
+  }
+
+  const { ADMIN_EMAIL, ADMIN_PASSWORD } = process.env;
+  if (!ADMIN_EMAIL || !ADMIN_PASSWORD) {
+    console.warn('No users exist: set ADMIN_EMAIL and ADMIN_PASSWORD to create the first admin');
+    return;
+  }
+
+  const error = validatePassword(ADMIN_PASSWORD);
+  if (error) {
+    console.warn(`Admin user not created: ${error}`);
+    return;
+  }
+
+  await User.create({ email: ADMIN_EMAIL, passwordHash: await hashPassword(ADMIN_PASSWORD), role: 'admin' });
+  console.log(`Created admin user ${ADMIN_EMAIL}`);
+};
+
+/**
+ * Export service functions
+ * @type {Object}
+ */
+module.exports = {
+  ROLES,
+  AuthError,
+  LoginLimitError,
+  hasRole,
+  hashPassword,
+  validatePassword,
+  toPublicUser,
+  login,
+  refreshSession,
+  revokeSessions,
+  authenticateToken,
+  createApiToken,
+  ensureAdminUser,
+};
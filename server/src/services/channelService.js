@@ -0,0 +1,200 @@
+/**
+ * Channel Service Module
+ *
+ * Keeps the Channel collection in sync: fetches channel details from
+ * the YouTube API with channels.list and aggregates per-channel
+ * statistics from the videos stored in the database.
+ *
+ * @module services/channelService
+ */
+
+const Channel = require('../models/Channel');
+const Video = require('../models/Video');
+const { callYouTubeApi } = require('./youtubeClient');
+require('dotenv').config();
+
+/**
+ * Channel service configuration constants
+ * @constant {number} CHANNELS_LIST_BATCH_SIZE - Maximum channel IDs per channels.list call
+ * @constant {number} CHANNEL_REFRESH_HOURS - Hours after which channel details are fetched again
+ */
+const CHANNELS_LIST_BATCH_SIZE = 50;
+const CHANNEL_REFRESH_HOURS = parseInt(process.env.CHANNEL_REFRESH_HOURS) || 24;
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Fetch channel details from the YouTube API and store them
+ *
+ * Looks the channels up with channels.list in batches of up to 50 IDs.
+ *
+ * @async
+ * @function fetchChannels
+ * @param {Array<string>} channelIds - YouTube channel IDs to fetch
+ * @returns {Promise<number>} - Number of channels stored
+ * @throws {YouTubeApiError} - If a channels.list call fails
+ */
+const fetchChannels = async (channelIds) => {
+  const uniqueIds = [...new Set(channelIds)];
+  let stored = 0;
+
+  for (let i = 0; i < uniqueIds.length; i += CHANNELS_LIST_BATCH_SIZE) {
+    const batch = uniqueIds.slice(i, i + CHANNELS_LIST_BATCH_SIZE);
+    const youtubeData = await callYouTubeApi('channels.list', {
+      part: 'snippet,statistics,contentDetails',
+      id: batch.join(','),
+      maxResults: CHANNELS_LIST_BATCH_SIZE,
+    }, { query: `${batch.length} channel IDs` });
+
+    const operations = (youtubeData.items || []).map(item => ({
+      updateOne: {
+        filter: { channelId: item.id },
+        update: {
+          $set: {
+            title: item.snippet?.title,
+            description: item.snippet?.description,
+            customUrl: item.snippet?.customUrl,
+            country: item.snippet?.country,
+            thumbnails: item.snippet?.thumbnails,
+            publishedAt: item.snippet?.publishedAt ? new Date(item.snippet.publishedAt) : undefined,
+            subscriberCount: parseInt(item.statistics?.subscriberCount) || 0,
+            hiddenSubscriberCount: Boolean(item.statistics?.hiddenSubscriberCount),
+            videoCount: parseInt(item.statistics?.videoCount) || 0,
+            viewCount: parseInt(item.statistics?.viewCount) || 0,
+            uploadsPlaylistId: item.contentDetails?.relatedPlaylists?.uploads,
+            fetchedAt: new Date(),
+          },
+        },
+        upsert: true,
+      },
+    }));
+
+    if (operations.length > 0) {
+      await Channel.bulkWrite(operations, { ordered: false });
+      stored += operations.length;
+    }
+  }
+
+  return stored;
+};
+
+/**
+ * Aggregate channel statistics from stored videos
+ *
+ * Computes the upload count, first and last upload dates, total views,
+ * and average uploads per week (over the span between the first and
+ * last stored upload, at least one week).
+ *
+ * @async
+ * @function refreshChannelStats
+ * @param {Array<string>} channelIds - YouTube channel IDs to aggregate
+ * @returns {Promise<void>}
+ */
+const refreshChannelStats = async (channelIds) => {
+  const results = await Video.aggregate([
+    { $match: { channelId: { $in: [...new Set(channelIds)] } } },
+    {
+      $group: {
+        _id: '$channelId',
+        title: { $last: '$channelTitle' },
+        uploadCount: { $sum: 1 },
+        firstUploadAt: { $min: '$publishedAt' },
+        lastUploadAt: { $max: '$publishedAt' },
+        totalViews: { $sum: { $ifNull: ['$viewCount', 0] } },
+      },
+    },
+  ]);
+
+  const operations = results.map(result => {
+    const weeks = Math.max((result.lastUploadAt - result.firstUploadAt) / WEEK_MS, 1);
+    return {
+      updateOne: {
+        filter: { channelId: result._id },
+        update: {
+          $set: {
+            stats: {
+              uploadCount: result.uploadCount,
+              firstUploadAt: result.firstUploadAt,
+              lastUploadAt: result.lastUploadAt,
+              avgUploadsPerWeek: Math.round((result.uploadCount / weeks) * 100) / 100,
+              totalViews: result.totalViews,
+              updatedAt: new Date(),
+            },
+          },
+          // Keep a usable title until channels.list has filled in the details
+          $setOnInsert: { title: result.title },
+        },
+        upsert: true,
+      },
+    };
+  });
+
+  if (operations.length > 0) {
+    await Channel.bulkWrite(operations, { ordered: false });
+  }
+};
+
+/**
+ * Sync channels after new videos were saved
+ *
+ * Fetches details for channels that are unknown or older than
+ * CHANNEL_REFRESH_HOURS, then refreshes the aggregated statistics
+ * of every given channel.
+ *
+ * @async
+ * @function syncChannels
+ * @param {Array<string>} channelIds - YouTube channel IDs of the saved videos
+ * @returns {Promise<void>}
+ */
+const syncChannels = async (channelIds) => {
+  const uniqueIds = [...new Set(channelIds.filter(Boolean))];
+  if (uniqueIds.length === 0) {
+    return;
+  }
+
+  const freshSince = new Date(Date.now() - CHANNEL_REFRESH_HOURS * 60 * 60 * 1000);
+  const freshIds = await Channel.find({
+    channelId: { $in: uniqueIds },
+    fetchedAt: { $gte: freshSince },
+  }).distinct('channelId');
+  const staleIds = uniqueIds.filter(id => !freshIds.includes(id));
+
+  if (staleIds.length > 0) {
+    await fetchChannels(staleIds);
+  }
+
+  await refreshChannelStats(uniqueIds);
+};
+
+/**
+ * Get a channel with its uploads playlist
+ *
+ * Uses the stored channel when it already knows its uploads playlist,
+ * otherwise fetches the channel from the YouTube API first.
+ *
+ * @async
+ * @function resolveChannel
+ * @param {string} channelId - YouTube channel id
+ * @returns {Promise<Object|null>} - Channel document, or null if YouTube doesn't know the channel
+ */
+const resolveChannel = async (channelId) => {
+  let channel = await Channel.findOne({ channelId });
+
+  if (!channel || !channel.uploadsPlaylistId) {
+    await fetchChannels([channelId]);
+    channel = await Channel.findOne({ channelId });
+  }
+
+  return channel && channel.uploadsPlaylistId ? channel : null;
+};
+
+/**
+ * Export service functions
+ * @type {Object}
+ */
+module.exports = {
+  fetchChannels,
+  refreshChannelStats,
+  syncChannels,
+  resolveChannel,
+};
@@ -0,0 +1,181 @@
+/**
+ * Duplicate Service Module
+ *
+ * Groups near-duplicate videos, such as the same video re-uploaded by
+ * several channels, into clusters. Every video is fingerprinted with a
+ * SimHash of its normalized title and description when it is saved; a new
+ * video whose fingerprint is within DUPLICATE_MAX_DISTANCE bits of stored
+ * videos joins their cluster, otherwise it starts a cluster of its own.
+ *
+ * Clusters are assigned once, when a video is first saved, and are not
+ * revisited when a title or description changes later.
+ *
+ * @module services/duplicateService
+ */
+
+const Video = require('../models/Video');
+const { FINGERPRINT_BANDS, simhash, fingerprintBands, hammingDistance } = require('../utils/simhash');
+require('dotenv').config();
+
+/**
+ * Duplicate detection configuration constants
+ * @constant {number} DUPLICATE_MAX_DISTANCE - Most differing fingerprint bits for near-duplicates;
+ *   capped below FINGERPRINT_BANDS, so every near-duplicate shares a band
+ * @constant {number} DUPLICATE_CANDIDATE_LIMIT - Maximum number of stored videos compared per new video
+ */
+const DUPLICATE_MAX_DISTANCE = Math.min(
+  parseInt(process.env.DUPLICATE_MAX_DISTANCE) || 3,
+  FINGERPRINT_BANDS - 1
+);
+const DUPLICATE_CANDIDATE_LIMIT = 200;
+
+/**
+ * Get the fingerprint fields to store for a video
+ *
+ * @function fingerprintFields
+ * @param {string} title - Video title
+ * @param {string} [description] - Video description
+ * @returns {Object} - `{ fingerprint, fingerprintBands }`, null and empty for texts too short to fingerprint
+ */
+const fingerprintFields = (title, description) => {
+  const fingerprint = simhash(title, description);
+  return {
+    fingerprint,
+    fingerprintBands: fingerprint ? fingerprintBands(fingerprint) : [],
+  };
+};
+
+/**
+ * Assign a video to the cluster of its near-duplicates, or to a new cluster
+ *
+ * When the video is close to videos of several clusters, those clusters
+ * are merged into one.
+ *
+ * @async
+ * @param {Object} video - Video document with its fingerprint fields
+ * @returns {Promise<boolean>} - Whether near-duplicates were found
+ */
+const assignDuplicateCluster = async (video) => {
+  const matches = video.fingerprint
+    ? (await Video.find(
+      { fingerprintBands: { $in: video.fingerprintBands }, videoId: { $ne: video.videoId } },
+      'videoId fingerprint duplicateClusterId'
+    ).limit(DUPLICATE_CANDIDATE_LIMIT).lean())
+      .filter(candidate => candidate.fingerprint
+        && hammingDistance(candidate.fingerprint, video.fingerprint) <= DUPLICATE_MAX_DISTANCE)
+    : [];
+
+  if (matches.length === 0) {
+    video.duplicateClusterId = video.videoId;
+    await Video.updateOne({ _id: video._id }, { $set: { duplicateClusterId: video.videoId } });
+    return false;
+  }
+
+  // Videos stored before clustering was added are a cluster of their own
+  const clusterIds = [...new Set(matches.map(match => match.duplicateClusterId || match.videoId))].sort();
+  const [clusterId, ...mergedIds] = clusterIds;
+
+  await Video.updateMany(
+    {
+      $or: [
+        { _id: video._id },
+        { videoId: { $in: matches.filter(match => !match.duplicateClusterId).map(match => match.videoId) } },
+        { duplicateClusterId: { $in: mergedIds } },
+      ],
+    },
+    { $set: { duplicateClusterId: clusterId } }
+  );
+  video.duplicateClusterId = clusterId;
+  return true;
+};
+
+/**
+ * Assign newly saved videos to duplicate clusters
+ *
+ * Videos are handled one after the other, so near-duplicates saved in the
+ * same batch end up in the same cluster.
+ *
+ * @async
+ * @function assignDuplicateClusters
+ * @param {Array<Object>} videos - Saved video documents without a cluster
+ * @returns {Promise<number>} - Number of videos that have near-duplicates
+ */
+const assignDuplicateClusters = async (videos) => {
+  let duplicates = 0;
+
+  for (const video of videos) {
+    if (await assignDuplicateCluster(video)) {
+      duplicates++;
+    }
+  }
+
+  return duplicates;
+};
+
+/**
+ * Fingerprint and cluster the videos stored before duplicate detection existed
+ *
+ * Runs at startup; a no-op once every video has a fingerprint.
+ *
+ * @async
+ * @function backfillDuplicateClusters
+ * @returns {Promise<number>} - Number of videos fingerprinted
+ */
+const backfillDuplicateClusters = async () => {
+  const cursor = Video.find({ fingerprint: { $exists: false } }, 'videoId title description')
+    .sort({ publishedAt: 1 })
+    .cursor();
+  let count = 0;
+
+  for await (const video of cursor) {
+    Object.assign(video, fingerprintFields(video.title, video.description));
+    await Video.updateOne(
+      { _id: video._id },
+      { $set: { fingerprint: video.fingerprint, fingerprintBands: video.fingerprintBands } }
+    );
+    await assignDuplicateCluster(video);
+    count++;
+  }
+
+  if (count > 0) {
+    console.log(`Fingerprinted ${count} videos for duplicate detection`);
+  }
+  return count;
+};
+
+/**
+ * Build the aggregation stages collapsing each duplicate cluster to its earliest upload
+ *
+ * Only videos that passed the preceding stages are collapsed, so the kept
+ * video is the earliest matching one. It gets a `duplicates` count of the
+ * other matching videos of its cluster.
+ *
+ * @function buildCollapseStages
+ * @returns {Array<Object>} - Aggregation stages
+ */
+const buildCollapseStages = () => [
+  { $sort: { publishedAt: 1, _id: 1 } },
+  {
+    $group: {
+      _id: { $ifNull: ['$duplicateClusterId', '$videoId'] },
+      video: { $first: '$$ROOT' },
+      count: { $sum: 1 },
+    },
+  },
+  {
+    $replaceRoot: {
+      newRoot: { $mergeObjects: ['$video', { duplicates: { $subtract: ['$count', 1] } }] },
+    },
+  },
+];
+
+/**
+ * Export service functions
+ * @type {Object}
+ */
+module.exports = {
+  fingerprintFields,
+  assignDuplicateClusters,
+  backfillDuplicateClusters,
+  buildCollapseStages,
+};
@@ -0,0 +1,223 @@
+/**
+ * Import Service Module
+ *
+ * Imports videos from NDJSON, CSV or Google Takeout watch history files
+ * without calling the YouTube API. Each row is validated against the
+ * Video schema and checked against the ingest rules; valid rows are saved
+ * through the same path as fetched videos (saveVideoItems), and every row
+ * that can't be imported is listed in the report with its errors.
+ * Videos already stored are left unchanged: import files (a Takeout
+ * history above all) carry watch times and default thumbnails that would
+ * overwrite better data.
+ *
+ * Used by the import route and by `scripts/importVideos.js`.
+ *
+ * @module services/importService
+ */
+
+const Video = require('../models/Video');
+const IngestReport = require('../models/IngestReport');
+const { saveVideoItems } = require('./youtubeService');
+const { createIngestReport, loadIngestRules, getRejectionReason } = require('./ingestFilter');
+const { ImportFormatError, IMPORT_PARSERS, extractVideoId } = require('../utils/videoImport');
+
+/**
+ * Import configuration constants
+ * @constant {number} IMPORT_BATCH_SIZE - Number of videos saved per batch
+ * @constant {number} IMPORT_ERROR_LIMIT - Maximum number of row errors listed in a report
+ */
+const IMPORT_BATCH_SIZE = 100;
+const IMPORT_ERROR_LIMIT = 1000;
+
+/**
+ * Statistics fields a row may carry
+ * @constant {Array<string>}
+ */
+const STATISTICS_FIELDS = ['viewCount', 'likeCount', 'commentCount'];
+
+/**
+ * Get thumbnails for a video from YouTube's image server
+ *
+ * @param {string} videoId - YouTube video ID
+ * @returns {Object} - Thumbnails in the default, medium and high sizes
+ */
+const defaultThumbnails = (videoId) => ({
+  default: { url: `https://i.ytimg.com/vi/${videoId}/default.jpg`, width: 120, height: 90 },
+  medium: { url: `https://i.ytimg.com/vi/${videoId}/mqdefault.jpg`, width: 320, height: 180 },
+  high: { url: `https://i.ytimg.com/vi/${videoId}/hqdefault.jpg`, width: 480, height: 360 },
+});
+
+/**
+ * Validate a parsed row and turn it into a videos.list-shaped item
+ *
+ * The row is cast and validated as a Video document, so types, required
+ * fields and enums follow the schema. Rows without thumbnails get
+ * YouTube's standard ones.
+ *
+ * @param {Object} record - Fields of the row
+ * @returns {Object} - `{ item }` for a valid row, `{ errors }` otherwise
+ */
+const buildImportItem = (record) => {
+  const videoId = record.videoId || (record.url ? extractVideoId(record.url) : null);
+  const errors = [];
+  if (videoId && !/^[\w-]{11}$/.test(videoId)) {
+    errors.push(`videoId: Invalid video ID "${videoId}"`);
+  }
+
+  const video = new Video({
+    videoId,
+    title: record.title,
+    description: record.description,
+    publishedAt: record.publishedAt,
+    thumbnails: record.thumbnails || defaultThumbnails(videoId),
+    channelTitle: record.channelTitle,
+    channelId: record.channelId,
+    viewCount: record.viewCount,
+    likeCount: record.likeCount,
+    commentCount: record.commentCount,
+    durationSeconds: record.durationSeconds,
+    tags: record.tags,
+    categoryId: record.categoryId,
+    liveBroadcastContent: record.liveBroadcastContent,
+  });
+
+  const validationError = video.validateSync();
+  if (validationError) {
+    errors.push(...Object.values(validationError.errors).map(error => `${error.path}: ${error.message}`));
+  }
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  const doc = video.toObject();
+  const hasStatistics = STATISTICS_FIELDS.some(field => doc[field] != null);
+
+  return {
+    item: {
+      id: videoId,
+      snippet: {
+        title: doc.title,
+        description: doc.description,
+        publishedAt: doc.publishedAt.toISOString(),
+        thumbnails: doc.thumbnails,
+        channelTitle: doc.channelTitle,
+        channelId: doc.channelId,
+        tags: doc.tags,
+        categoryId: doc.categoryId,
+        liveBroadcastContent: doc.liveBroadcastContent,
+      },
+      ...(hasStatistics ? {
+        statistics: Object.fromEntries(STATISTICS_FIELDS.map(field => [field, String(doc[field] ?? 0)])),
+      } : {}),
+      ...(doc.durationSeconds != null ? {
+        contentDetails: { duration: `PT${doc.durationSeconds}S` },
+      } : {}),
+    },
+  };
+};
+
+/**
+ * Import videos from a file
+ *
+ * Returns a report of the run:
+ * - `total` - Number of rows read
+ * - `valid` - Number of rows that passed validation and the ingest rules
+ * - `imported` - Number of new videos saved (0 in a dry run)
+ * - `existing` - Number of valid rows whose video was already stored, which were left unchanged
+ * - `duplicates` - Number of imported videos found to be near-duplicates of stored videos
+ * - `errorCount` and `errors` - Rows that weren't imported, as `{ row, videoId, errors }`;
+ *   only the first IMPORT_ERROR_LIMIT are listed
+ *
+ * A dry run validates every row and checks the ingest rules without saving.
+ * A real run also writes an ingest report. Imported videos don't send
+ * webhook events.
+ *
+ * @async
+ * @function importVideos
+ * @param {string} text - File contents
+ * @param {Object} options - Import options
+ * @param {string} options.format - 'ndjson', 'csv' or 'takeout'
+ * @param {boolean} [options.dryRun=false] - Validate without saving
+ * @param {string} [options.source] - Name of the import for the ingest report, e.g. the file name
+ * @returns {Promise<Object>} - Import report
+ * @throws {ImportFormatError} - If the format is unknown or the file can't be read as a whole
+ */
+const importVideos = async (text, { format, dryRun = false, source } = {}) => {
+  const parse = IMPORT_PARSERS[format];
+  if (!parse) {
+    throw new ImportFormatError(`Invalid format, use one of: ${Object.keys(IMPORT_PARSERS).join(', ')}`);
+  }
+
+  const rows = parse(text);
+  const rules = await loadIngestRules();
+  const report = {
+    format,
+    dryRun,
+    total: rows.length,
+    valid: 0,
+    imported: 0,
+    existing: 0,
+    duplicates: 0,
+    errorCount: 0,
+    errors: [],
+  };
+  const addError = (row, videoId, errors) => {
+    report.errorCount++;
+    if (report.errors.length < IMPORT_ERROR_LIMIT) {
+      report.errors.push({ row, videoId, errors });
+    }
+  };
+
+  const accepted = [];
+  const rejected = [];
+  rows.forEach(({ row, record, errors }) => {
+    if (errors) {
+      addError(row, undefined, errors);
+      return;
+    }
+
+    const result = buildImportItem(record);
+    if (result.errors) {
+      addError(row, record.videoId, result.errors);
+      return;
+    }
+
+    const reason = getRejectionReason(result.item.snippet.channelId, result.item.snippet.title, rules);
+    if (reason) {
+      addError(row, result.item.id, [`Rejected by ingest rules (${reason})`]);
+      rejected.push(reason);
+      return;
+    }
+
+    accepted.push(result.item);
+  });
+  report.valid = accepted.length;
+
+  if (dryRun) {
+    return report;
+  }
+
+  // Rows rejected by the rules were left out above, but still count in the ingest report
+  const ingestReport = createIngestReport(`import: ${source || format}`);
+  ingestReport.received += rejected.length;
+  rejected.forEach(reason => {
+    ingestReport.rejected[reason]++;
+  });
+  for (let i = 0; i < accepted.length; i += IMPORT_BATCH_SIZE) {
+    await saveVideoItems(accepted.slice(i, i + IMPORT_BATCH_SIZE), null, ingestReport, { notify: false, overwrite: false });
+  }
+  await IngestReport.create(ingestReport);
+
+  report.imported = ingestReport.saved;
+  report.existing = report.valid - report.imported;
+  report.duplicates = ingestReport.duplicates;
+  return report;
+};
+
+/**
+ * Export service functions
+ * @type {Object}
+ */
+module.exports = {
+  importVideos,
+};
@@ -0,0 +1,152 @@
+/**
+ * Ingest Filter Module
+ *
+ * Applies the ingest rules to YouTube items before they are saved:
+ * - Videos from blocked channels are rejected
+ * - Videos whose title matches a deny-pattern are rejected, unless the channel is allowed
+ * - With INGEST_ALLOWLIST_ONLY=true, videos from channels that are not allowed are rejected
+ *
+ * @module services/ingestFilter
+ */
+
+const IngestRule = require('../models/IngestRule');
+const { checkPatternSafety } = require('../utils/regexSafety');
+require('dotenv').config();
+
+/**
+ * Whether only videos from allowed channels are accepted
+ * @constant {boolean}
+ */
+const INGEST_ALLOWLIST_ONLY = process.env.INGEST_ALLOWLIST_ONLY === 'true';
+
+/**
+ * Create an empty ingest report
+ *
+ * @function createIngestReport
+ * @param {string} source - Description of what is ingested, e.g. 'query: music'
+ * @param {mongoose.Types.ObjectId} [trackedQuery] - Tracked query of the run
+ * @returns {Object} - Report with zeroed counters
+ */
+const createIngestReport = (source, trackedQuery = null) => ({
+  source,
+  trackedQuery,
+  received: 0,
+  saved: 0,
+  duplicates: 0,
+  rejected: {
+    blockedChannel: 0,
+    notAllowed: 0,
+    deniedTitle: 0,
+  },
+});
+
+/**
+ * Load the ingest rules and compile them for matching
+ *
+ * Deny-patterns are stored validated, but a pattern that still fails to
+ * compile, or that fails the safety check (e.g. stored before it existed),
+ * is skipped rather than blocking ingestion.
+ *
+ * @async
+ * @function loadIngestRules
+ * @returns {Promise<Object>} - Sets of blocked and allowed channel ids, and title patterns
+ */
+const loadIngestRules = async () => {
+  const rules = await IngestRule.find();
+  const compiled = {
+    blockedChannels: new Set(),
+    allowedChannels: new Set(),
+    titlePatterns: [],
+  };
+
+  rules.forEach(rule => {
+    if (rule.type === 'blockChannel') {
+      compiled.blockedChannels.add(rule.value);
+    } else if (rule.type === 'allowChannel') {
+      compiled.allowedChannels.add(rule.value);
+    } else if (rule.type === 'denyTitlePattern') {
+      const unsafe = checkPatternSafety(rule.value);
+      if (unsafe) {
+        console.error(`Skipping unsafe title pattern "${rule.value}":`, unsafe);
+        return;
+      }
+      try {
+        compiled.titlePatterns.push(new RegExp(rule.value, 'i'));
+      } catch (error) {
+        console.error(`Skipping invalid title pattern "${rule.value}":`, error.message);
+      }
+    }
+  });
+
+  return compiled;
+};
+
+/**
+ * Get the reason an item is rejected by the rules
+ *
+ * @function getRejectionReason
+ * @param {string} channelId - Channel id of the item
+ * @param {string} title - Title of the item
+ * @param {Object} rules - Rules compiled by loadIngestRules
+ * @returns {string|null} - 'blockedChannel', 'notAllowed', 'deniedTitle', or null if accepted
+ */
+const getRejectionReason = (channelId, title, rules) => {
+  if (rules.blockedChannels.has(channelId)) {
+    return 'blockedChannel';
+  }
+
+  const allowed = rules.allowedChannels.has(channelId);
+  if (INGEST_ALLOWLIST_ONLY && !allowed) {
+    return 'notAllowed';
+  }
+
+  if (!allowed && rules.titlePatterns.some(pattern => pattern.test(title || ''))) {
+    return 'deniedTitle';
+  }
+
+  return null;
+};
+
+/**
+ * Filter YouTube items through the ingest rules
+ *
+ * Counts received and rejected items in the given report.
+ *
+ * @async
+ * @function filterIngestItems
+ * @param {Array} items - Video items from the YouTube API
+ * @param {Object} [report] - Ingest report to update
+ * @returns {Promise<Array>} - Items that passed the rules
+ */
+const filterIngestItems = async (items, report = null) => {
+  const rules = await loadIngestRules();
+  const accepted = [];
+
+  items.forEach(item => {
+    const reason = getRejectionReason(item.snippet.channelId, item.snippet.title, rules);
+    if (reason) {
+      if (report) {
+        report.rejected[reason]++;
+      }
+    } else {
+      accepted.push(item);
+    }
+  });
+
+  if (report) {
+    report.received += items.length;
+  }
+
+  return accepted;
+};
+
+/**
+ * Export ingest filter functions
+ * @type {Object}
+ */
+module.exports = {
+  createIngestReport,
+  loadIngestRules,
+  getRejectionReason,
+  filterIngestItems,
+};
@@ -0,0 +1,349 @@
+/**
+ * Job Scheduler Module
+ *
+ * Runs the background jobs on their schedules, once across all server
+ * instances. Jobs are defined in code with defineJob; their state lives in
+ * the Job collection:
+ * - Every instance polls for due jobs every SCHEDULER_POLL_MS
+ * - An instance runs a job only after taking its lock, so a job never runs
+ *   twice at the same time, whether on one instance or several
+ * - The lock expires after the job's `lockMs` unless the running instance
+ *   renews it, so a crashed instance doesn't block the job forever
+ * - Every run is recorded as a JobRun with its duration, items and errors
+ *
+ * A schedule is either a cron expression (5 fields, or 6 with seconds) or
+ * an interval in milliseconds. Interval jobs are due `intervalMs` after
+ * their last run started; missed runs are not caught up.
+ *
+ * @module services/jobScheduler
+ */
+
+const os = require('os');
+const crypto = require('crypto');
+const cronParser = require('cron-parser');
+const Job = require('../models/Job');
+const JobRun = require('../models/JobRun');
+require('dotenv').config();
+
+/**
+ * Scheduler configuration constants
+ * @constant {number} SCHEDULER_POLL_MS - How often instances look for due jobs
+ * @constant {number} DEFAULT_LOCK_MS - Lock duration of jobs that don't set one
+ */
+const SCHEDULER_POLL_MS = parseInt(process.env.SCHEDULER_POLL_MS) || 1000;
+const DEFAULT_LOCK_MS = 10 * 60 * 1000;
+
+/**
+ * Id of this server instance, recorded in locks and runs
+ * @constant {string}
+ */
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+
+/**
+ * Error thrown when a job is defined with an invalid schedule
+ *
+ * @class JobScheduleError
+ * @extends Error
+ */
+class JobScheduleError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'JobScheduleError';
+  }
+}
+
+/**
+ * Defined jobs, by name
+ * @type {Map<string, Object>}
+ */
+const jobs = new Map();
+
+let pollTimer = null;
+
+/**
+ * Define a background job
+ *
+ * @function defineJob
+ * @param {string} name - Unique job name
+ * @param {Object} options - Job options
+ * @param {string} [options.cron] - Cron expression of the schedule
+ * @param {number} [options.intervalMs] - Interval of the schedule, if no cron expression is given
+ * @param {Function} options.run - Async function running the job. It receives an array to push the
+ *   messages of non-fatal errors to, and may resolve to the number of items it processed.
+ * @param {boolean} [options.runAtStartup=false] - Run the job as soon as the scheduler starts
+ * @param {number} [options.lockMs=DEFAULT_LOCK_MS] - Lock duration, renewed while the job runs
+ * @returns {void}
+ * @throws {JobScheduleError} - If the schedule is missing or invalid
+ */
+const defineJob = (name, { cron, intervalMs, run, runAtStartup = false, lockMs = DEFAULT_LOCK_MS }) => {
+  if (cron) {
+    try {
+      cronParser.parseExpression(cron);
+    } catch (error) {
+      throw new JobScheduleError(`Invalid cron expression "${cron}" for job ${name}: ${error.message}`);
+    }
+  } else if (!(intervalMs > 0)) {
+    throw new JobScheduleError(`Job ${name} needs a cron expression or a positive interval`);
+  }
+
+  jobs.set(name, {
+    name,
+    cron,
+    intervalMs,
+    run,
+    runAtStartup,
+    lockMs,
+    schedule: cron || `every ${intervalMs / 1000}s`,
+  });
+};
+
+/**
+ * Get the date a job is due next
+ *
+ * @param {Object} job - Job definition
+ * @param {Date} from - Start date of the last run, or now
+ * @returns {Date} - Next due date
+ */
+const getNextRunAt = (job, from) => {
+  if (job.cron) {
+    return cronParser.parseExpression(job.cron, { currentDate: new Date(Math.max(from, Date.now())) }).next().toDate();
+  }
+  return new Date(from.getTime() + job.intervalMs);
+};
+
+/**
+ * Take a job's lock
+ *
+ * @async
+ * @param {Object} job - Job definition
+ * @param {boolean} dueOnly - Only take the lock if the job is due
+ * @returns {Promise<boolean>} - Whether the lock was taken
+ */
+const acquireLock = async (job, dueOnly) => {
+  const now = new Date();
+  const filter = {
+    name: job.name,
+    $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }],
+  };
+  if (dueOnly) {
+    filter.nextRunAt = { $lte: now };
+  }
+
+  const locked = await Job.findOneAndUpdate(
+    filter,
+    { $set: { lockedBy: INSTANCE_ID, lockedUntil: new Date(now.getTime() + job.lockMs) } },
+    { new: true }
+  );
+  return Boolean(locked);
+};
+
+/**
+ * Run a job whose lock this instance holds
+ *
+ * Renews the lock while the job runs, records the run and releases the
+ * lock with the job's next due date.
+ *
+ * @async
+ * @param {Object} job - Job definition
+ * @param {Object} run - JobRun document of the run
+ * @returns {Promise<Object>} - The finished JobRun document
+ */
+const executeJob = async (job, run) => {
+  const heartbeat = setInterval(() => {
+    Job.updateOne(
+      { name: job.name, lockedBy: INSTANCE_ID },
+      { $set: { lockedUntil: new Date(Date.now() + job.lockMs) } }
+    ).catch(error => {
+      console.error(`Error renewing lock of job ${job.name}:`, error.message);
+    });
+  }, job.lockMs / 3);
+
+  const errors = [];
+  try {
+    const items = await job.run(errors);
+    run.items = typeof items === 'number' ? items : undefined;
+    run.status = 'succeeded';
+  } catch (error) {
+    console.error(`Error in job ${job.name}:`, error.message);
+    errors.push(error.message);
+    run.status = 'failed';
+  } finally {
+    clearInterval(heartbeat);
+  }
+
+  run.finishedAt = new Date();
+  run.durationMs = run.finishedAt - run.startedAt;
+  run.errorMessages = errors;
+
+  try {
+    await run.save();
+    await Job.updateOne(
+      { name: job.name, lockedBy: INSTANCE_ID },
+      {
+        $set: {
+          lockedBy: null,
+          lockedUntil: null,
+          lastRunAt: run.startedAt,
+          lastStatus: run.status,
+          nextRunAt: getNextRunAt(job, run.startedAt),
+        },
+      }
+    );
+  } catch (error) {
+    console.error(`Error recording run of job ${job.name}:`, error.message);
+  }
+
+  return run;
+};
+
+/**
+ * Start a run of a job, if its lock can be taken
+ *
+ * Runs whose instance lost the lock before finishing are marked as failed.
+ *
+ * @async
+ * @param {Object} job - Job definition
+ * @param {string} trigger - 'schedule' or 'manual'
+ * @returns {Promise<Object|null>} - `{ run, done }`: the JobRun document and a promise of the finished run
+ *   (which never rejects), or null if the job is running or, for scheduled runs, no longer due
+ */
+const startRun = async (job, trigger) => {
+  if (!(await acquireLock(job, trigger === 'schedule'))) {
+    return null;
+  }
+
+  await JobRun.updateMany(
+    { job: job.name, status: 'running' },
+    { $set: { status: 'failed', finishedAt: new Date() }, $push: { errorMessages: 'Lock expired before the run finished' } }
+  );
+  const run = await JobRun.create({ job: job.name, trigger, instance: INSTANCE_ID });
+
+  return { run, done: executeJob(job, run) };
+};
+
+/**
+ * Look for due jobs and run them
+ *
+ * @async
+ * @returns {Promise<void>}
+ */
+const poll = async () => {
+  try {
+    const now = new Date();
+    const due = await Job.find({
+      name: { $in: [...jobs.keys()] },
+      nextRunAt: { $lte: now },
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }],
+    }, 'name');
+
+    for (const { name } of due) {
+      await startRun(jobs.get(name), 'schedule');
+    }
+  } catch (error) {
+    console.error('Error polling scheduled jobs:', error.message);
+  }
+};
+
+/**
+ * Start running the defined jobs on their schedules
+ *
+ * Registers every defined job in the Job collection. A job gets a new
+ * due date when it is first registered, when its schedule changed, and
+ * when it runs at startup.
+ *
+ * @async
+ * @function startScheduler
+ * @returns {Promise<void>}
+ */
+const startScheduler = async () => {
+  const now = new Date();
+
+  for (const job of jobs.values()) {
+    const existing = await Job.findOne({ name: job.name });
+    if (!existing || existing.schedule !== job.schedule || job.runAtStartup) {
+      await Job.updateOne(
+        { name: job.name },
+        {
+          $set: {
+            schedule: job.schedule,
+            nextRunAt: job.runAtStartup || !job.cron ? now : getNextRunAt(job, now),
+          },
+        },
+        { upsert: true }
+      );
+    }
+  }
+
+  if (!pollTimer) {
+    pollTimer = setInterval(poll, SCHEDULER_POLL_MS);
+    poll();
+  }
+};
+
+/**
+ * Get the defined jobs with their state
+ *
+ * @async
+ * @function listJobs
+ * @returns {Promise<Array<Object>>} - Jobs with their schedule, due date, lock and last run
+ */
+const listJobs = async () => {
+  const states = new Map((await Job.find({ name: { $in: [...jobs.keys()] } }).lean())
+    .map(state => [state.name, state]));
+  const now = new Date();
+
+  return [...jobs.values()].map(job => {
+    const state = states.get(job.name) || {};
+    return {
+      name: job.name,
+      schedule: job.schedule,
+      nextRunAt: state.nextRunAt,
+      running: Boolean(state.lockedUntil && state.lockedUntil > now),
+      lockedBy: state.lockedBy || null,
+      lastRunAt: state.lastRunAt,
+      lastStatus: state.lastStatus,
+    };
+  });
+};
+
+/**
+ * Check whether a job is defined
+ *
+ * @function hasJob
+ * @param {string} name - Job name
+ * @returns {boolean} - True if the job is defined
+ */
+const hasJob = (name) => jobs.has(name);
+
+/**
+ * Run a job now, outside its schedule
+ *
+ * The run continues in the background; its JobRun document is returned
+ * as soon as it has started.
+ *
+ * @async
+ * @function triggerJob
+ * @param {string} name - Name of a defined job
+ * @returns {Promise<Object|null>} - The JobRun document, or null if the job is already running
+ */
+const triggerJob = async (name) => {
+  const started = await startRun(jobs.get(name), 'manual');
+  if (!started) {
+    return null;
+  }
+
+  return started.run;
+};
+
+/**
+ * Export scheduler functions
+ * @type {Object}
+ */
+module.exports = {
+  JobScheduleError,
+  defineJob,
+  startScheduler,
+  listJobs,
+  hasJob,
+  triggerJob,
+};
@@ -0,0 +1,171 @@
+/**
+ * Library Service Module
+ *
+ * Each user's personal library: which videos they watched and starred,
+ * and their collections. Resolves the personal filters of the video
+ * listing (`watched`, `starred` and `collection`) into conditions on
+ * `videoId`, and adds the user's state to the videos they list.
+ *
+ * @module services/libraryService
+ */
+
+const mongoose = require('mongoose');
+const Video = require('../models/Video');
+const ArchivedVideo = require('../models/ArchivedVideo');
+const VideoState = require('../models/VideoState');
+const Collection = require('../models/Collection');
+const { VideoQueryError } = require('../utils/videoQuery');
+
+/**
+ * Read a 'true' or 'false' filter parameter
+ *
+ * @function parseFlag
+ * @param {string} value - Parameter value
+ * @param {string} name - Parameter name, for the error message
+ * @returns {boolean|undefined} - The flag, or undefined if not given
+ * @throws {VideoQueryError} - If the value is neither 'true' nor 'false'
+ */
+const parseFlag = (value, name) => {
+  if (value === undefined || value === '') {
+    return undefined;
+  }
+  if (value !== 'true' && value !== 'false') {
+    throw new VideoQueryError(`${name} must be true or false`);
+  }
+  return value === 'true';
+};
+
+/**
+ * Build the conditions for the personal filters of a request
+ *
+ * `watched` and `starred` select the videos with (true) or without
+ * (false) that state, `collection` the videos in one of the user's
+ * collections. The conditions are meant to be combined with the
+ * dashboard filter (see utils/videoQuery) using `$and`.
+ *
+ * @async
+ * @function buildLibraryFilter
+ * @param {Object} params - Express query parameters
+ * @param {string} userId - Id of the signed-in user
+ * @returns {Promise<Object>} - `{ conditions, filters }`: the MongoDB conditions, and the
+ *   filters used (for echoing back)
+ * @throws {VideoQueryError} - If a flag or the collection id is invalid, or the
+ *   collection isn't one of the user's
+ */
+const buildLibraryFilter = async (params, userId) => {
+  const watched = parseFlag(params.watched, 'watched');
+  const starred = parseFlag(params.starred, 'starred');
+  const { collection } = params;
+
+  const conditions = [];
+  const filters = {};
+
+  if (collection) {
+    if (!mongoose.isValidObjectId(collection)) {
+      throw new VideoQueryError('Invalid collection id');
+    }
+    const found = await Collection.findOne({ _id: collection, owner: userId }, { 'videos.videoId': 1 }).lean();
+    if (!found) {
+      throw new VideoQueryError('Collection not found');
+    }
+    conditions.push({ videoId: { $in: found.videos.map(item => item.videoId) } });
+    filters.collection = collection;
+  }
+
+  for (const [field, value] of [['watched', watched], ['starred', starred]]) {
+    if (value !== undefined) {
+      const videoIds = await VideoState.distinct('videoId', { user: userId, [field]: true });
+      conditions.push({ videoId: value ? { $in: videoIds } : { $nin: videoIds } });
+      filters[field] = value;
+    }
+  }
+
+  return { conditions, filters };
+};
+
+/**
+ * Add the user's state to each of the listed videos
+ *
+ * Each video gets a `library` object with `watched`, `starred`, their
+ * dates, and the user's `collections` containing it, with the note on
+ * the video.
+ *
+ * @async
+ * @function addLibraryState
+ * @param {Array<Object>} videos - Video documents or plain objects
+ * @param {string} userId - Id of the signed-in user
+ * @returns {Promise<Array<Object>>} - The videos as plain objects with their `library` state
+ */
+const addLibraryState = async (videos, userId) => {
+  const videoIds = videos.map(video => video.videoId);
+  const [states, collections] = await Promise.all([
+    VideoState.find({ user: userId, videoId: { $in: videoIds } }).lean(),
+    Collection.find({ owner: userId, 'videos.videoId': { $in: videoIds } }, { name: 1, videos: 1 }).lean(),
+  ]);
+  const statesById = new Map(states.map(state => [state.videoId, state]));
+
+  return videos.map(video => {
+    const plain = typeof video.toObject === 'function' ? video.toObject() : video;
+    const state = statesById.get(plain.videoId);
+    return {
+      ...plain,
+      library: {
+        watched: Boolean(state?.watched),
+        watchedAt: state?.watchedAt || null,
+        starred: Boolean(state?.starred),
+        starredAt: state?.starredAt || null,
+        collections: collections.flatMap(collection => {
+          const item = collection.videos.find(entry => entry.videoId === plain.videoId);
+          return item ? [{ _id: collection._id, name: collection.name, note: item.note || '' }] : [];
+        }),
+      },
+    };
+  });
+};
+
+/**
+ * Check whether a video is listed or archived
+ *
+ * @async
+ * @function videoExists
+ * @param {string} videoId - YouTube video identifier
+ * @returns {Promise<boolean>} - Whether the video exists
+ */
+const videoExists = async (videoId) => Boolean(
+  await Video.exists({ videoId }) || await ArchivedVideo.exists({ videoId }),
+);
+
+/**
+ * Mark a video as watched or unwatched, starred or not, for a user
+ *
+ * Dates are set when a flag is turned on and cleared when it is turned off.
+ *
+ * @async
+ * @function setVideoState
+ * @param {string} userId - Id of the user
+ * @param {string} videoId - YouTube video identifier
+ * @param {Object} changes - `{ watched, starred }`, each optional
+ * @returns {Promise<Object>} - The user's state of the video
+ */
+const setVideoState = async (userId, videoId, changes) => {
+  const update = {};
+  ['watched', 'starred'].forEach(field => {
+    if (changes[field] !== undefined) {
+      update[field] = changes[field];
+      update[`${field}At`] = changes[field] ? new Date() : null;
+    }
+  });
+
+  return VideoState.findOneAndUpdate(
+    { user: userId, videoId },
+    { $set: update },
+    { upsert: true, new: true, setDefaultsOnInsert: true },
+  ).lean();
+};
+
+module.exports = {
+  buildLibraryFilter,
+  addLibraryState,
+  videoExists,
+  setVideoState,
+};
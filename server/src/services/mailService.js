@@ -0,0 +1,69 @@
+/**
+ * Mail Service Module
+ *
+ * Sends email through the mail transport selected with the MAIL_TRANSPORT
+ * environment variable, so digests don't depend on how mail is delivered.
+ *
+ * A mail transport is an object with:
+ * - `name` - Transport name
+ * - `send(message)` - Sends `{ from, to, subject, text, html }`, where `to` is
+ *   an array of addresses; resolves to `{ messageId, accepted }`
+ *
+ * @module services/mailService
+ */
+
+const logTransport = require('./mailTransports/logTransport');
+const smtpTransport = require('./mailTransports/smtpTransport');
+require('dotenv').config();
+
+/**
+ * Available mail transports, by name
+ * @constant {Object<string, Object>}
+ */
+const TRANSPORTS = {
+  [logTransport.name]: logTransport,
+  [smtpTransport.name]: smtpTransport,
+};
+
+/**
+ * Sender address of outgoing mail
+ * @constant {string}
+ */
+const MAIL_FROM = process.env.MAIL_FROM || 'YouTube Videos <no-reply@localhost>';
+
+const transport = TRANSPORTS[process.env.MAIL_TRANSPORT] || logTransport;
+
+if (process.env.MAIL_TRANSPORT && !TRANSPORTS[process.env.MAIL_TRANSPORT]) {
+  console.warn(`Unknown MAIL_TRANSPORT "${process.env.MAIL_TRANSPORT}", using ${transport.name}`);
+}
+
+/**
+ * Send an email with the configured transport
+ *
+ * @async
+ * @function sendMail
+ * @param {Object} message - Message to send
+ * @param {Array<string>} message.to - Recipient addresses
+ * @param {string} message.subject - Subject line
+ * @param {string} message.text - Plain text body
+ * @param {string} [message.html] - HTML body
+ * @returns {Promise<Object>} - `{ messageId, accepted }` from the transport
+ */
+const sendMail = (message) => transport.send({ from: MAIL_FROM, ...message });
+
+/**
+ * Get the configured mail transport
+ *
+ * @function getMailTransport
+ * @returns {Object} - Mail transport
+ */
+const getMailTransport = () => transport;
+
+/**
+ * Export service functions
+ * @type {Object}
+ */
+module.exports = {
+  sendMail,
+  getMailTransport,
+};
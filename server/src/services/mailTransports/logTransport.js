@@ -0,0 +1,26 @@
+/**
+ * Log Mail Transport
+ *
+ * Default mail transport. Writes each message to the console instead of
+ * sending it, so digests can be tried out without a mail server.
+ *
+ * @module services/mailTransports/logTransport
+ */
+
+/**
+ * "Send" a message by logging it
+ *
+ * @async
+ * @function send
+ * @param {Object} message - `{ from, to, subject, text, html }`
+ * @returns {Promise<Object>} - `{ messageId, accepted }`
+ */
+const send = async ({ from, to, subject, text }) => {
+  console.log(`Mail from ${from} to ${to.join(', ')}: ${subject}\n${text}`);
+  return { messageId: null, accepted: to };
+};
+
+module.exports = {
+  name: 'log',
+  send,
+};
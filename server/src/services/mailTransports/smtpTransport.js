@@ -0,0 +1,51 @@
+/**
+ * SMTP Mail Transport
+ *
+ * Sends messages through an SMTP server with nodemailer. The server is
+ * configured with SMTP_HOST, SMTP_PORT, SMTP_SECURE (implicit TLS, usually
+ * port 465) and, when it requires authentication, SMTP_USER and SMTP_PASS.
+ * Pointed at a local mail catcher such as Mailpit, sent digests can be
+ * inspected without delivering them.
+ *
+ * @module services/mailTransports/smtpTransport
+ */
+
+const nodemailer = require('nodemailer');
+require('dotenv').config();
+
+let transporter = null;
+
+/**
+ * Get the nodemailer transporter, creating it on first use
+ *
+ * @returns {Object} - Nodemailer transporter
+ */
+const getTransporter = () => {
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST || 'localhost',
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+    });
+  }
+  return transporter;
+};
+
+/**
+ * Send a message over SMTP
+ *
+ * @async
+ * @function send
+ * @param {Object} message - `{ from, to, subject, text, html }`
+ * @returns {Promise<Object>} - `{ messageId, accepted }`
+ */
+const send = async (message) => {
+  const info = await getTransporter().sendMail(message);
+  return { messageId: info.messageId, accepted: info.accepted };
+};
+
+module.exports = {
+  name: 'smtp',
+  send,
+};
@@ -0,0 +1,228 @@
+/**
+ * Retention Service Module
+ *
+ * Applies the retention rules to the stored videos:
+ * - maxAgeDays: videos published more than `value` days ago expire
+ * - maxVideosPerQuery: beyond the `value` most recent videos of a tracked
+ *   query, videos expire, unless they are among the most recent videos of
+ *   another query with a limit
+ * - keepCollected: videos in a collection never expire
+ *
+ * Expired videos are moved to the archive collection, or deleted with
+ * their stats snapshots when RETENTION_MODE=delete. Every run that has
+ * rules to apply writes a retention report.
+ *
+ * @module services/retentionService
+ */
+
+const Video = require('../models/Video');
+const ArchivedVideo = require('../models/ArchivedVideo');
+const Collection = require('../models/Collection');
+const RetentionRule = require('../models/RetentionRule');
+const RetentionReport = require('../models/RetentionReport');
+const TrackedQuery = require('../models/TrackedQuery');
+const VideoStatsSnapshot = require('../models/VideoStatsSnapshot');
+const videoEvents = require('./videoEvents');
+require('dotenv').config();
+
+/**
+ * Retention configuration constants
+ * @constant {string} RETENTION_MODE - 'archive' to move expired videos to the archive, 'delete' to delete them
+ * @constant {number} RETENTION_BATCH_SIZE - Number of videos removed per batch
+ * @constant {number} RETENTION_REPORT_ID_LIMIT - Maximum number of video ids listed in a report
+ */
+const RETENTION_MODE = process.env.RETENTION_MODE === 'delete' ? 'delete' : 'archive';
+const RETENTION_BATCH_SIZE = 500;
+const RETENTION_REPORT_ID_LIMIT = 1000;
+
+/**
+ * Find the videos expired by the maxAgeDays rules
+ *
+ * @async
+ * @param {Array<Object>} rules - maxAgeDays rules
+ * @param {Map<string, string>} expired - Expired video ids, mapped to the rule type that expired them
+ * @returns {Promise<void>}
+ */
+const findExpiredByAge = async (rules, expired) => {
+  for (const rule of rules) {
+    const filter = { publishedAt: { $lt: new Date(Date.now() - rule.value * 24 * 60 * 60 * 1000) } };
+    if (rule.trackedQuery) {
+      filter.queries = rule.trackedQuery;
+    }
+
+    const videoIds = await Video.find(filter).distinct('videoId');
+    videoIds.forEach(videoId => {
+      if (!expired.has(videoId)) {
+        expired.set(videoId, 'maxAgeDays');
+      }
+    });
+  }
+};
+
+/**
+ * Find the videos expired by the maxVideosPerQuery rules
+ *
+ * A rule for a tracked query takes precedence over the rule for all queries.
+ *
+ * @async
+ * @param {Array<Object>} rules - maxVideosPerQuery rules
+ * @param {Map<string, string>} expired - Expired video ids, mapped to the rule type that expired them
+ * @returns {Promise<void>}
+ */
+const findExpiredByCount = async (rules, expired) => {
+  const defaultRule = rules.find(rule => !rule.trackedQuery);
+  const limits = new Map(rules
+    .filter(rule => rule.trackedQuery)
+    .map(rule => [rule.trackedQuery.toString(), rule.value]));
+
+  const queryIds = defaultRule
+    ? await TrackedQuery.find().distinct('_id')
+    : [...limits.keys()];
+
+  const kept = new Set();
+  const beyond = new Set();
+
+  for (const queryId of queryIds) {
+    const limit = limits.get(queryId.toString()) || defaultRule.value;
+    const cursor = Video.find({ queries: queryId }, 'videoId')
+      .sort({ publishedAt: -1, _id: -1 })
+      .lean()
+      .cursor();
+    let position = 0;
+
+    for await (const video of cursor) {
+      if (position < limit) {
+        kept.add(video.videoId);
+      } else {
+        beyond.add(video.videoId);
+      }
+      position++;
+    }
+  }
+
+  beyond.forEach(videoId => {
+    if (!kept.has(videoId) && !expired.has(videoId)) {
+      expired.set(videoId, 'maxVideosPerQuery');
+    }
+  });
+};
+
+/**
+ * Remove a batch of expired videos
+ *
+ * @async
+ * @param {Array<string>} videoIds - Ids of the videos to remove
+ * @param {Map<string, string>} expired - Expired video ids, mapped to the rule type that expired them
+ * @returns {Promise<number>} - Number of videos removed
+ */
+const removeVideos = async (videoIds, expired) => {
+  if (RETENTION_MODE === 'archive') {
+    const archivedAt = new Date();
+    const videos = await Video.find({ videoId: { $in: videoIds } }).lean();
+    if (videos.length > 0) {
+      await ArchivedVideo.bulkWrite(videos.map(video => ({
+        replaceOne: {
+          filter: { videoId: video.videoId },
+          replacement: { ...video, archivedAt, archiveReason: expired.get(video.videoId) },
+          upsert: true,
+        },
+      })));
+    }
+  } else {
+    await VideoStatsSnapshot.deleteMany({ videoId: { $in: videoIds } });
+  }
+
+  const result = await Video.deleteMany({ videoId: { $in: videoIds } });
+  videoEvents.emit('removed', videoIds);
+  return result.deletedCount;
+};
+
+/**
+ * Apply the retention rules
+ *
+ * @async
+ * @function applyRetention
+ * @param {Object} [options] - Run options
+ * @param {string} [options.trigger='schedule'] - What started the run: 'schedule' or 'manual'
+ * @param {boolean} [options.dryRun=false] - Find expired videos without removing them or writing a report
+ * @returns {Promise<Object|null>} - Retention report, or null when there are no maxAgeDays or maxVideosPerQuery rules
+ */
+const applyRetention = async ({ trigger = 'schedule', dryRun = false } = {}) => {
+  const rules = await RetentionRule.find();
+  const ageRules = rules.filter(rule => rule.type === 'maxAgeDays');
+  const countRules = rules.filter(rule => rule.type === 'maxVideosPerQuery');
+
+  if (ageRules.length === 0 && countRules.length === 0) {
+    return null;
+  }
+
+  const expired = new Map();
+  await findExpiredByAge(ageRules, expired);
+  if (countRules.length > 0) {
+    await findExpiredByCount(countRules, expired);
+  }
+
+  let keptInCollections = 0;
+  if (rules.some(rule => rule.type === 'keepCollected') && expired.size > 0) {
+    const collected = await Collection.distinct('videos.videoId', { 'videos.videoId': { $in: [...expired.keys()] } });
+    collected.forEach(videoId => {
+      if (expired.delete(videoId)) {
+        keptInCollections++;
+      }
+    });
+  }
+
+  const report = {
+    trigger,
+    mode: RETENTION_MODE,
+    removed: 0,
+    expired: {
+      maxAgeDays: 0,
+      maxVideosPerQuery: 0,
+    },
+    keptInCollections,
+    videoIds: [],
+  };
+
+  expired.forEach(reason => {
+    report.expired[reason]++;
+  });
+  const videoIds = [...expired.keys()];
+  report.videoIds = videoIds.slice(0, RETENTION_REPORT_ID_LIMIT);
+
+  if (dryRun) {
+    report.removed = videoIds.length;
+    return { ...report, dryRun };
+  }
+
+  for (let i = 0; i < videoIds.length; i += RETENTION_BATCH_SIZE) {
+    report.removed += await removeVideos(videoIds.slice(i, i + RETENTION_BATCH_SIZE), expired);
+  }
+
+  if (report.removed > 0) {
+    console.log(`Retention ${RETENTION_MODE === 'archive' ? 'archived' : 'deleted'} ${report.removed} videos`);
+  }
+  return RetentionReport.create(report);
+};
+
+/**
+ * Take videos saved again out of the archive
+ *
+ * @async
+ * @function unarchiveVideos
+ * @param {Array<string>} videoIds - Ids of the saved videos
+ * @returns {Promise<void>}
+ */
+const unarchiveVideos = async (videoIds) => {
+  await ArchivedVideo.deleteMany({ videoId: { $in: videoIds } });
+};
+
+/**
+ * Export service functions
+ * @type {Object}
+ */
+module.exports = {
+  RETENTION_MODE,
+  applyRetention,
+  unarchiveVideos,
+};
@@ -0,0 +1,240 @@
+/**
+ * Saved Search Service Module
+ *
+ * Validates the parameters of saved searches, counts the videos added
+ * since a search was last viewed, and builds and sends digests of the
+ * videos a search matched over the last day or week.
+ *
+ * New videos are the videos inserted after a point in time, whatever
+ * their publish date. Since ObjectIds start with their creation time,
+ * they are found by `_id`, which is always indexed.
+ *
+ * @module services/savedSearchService
+ */
+
+const mongoose = require('mongoose');
+const Video = require('../models/Video');
+const SavedSearch = require('../models/SavedSearch');
+const { sendMail } = require('./mailService');
+const {
+  VideoQueryError,
+  FILTER_PARAMS,
+  SORT_FIELDS,
+  buildVideoFilter,
+  buildVideoSort,
+} = require('../utils/videoQuery');
+const { digestSubject, renderDigestText, renderDigestHtml } = require('../utils/digestFormat');
+require('dotenv').config();
+
+/**
+ * Parameters of GET /api/videos a saved search can store
+ * @constant {Array<string>}
+ */
+const SAVED_SEARCH_PARAMS = [...FILTER_PARAMS, 'sortBy', 'sortOrder', 'collapseDuplicates'];
+
+/**
+ * Length of the digest periods in milliseconds
+ * @constant {Object<string, number>}
+ */
+const DIGEST_PERIODS = {
+  daily: 24 * 60 * 60 * 1000,
+  weekly: 7 * 24 * 60 * 60 * 1000,
+};
+
+/**
+ * Digest configuration constants
+ * @constant {number} DIGEST_MAX_VIDEOS - Maximum number of videos listed in a digest
+ * @constant {number} DIGEST_DUE_SLACK_MS - How early a digest may be sent, so a
+ *   digest sent a little late the last time isn't skipped on the next run
+ */
+const DIGEST_MAX_VIDEOS = parseInt(process.env.DIGEST_MAX_VIDEOS) || 20;
+const DIGEST_DUE_SLACK_MS = 60 * 60 * 1000;
+
+/**
+ * Validate and clean the parameters of a saved search
+ *
+ * Empty values are dropped and numbers are stored as strings, as they
+ * would arrive in a query string.
+ *
+ * @function normalizeSearchParams
+ * @param {Object} params - Filter and sort parameters
+ * @returns {Object} - Cleaned parameters
+ * @throws {VideoQueryError} - If a parameter is unknown or invalid
+ */
+const normalizeSearchParams = (params) => {
+  if (typeof params !== 'object' || params === null || Array.isArray(params)) {
+    throw new VideoQueryError('Params must be an object');
+  }
+
+  const clean = {};
+  Object.entries(params).forEach(([key, value]) => {
+    if (!SAVED_SEARCH_PARAMS.includes(key)) {
+      throw new VideoQueryError(`Unknown parameter "${key}"`);
+    }
+    if (value === '' || value === null || value === undefined) {
+      return;
+    }
+    if (typeof value !== 'string' && typeof value !== 'number') {
+      throw new VideoQueryError(`Parameter "${key}" must be a string`);
+    }
+    clean[key] = String(value);
+  });
+
+  if (clean.sortBy && !SORT_FIELDS.includes(clean.sortBy)) {
+    throw new VideoQueryError(`sortBy must be one of: ${SORT_FIELDS.join(', ')}`);
+  }
+  if (clean.sortOrder && !['asc', 'desc'].includes(clean.sortOrder)) {
+    throw new VideoQueryError('sortOrder must be asc or desc');
+  }
+  ['dateFrom', 'dateTo'].forEach(key => {
+    if (clean[key] && isNaN(new Date(clean[key]))) {
+      throw new VideoQueryError(`Invalid date for "${key}"`);
+    }
+  });
+
+  // Throws for an invalid tracked query id
+  buildVideoFilter(clean);
+  return clean;
+};
+
+/**
+ * Build the filter for the videos of a saved search inserted after a date
+ *
+ * @param {Object} savedSearch - SavedSearch document
+ * @param {Date} since - Only videos inserted after this date match
+ * @returns {Object} - MongoDB filter
+ */
+const buildNewVideosFilter = (savedSearch, since) => ({
+  ...buildVideoFilter(savedSearch.params || {}).filter,
+  _id: { $gt: mongoose.Types.ObjectId.createFromTime(Math.floor(since.getTime() / 1000)) },
+});
+
+/**
+ * Count the videos of a saved search added since it was last viewed
+ *
+ * @async
+ * @function countNewVideos
+ * @param {Object} savedSearch - SavedSearch document
+ * @returns {Promise<number>} - Number of new videos
+ */
+const countNewVideos = (savedSearch) => Video.countDocuments(buildNewVideosFilter(savedSearch, savedSearch.lastViewedAt));
+
+/**
+ * Build the digest of a saved search
+ *
+ * Lists the videos the search matched that were inserted in the period,
+ * in the search's sort order, up to DIGEST_MAX_VIDEOS.
+ *
+ * @async
+ * @function buildDigest
+ * @param {Object} savedSearch - SavedSearch document
+ * @param {Object} options - Digest options
+ * @param {string} options.period - 'daily' or 'weekly'
+ * @param {Date} [options.since] - Start of the digest (default: one period before `until`)
+ * @param {Date} [options.until=now] - End of the digest
+ * @returns {Promise<Object>} - Digest with its `subject`, `text` and `html`
+ */
+const buildDigest = async (savedSearch, { period, since, until = new Date() }) => {
+  const start = since || new Date(until.getTime() - DIGEST_PERIODS[period]);
+  const filter = buildNewVideosFilter(savedSearch, start);
+  const { sortKeys } = buildVideoSort(savedSearch.params || {});
+
+  const [videos, total] = await Promise.all([
+    Video.find(filter).sort(Object.fromEntries(sortKeys)).limit(DIGEST_MAX_VIDEOS).lean(),
+    Video.countDocuments(filter),
+  ]);
+
+  const digest = { name: savedSearch.name, period, since: start, until, total, videos };
+  return {
+    ...digest,
+    subject: digestSubject(digest),
+    text: renderDigestText(digest),
+    html: renderDigestHtml(digest),
+  };
+};
+
+/**
+ * Build the digest of a saved search and email it
+ *
+ * @async
+ * @function sendDigest
+ * @param {Object} savedSearch - SavedSearch document
+ * @param {Object} options - Digest options
+ * @param {string} options.period - 'daily' or 'weekly'
+ * @param {Date} [options.since] - Start of the digest (default: one period ago)
+ * @param {Array<string>} [options.to] - Recipients (default: the search's digest recipients)
+ * @param {boolean} [options.skipEmpty=false] - Don't send a digest without new videos
+ * @returns {Promise<Object>} - `{ total, sent, messageId, accepted }`
+ */
+const sendDigest = async (savedSearch, { period, since, to, skipEmpty = false }) => {
+  const digest = await buildDigest(savedSearch, { period, since });
+  if (skipEmpty && digest.total === 0) {
+    return { total: 0, sent: false };
+  }
+
+  const info = await sendMail({
+    to: to || savedSearch.digest.recipients,
+    subject: digest.subject,
+    text: digest.text,
+    html: digest.html,
+  });
+
+  return { total: digest.total, sent: true, ...info };
+};
+
+/**
+ * Send the digests that are due
+ *
+ * Run by the sendDigests job. A digest is due once its period has passed
+ * since the last one was sent, and covers the videos inserted since then,
+ * so a missed run delays a digest without losing videos. Digests without
+ * new videos aren't sent.
+ *
+ * @async
+ * @function sendDueDigests
+ * @param {Array<string>} [errors] - Array collecting the error message of each failed digest
+ * @returns {Promise<number>} - Number of digests sent
+ */
+const sendDueDigests = async (errors = null) => {
+  const now = new Date();
+  const searches = await SavedSearch.find({
+    'digest.frequency': { $in: Object.keys(DIGEST_PERIODS) },
+    'digest.recipients.0': { $exists: true },
+  });
+  let sent = 0;
+
+  for (const savedSearch of searches) {
+    const { frequency, lastSentAt } = savedSearch.digest;
+    if (lastSentAt && now - lastSentAt < DIGEST_PERIODS[frequency] - DIGEST_DUE_SLACK_MS) {
+      continue;
+    }
+
+    try {
+      const result = await sendDigest(savedSearch, { period: frequency, since: lastSentAt, skipEmpty: true });
+      await SavedSearch.updateOne({ _id: savedSearch._id }, { $set: { 'digest.lastSentAt': now } });
+      if (result.sent) {
+        sent++;
+      }
+    } catch (error) {
+      console.error(`Error sending digest "${savedSearch.name}":`, error.message);
+      if (errors) {
+        errors.push(`${savedSearch.name}: ${error.message}`);
+      }
+    }
+  }
+
+  return sent;
+};
+
+/**
+ * Export service functions
+ * @type {Object}
+ */
+module.exports = {
+  DIGEST_PERIODS,
+  normalizeSearchParams,
+  countNewVideos,
+  buildDigest,
+  sendDigest,
+  sendDueDigests,
+};
@@ -0,0 +1,271 @@
+/**
+ * MiniSearch Search Provider
+ *
+ * Search provider built on an in-process MiniSearch inverted index of the
+ * titles and descriptions of all stored videos. Compared to MongoDB's text
+ * index it adds typo tolerance (fuzzy matching), prefix matching and
+ * highlighted snippets of the matches.
+ *
+ * The index is built from the database when the provider is initialized
+ * and kept in sync through the video events. It lives in memory, so every
+ * server instance holds its own copy. If building it fails (e.g. MongoDB
+ * is unreachable), searches use the MongoDB text index instead and the
+ * build is retried, at most every MINISEARCH_RETRY_MS milliseconds.
+ *
+ * @module services/searchProviders/miniSearchProvider
+ */
+
+const MiniSearch = require('minisearch');
+const Video = require('../../models/Video');
+const mongoTextProvider = require('./mongoTextProvider');
+const { buildExclusion, escapeRegex } = require('../../utils/searchQuery');
+require('dotenv').config();
+
+/**
+ * MiniSearch configuration constants
+ * @constant {number} MINISEARCH_FUZZY - Allowed edit distance, as a fraction of the term length
+ * @constant {number} MINISEARCH_MAX_RESULTS - Maximum number of ranked matches passed on to MongoDB
+ * @constant {number} MINISEARCH_RETRY_MS - Minimum delay before retrying a failed index build
+ * @constant {number} SNIPPET_LENGTH - Length of the description snippet around the first match
+ */
+const MINISEARCH_FUZZY = parseFloat(process.env.MINISEARCH_FUZZY) || 0.2;
+const MINISEARCH_MAX_RESULTS = parseInt(process.env.MINISEARCH_MAX_RESULTS) || 1000;
+const MINISEARCH_RETRY_MS = parseInt(process.env.MINISEARCH_RETRY_MS) || 30000;
+const SNIPPET_LENGTH = 160;
+
+const miniSearch = new MiniSearch({
+  idField: 'videoId',
+  fields: ['title', 'description'],
+  searchOptions: {
+    boost: { title: 2 },
+    prefix: true,
+    // Short terms are matched exactly, a typo in them changes the word too much
+    fuzzy: term => (term.length > 3 ? MINISEARCH_FUZZY : false),
+  },
+});
+
+// Build in progress, whether the index is complete, and when the last build failed
+let building = null;
+let built = false;
+let failedAt = null;
+
+/**
+ * Add a video to the index, or replace it if it is already indexed
+ *
+ * @param {Object} video - Video document or plain object
+ */
+const upsert = (video) => {
+  const doc = {
+    videoId: video.videoId,
+    title: video.title || '',
+    description: video.description || '',
+  };
+
+  if (miniSearch.has(doc.videoId)) {
+    miniSearch.replace(doc);
+  } else {
+    miniSearch.add(doc);
+  }
+};
+
+/**
+ * Build the index from the stored videos
+ *
+ * Never rejects: a failed build is logged and retried by the next search
+ * after MINISEARCH_RETRY_MS.
+ *
+ * @async
+ * @function init
+ * @returns {Promise<void>}
+ */
+const init = () => {
+  if (building) {
+    return building;
+  }
+
+  building = (async () => {
+    try {
+      const cursor = Video.find({}, 'videoId title description').lean().cursor();
+      for await (const video of cursor) {
+        upsert(video);
+      }
+      built = true;
+      failedAt = null;
+      console.log(`MiniSearch index built with ${miniSearch.documentCount} videos`);
+    } catch (error) {
+      failedAt = Date.now();
+      console.error('Error building MiniSearch index, searching with the text index until it is built:', error.message);
+    } finally {
+      building = null;
+    }
+  })();
+  return building;
+};
+
+/**
+ * Add or update videos in the index
+ *
+ * @function index
+ * @param {Array<Object>} videos - Video documents
+ */
+const index = (videos) => {
+  videos.forEach(upsert);
+};
+
+/**
+ * Remove videos from the index
+ *
+ * @function remove
+ * @param {Array<string>} videoIds - YouTube video IDs
+ */
+const remove = (videoIds) => {
+  videoIds.forEach(videoId => {
+    if (miniSearch.has(videoId)) {
+      miniSearch.discard(videoId);
+    }
+  });
+};
+
+/**
+ * Build the query for the words and phrases of a search
+ *
+ * Words are matched fuzzily and as prefixes, OR-ed and ranked by the
+ * MiniSearch score; up to MINISEARCH_MAX_RESULTS matches are passed to
+ * MongoDB by video ID, with their score. Phrases must also appear
+ * verbatim, and excluded words and phrases must not appear.
+ *
+ * Waits for the first build of the index. While the index isn't built
+ * after a failure, the query of the MongoDB text provider is returned
+ * (without highlights, and with `provider` set to its name) and a new
+ * build is started when it is due.
+ *
+ * @async
+ * @function buildQuery
+ * @param {Object} text - `{ include, exclude }` from parseSearchQuery
+ * @returns {Promise<Object>} - `{ match, conditions, score, context }`, and `provider`
+ *   when the text provider answered
+ */
+const buildQuery = async (text) => {
+  if (!built && !building && (failedAt === null || Date.now() - failedAt >= MINISEARCH_RETRY_MS)) {
+    init();
+  }
+  if (building && failedAt === null) {
+    await building;
+  }
+  if (!built) {
+    return {
+      ...(await mongoTextProvider.buildQuery(text)),
+      context: { termsById: new Map() },
+      provider: mongoTextProvider.name,
+    };
+  }
+
+  const results = miniSearch
+    .search(text.include.map(term => term.value).join(' '))
+    .slice(0, MINISEARCH_MAX_RESULTS);
+  const ids = results.map(result => result.id);
+  const scores = results.map(result => result.score);
+
+  const conditions = [
+    ...text.include.filter(term => term.quoted).map(term => {
+      const pattern = { $regex: escapeRegex(term.value), $options: 'i' };
+      return { $or: [{ title: pattern }, { description: pattern }] };
+    }),
+    ...text.exclude.map(term => buildExclusion(term.value)),
+  ];
+
+  return {
+    match: { videoId: { $in: ids } },
+    conditions,
+    score: { $arrayElemAt: [scores, { $indexOfArray: [ids, '$videoId'] }] },
+    context: {
+      termsById: new Map(results.map(result => [result.id, result.terms])),
+    },
+  };
+};
+
+/**
+ * Escape text for HTML
+ *
+ * @param {string} text - Plain text
+ * @returns {string} - HTML-escaped text
+ */
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Wrap the matches of a pattern in <mark> tags
+ *
+ * @param {string} text - Plain text
+ * @param {RegExp} pattern - Global pattern of the matched terms
+ * @returns {string} - HTML-escaped text with the matches marked
+ */
+const markMatches = (text, pattern) => {
+  let html = '';
+  let last = 0;
+
+  for (const match of text.matchAll(pattern)) {
+    html += `${escapeHtml(text.slice(last, match.index))}<mark>${escapeHtml(match[0])}</mark>`;
+    last = match.index + match[0].length;
+  }
+
+  return html + escapeHtml(text.slice(last));
+};
+
+/**
+ * Add highlighted snippets to search results
+ *
+ * Each video gets `highlights.title` (the whole title) and
+ * `highlights.description` (a snippet around the first match), as
+ * HTML-escaped text with the matched terms wrapped in <mark> tags,
+ * or null where nothing matched.
+ *
+ * @function highlight
+ * @param {Array<Object>} videos - Videos of the result page
+ * @param {Object} context - Context returned by buildQuery
+ * @returns {Array<Object>} - The videos with highlights
+ */
+const highlight = (videos, context) => videos.map(video => {
+  const terms = context.termsById.get(video.videoId) || [];
+  if (terms.length === 0) {
+    return { ...video, highlights: { title: null, description: null } };
+  }
+
+  const source = `(?<![\\p{L}\\p{N}])(?:${terms.map(escapeRegex).join('|')})(?![\\p{L}\\p{N}])`;
+  const title = video.title || '';
+  const description = video.description || '';
+
+  const titleMatch = new RegExp(source, 'iu').test(title);
+  const descriptionMatch = new RegExp(source, 'iu').exec(description);
+  let snippet = null;
+
+  if (descriptionMatch) {
+    const start = Math.max(0, descriptionMatch.index - Math.floor(SNIPPET_LENGTH / 3));
+    const end = Math.min(description.length, start + SNIPPET_LENGTH);
+    snippet = `${start > 0 ? '…' : ''}${markMatches(description.slice(start, end), new RegExp(source, 'giu'))}${end < description.length ? '…' : ''}`;
+  }
+
+  return {
+    ...video,
+    highlights: {
+      title: titleMatch ? markMatches(title, new RegExp(source, 'giu')) : null,
+      description: snippet,
+    },
+  };
+});
+
+/**
+ * Export provider
+ * @type {Object}
+ */
+module.exports = {
+  name: 'minisearch',
+  init,
+  index,
+  remove,
+  buildQuery,
+  highlight,
+};
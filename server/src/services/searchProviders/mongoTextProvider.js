@@ -0,0 +1,57 @@
+/**
+ * MongoDB Text Search Provider
+ *
+ * Default search provider. Matches words and phrases with the text index
+ * on title and description and ranks by MongoDB's text score. Matching is
+ * stemmed, but has no typo tolerance, prefix matching or highlighting.
+ *
+ * @module services/searchProviders/mongoTextProvider
+ */
+
+/**
+ * Quote a term for MongoDB's $text search string
+ *
+ * @param {Object} term - `{ value, quoted }` word or phrase
+ * @param {boolean} [negated=false] - Whether the term is excluded
+ * @returns {string} - Term as $text syntax
+ */
+const toTextTerm = ({ value, quoted }, negated = false) => {
+  const text = quoted ? `"${value}"` : value;
+  return negated ? `-${text}` : text;
+};
+
+/**
+ * Build the query for the words and phrases of a search
+ *
+ * Terms are OR-ed and ranked by relevance, phrases and exclusions are
+ * required, as in MongoDB's $text syntax.
+ *
+ * @async
+ * @function buildQuery
+ * @param {Object} text - `{ include, exclude }` from parseSearchQuery
+ * @returns {Promise<Object>} - `{ match, conditions, score }`
+ */
+const buildQuery = async (text) => ({
+  match: {
+    $text: {
+      $search: [
+        ...text.include.map(term => toTextTerm(term)),
+        ...text.exclude.map(term => toTextTerm(term, true)),
+      ].join(' '),
+    },
+  },
+  conditions: [],
+  score: { $meta: 'textScore' },
+});
+
+/**
+ * Export provider
+ * @type {Object}
+ */
+module.exports = {
+  name: 'mongo',
+  init: async () => {},
+  index: () => {},
+  remove: () => {},
+  buildQuery,
+};
@@ -0,0 +1,84 @@
+/**
+ * Search Service Module
+ *
+ * Selects the search provider behind /api/videos/search with the
+ * SEARCH_PROVIDER environment variable and keeps its index in sync with
+ * the stored videos through the video events.
+ *
+ * A search provider is an object with:
+ * - `name` - Provider name, reported in search responses
+ * - `init()` - Builds the provider's index; resolves when it is ready
+ * - `index(videos)` - Adds or updates video documents in the index
+ * - `remove(videoIds)` - Removes videos from the index
+ * - `buildQuery(text)` - Resolves the words and phrases of a parsed search to
+ *   `{ match, conditions, score, context }`: a filter to put at the top level
+ *   of the MongoDB query, further conditions to AND with it, an aggregation
+ *   expression giving each video's relevance score, and optional context
+ *   for highlighting; `provider` may name another provider that answered
+ *   instead (e.g. while the provider's index is unavailable)
+ * - `highlight(videos, context)` - Optional; returns the videos with `highlights`
+ *
+ * @module services/searchService
+ */
+
+const mongoTextProvider = require('./searchProviders/mongoTextProvider');
+const miniSearchProvider = require('./searchProviders/miniSearchProvider');
+const videoEvents = require('./videoEvents');
+require('dotenv').config();
+
+/**
+ * Available search providers, by name
+ * @constant {Object<string, Object>}
+ */
+const PROVIDERS = {
+  [mongoTextProvider.name]: mongoTextProvider,
+  [miniSearchProvider.name]: miniSearchProvider,
+};
+
+const provider = PROVIDERS[process.env.SEARCH_PROVIDER] || mongoTextProvider;
+
+if (process.env.SEARCH_PROVIDER && !PROVIDERS[process.env.SEARCH_PROVIDER]) {
+  console.warn(`Unknown SEARCH_PROVIDER "${process.env.SEARCH_PROVIDER}", using ${provider.name}`);
+}
+
+videoEvents.on('saved', (videos) => {
+  try {
+    provider.index(videos);
+  } catch (error) {
+    console.error('Error indexing videos for search:', error.message);
+  }
+});
+
+videoEvents.on('removed', (videoIds) => {
+  try {
+    provider.remove(videoIds);
+  } catch (error) {
+    console.error('Error removing videos from search index:', error.message);
+  }
+});
+
+/**
+ * Get the configured search provider
+ *
+ * @function getSearchProvider
+ * @returns {Object} - Search provider
+ */
+const getSearchProvider = () => provider;
+
+/**
+ * Build the configured provider's index
+ *
+ * @async
+ * @function initSearchProvider
+ * @returns {Promise<void>}
+ */
+const initSearchProvider = () => provider.init();
+
+/**
+ * Export service functions
+ * @type {Object}
+ */
+module.exports = {
+  getSearchProvider,
+  initSearchProvider,
+};
@@ -0,0 +1,262 @@
+/**
+ * Suggest Service Module
+ *
+ * Search-as-you-type completions for video titles and channel names,
+ * answered from in-memory prefix indexes of the stored videos. Every word
+ * of a title or channel name is indexed, so completions match from the
+ * start of any word.
+ *
+ * The indexes are built from the database at startup and kept in sync
+ * through the video events. Titles are ranked by the view count they had
+ * when they were last saved.
+ *
+ * @module services/suggestService
+ */
+
+const Video = require('../models/Video');
+const videoEvents = require('./videoEvents');
+const { KEY_LENGTH, PrefixIndex, normalizeKey, wordKeys } = require('../utils/prefixIndex');
+
+/**
+ * Suggestion configuration constants
+ * @constant {number} SUGGEST_MIN_LENGTH - Shortest prefix that gets suggestions
+ * @constant {number} SUGGEST_SCAN_LIMIT - Maximum number of index entries ranked per request
+ */
+const SUGGEST_MIN_LENGTH = 2;
+const SUGGEST_SCAN_LIMIT = 5000;
+
+const titleIndex = new PrefixIndex();
+const channelIndex = new PrefixIndex();
+
+// Indexed videos by videoId, and channels with their number of indexed videos by channelId
+const videos = new Map();
+const channels = new Map();
+
+let ready = Promise.resolve();
+
+/**
+ * Count a video for its channel, indexing the channel name when it is new or renamed
+ *
+ * @param {string} channelId - YouTube channel ID
+ * @param {string} channelTitle - Channel name
+ */
+const addChannelVideo = (channelId, channelTitle) => {
+  const channel = channels.get(channelId);
+
+  if (!channel) {
+    channels.set(channelId, { channelTitle, videoCount: 1 });
+    wordKeys(channelTitle).forEach(key => channelIndex.add(key, channelId));
+    return;
+  }
+
+  channel.videoCount++;
+  if (channel.channelTitle !== channelTitle) {
+    wordKeys(channel.channelTitle).forEach(key => channelIndex.remove(key, channelId));
+    wordKeys(channelTitle).forEach(key => channelIndex.add(key, channelId));
+    channel.channelTitle = channelTitle;
+  }
+};
+
+/**
+ * Uncount a video for its channel, removing the channel when it has no videos left
+ *
+ * @param {string} channelId - YouTube channel ID
+ */
+const removeChannelVideo = (channelId) => {
+  const channel = channels.get(channelId);
+  if (!channel) {
+    return;
+  }
+
+  channel.videoCount--;
+  if (channel.videoCount === 0) {
+    wordKeys(channel.channelTitle).forEach(key => channelIndex.remove(key, channelId));
+    channels.delete(channelId);
+  }
+};
+
+/**
+ * Remove a video from the indexes
+ *
+ * @param {string} videoId - YouTube video ID
+ */
+const removeVideo = (videoId) => {
+  const video = videos.get(videoId);
+  if (!video) {
+    return;
+  }
+
+  wordKeys(video.title).forEach(key => titleIndex.remove(key, videoId));
+  if (video.channelId) {
+    removeChannelVideo(video.channelId);
+  }
+  videos.delete(videoId);
+};
+
+/**
+ * Record a video and count it for its channel, without indexing its title
+ *
+ * @param {Object} video - Video document or plain object
+ */
+const storeVideo = (video) => {
+  videos.set(video.videoId, {
+    title: video.title || '',
+    channelId: video.channelId,
+    channelTitle: video.channelTitle || '',
+    viewCount: video.viewCount || 0,
+  });
+  if (video.channelId) {
+    addChannelVideo(video.channelId, video.channelTitle || '');
+  }
+};
+
+/**
+ * Add a video to the indexes, or update it if it is already indexed
+ *
+ * @param {Object} video - Video document or plain object
+ */
+const upsertVideo = (video) => {
+  removeVideo(video.videoId);
+  storeVideo(video);
+  wordKeys(video.title).forEach(key => titleIndex.add(key, video.videoId));
+};
+
+videoEvents.on('saved', (saved) => {
+  try {
+    saved.forEach(upsertVideo);
+  } catch (error) {
+    console.error('Error indexing videos for suggestions:', error.message);
+  }
+});
+
+videoEvents.on('removed', (videoIds) => {
+  try {
+    videoIds.forEach(removeVideo);
+  } catch (error) {
+    console.error('Error removing videos from suggestion index:', error.message);
+  }
+});
+
+/**
+ * Build the suggestion indexes from the stored videos
+ *
+ * Title keys are collected and added to the index in one sorted batch.
+ * Videos saved or removed while the index is built are indexed by their
+ * events; their entries from the stored videos are dropped.
+ *
+ * @async
+ * @function initSuggestIndex
+ * @returns {Promise<void>}
+ */
+const initSuggestIndex = () => {
+  ready = (async () => {
+    const titleEntries = [];
+    const cursor = Video.find({}, 'videoId title channelId channelTitle viewCount').lean().cursor();
+    for await (const video of cursor) {
+      if (!videos.has(video.videoId)) {
+        storeVideo(video);
+        const stored = videos.get(video.videoId);
+        wordKeys(video.title).forEach(key => titleEntries.push({ key, id: video.videoId, stored }));
+      }
+    }
+    titleIndex.build(titleEntries.filter(entry => videos.get(entry.id) === entry.stored));
+    console.log(`Suggestion index built with ${videos.size} videos and ${channels.size} channels`);
+  })();
+  return ready;
+};
+
+/**
+ * Rank prefix matches: items whose name starts with the prefix come first,
+ * then by the given popularity, then alphabetically
+ *
+ * @param {Array<Object>} items - Items with `name` and `popularity`
+ * @param {string} prefix - Normalized prefix
+ * @returns {Array<Object>} - The items, ranked
+ */
+const rank = (items, prefix) => items
+  .map(item => ({ ...item, leading: normalizeKey(item.name).startsWith(prefix) }))
+  .sort((a, b) => (b.leading - a.leading)
+    || (b.popularity - a.popularity)
+    || a.name.localeCompare(b.name));
+
+/**
+ * Get title and channel name completions for a prefix
+ *
+ * Titles shared by several videos are suggested once, for the most viewed
+ * of them. Prefixes shorter than SUGGEST_MIN_LENGTH get no suggestions.
+ *
+ * @async
+ * @function getSuggestions
+ * @param {string} q - Text typed so far
+ * @param {Object} [options] - Suggestion options
+ * @param {number} [options.limit=5] - Maximum number of suggestions of each type
+ * @param {Array<string>} [options.types=['titles','channels']] - Types of suggestions to return
+ * @returns {Promise<Object>} - `{ titles, channels }`: titles as `{ videoId, title,
+ *   channelTitle, viewCount }` and channels as `{ channelId, channelTitle, videoCount }`
+ */
+const getSuggestions = async (q, { limit = 5, types = ['titles', 'channels'] } = {}) => {
+  await ready;
+
+  const prefix = normalizeKey(q).slice(0, KEY_LENGTH);
+  const suggestions = { titles: [], channels: [] };
+  if (prefix.length < SUGGEST_MIN_LENGTH) {
+    return suggestions;
+  }
+
+  if (types.includes('titles')) {
+    const ids = new Set(titleIndex.match(prefix, SUGGEST_SCAN_LIMIT).map(entry => entry.id));
+    const seenTitles = new Set();
+
+    suggestions.titles = rank(
+      [...ids].map(videoId => {
+        const video = videos.get(videoId);
+        return { videoId, name: video.title, popularity: video.viewCount, video };
+      }),
+      prefix
+    )
+      .filter(item => {
+        const key = normalizeKey(item.name);
+        if (seenTitles.has(key)) {
+          return false;
+        }
+        seenTitles.add(key);
+        return true;
+      })
+      .slice(0, limit)
+      .map(({ videoId, video }) => ({
+        videoId,
+        title: video.title,
+        channelTitle: video.channelTitle,
+        viewCount: video.viewCount,
+      }));
+  }
+
+  if (types.includes('channels')) {
+    const ids = new Set(channelIndex.match(prefix, SUGGEST_SCAN_LIMIT).map(entry => entry.id));
+
+    suggestions.channels = rank(
+      [...ids].map(channelId => {
+        const channel = channels.get(channelId);
+        return { channelId, name: channel.channelTitle, popularity: channel.videoCount };
+      }),
+      prefix
+    )
+      .slice(0, limit)
+      .map(({ channelId, name, popularity }) => ({
+        channelId,
+        channelTitle: name,
+        videoCount: popularity,
+      }));
+  }
+
+  return suggestions;
+};
+
+/**
+ * Export service functions
+ * @type {Object}
+ */
+module.exports = {
+  initSuggestIndex,
+  getSuggestions,
+};
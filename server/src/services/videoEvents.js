@@ -0,0 +1,26 @@
+/**
+ * Video Events Module
+ *
+ * Event emitter announcing changes to the stored videos, so other parts
+ * of the server (such as the search index) can stay in sync without the
+ * ingest code knowing about them.
+ *
+ * Events:
+ * - `saved` (videos): video documents were inserted or updated by ingestion
+ * - `removed` (videoIds): videos with these YouTube video IDs were deleted
+ *
+ * Listeners run synchronously in the emitting request or job, so they
+ * must be quick and must not throw.
+ *
+ * @module services/videoEvents
+ */
+
+const { EventEmitter } = require('events');
+
+/**
+ * Shared video event emitter
+ * @type {EventEmitter}
+ */
+const videoEvents = new EventEmitter();
+
+module.exports = videoEvents;
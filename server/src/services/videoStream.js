@@ -0,0 +1,215 @@
+/**
+ * Video Stream Service Module
+ *
+ * Feeds newly inserted videos to stream subscribers (the SSE endpoint).
+ * Each subscriber has a filter; when new videos appear, it is sent every
+ * matching video it wasn't sent yet, ordered by `_id`.
+ *
+ * Video `_id`s are ObjectIds, which carry their creation time, so they
+ * double as event ids: a reconnecting client passes the last id it saw and
+ * receives whatever it missed, even from another server instance. ObjectIds
+ * are only precise to the second and are created on different clocks, and
+ * a video can become visible after one with a later `_id`, so they don't
+ * order inserts exactly. Each lookup therefore goes back STREAM_OVERLAP_MS
+ * before the newest video sent, and skips the videos already sent. After a
+ * reconnection, the videos of that overlap are sent again, and clients
+ * must ignore the ones they already have (by `_id` or `videoId`). New
+ * videos are noticed from the `saved` video event, and by polling every
+ * STREAM_POLL_MS for videos inserted by other instances.
+ *
+ * @module services/videoStream
+ */
+
+const mongoose = require('mongoose');
+const Video = require('../models/Video');
+const videoEvents = require('./videoEvents');
+require('dotenv').config();
+
+/**
+ * Stream configuration constants
+ * @constant {number} STREAM_POLL_MS - How often to look for videos inserted by other instances
+ * @constant {number} STREAM_BATCH_SIZE - Number of videos read per query when sending to a subscriber
+ * @constant {number} STREAM_OVERLAP_MS - How far before the newest video sent lookups go back
+ */
+const STREAM_POLL_MS = parseInt(process.env.STREAM_POLL_MS) || 2000;
+const STREAM_BATCH_SIZE = 100;
+const STREAM_OVERLAP_MS = parseInt(process.env.STREAM_OVERLAP_MS) || 60000;
+
+/**
+ * Fields left out of streamed videos
+ * @constant {Object}
+ */
+const STREAM_PROJECTION = { __v: 0, fingerprint: 0, fingerprintBands: 0 };
+
+/**
+ * Current subscribers
+ * @type {Set<Object>}
+ */
+const subscribers = new Set();
+
+// Ids of the videos inside the overlap window at the last check
+let recentIds = new Set();
+let pollTimer = null;
+
+/**
+ * Get the smallest ObjectId created at a time
+ *
+ * @param {number} time - Time in milliseconds
+ * @returns {mongoose.Types.ObjectId} - ObjectId
+ */
+const objectIdAt = (time) => mongoose.Types.ObjectId.createFromTime(Math.max(0, Math.floor(time / 1000)));
+
+/**
+ * Get the `_id` lookups start after: STREAM_OVERLAP_MS before a video's
+ *
+ * @param {mongoose.Types.ObjectId} id - `_id` of a video
+ * @returns {mongoose.Types.ObjectId} - ObjectId
+ */
+const overlapStart = (id) => objectIdAt(id.getTimestamp().getTime() - STREAM_OVERLAP_MS);
+
+/**
+ * Send a subscriber the matching videos it wasn't sent yet
+ *
+ * Looks from STREAM_OVERLAP_MS before the newest video sent, skipping the
+ * videos already sent, and forgets sent videos that fall out of the
+ * overlap window.
+ *
+ * Only one delivery runs per subscriber; a delivery requested meanwhile
+ * is run again once it finishes.
+ *
+ * @async
+ * @param {Object} subscriber - Subscriber state
+ * @returns {Promise<void>}
+ */
+const deliver = async (subscriber) => {
+  if (subscriber.delivering) {
+    subscriber.pending = true;
+    return;
+  }
+
+  subscriber.delivering = true;
+  try {
+    do {
+      subscriber.pending = false;
+      const start = overlapStart(subscriber.lastId);
+      subscriber.sent.forEach(id => {
+        if (id < start.toString()) {
+          subscriber.sent.delete(id);
+        }
+      });
+
+      let after = start;
+      let batch;
+      do {
+        batch = await Video.find(
+          { $and: [subscriber.filter, { _id: { $gt: after } }] },
+          STREAM_PROJECTION
+        ).sort({ _id: 1 }).limit(STREAM_BATCH_SIZE).lean();
+
+        for (const video of batch) {
+          if (subscriber.closed) {
+            return;
+          }
+          after = video._id;
+          if (subscriber.sent.has(video._id.toString())) {
+            continue;
+          }
+          await subscriber.send(video);
+          subscriber.sent.add(video._id.toString());
+          if (video._id.toString() > subscriber.lastId.toString()) {
+            subscriber.lastId = video._id;
+          }
+        }
+      } while (batch.length === STREAM_BATCH_SIZE);
+    } while (subscriber.pending && !subscriber.closed);
+  } catch (error) {
+    console.error('Error streaming videos:', error.message);
+  } finally {
+    subscriber.delivering = false;
+  }
+};
+
+/**
+ * Look for newly inserted videos and deliver them to every subscriber
+ *
+ * Compares the videos inside the overlap window with those of the last
+ * check, so a video that becomes visible after one with a later `_id` is
+ * noticed too.
+ *
+ * @async
+ * @returns {Promise<void>}
+ */
+const checkForNewVideos = async () => {
+  try {
+    const recent = await Video.find({ _id: { $gte: objectIdAt(Date.now() - STREAM_OVERLAP_MS) } }, '_id').lean();
+    const ids = new Set(recent.map(video => video._id.toString()));
+    const hasNew = [...ids].some(id => !recentIds.has(id));
+    recentIds = ids;
+    if (hasNew) {
+      subscribers.forEach(deliver);
+    }
+  } catch (error) {
+    console.error('Error checking for new videos:', error.message);
+  }
+};
+
+videoEvents.on('saved', () => {
+  if (subscribers.size > 0) {
+    checkForNewVideos();
+  }
+});
+
+/**
+ * Subscribe to newly inserted videos
+ *
+ * Without `lastEventId`, the subscriber starts after the videos stored
+ * now; with it, the videos inserted after that one, and those of the
+ * overlap window before it, are sent at once.
+ *
+ * @async
+ * @function subscribeToNewVideos
+ * @param {Object} options - Subscription options
+ * @param {Object} options.filter - MongoDB filter the videos must match
+ * @param {string} [options.lastEventId] - `_id` of the last video the subscriber received
+ * @param {Function} options.send - Async function sending one video to the subscriber
+ * @returns {Promise<Function>} - Function ending the subscription
+ */
+const subscribeToNewVideos = async ({ filter, lastEventId, send }) => {
+  let lastId;
+  const sent = new Set();
+  if (lastEventId) {
+    lastId = new mongoose.Types.ObjectId(lastEventId);
+  } else {
+    // Videos stored now count as sent, so only later ones are
+    lastId = objectIdAt(Date.now());
+    const stored = await Video.find({ _id: { $gte: overlapStart(lastId) } }, '_id').lean();
+    stored.forEach(video => sent.add(video._id.toString()));
+  }
+
+  const subscriber = { filter, lastId, sent, send, delivering: false, pending: false, closed: false };
+  subscribers.add(subscriber);
+
+  if (!pollTimer) {
+    pollTimer = setInterval(checkForNewVideos, STREAM_POLL_MS);
+  }
+  if (lastEventId) {
+    deliver(subscriber);
+  }
+
+  return () => {
+    subscriber.closed = true;
+    subscribers.delete(subscriber);
+    if (subscribers.size === 0) {
+      clearInterval(pollTimer);
+      pollTimer = null;
+    }
+  };
+};
+
+/**
+ * Export service functions
+ * @type {Object}
+ */
+module.exports = {
+  subscribeToNewVideos,
+};
@@ -0,0 +1,472 @@
+/**
+ * Webhook Service Module
+ *
+ * Delivers events to the outbound webhooks:
+ * - `video.new` when a video is saved for the first time
+ * - `video.alert` when a video's view count reaches the webhook's
+ *   `minViews`; each video triggers an alert once per webhook
+ * - `webhook.test` when a test event is requested
+ *
+ * Every event a webhook matches is recorded as a WebhookDelivery and
+ * POSTed as JSON, signed with the webhook's secret: the
+ * `X-Webhook-Signature` header is `sha256=` followed by the hex HMAC-SHA256
+ * of `<X-Webhook-Timestamp>.<body>`. A delivery succeeds on a 2xx response;
+ * otherwise it is retried with exponential backoff (WEBHOOK_RETRY_BASE_MS,
+ * doubled after each attempt) up to WEBHOOK_MAX_ATTEMPTS attempts.
+ *
+ * Attempts run in a queue, at most WEBHOOK_CONCURRENCY at a time, so a slow
+ * endpoint can't pile up requests. Deliveries that don't fit in the queue
+ * stay pending for the retry job. Targets must be public addresses unless
+ * WEBHOOK_ALLOW_PRIVATE is `true`; this is checked again on every attempt,
+ * against the address actually connected to.
+ *
+ * @module services/webhookService
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const mongoose = require('mongoose');
+const axios = require('axios');
+const Video = require('../models/Video');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { publicLookup, checkPublicUrl } = require('../utils/networkAddress');
+require('dotenv').config();
+
+/**
+ * Webhook delivery configuration constants
+ * @constant {number} WEBHOOK_MAX_ATTEMPTS - Attempts before a delivery fails
+ * @constant {number} WEBHOOK_RETRY_BASE_MS - Delay before the first retry
+ * @constant {number} WEBHOOK_TIMEOUT_MS - Timeout of a delivery request
+ * @constant {number} WEBHOOK_RETRY_BATCH_SIZE - Maximum number of deliveries retried per run
+ * @constant {number} WEBHOOK_CONCURRENCY - Maximum number of attempts in flight
+ * @constant {number} WEBHOOK_QUEUE_LIMIT - Maximum number of attempts waiting in the queue
+ * @constant {boolean} WEBHOOK_ALLOW_PRIVATE - Allow targets on loopback, private and link-local addresses
+ */
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6;
+const WEBHOOK_RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS) || 30000;
+const WEBHOOK_TIMEOUT_MS = 10000;
+const WEBHOOK_RETRY_BATCH_SIZE = 100;
+const WEBHOOK_CONCURRENCY = parseInt(process.env.WEBHOOK_CONCURRENCY) || 4;
+const WEBHOOK_QUEUE_LIMIT = parseInt(process.env.WEBHOOK_QUEUE_LIMIT) || 1000;
+const WEBHOOK_ALLOW_PRIVATE = process.env.WEBHOOK_ALLOW_PRIVATE === 'true';
+
+// Agents connecting only to public addresses
+const publicAgents = {
+  httpAgent: new http.Agent({ lookup: publicLookup }),
+  httpsAgent: new https.Agent({ lookup: publicLookup }),
+};
+
+// Attempts waiting for a free slot, and the number in flight
+const queue = [];
+let running = 0;
+
+/**
+ * Validate a webhook target URL
+ *
+ * @async
+ * @function validateWebhookUrl
+ * @param {*} url - URL from the request body
+ * @returns {Promise<string|null>} - The reason the URL can't be used, or null if it can
+ */
+const validateWebhookUrl = async (url) => {
+  let protocol;
+  try {
+    protocol = typeof url === 'string' ? new URL(url).protocol : null;
+  } catch (error) {
+    protocol = null;
+  }
+  if (!['http:', 'https:'].includes(protocol)) {
+    return 'URL must be an http or https URL';
+  }
+
+  if (WEBHOOK_ALLOW_PRIVATE) {
+    return null;
+  }
+  const reason = await checkPublicUrl(url);
+  return reason ? `URL must point to a public address (${reason})` : null;
+};
+
+/**
+ * Start queued tasks while there are free slots
+ */
+const runQueue = () => {
+  while (running < WEBHOOK_CONCURRENCY && queue.length > 0) {
+    const { task, resolve } = queue.shift();
+    running++;
+    task()
+      .catch(error => console.error('Error delivering webhook:', error.message))
+      .finally(() => {
+        running--;
+        resolve();
+        runQueue();
+      });
+  }
+};
+
+/**
+ * Queue a delivery task
+ *
+ * @param {Function} task - Async function making the attempt
+ * @returns {Promise<void>|null} - Settles when the task is done, or null if the queue is full
+ */
+const enqueue = (task) => {
+  if (queue.length >= WEBHOOK_QUEUE_LIMIT) {
+    return null;
+  }
+  return new Promise(resolve => {
+    queue.push({ task, resolve });
+    runQueue();
+  });
+};
+
+/**
+ * Generate a webhook secret
+ *
+ * @function generateSecret
+ * @returns {string} - Random hex secret
+ */
+const generateSecret = () => crypto.randomBytes(32).toString('hex');
+
+/**
+ * Sign a delivery body
+ *
+ * @function signPayload
+ * @param {string} secret - Webhook secret
+ * @param {string} timestamp - Unix time in seconds, sent as X-Webhook-Timestamp
+ * @param {string} body - JSON body
+ * @returns {string} - Value of the X-Webhook-Signature header
+ */
+const signPayload = (secret, timestamp, body) => `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+/**
+ * Get the fields of a video sent in events
+ *
+ * @param {Object} video - Video document
+ * @returns {Object} - Video fields for the payload
+ */
+const toEventVideo = (video) => ({
+  videoId: video.videoId,
+  url: `https://www.youtube.com/watch?v=${video.videoId}`,
+  title: video.title,
+  channelId: video.channelId,
+  channelTitle: video.channelTitle,
+  publishedAt: video.publishedAt,
+  thumbnails: video.thumbnails,
+  viewCount: video.viewCount,
+  likeCount: video.likeCount,
+  commentCount: video.commentCount,
+  durationSeconds: video.durationSeconds,
+  queries: video.queries,
+});
+
+/**
+ * Check whether a video matches a webhook's criteria
+ *
+ * @function matchesWebhook
+ * @param {Object} webhook - Webhook document
+ * @param {Object} video - Video document
+ * @returns {boolean} - True if every criterion that is set matches
+ */
+const matchesWebhook = (webhook, video) => {
+  const { trackedQuery, channelId, keyword, minViews } = webhook.filters || {};
+
+  if (trackedQuery && !(video.queries || []).some(id => id.equals(trackedQuery))) {
+    return false;
+  }
+  if (channelId && video.channelId !== channelId) {
+    return false;
+  }
+  if (keyword) {
+    const text = `${video.title || ''}\n${video.description || ''}`.toLowerCase();
+    if (!text.includes(keyword.toLowerCase())) {
+      return false;
+    }
+  }
+  if (minViews != null && !(video.viewCount >= minViews)) {
+    return false;
+  }
+  return true;
+};
+
+/**
+ * Make one delivery attempt
+ *
+ * The delivery must have been claimed (see claimDelivery), so it isn't
+ * sent twice at the same time.
+ *
+ * @async
+ * @param {Object} delivery - WebhookDelivery document
+ * @param {Object} webhook - Webhook document with its secret
+ * @param {number} [maxAttempts=WEBHOOK_MAX_ATTEMPTS] - Attempts before the delivery fails
+ * @returns {Promise<Object>} - The updated delivery
+ */
+const attemptDelivery = async (delivery, webhook, maxAttempts = WEBHOOK_MAX_ATTEMPTS) => {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  delivery.attempts++;
+
+  try {
+    if (!WEBHOOK_ALLOW_PRIVATE) {
+      const reason = await checkPublicUrl(webhook.url);
+      if (reason) {
+        throw new Error(`Target is not a public address: ${reason}`);
+      }
+    }
+
+    const response = await axios.post(webhook.url, body, {
+      ...(WEBHOOK_ALLOW_PRIVATE ? {} : publicAgents),
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'youtube-video-api-webhooks',
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Delivery': delivery._id.toString(),
+        'X-Webhook-Timestamp': timestamp,
+        'X-Webhook-Signature': signPayload(webhook.secret, timestamp, body),
+      },
+      timeout: WEBHOOK_TIMEOUT_MS,
+      maxRedirects: 0,
+      validateStatus: () => true,
+    });
+    delivery.responseStatus = response.status;
+    delivery.lastError = response.status >= 200 && response.status < 300 ? undefined : `HTTP ${response.status}`;
+  } catch (error) {
+    delivery.responseStatus = undefined;
+    delivery.lastError = error.message;
+  }
+
+  if (!delivery.lastError) {
+    delivery.status = 'succeeded';
+    delivery.deliveredAt = new Date();
+    delivery.nextAttemptAt = undefined;
+  } else if (delivery.attempts >= maxAttempts) {
+    delivery.status = 'failed';
+    delivery.nextAttemptAt = undefined;
+  } else {
+    delivery.nextAttemptAt = new Date(Date.now() + WEBHOOK_RETRY_BASE_MS * 2 ** (delivery.attempts - 1));
+  }
+
+  await delivery.save();
+  return delivery;
+};
+
+/**
+ * Claim a pending delivery that is due, so only one attempt runs at a time
+ *
+ * @async
+ * @param {mongoose.Types.ObjectId} id - WebhookDelivery id
+ * @returns {Promise<Object|null>} - The claimed delivery, or null if it isn't due or is claimed elsewhere
+ */
+const claimDelivery = (id) => {
+  const now = new Date();
+  return WebhookDelivery.findOneAndUpdate(
+    { _id: id, status: 'pending', nextAttemptAt: { $lte: now } },
+    { $set: { nextAttemptAt: new Date(now.getTime() + 2 * WEBHOOK_TIMEOUT_MS) } },
+    { new: true }
+  );
+};
+
+/**
+ * Record and queue events to the webhooks they match
+ *
+ * Deliveries are recorded before anything is sent, so a failed first
+ * attempt, or one that didn't fit in the queue, is retried by the retry
+ * job. Resolves once the deliveries are recorded, without waiting for
+ * the attempts.
+ *
+ * @async
+ * @param {Array<Object>} matches - `{ webhook, event, videoId, data }` per delivery
+ * @returns {Promise<void>}
+ */
+const dispatch = async (matches) => {
+  if (matches.length === 0) {
+    return;
+  }
+
+  const deliveries = await WebhookDelivery.insertMany(matches.map(({ webhook, event, videoId, data }) => {
+    const _id = new mongoose.Types.ObjectId();
+    return {
+      _id,
+      webhook: webhook._id,
+      event,
+      videoId,
+      payload: { id: _id.toString(), event, createdAt: new Date(), data },
+    };
+  }));
+  const webhooks = new Map(matches.map(({ webhook }) => [webhook._id.toString(), webhook]));
+
+  let skipped = 0;
+  for (const delivery of deliveries) {
+    const queued = enqueue(async () => {
+      const claimed = await claimDelivery(delivery._id);
+      if (claimed) {
+        await attemptDelivery(claimed, webhooks.get(claimed.webhook.toString()));
+      }
+    });
+    if (!queued) {
+      skipped++;
+    }
+  }
+  if (skipped > 0) {
+    console.warn(`Webhook queue is full; ${skipped} deliveries left to the retry job`);
+  }
+};
+
+/**
+ * Send video.new events for newly saved videos
+ *
+ * Called from the ingest path; errors are logged, never thrown.
+ *
+ * @async
+ * @function notifyNewVideos
+ * @param {Array<Object>} videos - Video documents saved for the first time
+ * @returns {Promise<void>}
+ */
+const notifyNewVideos = async (videos) => {
+  try {
+    if (videos.length === 0) {
+      return;
+    }
+
+    const webhooks = await Webhook.find({ event: 'video.new', active: true }).select('+secret');
+    const matches = webhooks.flatMap(webhook => videos
+      .filter(video => matchesWebhook(webhook, video))
+      .map(video => ({ webhook, event: 'video.new', videoId: video.videoId, data: { video: toEventVideo(video) } })));
+
+    await dispatch(matches);
+  } catch (error) {
+    console.error('Error sending video.new webhooks:', error.message);
+  }
+};
+
+/**
+ * Send video.alert events for videos whose view count reached a webhook's minViews
+ *
+ * Called from the ingest path after statistics are stored; errors are
+ * logged, never thrown.
+ *
+ * @async
+ * @function notifyViewAlerts
+ * @param {Array<string>} videoIds - YouTube video IDs whose statistics were updated
+ * @returns {Promise<void>}
+ */
+const notifyViewAlerts = async (videoIds) => {
+  try {
+    const webhooks = await Webhook.find({ event: 'video.alert', active: true }).select('+secret');
+    if (videoIds.length === 0 || webhooks.length === 0) {
+      return;
+    }
+
+    const threshold = Math.min(...webhooks.map(webhook => webhook.filters?.minViews ?? 0));
+    const videos = await Video.find({ videoId: { $in: videoIds }, viewCount: { $gte: threshold } });
+    const matches = [];
+
+    for (const webhook of webhooks) {
+      const candidates = videos.filter(video => matchesWebhook(webhook, video));
+      if (candidates.length === 0) {
+        continue;
+      }
+
+      const alerted = new Set(await WebhookDelivery.find({
+        webhook: webhook._id,
+        event: 'video.alert',
+        videoId: { $in: candidates.map(video => video.videoId) },
+      }).distinct('videoId'));
+
+      candidates
+        .filter(video => !alerted.has(video.videoId))
+        .forEach(video => {
+          matches.push({
+            webhook,
+            event: 'video.alert',
+            videoId: video.videoId,
+            data: { video: toEventVideo(video), minViews: webhook.filters.minViews },
+          });
+        });
+    }
+
+    await dispatch(matches);
+  } catch (error) {
+    console.error('Error sending video.alert webhooks:', error.message);
+  }
+};
+
+/**
+ * Send a test event to a webhook
+ *
+ * The test is attempted once, without retries, and recorded in the
+ * delivery log like any other event.
+ *
+ * @async
+ * @function sendTestEvent
+ * @param {Object} webhook - Webhook document with its secret
+ * @returns {Promise<Object>} - The finished delivery
+ */
+const sendTestEvent = async (webhook) => {
+  const delivery = new WebhookDelivery({ webhook: webhook._id, event: 'webhook.test' });
+  delivery.payload = {
+    id: delivery._id.toString(),
+    event: 'webhook.test',
+    createdAt: new Date(),
+    data: { webhook: { id: webhook._id, event: webhook.event, filters: webhook.filters } },
+  };
+  return attemptDelivery(delivery, webhook, 1);
+};
+
+/**
+ * Retry the pending deliveries that are due
+ *
+ * Run by the retryWebhooks job. Deliveries of deleted or paused webhooks
+ * fail without being sent. Attempts go through the delivery queue, and
+ * the run waits for them.
+ *
+ * @async
+ * @function retryDueDeliveries
+ * @returns {Promise<number>} - Number of deliveries attempted
+ */
+const retryDueDeliveries = async () => {
+  const due = await WebhookDelivery.find({ status: 'pending', nextAttemptAt: { $lte: new Date() } }, '_id webhook')
+    .sort({ nextAttemptAt: 1 })
+    .limit(WEBHOOK_RETRY_BATCH_SIZE);
+  const webhooks = new Map((await Webhook.find({ _id: { $in: due.map(delivery => delivery.webhook) } }).select('+secret'))
+    .map(webhook => [webhook._id.toString(), webhook]));
+  let attempted = 0;
+
+  const attempts = due.map(({ _id }) => enqueue(async () => {
+    const delivery = await claimDelivery(_id);
+    if (!delivery) {
+      return;
+    }
+
+    const webhook = webhooks.get(delivery.webhook.toString());
+    if (!webhook || !webhook.active) {
+      delivery.status = 'failed';
+      delivery.nextAttemptAt = undefined;
+      delivery.lastError = webhook ? 'Webhook is paused' : 'Webhook was deleted';
+      await delivery.save();
+      return;
+    }
+
+    await attemptDelivery(delivery, webhook);
+    attempted++;
+  }));
+  await Promise.all(attempts.filter(Boolean));
+
+  return attempted;
+};
+
+/**
+ * Export service functions
+ * @type {Object}
+ */
+module.exports = {
+  generateSecret,
+  signPayload,
+  validateWebhookUrl,
+  matchesWebhook,
+  notifyNewVideos,
+  notifyViewAlerts,
+  sendTestEvent,
+  retryDueDeliveries,
+};
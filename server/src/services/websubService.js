@@ -0,0 +1,375 @@
+/**
+ * WebSub Service Module
+ *
+ * Subscribes channel sources to YouTube's WebSub (PubSubHubbub) hub so
+ * new uploads are pushed to the server instead of being polled:
+ * - Requests (un)subscriptions from the hub and answers its verification challenge
+ * - Verifies the HMAC signature of pushed notifications
+ * - Parses the Atom payload and ingests the announced videos
+ * - Renews subscriptions before their leases expire
+ *
+ * Push is enabled only when WEBSUB_CALLBACK_BASE_URL is set, since the hub
+ * must be able to reach the callback route from the internet.
+ *
+ * @module services/websubService
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const { XMLParser } = require('fast-xml-parser');
+const WebSubSubscription = require('../models/WebSubSubscription');
+const TrackedQuery = require('../models/TrackedQuery');
+const { fetchAndSaveVideosById } = require('./youtubeService');
+require('dotenv').config();
+
+/**
+ * WebSub configuration constants
+ * @constant {string} WEBSUB_HUB_URL - Hub to send subscription requests to
+ * @constant {string} WEBSUB_CALLBACK_BASE_URL - Public base URL of this server, without trailing slash
+ * @constant {number} WEBSUB_LEASE_SECONDS - Lease requested from the hub
+ * @constant {number} WEBSUB_RENEW_BEFORE_SECONDS - Renew subscriptions expiring within this many seconds
+ * @constant {number} WEBSUB_VERIFY_TIMEOUT_MINUTES - Minutes after which an unverified request is retried
+ */
+const WEBSUB_HUB_URL = process.env.WEBSUB_HUB_URL || 'https://pubsubhubbub.appspot.com/subscribe';
+const WEBSUB_CALLBACK_BASE_URL = (process.env.WEBSUB_CALLBACK_BASE_URL || '').replace(/\/+$/, '');
+const WEBSUB_LEASE_SECONDS = parseInt(process.env.WEBSUB_LEASE_SECONDS) || 432000;
+const WEBSUB_RENEW_BEFORE_SECONDS = parseInt(process.env.WEBSUB_RENEW_BEFORE_SECONDS) || 86400;
+const WEBSUB_VERIFY_TIMEOUT_MINUTES = 60;
+
+/**
+ * Signature algorithms a hub may use in X-Hub-Signature
+ * @constant {Set<string>}
+ */
+const SIGNATURE_ALGORITHMS = new Set(['sha1', 'sha256', 'sha384', 'sha512']);
+
+const xmlParser = new XMLParser({
+  ignoreAttributes: false,
+  isArray: name => name === 'entry' || name === 'at:deleted-entry',
+});
+
+/**
+ * Whether push ingestion is configured
+ *
+ * @function isEnabled
+ * @returns {boolean} - True when WEBSUB_CALLBACK_BASE_URL is set
+ */
+const isEnabled = () => Boolean(WEBSUB_CALLBACK_BASE_URL);
+
+/**
+ * Get the uploads feed URL of a channel, the topic subscribed to
+ *
+ * @param {string} channelId - YouTube channel id
+ * @returns {string} - Atom feed URL
+ */
+const getTopic = (channelId) => `https://www.youtube.com/xml/feeds/videos.xml?channel_id=${channelId}`;
+
+/**
+ * Get the callback URL the hub delivers a channel's notifications to
+ *
+ * @param {string} channelId - YouTube channel id
+ * @returns {string} - Callback URL
+ */
+const getCallbackUrl = (channelId) => `${WEBSUB_CALLBACK_BASE_URL}/api/websub/callback/${encodeURIComponent(channelId)}`;
+
+/**
+ * Send a subscription request to the hub
+ *
+ * The hub answers 202 Accepted and then verifies the request
+ * asynchronously with a GET to the callback URL.
+ *
+ * @async
+ * @param {Object} subscription - WebSubSubscription document
+ * @param {string} mode - 'subscribe' or 'unsubscribe'
+ * @returns {Promise<void>}
+ * @throws {Error} - If the hub rejects the request
+ */
+const sendHubRequest = async (subscription, mode) => {
+  const body = new URLSearchParams({
+    'hub.callback': subscription.callbackUrl,
+    'hub.topic': subscription.topic,
+    'hub.verify': 'async',
+    'hub.mode': mode,
+    'hub.secret': subscription.secret,
+    'hub.lease_seconds': String(WEBSUB_LEASE_SECONDS),
+  });
+
+  await axios.post(subscription.hubUrl, body.toString(), {
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    timeout: 10000,
+  });
+};
+
+/**
+ * Subscribe to a channel's uploads
+ *
+ * Creates the subscription, or renews an existing one with the same
+ * secret, and marks it pending until the hub verifies it.
+ *
+ * @async
+ * @function subscribe
+ * @param {string} channelId - YouTube channel id
+ * @returns {Promise<Object>} - WebSubSubscription document
+ */
+const subscribe = async (channelId) => {
+  let subscription = await WebSubSubscription.findOne({ channelId });
+
+  if (!subscription) {
+    subscription = new WebSubSubscription({
+      channelId,
+      topic: getTopic(channelId),
+      secret: crypto.randomBytes(32).toString('hex'),
+    });
+  }
+
+  subscription.hubUrl = WEBSUB_HUB_URL;
+  subscription.callbackUrl = getCallbackUrl(channelId);
+  subscription.requestedAt = new Date();
+
+  try {
+    await sendHubRequest(subscription, 'subscribe');
+    // An active subscription stays active while the renewal is verified
+    if (subscription.status !== 'active') {
+      subscription.status = 'pending';
+    }
+    subscription.lastError = undefined;
+  } catch (error) {
+    console.error(`Error subscribing to channel ${channelId}:`, error.message);
+    subscription.status = 'failed';
+    subscription.lastError = error.message;
+  }
+
+  return subscription.save();
+};
+
+/**
+ * Unsubscribe from a channel's uploads
+ *
+ * @async
+ * @function unsubscribe
+ * @param {string} channelId - YouTube channel id
+ * @returns {Promise<Object|null>} - WebSubSubscription document, or null if there was none
+ */
+const unsubscribe = async (channelId) => {
+  const subscription = await WebSubSubscription.findOne({ channelId });
+  if (!subscription) {
+    return null;
+  }
+
+  subscription.requestedAt = new Date();
+
+  try {
+    await sendHubRequest(subscription, 'unsubscribe');
+    subscription.status = 'unsubscribing';
+    subscription.lastError = undefined;
+  } catch (error) {
+    // The lease runs out on its own; notifications for it are ignored meanwhile
+    console.error(`Error unsubscribing from channel ${channelId}:`, error.message);
+    subscription.status = 'unsubscribed';
+    subscription.lastError = error.message;
+  }
+
+  return subscription.save();
+};
+
+/**
+ * Answer a verification request from the hub
+ *
+ * Confirms a (un)subscription the server asked for and records the
+ * granted lease. A request for an unknown topic or mode returns null,
+ * which must be answered with 404 so the hub drops it.
+ *
+ * @async
+ * @function verifyIntent
+ * @param {string} channelId - Channel id from the callback URL
+ * @param {Object} params - Query parameters of the verification request
+ * @returns {Promise<string|null>} - Challenge to echo back, or null to refuse
+ */
+const verifyIntent = async (channelId, params) => {
+  const mode = params['hub.mode'];
+  const subscription = await WebSubSubscription.findOne({ channelId });
+
+  if (!subscription || params['hub.topic'] !== subscription.topic) {
+    return null;
+  }
+
+  if (mode === 'denied') {
+    subscription.status = 'failed';
+    subscription.lastError = params['hub.reason'] || 'Subscription denied by hub';
+    await subscription.save();
+    return '';
+  }
+
+  if (mode === 'subscribe' && ['pending', 'active', 'failed'].includes(subscription.status)) {
+    const leaseSeconds = parseInt(params['hub.lease_seconds']) || WEBSUB_LEASE_SECONDS;
+    subscription.status = 'active';
+    subscription.leaseSeconds = leaseSeconds;
+    subscription.expiresAt = new Date(Date.now() + leaseSeconds * 1000);
+    subscription.lastError = undefined;
+    await subscription.save();
+    return params['hub.challenge'] || '';
+  }
+
+  if (mode === 'unsubscribe' && subscription.status === 'unsubscribing') {
+    subscription.status = 'unsubscribed';
+    subscription.expiresAt = undefined;
+    await subscription.save();
+    return params['hub.challenge'] || '';
+  }
+
+  return null;
+};
+
+/**
+ * Check the X-Hub-Signature of a notification
+ *
+ * @function verifySignature
+ * @param {Buffer} body - Raw request body
+ * @param {string} header - X-Hub-Signature header, e.g. 'sha1=<hex>'
+ * @param {string} secret - Secret of the subscription
+ * @returns {boolean} - True when the signature matches the body
+ */
+const verifySignature = (body, header, secret) => {
+  const [algorithm, signature] = String(header || '').split('=');
+
+  if (!SIGNATURE_ALGORITHMS.has(algorithm) || !signature) {
+    return false;
+  }
+
+  const expected = crypto.createHmac(algorithm, secret).update(body).digest();
+  const received = Buffer.from(signature, 'hex');
+
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+};
+
+/**
+ * Parse the Atom payload of a notification
+ *
+ * Deleted entries (`at:deleted-entry`) are ignored; only announced
+ * uploads and updates are returned.
+ *
+ * @function parseAtomNotification
+ * @param {Buffer|string} body - Atom XML
+ * @returns {Array<Object>} - Entries with videoId and channelId
+ */
+const parseAtomNotification = (body) => {
+  const feed = xmlParser.parse(body.toString())?.feed;
+  const entries = feed?.entry || [];
+
+  return entries
+    .map(entry => ({
+      videoId: entry['yt:videoId'],
+      channelId: entry['yt:channelId'],
+    }))
+    .filter(entry => entry.videoId && entry.channelId);
+};
+
+/**
+ * Handle a pushed notification
+ *
+ * Notifications with a missing or wrong signature, or for a channel that
+ * is not actively subscribed, are ignored. Announced videos of the
+ * subscribed channel are fetched with videos.list, filtered by the ingest
+ * rules, and saved with their statistics.
+ *
+ * @async
+ * @function handleNotification
+ * @param {string} channelId - Channel id from the callback URL
+ * @param {Buffer} body - Raw request body
+ * @param {string} signature - X-Hub-Signature header
+ * @returns {Promise<Array>} - Array of saved video documents
+ */
+const handleNotification = async (channelId, body, signature) => {
+  const subscription = await WebSubSubscription.findOne({ channelId });
+
+  if (!subscription || subscription.status !== 'active') {
+    console.warn(`Ignoring WebSub notification for unsubscribed channel ${channelId}`);
+    return [];
+  }
+
+  if (!verifySignature(body, signature, subscription.secret)) {
+    console.warn(`Ignoring WebSub notification with invalid signature for channel ${channelId}`);
+    return [];
+  }
+
+  const videoIds = parseAtomNotification(body)
+    .filter(entry => entry.channelId === channelId)
+    .map(entry => entry.videoId);
+
+  await WebSubSubscription.updateOne({ _id: subscription._id }, { $set: { lastNotificationAt: new Date() } });
+
+  if (videoIds.length === 0) {
+    return [];
+  }
+
+  const trackedQuery = await TrackedQuery.findOne({ type: 'channel', channelId, active: true });
+  const label = `websub: ${trackedQuery?.channelTitle || channelId}`;
+  const savedVideos = await fetchAndSaveVideosById(videoIds, trackedQuery, label);
+  console.log(`Saved ${savedVideos.length} pushed videos for ${label}`);
+
+  return savedVideos;
+};
+
+/**
+ * Sync subscriptions with the channel sources
+ *
+ * Subscribes active channel sources that have no subscription yet,
+ * renews leases that expire within WEBSUB_RENEW_BEFORE_SECONDS, retries
+ * failed requests and requests the hub never verified, and unsubscribes
+ * channels whose source was paused or deleted.
+ *
+ * @async
+ * @function syncSubscriptions
+ * @returns {Promise<void>}
+ */
+const syncSubscriptions = async () => {
+  if (!isEnabled()) {
+    return;
+  }
+
+  const channelIds = await TrackedQuery.find({ type: 'channel', active: true }).distinct('channelId');
+  const subscriptions = await WebSubSubscription.find();
+  const wanted = new Set(channelIds);
+  const renewBefore = new Date(Date.now() + WEBSUB_RENEW_BEFORE_SECONDS * 1000);
+  const verifyBefore = new Date(Date.now() - WEBSUB_VERIFY_TIMEOUT_MINUTES * 60 * 1000);
+
+  for (const subscription of subscriptions) {
+    const { channelId, status } = subscription;
+
+    if (!wanted.has(channelId)) {
+      if (['pending', 'active', 'failed'].includes(status)) {
+        await unsubscribe(channelId);
+      }
+      continue;
+    }
+
+    wanted.delete(channelId);
+
+    const needsRenewal = status === 'unsubscribed'
+      || status === 'failed'
+      || (status === 'active' && (!subscription.expiresAt || subscription.expiresAt < renewBefore))
+      || (['pending', 'unsubscribing'].includes(status) && subscription.requestedAt < verifyBefore);
+
+    if (needsRenewal) {
+      await subscribe(channelId);
+    }
+  }
+
+  for (const channelId of wanted) {
+    await subscribe(channelId);
+  }
+};
+
+/**
+ * Export service functions
+ * @type {Object}
+ */
+module.exports = {
+  isEnabled,
+  subscribe,
+  unsubscribe,
+  verifyIntent,
+  verifySignature,
+  parseAtomNotification,
+  handleNotification,
+  syncSubscriptions,
+};
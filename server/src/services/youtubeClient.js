@@ -0,0 +1,259 @@
+/**
+ * YouTube Client Module
+ *
+ * Low-level client for the YouTube Data API v3. Every call goes through
+ * `callYouTubeApi`, which selects an API key, records quota usage, and
+ * handles errors by their reason:
+ * - quotaExceeded / dailyLimitExceeded: the key is exhausted until the quota resets
+ * - keyInvalid: the key is permanently disabled
+ * - rateLimitExceeded, HTTP 429, 5xx and network errors: retried with jittered backoff
+ * - forbidden and other errors: not retried
+ * Each attempt is recorded in the fetch log.
+ *
+ * @module services/youtubeClient
+ */
+
+const axios = require('axios');
+const FetchLog = require('../models/FetchLog');
+const keyManager = require('./apiKeyManager');
+require('dotenv').config();
+
+/**
+ * YouTube client configuration constants
+ * @constant {string} YOUTUBE_API_BASE_URL - YouTube Data API v3 base URL
+ * @constant {number} MAX_RETRIES - Maximum retries for transient failures per call
+ * @constant {number} RETRY_BASE_DELAY_MS - Base delay of the exponential backoff
+ * @constant {number} REQUEST_TIMEOUT_MS - Timeout of a single HTTP request
+ */
+const YOUTUBE_API_BASE_URL = 'https://www.googleapis.com/youtube/v3';
+const MAX_RETRIES = parseInt(process.env.YOUTUBE_MAX_RETRIES) || 3;
+const RETRY_BASE_DELAY_MS = parseInt(process.env.YOUTUBE_RETRY_BASE_DELAY_MS) || 1000;
+const REQUEST_TIMEOUT_MS = 15000;
+
+const QUOTA_REASONS = ['quotaExceeded', 'dailyLimitExceeded'];
+const RATE_LIMIT_REASONS = ['rateLimitExceeded', 'userRateLimitExceeded'];
+
+/**
+ * Error thrown when a YouTube API call fails for good
+ *
+ * @class YouTubeApiError
+ * @extends Error
+ */
+class YouTubeApiError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Error details
+   * @param {string} details.operation - YouTube API operation
+   * @param {string} details.outcome - Classified outcome of the last attempt
+   * @param {number} [details.status] - HTTP status of the last response
+   * @param {Array<string>} [details.reasons] - Error reasons reported by the API
+   */
+  constructor(message, { operation, outcome, status, reasons = [] }) {
+    super(message);
+    this.name = 'YouTubeApiError';
+    this.operation = operation;
+    this.outcome = outcome;
+    this.status = status;
+    this.reasons = reasons;
+  }
+}
+
+/**
+ * Extract the error reasons from a failed YouTube API response
+ *
+ * Reads `error.response.data.error.errors[].reason`, plus the
+ * `details[].reason` entries newer API errors carry (e.g. API_KEY_INVALID).
+ *
+ * @param {Error} error - Axios error
+ * @returns {Array<string>} Reported reasons
+ */
+const getErrorReasons = (error) => {
+  const apiError = error.response?.data?.error;
+  if (!apiError) {
+    return [];
+  }
+
+  const reasons = (apiError.errors || []).map(item => item.reason);
+  (apiError.details || []).forEach(item => {
+    if (item.reason) {
+      reasons.push(item.reason);
+    }
+  });
+  return reasons.filter(Boolean);
+};
+
+/**
+ * Classify a failed call
+ *
+ * @param {Error} error - Axios error
+ * @param {Array<string>} reasons - Reasons reported by the API
+ * @returns {string} One of quotaExceeded, keyInvalid, forbidden, rateLimited, transient or error
+ */
+const classifyError = (error, reasons) => {
+  const status = error.response?.status;
+
+  if (reasons.some(reason => QUOTA_REASONS.includes(reason))) {
+    return 'quotaExceeded';
+  }
+  if (reasons.includes('keyInvalid') || reasons.includes('API_KEY_INVALID')) {
+    return 'keyInvalid';
+  }
+  if (reasons.some(reason => RATE_LIMIT_REASONS.includes(reason)) || status === 429) {
+    return 'rateLimited';
+  }
+  if (reasons.includes('forbidden') || status === 403) {
+    return 'forbidden';
+  }
+  if (!error.response || status >= 500) {
+    return 'transient';
+  }
+  return 'error';
+};
+
+/**
+ * Compute the delay before a retry
+ *
+ * Uses exponential backoff with full jitter.
+ *
+ * @param {number} retry - Retry number, starting at 0
+ * @returns {number} Delay in milliseconds
+ */
+const getRetryDelay = (retry) => Math.round(Math.random() * RETRY_BASE_DELAY_MS * 2 ** retry);
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Record an attempt in the fetch log
+ *
+ * Logging failures are reported but never fail the call itself.
+ *
+ * @param {Object} entry - Fetch log fields
+ */
+const logAttempt = (entry) => {
+  FetchLog.create(entry).catch(error => {
+    console.error('Error writing fetch log:', error.message);
+  });
+};
+
+/**
+ * Call the YouTube Data API
+ *
+ * @async
+ * @function callYouTubeApi
+ * @param {string} operation - Operation to call, e.g. 'search.list' or 'videos.list'
+ * @param {Object} params - Query parameters, without the API key
+ * @param {Object} [context={}] - Extra context for the fetch log
+ * @param {string} [context.query] - Search query or other description of the call
+ * @returns {Promise<Object>} - YouTube API response body
+ * @throws {YouTubeApiError} - If no key is available or the call fails for good
+ */
+const callYouTubeApi = async (operation, params, context = {}) => {
+  const url = `${YOUTUBE_API_BASE_URL}/${operation.split('.')[0]}`;
+  const maxAttempts = MAX_RETRIES + keyManager.keys.length;
+  let retries = 0;
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    if (!keyManager.hasAvailableKeys(operation)) {
+      throw new YouTubeApiError('All API keys are exhausted. Please try again later.', {
+        operation,
+        outcome: 'quotaExceeded',
+      });
+    }
+
+    const key = keyManager.selectKey(operation);
+    const logEntry = {
+      operation,
+      attempt,
+      keyFingerprint: keyManager.getFingerprint(key),
+      query: context.query,
+    };
+    const startedAt = Date.now();
+
+    try {
+      const response = await axios.get(url, {
+        params: { ...params, key },
+        headers: { 'Accept': 'application/json' },
+        timeout: REQUEST_TIMEOUT_MS,
+      });
+
+      keyManager.recordUsage(key, operation);
+      logAttempt({
+        ...logEntry,
+        outcome: 'success',
+        status: response.status,
+        itemCount: response.data.items ? response.data.items.length : undefined,
+        durationMs: Date.now() - startedAt,
+      });
+
+      return response.data;
+    } catch (error) {
+      const status = error.response?.status;
+      const reasons = getErrorReasons(error);
+      const category = classifyError(error, reasons);
+      const retryable = ['rateLimited', 'transient'].includes(category) && retries < MAX_RETRIES;
+      const failure = {
+        ...logEntry,
+        status,
+        reasons,
+        message: error.response?.data?.error?.message || error.message,
+        durationMs: Date.now() - startedAt,
+      };
+
+      // Requests that reached the API are charged even when they fail
+      if (error.response && category !== 'quotaExceeded' && category !== 'keyInvalid') {
+        keyManager.recordUsage(key, operation);
+      }
+
+      if (category === 'quotaExceeded') {
+        logAttempt({ ...failure, outcome: 'quotaExceeded' });
+        keyManager.markKeyAsExhausted(key);
+        console.log('Quota exceeded, retrying with next key...');
+        continue;
+      }
+
+      if (category === 'keyInvalid') {
+        logAttempt({ ...failure, outcome: 'keyInvalid' });
+        keyManager.disableKey(key);
+        continue;
+      }
+
+      if (retryable) {
+        const delay = getRetryDelay(retries);
+        retries++;
+        logAttempt({ ...failure, outcome: 'retry' });
+        console.log(`${operation} failed (${status || error.code || 'network error'}), retry ${retries}/${MAX_RETRIES} in ${delay}ms`);
+        await sleep(delay);
+        continue;
+      }
+
+      const outcome = ['forbidden', 'rateLimited'].includes(category) ? category : 'error';
+      logAttempt({ ...failure, outcome });
+      console.error('Full error details:', {
+        status,
+        reasons,
+        message: failure.message,
+      });
+
+      throw new YouTubeApiError(`${operation} failed: ${failure.message}`, {
+        operation,
+        outcome,
+        status,
+        reasons,
+      });
+    }
+  }
+
+  throw new YouTubeApiError(`${operation} failed after ${maxAttempts} attempts`, {
+    operation,
+    outcome: 'error',
+  });
+};
+
+/**
+ * Export client functions
+ * @type {Object}
+ */
+module.exports = {
+  callYouTubeApi,
+  YouTubeApiError,
+};
@@ -2,112 +2,257 @@
  * YouTube Service Module
  *
  * Provides functionality to interact with the YouTube Data API v3,
- * fetch videos based on search queries, and save them to the database.
- * Includes API key management for handling quota limits.
+ * fetch videos based on search queries or channel uploads playlists,
+ * and save them to the database.
+ * API calls go through the YouTube client, which manages keys and quota.
  *
  * @module services/youtubeService
  */
 
-const axios = require('axios');
 const Video = require('../models/Video');
-const keyManager = require('./apiKeyManager');
+const TrackedQuery = require('../models/TrackedQuery');
+const VideoStatsSnapshot = require('../models/VideoStatsSnapshot');
+const IngestReport = require('../models/IngestReport');
+const WebSubSubscription = require('../models/WebSubSubscription');
+const { callYouTubeApi } = require('./youtubeClient');
+const videoEvents = require('./videoEvents');
+const { syncChannels, refreshChannelStats } = require('./channelService');
+const { createIngestReport, filterIngestItems } = require('./ingestFilter');
+const { fingerprintFields, assignDuplicateClusters } = require('./duplicateService');
+const { unarchiveVideos } = require('./retentionService');
+const { notifyNewVideos, notifyViewAlerts } = require('./webhookService');
+const { parseISODuration } = require('../utils/duration');
 require('dotenv').config();
 
 /**
  * YouTube API configuration constants
- * @constant {string} YOUTUBE_API_URL - YouTube Data API v3 search endpoint
- * @constant {string} YOUTUBE_API_KEY - API key from environment variables
  * @constant {string} SEARCH_QUERY - Default search query from environment variables
+ * @constant {number} MAX_PAGES_PER_FETCH - Maximum result pages requested per query run
+ * @constant {number} VIDEOS_LIST_BATCH_SIZE - Maximum video IDs per videos.list call
+ * @constant {number} SNAPSHOT_WINDOW_DAYS - Days after publishing during which stats snapshots are kept
+ * @constant {number} WEBSUB_FALLBACK_POLL_MINUTES - Minutes between fallback polls of push-subscribed channels
  */
-const YOUTUBE_API_URL = 'https://www.googleapis.com/youtube/v3/search';
-const YOUTUBE_API_KEY = process.env.YOUTUBE_API_KEY;
 const SEARCH_QUERY = process.env.SEARCH_QUERY || 'official';
+const MAX_PAGES_PER_FETCH = parseInt(process.env.MAX_PAGES_PER_FETCH) || 5;
+const VIDEOS_LIST_BATCH_SIZE = 50;
+const SNAPSHOT_WINDOW_DAYS = parseInt(process.env.SNAPSHOT_WINDOW_DAYS) || 7;
+const WEBSUB_FALLBACK_POLL_MINUTES = parseInt(process.env.WEBSUB_FALLBACK_POLL_MINUTES) || 60;
 
 /**
  * Fetch videos from YouTube API
  *
- * Makes a request to the YouTube Data API v3 to fetch videos based on
- * the provided search query. Handles API key rotation if quota is exceeded.
+ * Makes a search.list request to the YouTube Data API v3 to fetch videos
+ * based on the provided search query. Key selection, quota accounting,
+ * retries and error handling are done by the YouTube client.
  *
  * @async
  * @function fetchVideosFromYouTube
  * @param {string} [query=SEARCH_QUERY] - Search query to find videos
  * @param {string} [pageToken=null] - Token for pagination of results
+ * @param {Date} [publishedAfter=null] - Only return videos published at or after this date
  * @returns {Promise<Object>} - YouTube API response with video data
- * @throws {Error} - If all API keys are exhausted or other API errors occur
+ * @throws {YouTubeApiError} - If all API keys are exhausted or other API errors occur
  */
-const fetchVideosFromYouTube = async (query = SEARCH_QUERY, pageToken = null) => {
-  if (!keyManager.hasAvailableKeys()) {
-    throw new Error('All API keys are exhausted. Please try again later.');
+const fetchVideosFromYouTube = async (query = SEARCH_QUERY, pageToken = null, publishedAfter = null) => {
+  console.log('Query:', query);
+
+  const params = {
+    part: 'snippet',
+    q: query,
+    maxResults: 50,
+    type: 'video',
+    order: 'date',
+  };
+
+  if (pageToken) {
+    params.pageToken = pageToken;
   }
 
-  const currentKey = keyManager.getCurrentKey();
+  if (publishedAfter) {
+    params.publishedAfter = publishedAfter.toISOString();
+  }
 
-  // Debug logging
-  console.log('Query:', query);
-  console.log('Using API key:', currentKey.slice(0, 8) + '...');
+  return callYouTubeApi('search.list', params, { query });
+};
 
-  try {
-    const params = new URLSearchParams({
-      part: 'snippet',
-      q: query,
-      key: currentKey,
-      maxResults: 50,
-      type: 'video',
-      order: 'date'
-    });
+/**
+ * Fetch the videos published since a tracked query's watermark
+ *
+ * Requests only videos newer than the query's watermark and follows
+ * `nextPageToken` until a page reaches the watermark, there are no more
+ * pages, or MAX_PAGES_PER_FETCH pages have been requested. A query
+ * without a watermark (first run) fetches a single page to establish one.
+ *
+ * @async
+ * @function fetchNewVideosForQuery
+ * @param {Object} trackedQuery - TrackedQuery document to fetch videos for
+ * @returns {Promise<Array>} - Video items from the YouTube API, newest first
+ */
+const fetchNewVideosForQuery = async (trackedQuery) => {
+  const watermark = trackedQuery.watermark || null;
+  const maxPages = watermark ? MAX_PAGES_PER_FETCH : 1;
+  const items = [];
+  let pageToken = null;
+  let pages = 0;
+  let reachedWatermark = false;
+
+  do {
+    const youtubeData = await fetchVideosFromYouTube(trackedQuery.query, pageToken, watermark);
+    const pageItems = youtubeData.items || [];
+    pages++;
+
+    const freshItems = watermark
+      ? pageItems.filter(item => new Date(item.snippet.publishedAt) >= watermark)
+      : pageItems;
+    items.push(...freshItems);
+
+    reachedWatermark = freshItems.length < pageItems.length;
+    pageToken = youtubeData.nextPageToken || null;
+  } while (pageToken && !reachedWatermark && pages < maxPages);
+
+  if (pageToken && !reachedWatermark && watermark) {
+    console.warn(`Page cap of ${maxPages} reached for query "${trackedQuery.query}"; older results in this burst were skipped`);
+  }
+
+  return items;
+};
 
+/**
+ * Convert a playlistItems.list item to the shape of a search.list item
+ *
+ * This lets playlist items go through the same save path as search results.
+ * Deleted and private videos, which have no publish date, return null.
+ *
+ * @param {Object} item - Item from playlistItems.list
+ * @returns {Object|null} - Search-shaped item, or null if the video is unavailable
+ */
+const playlistItemToSearchItem = (item) => {
+  const publishedAt = item.contentDetails?.videoPublishedAt;
+  if (!publishedAt) {
+    return null;
+  }
+
+  return {
+    id: { videoId: item.contentDetails.videoId },
+    snippet: {
+      title: item.snippet.title,
+      description: item.snippet.description,
+      publishedAt,
+      thumbnails: item.snippet.thumbnails,
+      channelTitle: item.snippet.videoOwnerChannelTitle || item.snippet.channelTitle,
+      channelId: item.snippet.videoOwnerChannelId || item.snippet.channelId,
+    },
+  };
+};
+
+/**
+ * Fetch the uploads published since a channel source's watermark
+ *
+ * Polls the channel's uploads playlist with playlistItems.list (1 quota
+ * unit per page instead of 100 for search.list), newest first, following
+ * `nextPageToken` until the watermark is reached, there are no more pages,
+ * or MAX_PAGES_PER_FETCH pages have been requested. A source without a
+ * watermark (first run) fetches a single page to establish one.
+ *
+ * @async
+ * @function fetchNewVideosForChannel
+ * @param {Object} trackedQuery - TrackedQuery document of type 'channel'
+ * @returns {Promise<Array>} - Search-shaped video items, newest first
+ */
+const fetchNewVideosForChannel = async (trackedQuery) => {
+  const watermark = trackedQuery.watermark || null;
+  const maxPages = watermark ? MAX_PAGES_PER_FETCH : 1;
+  const items = [];
+  let pageToken = null;
+  let pages = 0;
+  let reachedWatermark = false;
+
+  do {
+    const params = {
+      part: 'snippet,contentDetails',
+      playlistId: trackedQuery.uploadsPlaylistId,
+      maxResults: 50,
+    };
     if (pageToken) {
-      params.append('pageToken', pageToken);
+      params.pageToken = pageToken;
     }
 
-    // Log the full URL (with key redacted) for debugging
-    const debugUrl = `${YOUTUBE_API_URL}?${params.toString().replace(currentKey, 'REDACTED')}`;
-    console.log('Request URL:', debugUrl);
+    const youtubeData = await callYouTubeApi('playlistItems.list', params, { query: trackedQuery.query });
+    const pageItems = (youtubeData.items || []).map(playlistItemToSearchItem).filter(Boolean);
+    pages++;
 
-    const response = await axios.get(YOUTUBE_API_URL, {
-      params,
-      headers: {
-        'Accept': 'application/json',
-        'Content-Type': 'application/json'
-      }
-    });
+    const freshItems = watermark
+      ? pageItems.filter(item => new Date(item.snippet.publishedAt) >= watermark)
+      : pageItems;
+    items.push(...freshItems);
 
-    return response.data;
-  } catch (error) {
-    console.error('Full error details:', {
-      status: error.response?.status,
-      data: error.response?.data,
-      headers: error.response?.headers
-    });
-
-    if (error.response?.status === 403) {
-      keyManager.markKeyAsExhausted();
-      if (keyManager.hasAvailableKeys()) {
-        console.log('Retrying with next key...');
-        return fetchVideosFromYouTube(query, pageToken);
-      }
-    }
-    throw error;
+    reachedWatermark = freshItems.length < pageItems.length;
+    pageToken = youtubeData.nextPageToken || null;
+  } while (pageToken && !reachedWatermark && pages < maxPages);
+
+  if (pageToken && !reachedWatermark && watermark) {
+    console.warn(`Page cap of ${maxPages} reached for channel "${trackedQuery.channelTitle}"; older uploads in this burst were skipped`);
+  }
+
+  return items;
+};
+
+/**
+ * Drop the items already stored for a tracked query
+ *
+ * The watermark is inclusive, so videos published in its second aren't
+ * missed, which makes every fetch return the newest stored videos again.
+ * Videos stored for another tracked query are kept, so this query is
+ * added to them.
+ *
+ * @async
+ * @param {Array} items - Search-shaped video items
+ * @param {Object} trackedQuery - TrackedQuery document the items were fetched for
+ * @returns {Promise<Array>} - Items not yet stored for the query
+ */
+const skipStoredItems = async (items, trackedQuery) => {
+  if (items.length === 0) {
+    return items;
   }
+
+  const stored = new Set(await Video.distinct('videoId', {
+    videoId: { $in: items.map(item => item.id.videoId) },
+    queries: trackedQuery._id,
+  }));
+  return items.filter(item => !stored.has(item.id.videoId));
 };
+
 /**
  * Save videos to database
  *
  * Processes video data from the YouTube API and saves it to the MongoDB database.
- * Uses upsert to avoid duplicate entries based on the video ID.
+ * Videos rejected by the ingest rules (blocked channels, title deny-patterns)
+ * are skipped. Uses upsert to avoid duplicate entries based on the video ID.
+ * When a tracked query (source) is given, its id and type are added to each
+ * video's `queries` and `sourceTypes` lists. New videos are fingerprinted
+ * and assigned to a cluster of near-duplicates (re-uploads). Emits the
+ * `saved` video event so the search index picks the videos up.
+ * Without `overwrite`, videos already stored are left as they are and
+ * aren't returned, for sources whose fields are less reliable than the
+ * YouTube API's (imports).
  *
  * @async
  * @function saveVideosToDatabase
  * @param {Array} videos - Array of video objects from YouTube API
+ * @param {Object} [trackedQuery] - TrackedQuery document of the source that found the videos
+ * @param {Object} [report] - Ingest report to count received, saved, duplicate and rejected videos in
+ * @param {Object} [options] - Save options
+ * @param {boolean} [options.notify=true] - Send webhook events for the videos (off for bulk imports)
+ * @param {boolean} [options.overwrite=true] - Update videos already stored (off for imports)
  * @returns {Promise<Array>} - Array of saved video documents
  * @throws {Error} - If there's an error saving to the database
  */
-const saveVideosToDatabase = async (videos) => {
+const saveVideosToDatabase = async (videos, trackedQuery = null, report = null, { notify = true, overwrite = true } = {}) => {
   try {
     const savedVideos = [];
+    const acceptedVideos = await filterIngestItems(videos, report);
 
-    for (const item of videos) {
+    for (const item of acceptedVideos) {
       const videoData = {
         videoId: item.id.videoId,
         title: item.snippet.title,
@@ -116,16 +261,53 @@ const saveVideosToDatabase = async (videos) => {
         thumbnails: item.snippet.thumbnails,
         channelTitle: item.snippet.channelTitle,
         channelId: item.snippet.channelId,
+        ...fingerprintFields(item.snippet.title, item.snippet.description),
       };
 
+      const update = overwrite ? { $set: videoData } : { $setOnInsert: videoData };
+      if (trackedQuery) {
+        update.$addToSet = {
+          queries: trackedQuery._id,
+          sourceTypes: trackedQuery.type || 'search',
+        };
+      }
+
       // Use findOneAndUpdate with upsert to avoid duplicates
-      const video = await Video.findOneAndUpdate(
+      const result = await Video.findOneAndUpdate(
         { videoId: videoData.videoId },
-        videoData,
-        { upsert: true, new: true }
+        update,
+        { upsert: true, new: true, includeResultMetadata: true }
       );
 
-      savedVideos.push(video);
+      if (!overwrite && result.lastErrorObject?.updatedExisting) {
+        continue;
+      }
+      savedVideos.push(result.value);
+    }
+
+    // Only videos saved for the first time still need a cluster, and may have been archived before
+    const newVideos = savedVideos.filter(video => !video.duplicateClusterId);
+    let duplicates = 0;
+    try {
+      duplicates = await assignDuplicateClusters(newVideos);
+    } catch (error) {
+      console.error('Error clustering duplicate videos:', error.message);
+    }
+    if (newVideos.length > 0) {
+      await unarchiveVideos(newVideos.map(video => video.videoId));
+      if (notify) {
+        // Deliveries are retried in the background and must not hold up ingestion
+        notifyNewVideos(newVideos);
+      }
+    }
+
+    if (report) {
+      report.saved += savedVideos.length;
+      report.duplicates += duplicates;
+    }
+
+    if (savedVideos.length > 0) {
+      videoEvents.emit('saved', savedVideos);
     }
 
     return savedVideos;
@@ -135,44 +317,364 @@ const saveVideosToDatabase = async (videos) => {
   }
 };
 
+/**
+ * Store the statistics and content details of videos.list items
+ *
+ * Items published within the last SNAPSHOT_WINDOW_DAYS days also get a
+ * stats snapshot.
+ *
+ * @async
+ * @param {Array} items - Items from videos.list with snippet, statistics and contentDetails
+ * @param {Object} [options] - Store options
+ * @param {boolean} [options.notify=true] - Send webhook alerts for view counts that reached their threshold
+ * @returns {Promise<number>} - Number of stored videos that were updated
+ */
+const storeVideoDetails = async (items, { notify = true } = {}) => {
+  const snapshotSince = new Date(Date.now() - SNAPSHOT_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+  let enriched = 0;
+
+  const operations = items.map(item => ({
+    updateOne: {
+      filter: { videoId: item.id },
+      update: {
+        $set: {
+          viewCount: parseInt(item.statistics?.viewCount) || 0,
+          likeCount: parseInt(item.statistics?.likeCount) || 0,
+          commentCount: parseInt(item.statistics?.commentCount) || 0,
+          durationSeconds: parseISODuration(item.contentDetails?.duration),
+          tags: item.snippet?.tags || [],
+          categoryId: item.snippet?.categoryId,
+          liveBroadcastContent: item.snippet?.liveBroadcastContent,
+          statsUpdatedAt: new Date(),
+        },
+      },
+    },
+  }));
+
+  if (operations.length > 0) {
+    const result = await Video.bulkWrite(operations, { ordered: false });
+    enriched += result.modifiedCount;
+    if (notify) {
+      notifyViewAlerts(items.map(item => item.id));
+    }
+  }
+
+  const snapshots = items
+    .filter(item => new Date(item.snippet?.publishedAt) >= snapshotSince)
+    .map(item => ({
+      videoId: item.id,
+      viewCount: parseInt(item.statistics?.viewCount) || 0,
+      likeCount: parseInt(item.statistics?.likeCount) || 0,
+      commentCount: parseInt(item.statistics?.commentCount) || 0,
+      capturedAt: new Date(),
+    }));
+
+  if (snapshots.length > 0) {
+    await VideoStatsSnapshot.insertMany(snapshots, { ordered: false });
+  }
+
+  return enriched;
+};
+
+/**
+ * Enrich stored videos with statistics and content details
+ *
+ * Looks the videos up with videos.list in batches of up to 50 IDs and
+ * stores their view, like and comment counts, duration in seconds, tags,
+ * category and live broadcast state. Videos published within the last
+ * SNAPSHOT_WINDOW_DAYS days also get a stats snapshot. Videos that YouTube
+ * no longer returns (e.g. deleted or private) are left unchanged.
+ *
+ * @async
+ * @function enrichVideos
+ * @param {Array<string>} videoIds - YouTube video IDs to enrich
+ * @returns {Promise<number>} - Number of videos that were updated
+ * @throws {YouTubeApiError} - If a videos.list call fails
+ */
+const enrichVideos = async (videoIds) => {
+  const uniqueIds = [...new Set(videoIds)];
+  let enriched = 0;
+
+  for (let i = 0; i < uniqueIds.length; i += VIDEOS_LIST_BATCH_SIZE) {
+    const batch = uniqueIds.slice(i, i + VIDEOS_LIST_BATCH_SIZE);
+    const youtubeData = await callYouTubeApi('videos.list', {
+      part: 'snippet,statistics,contentDetails',
+      id: batch.join(','),
+      maxResults: VIDEOS_LIST_BATCH_SIZE,
+    }, { query: `${batch.length} video IDs` });
+
+    enriched += await storeVideoDetails(youtubeData.items || []);
+  }
+
+  return enriched;
+};
+
+/**
+ * Refresh the statistics of recently published videos
+ *
+ * Re-enriches every stored video published within the last
+ * SNAPSHOT_WINDOW_DAYS days, which records a new stats snapshot for
+ * each of them, and re-aggregates their channels' statistics.
+ * Costs 1 quota unit per 50 videos.
+ *
+ * @async
+ * @function refreshRecentVideoStats
+ * @returns {Promise<number>} - Number of videos that were refreshed
+ */
+const refreshRecentVideoStats = async () => {
+  const since = new Date(Date.now() - SNAPSHOT_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+  const videos = await Video.find({ publishedAt: { $gte: since } }, 'videoId channelId');
+
+  if (videos.length === 0) {
+    return 0;
+  }
+
+  const refreshed = await enrichVideos(videos.map(video => video.videoId));
+  await refreshChannelStats(videos.map(video => video.channelId));
+  console.log(`Refreshed statistics for ${refreshed} recent videos`);
+  return refreshed;
+};
+
 /**
  * Fetch and save videos
  *
- * Main service function that combines fetching videos from YouTube API
- * and saving them to the database. Used by the cron job to periodically
- * update the video collection.
+ * Fetches the videos published since a tracked query's watermark, from
+ * search.list for search sources or the uploads playlist for channel
+ * sources, saves them to the database tagging each video with the source,
+ * enriches them with statistics, and syncs their channels. Writes an
+ * ingest report for the run.
+ * Advances the watermark and records the outcome of the fetch on the
+ * tracked query document.
  *
  * @async
  * @function fetchAndSaveVideos
- * @param {string} [query=SEARCH_QUERY] - Search query to find videos
+ * @param {Object} trackedQuery - TrackedQuery document to fetch videos for
  * @returns {Promise<Array>} - Array of saved video documents
  * @throws {Error} - If there's an error in fetching or saving
  */
-const fetchAndSaveVideos = async (query = SEARCH_QUERY) => {
+const fetchAndSaveVideos = async (trackedQuery) => {
   try {
-    console.log(`Fetching videos for query: ${query}`);
-    const youtubeData = await fetchVideosFromYouTube(query);
+    const isChannel = trackedQuery.type === 'channel';
+    const label = isChannel ? `channel: ${trackedQuery.channelTitle || trackedQuery.channelId}` : `query: ${trackedQuery.query}`;
+    console.log(`Fetching videos for ${label}`);
+    const fetched = isChannel
+      ? await fetchNewVideosForChannel(trackedQuery)
+      : await fetchNewVideosForQuery(trackedQuery);
+    const items = await skipStoredItems(fetched, trackedQuery);
 
-    if (youtubeData.items && youtubeData.items.length > 0) {
-      const savedVideos = await saveVideosToDatabase(youtubeData.items);
+    const update = { $set: { lastFetchedAt: new Date() }, $unset: { lastError: '' } };
+    const report = createIngestReport(label, trackedQuery._id);
+    let savedVideos = [];
+
+    if (items.length > 0) {
+      savedVideos = await saveVideosToDatabase(items, trackedQuery, report);
       console.log(`Saved ${savedVideos.length} videos to database`);
-      return savedVideos;
+
+      // Statistics are a follow-up step; failing them must not lose the saved videos
+      try {
+        const enriched = await enrichVideos(savedVideos.map(video => video.videoId));
+        console.log(`Enriched ${enriched} videos with statistics`);
+      } catch (error) {
+        console.error('Error enriching videos:', error.message);
+      }
+
+      try {
+        await syncChannels(savedVideos.map(video => video.channelId));
+      } catch (error) {
+        console.error('Error syncing channels:', error.message);
+      }
+
+      // Only ever move the watermark forward
+      const newest = new Date(Math.max(...items.map(item => new Date(item.snippet.publishedAt))));
+      update.$max = { watermark: newest };
     } else {
-      console.log('No videos found for the given query');
-      return [];
+      console.log('No new videos found for the given query');
+    }
+
+    await TrackedQuery.updateOne({ _id: trackedQuery._id }, update);
+    // Runs that received nothing aren't worth a report
+    if (report.received > 0) {
+      await IngestReport.create(report);
     }
+
+    return savedVideos;
   } catch (error) {
     console.error('Error in fetchAndSaveVideos:', error.message);
+    await TrackedQuery.updateOne(
+      { _id: trackedQuery._id },
+      { $set: { lastError: error.message } }
+    ).catch(() => {});
     throw error;
   }
 };
 
+/**
+ * Save videos.list items
+ *
+ * Saves the snippets through saveVideosToDatabase, so the ingest rules,
+ * duplicate detection and video events apply, then stores the statistics
+ * and content details of the saved items that have them. Without
+ * `overwrite`, the statistics of videos already stored are left as well.
+ *
+ * @async
+ * @function saveVideoItems
+ * @param {Array} items - Items shaped like videos.list items (`id`, `snippet`, optional `statistics` and `contentDetails`)
+ * @param {Object} [trackedQuery] - TrackedQuery document of the source the videos belong to
+ * @param {Object} [report] - Ingest report to count received, saved, duplicate and rejected videos in
+ * @param {Object} [options] - Save options
+ * @param {boolean} [options.notify=true] - Send webhook events for the videos (off for bulk imports)
+ * @param {boolean} [options.overwrite=true] - Update videos already stored (off for imports)
+ * @returns {Promise<Array>} - Array of saved video documents
+ */
+const saveVideoItems = async (items, trackedQuery = null, report = null, options = {}) => {
+  const searchItems = items.map(item => ({
+    id: { videoId: item.id },
+    snippet: {
+      title: item.snippet.title,
+      description: item.snippet.description,
+      publishedAt: item.snippet.publishedAt,
+      thumbnails: item.snippet.thumbnails,
+      channelTitle: item.snippet.channelTitle,
+      channelId: item.snippet.channelId,
+    },
+  }));
+
+  const savedVideos = await saveVideosToDatabase(searchItems, trackedQuery, report, options);
+
+  if (savedVideos.length > 0) {
+    const savedIds = new Set(savedVideos.map(video => video.videoId));
+    await storeVideoDetails(
+      items.filter(item => savedIds.has(item.id) && (item.statistics || item.contentDetails)),
+      options
+    );
+  }
+
+  return savedVideos;
+};
+
+/**
+ * Fetch and save videos announced by ID
+ *
+ * Used for push notifications, which only carry the video and channel
+ * IDs. A single videos.list call provides both the snippet to save and
+ * the statistics to enrich the video with. Unlike polling, this does not
+ * move the source's watermark, so a missed notification is still picked
+ * up by the next poll of the source.
+ *
+ * @async
+ * @function fetchAndSaveVideosById
+ * @param {Array<string>} videoIds - YouTube video IDs to fetch
+ * @param {Object} [trackedQuery] - TrackedQuery document of the source the videos belong to
+ * @param {string} source - Description of the ingest for the report, e.g. 'websub: Channel'
+ * @returns {Promise<Array>} - Array of saved video documents
+ * @throws {YouTubeApiError} - If the videos.list call fails
+ */
+const fetchAndSaveVideosById = async (videoIds, trackedQuery, source) => {
+  const uniqueIds = [...new Set(videoIds)].slice(0, VIDEOS_LIST_BATCH_SIZE);
+  const youtubeData = await callYouTubeApi('videos.list', {
+    part: 'snippet,statistics,contentDetails',
+    id: uniqueIds.join(','),
+    maxResults: VIDEOS_LIST_BATCH_SIZE,
+  }, { query: source });
+
+  const items = youtubeData.items || [];
+  const report = createIngestReport(source, trackedQuery?._id);
+  const savedVideos = await saveVideoItems(items, trackedQuery, report);
+
+  if (savedVideos.length > 0) {
+    try {
+      await syncChannels(savedVideos.map(video => video.channelId));
+    } catch (error) {
+      console.error('Error syncing channels:', error.message);
+    }
+  }
+
+  if (report.received > 0) {
+    await IngestReport.create(report);
+  }
+
+  return savedVideos;
+};
+
+/**
+ * Fetch and save videos for all active tracked queries
+ *
+ * Polls every active tracked query in turn. A failure for one query is
+ * logged and does not prevent the remaining queries from being fetched.
+ * Channel sources with an active WebSub subscription receive their
+ * uploads by push, so they are only polled as a fallback once every
+ * WEBSUB_FALLBACK_POLL_MINUTES.
+ * Used by the fetchVideos job to periodically update the video collection.
+ *
+ * @async
+ * @function fetchAndSaveAllQueries
+ * @param {Array<string>} [errors] - Array collecting the error message of each failed query
+ * @returns {Promise<Array>} - Array of saved video documents across all queries
+ */
+const fetchAndSaveAllQueries = async (errors = null) => {
+  const trackedQueries = await TrackedQuery.find({ active: true }).sort({ createdAt: 1 });
+  const pushedChannelIds = new Set(await WebSubSubscription.find({
+    status: 'active',
+    expiresAt: { $gt: new Date() },
+  }).distinct('channelId'));
+  const fallbackBefore = new Date(Date.now() - WEBSUB_FALLBACK_POLL_MINUTES * 60 * 1000);
+  const savedVideos = [];
+
+  for (const trackedQuery of trackedQueries) {
+    if (
+      trackedQuery.type === 'channel'
+      && pushedChannelIds.has(trackedQuery.channelId)
+      && trackedQuery.lastFetchedAt > fallbackBefore
+    ) {
+      continue;
+    }
+
+    try {
+      savedVideos.push(...await fetchAndSaveVideos(trackedQuery));
+    } catch (error) {
+      console.error(`Error fetching query "${trackedQuery.query}":`, error.message);
+      if (errors) {
+        errors.push(`${trackedQuery.query}: ${error.message}`);
+      }
+    }
+  }
+
+  return savedVideos;
+};
+
+/**
+ * Seed the default tracked query
+ *
+ * Creates a tracked query from the SEARCH_QUERY environment variable
+ * when no tracked queries exist yet, so existing deployments keep
+ * polling the same topic after upgrading.
+ *
+ * @async
+ * @function ensureDefaultQuery
+ * @returns {Promise<void>}
+ */
+const ensureDefaultQuery = async () => {
+  const count = await TrackedQuery.estimatedDocumentCount();
+  if (count === 0) {
+    await TrackedQuery.create({ query: SEARCH_QUERY });
+    console.log(`Created default tracked query: ${SEARCH_QUERY}`);
+  }
+};
+
 /**
  * Export service functions
  * @type {Object}
  */
 module.exports = {
   fetchVideosFromYouTube,
+  fetchNewVideosForQuery,
+  fetchNewVideosForChannel,
   saveVideosToDatabase,
+  saveVideoItems,
+  enrichVideos,
+  refreshRecentVideoStats,
   fetchAndSaveVideos,
+  fetchAndSaveVideosById,
+  fetchAndSaveAllQueries,
+  ensureDefaultQuery,
 };
@@ -0,0 +1,84 @@
+/**
+ * Attempt Limiter Utilities
+ *
+ * Counts failed attempts per key (an IP address, an email) in a fixed
+ * time window, and blocks the key once it reaches the maximum until the
+ * window ends. Counts are kept in memory, so each server instance limits
+ * on its own.
+ *
+ * @module utils/attemptLimiter
+ */
+
+/**
+ * Number of tracked keys above which expired ones are swept on the next failure
+ * @constant {number}
+ */
+const SWEEP_SIZE = 10000;
+
+/**
+ * Failed attempt counter with a fixed window per key
+ *
+ * @class AttemptLimiter
+ */
+class AttemptLimiter {
+  /**
+   * @param {Object} options - Limiter options
+   * @param {number} options.maxAttempts - Failures allowed per window
+   * @param {number} options.windowMs - Window length, from the first failure
+   */
+  constructor({ maxAttempts, windowMs }) {
+    this.maxAttempts = maxAttempts;
+    this.windowMs = windowMs;
+    this.windows = new Map();
+  }
+
+  /**
+   * Get how long a key is blocked for
+   *
+   * @param {string} key - Key to check
+   * @returns {number} - Milliseconds until the key may try again, 0 if it may now
+   */
+  retryAfter(key) {
+    const window = this.windows.get(key);
+    if (!window || window.resetAt <= Date.now()) {
+      return 0;
+    }
+    return window.count >= this.maxAttempts ? window.resetAt - Date.now() : 0;
+  }
+
+  /**
+   * Count a failed attempt for a key
+   *
+   * @param {string} key - Key that failed
+   */
+  fail(key) {
+    const now = Date.now();
+    if (this.windows.size >= SWEEP_SIZE) {
+      this.windows.forEach((window, windowKey) => {
+        if (window.resetAt <= now) {
+          this.windows.delete(windowKey);
+        }
+      });
+    }
+
+    const window = this.windows.get(key);
+    if (!window || window.resetAt <= now) {
+      this.windows.set(key, { count: 1, resetAt: now + this.windowMs });
+    } else {
+      window.count++;
+    }
+  }
+
+  /**
+   * Forget the failures of a key, e.g. after a successful attempt
+   *
+   * @param {string} key - Key to reset
+   */
+  reset(key) {
+    this.windows.delete(key);
+  }
+}
+
+module.exports = {
+  AttemptLimiter,
+};
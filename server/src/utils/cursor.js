@@ -0,0 +1,231 @@
+/**
+ * Cursor Pagination Utilities
+ *
+ * Helpers for keyset ("cursor") pagination. A cursor is an opaque,
+ * URL-safe token holding the sort values of the first or last document
+ * of a page, so the next page is selected with a range condition on the
+ * sort keys instead of a skip. Pages stay stable while new documents are
+ * inserted, and the cost doesn't grow with the page number.
+ *
+ * Sort keys are given as `[field, order]` pairs, where order is 1 or -1.
+ * The last key must be unique (normally `_id`) so every document has a
+ * distinct position.
+ *
+ * @module utils/cursor
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Describe sort keys as a string, e.g. 'viewCount:-1,_id:-1'
+ *
+ * A cursor is only valid for the sort it was created with.
+ *
+ * @param {Array<Array>} sortKeys - [field, order] pairs
+ * @returns {string} - Sort signature
+ */
+const getSortSignature = (sortKeys) => sortKeys.map(([field, order]) => `${field}:${order}`).join(',');
+
+/**
+ * Encode a value so its type survives the JSON round trip
+ *
+ * @param {*} value - Sort value of a document
+ * @returns {Array} - [type, value] pair
+ */
+const encodeValue = (value) => {
+  if (value === null || value === undefined) {
+    return ['null', null];
+  }
+  if (value instanceof Date) {
+    return ['date', value.toISOString()];
+  }
+  if (value instanceof mongoose.Types.ObjectId) {
+    return ['oid', value.toString()];
+  }
+  return [typeof value, value];
+};
+
+/**
+ * Decode a value encoded with encodeValue
+ *
+ * @param {Array} encoded - [type, value] pair
+ * @returns {*} - Sort value
+ * @throws {Error} - If the pair is malformed
+ */
+const decodeValue = ([type, value]) => {
+  switch (type) {
+    case 'null':
+      return null;
+    case 'date': {
+      const date = new Date(value);
+      if (isNaN(date)) {
+        throw new Error('Invalid date');
+      }
+      return date;
+    }
+    case 'oid':
+      return new mongoose.Types.ObjectId(value);
+    case 'number':
+      if (typeof value !== 'number') {
+        throw new Error('Invalid number');
+      }
+      return value;
+    case 'string':
+      if (typeof value !== 'string') {
+        throw new Error('Invalid string');
+      }
+      return value;
+    default:
+      throw new Error(`Unknown value type ${type}`);
+  }
+};
+
+/**
+ * Create a cursor pointing at a document
+ *
+ * @function encodeCursor
+ * @param {Object} doc - Document (or plain object) the cursor points at
+ * @param {Array<Array>} sortKeys - [field, order] pairs the page is sorted by
+ * @param {string} direction - 'next' for the page after the document, 'prev' for the page before it
+ * @returns {string} - Opaque cursor
+ */
+const encodeCursor = (doc, sortKeys, direction) => {
+  const payload = {
+    s: getSortSignature(sortKeys),
+    d: direction,
+    v: sortKeys.map(([field]) => encodeValue(typeof doc.get === 'function' ? doc.get(field) : doc[field])),
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+/**
+ * Read a cursor
+ *
+ * @function decodeCursor
+ * @param {string} cursor - Cursor from the query string
+ * @param {Array<Array>} sortKeys - [field, order] pairs of the current request
+ * @returns {Object|null} - `{ direction, values }`, or null if the cursor is malformed or for another sort
+ */
+const decodeCursor = (cursor, sortKeys) => {
+  try {
+    const payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+
+    if (
+      payload.s !== getSortSignature(sortKeys)
+      || !['next', 'prev'].includes(payload.d)
+      || !Array.isArray(payload.v)
+      || payload.v.length !== sortKeys.length
+    ) {
+      return null;
+    }
+
+    return {
+      direction: payload.d,
+      values: payload.v.map(decodeValue),
+    };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Build the condition selecting the documents past a cursor
+ *
+ * Compares the sort keys lexicographically. Missing values sort before
+ * every other value, as in MongoDB, so they are matched explicitly.
+ *
+ * @function buildCursorFilter
+ * @param {Array<Array>} sortKeys - [field, order] pairs
+ * @param {Array} values - Sort values of the cursor document
+ * @param {string} direction - 'next' or 'prev'
+ * @returns {Object} - MongoDB filter
+ */
+const buildCursorFilter = (sortKeys, values, direction) => {
+  const branches = [];
+
+  sortKeys.forEach(([field, order], i) => {
+    const value = values[i];
+    // Moving forward through a descending key (or back through an ascending one) means lower values
+    const downward = (order === -1) === (direction === 'next');
+    let beyond;
+
+    if (value === null) {
+      if (downward) {
+        // Nothing sorts below a missing value
+        return;
+      }
+      beyond = { [field]: { $ne: null } };
+    } else if (downward) {
+      beyond = { $or: [{ [field]: { $lt: value } }, { [field]: null }] };
+    } else {
+      beyond = { [field]: { $gt: value } };
+    }
+
+    const equalBefore = sortKeys.slice(0, i).map(([prevField], j) => ({ [prevField]: values[j] }));
+    branches.push(equalBefore.length > 0 ? { $and: [...equalBefore, beyond] } : beyond);
+  });
+
+  // An impossible condition when no document can follow the cursor
+  return branches.length > 0 ? { $or: branches } : { _id: { $exists: false } };
+};
+
+/**
+ * Get the sort to query with for a cursor direction
+ *
+ * The page before a cursor is read in reverse order and flipped afterwards.
+ *
+ * @function getCursorSort
+ * @param {Array<Array>} sortKeys - [field, order] pairs
+ * @param {string} direction - 'next' or 'prev'
+ * @returns {Object} - MongoDB sort
+ */
+const getCursorSort = (sortKeys, direction) => Object.fromEntries(
+  sortKeys.map(([field, order]) => [field, direction === 'prev' ? -order : order])
+);
+
+/**
+ * Turn the documents of a cursor query into a page
+ *
+ * The query must have been run with getCursorSort and a limit of
+ * `limit + 1`; the extra document only tells whether another page exists.
+ *
+ * @function buildCursorPage
+ * @param {Array} docs - Documents returned by the query
+ * @param {Object} options - Page options
+ * @param {number} options.limit - Page size
+ * @param {Array<Array>} options.sortKeys - [field, order] pairs
+ * @param {Object|null} options.cursor - Decoded cursor of the request, or null for the first page
+ * @returns {Object} - `{ data, pagination }` with nextCursor and prevCursor
+ */
+const buildCursorPage = (docs, { limit, sortKeys, cursor }) => {
+  const direction = cursor ? cursor.direction : 'next';
+  const hasMore = docs.length > limit;
+  const data = docs.slice(0, limit);
+
+  if (direction === 'prev') {
+    data.reverse();
+  }
+
+  const hasNextPage = direction === 'next' ? hasMore : true;
+  const hasPrevPage = direction === 'prev' ? hasMore : Boolean(cursor);
+
+  return {
+    data,
+    pagination: {
+      mode: 'cursor',
+      limit,
+      hasNextPage: hasNextPage && data.length > 0,
+      hasPrevPage: hasPrevPage && data.length > 0,
+      nextCursor: hasNextPage && data.length > 0 ? encodeCursor(data[data.length - 1], sortKeys, 'next') : null,
+      prevCursor: hasPrevPage && data.length > 0 ? encodeCursor(data[0], sortKeys, 'prev') : null,
+    },
+  };
+};
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  buildCursorFilter,
+  getCursorSort,
+  buildCursorPage,
+};
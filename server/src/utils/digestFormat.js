@@ -0,0 +1,148 @@
+/**
+ * Digest Format Utilities
+ *
+ * Renders the digest of a saved search as an email subject, an HTML body
+ * and a plain text body. A digest is `{ name, period, since, until,
+ * total, videos }`, where `total` counts every new video and `videos` is
+ * the part of them listed.
+ *
+ * @module utils/digestFormat
+ */
+
+/**
+ * Titles of the digest periods
+ * @constant {Object<string, string>}
+ */
+const PERIOD_TITLES = {
+  daily: 'Daily',
+  weekly: 'Weekly',
+};
+
+/**
+ * Get the watch URL of a video
+ *
+ * @param {string} videoId - YouTube video ID
+ * @returns {string} - Watch URL
+ */
+const videoUrl = (videoId) => `https://www.youtube.com/watch?v=${videoId}`;
+
+/**
+ * Escape text for HTML
+ *
+ * @param {*} value - Text
+ * @returns {string} - Escaped text
+ */
+const htmlText = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Format a date as YYYY-MM-DD
+ *
+ * @param {Date} date - Date
+ * @returns {string} - Formatted date (UTC)
+ */
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10);
+
+/**
+ * Describe the videos of a digest, e.g. "3 new videos"
+ *
+ * @param {number} total - Number of new videos
+ * @returns {string} - Description
+ */
+const describeTotal = (total) => `${total} new video${total === 1 ? '' : 's'}`;
+
+/**
+ * Describe a video's channel, views and publish date
+ *
+ * @param {Object} video - Video document
+ * @returns {string} - Details line
+ */
+const describeVideo = (video) => [
+  video.channelTitle,
+  video.viewCount != null ? `${video.viewCount.toLocaleString('en-US')} views` : null,
+  video.publishedAt ? formatDate(video.publishedAt) : null,
+].filter(Boolean).join(' · ');
+
+/**
+ * Build the subject line of a digest
+ *
+ * @function digestSubject
+ * @param {Object} digest - Digest
+ * @returns {string} - Subject line
+ */
+const digestSubject = (digest) => `${PERIOD_TITLES[digest.period]} digest for "${digest.name}": ${describeTotal(digest.total)}`;
+
+/**
+ * Render a digest as plain text
+ *
+ * @function renderDigestText
+ * @param {Object} digest - Digest
+ * @returns {string} - Plain text body
+ */
+const renderDigestText = (digest) => {
+  const lines = [
+    digestSubject(digest),
+    `${formatDate(digest.since)} to ${formatDate(digest.until)}`,
+    '',
+  ];
+
+  if (digest.total === 0) {
+    lines.push('No new videos match this search.');
+  }
+
+  digest.videos.forEach(video => {
+    lines.push(video.title, describeVideo(video), videoUrl(video.videoId), '');
+  });
+
+  if (digest.total > digest.videos.length) {
+    lines.push(`...and ${digest.total - digest.videos.length} more.`);
+  }
+
+  return `${lines.join('\n').trimEnd()}\n`;
+};
+
+/**
+ * Render a digest as an HTML document
+ *
+ * Styles are inlined, since mail clients ignore style sheets.
+ *
+ * @function renderDigestHtml
+ * @param {Object} digest - Digest
+ * @returns {string} - HTML body
+ */
+const renderDigestHtml = (digest) => {
+  const items = digest.videos.map(video => {
+    const url = htmlText(videoUrl(video.videoId));
+    const thumbnail = video.thumbnails?.medium?.url || video.thumbnails?.default?.url;
+
+    return `<tr>
+<td style="padding:8px 12px 8px 0;vertical-align:top">${thumbnail ? `<a href="${url}"><img src="${htmlText(thumbnail)}" width="160" alt="" style="display:block;border:0"></a>` : ''}</td>
+<td style="padding:8px 0;vertical-align:top"><a href="${url}" style="color:#1d4ed8;font-weight:bold;text-decoration:none">${htmlText(video.title)}</a><br><span style="color:#6b7280;font-size:13px">${htmlText(describeVideo(video))}</span></td>
+</tr>`;
+  });
+
+  const more = digest.total > digest.videos.length
+    ? `<p style="color:#6b7280">...and ${digest.total - digest.videos.length} more.</p>`
+    : '';
+
+  return `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><title>${htmlText(digestSubject(digest))}</title></head>
+<body style="font-family:Arial,sans-serif;color:#111827">
+<h1 style="font-size:20px">${htmlText(PERIOD_TITLES[digest.period])} digest for &quot;${htmlText(digest.name)}&quot;</h1>
+<p style="color:#6b7280">${describeTotal(digest.total)}, ${formatDate(digest.since)} to ${formatDate(digest.until)}</p>
+${digest.total === 0 ? '<p>No new videos match this search.</p>' : `<table cellpadding="0" cellspacing="0">\n${items.join('\n')}\n</table>`}
+${more}
+</body>
+</html>
+`;
+};
+
+module.exports = {
+  digestSubject,
+  renderDigestText,
+  renderDigestHtml,
+};
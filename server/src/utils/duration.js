@@ -0,0 +1,35 @@
+/**
+ * Duration Utilities
+ *
+ * Helpers for the ISO-8601 durations the YouTube API uses for
+ * `contentDetails.duration`, e.g. `PT1H2M3S` or `P1DT2H`.
+ *
+ * @module utils/duration
+ */
+
+const ISO_DURATION_PATTERN = /^P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+(?:\.\d+)?)S)?)?$/;
+
+/**
+ * Parse an ISO-8601 duration into seconds
+ *
+ * @function parseISODuration
+ * @param {string} duration - ISO-8601 duration, e.g. 'PT4M13S'
+ * @returns {number|null} - Duration in whole seconds, or null if the value can't be parsed
+ */
+const parseISODuration = (duration) => {
+  if (typeof duration !== 'string') {
+    return null;
+  }
+
+  const match = ISO_DURATION_PATTERN.exec(duration);
+  if (!match || duration === 'P' || duration.endsWith('T')) {
+    return null;
+  }
+
+  const [, weeks, days, hours, minutes, seconds] = match.map(value => parseFloat(value) || 0);
+  return Math.round(weeks * 604800 + days * 86400 + hours * 3600 + minutes * 60 + seconds);
+};
+
+module.exports = {
+  parseISODuration,
+};
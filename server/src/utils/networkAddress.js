@@ -0,0 +1,152 @@
+/**
+ * Network Address Utilities
+ *
+ * Tells public internet addresses from loopback, private, link-local and
+ * other special-purpose ones, so URLs entered by users (webhook targets)
+ * can't make the server call itself, its cloud metadata service or its
+ * internal network.
+ *
+ * @module utils/networkAddress
+ */
+
+const dns = require('dns');
+const net = require('net');
+
+/**
+ * Address ranges that aren't reachable on the public internet
+ * @constant {net.BlockList}
+ */
+const PRIVATE_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4],
+].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8],
+].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * IPv6 ranges whose last 32 bits are an IPv4 address: IPv4-mapped and NAT64
+ * @constant {net.BlockList}
+ */
+const EMBEDDED_IPV4_RANGES = new net.BlockList();
+EMBEDDED_IPV4_RANGES.addSubnet('::ffff:0:0', 96, 'ipv6');
+EMBEDDED_IPV4_RANGES.addSubnet('64:ff9b::', 96, 'ipv6');
+
+/**
+ * Get the IPv4 address in the last 32 bits of an IPv6 address
+ *
+ * @param {string} address - IPv6 address
+ * @returns {string} - Dotted IPv4 address
+ */
+const getEmbeddedIPv4 = (address) => {
+  const groups = address.replace(/%.*$/, '').split(':');
+  const last = groups[groups.length - 1];
+  if (net.isIPv4(last)) {
+    return last;
+  }
+  const value = parseInt(groups[groups.length - 2] || '0', 16) * 0x10000 + parseInt(last || '0', 16);
+  return [24, 16, 8, 0].map(shift => Math.floor(value / 2 ** shift) % 256).join('.');
+};
+
+/**
+ * Check whether an IP address is loopback, private, link-local or otherwise not public
+ *
+ * IPv4-mapped and NAT64 (`64:ff9b::/96`) IPv6 addresses are checked as
+ * the IPv4 address they embed, since they reach that address.
+ *
+ * @function isPrivateAddress
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} - True unless the address is a public one
+ */
+const isPrivateAddress = (address) => {
+  const family = net.isIP(address);
+  if (family === 0) {
+    return true;
+  }
+  if (family === 6 && EMBEDDED_IPV4_RANGES.check(address, 'ipv6')) {
+    return PRIVATE_RANGES.check(getEmbeddedIPv4(address), 'ipv4');
+  }
+  return PRIVATE_RANGES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+/**
+ * DNS lookup that fails for hosts resolving to a private address
+ *
+ * Takes the arguments of `dns.lookup`, for the `lookup` option of HTTP
+ * agents: the connection is made to the address checked here, so a host
+ * can't resolve to a public address when checked and a private one when
+ * connected to.
+ *
+ * @function publicLookup
+ * @param {string} hostname - Host name
+ * @param {Object} options - dns.lookup options
+ * @param {Function} callback - Called like the dns.lookup callback
+ */
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      callback(error);
+      return;
+    }
+
+    const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+    if (blocked) {
+      const privateError = new Error(`${hostname} resolves to the private address ${blocked.address}`);
+      privateError.code = 'EPRIVATEADDRESS';
+      callback(privateError);
+      return;
+    }
+
+    if (options.all) {
+      callback(null, addresses);
+    } else {
+      callback(null, addresses[0].address, addresses[0].family);
+    }
+  });
+};
+
+/**
+ * Check that a URL's host is a public address or resolves only to public addresses
+ *
+ * @async
+ * @function checkPublicUrl
+ * @param {string} url - Absolute URL
+ * @returns {Promise<string|null>} - The reason the URL isn't public, or null if it is
+ */
+const checkPublicUrl = async (url) => {
+  const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+
+  if (net.isIP(hostname)) {
+    return isPrivateAddress(hostname) ? `${hostname} is a private address` : null;
+  }
+
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(hostname, { all: true });
+  } catch (error) {
+    return `${hostname} could not be resolved`;
+  }
+
+  const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+  return blocked ? `${hostname} resolves to the private address ${blocked.address}` : null;
+};
+
+module.exports = {
+  isPrivateAddress,
+  publicLookup,
+  checkPublicUrl,
+};
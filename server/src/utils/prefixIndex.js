@@ -0,0 +1,174 @@
+/**
+ * Prefix Index Utilities
+ *
+ * A sorted in-memory index of string keys, answering "which keys start
+ * with this prefix" with a binary search followed by a scan over the
+ * adjacent matches.
+ *
+ * @module utils/prefixIndex
+ */
+
+/**
+ * Maximum length of an index key; longer keys are truncated
+ * @constant {number}
+ */
+const KEY_LENGTH = 40;
+
+/**
+ * Normalize text for prefix matching
+ *
+ * Lowercases, strips diacritics and collapses whitespace, so "Café  Vlog"
+ * and "cafe vlog" give the same key.
+ *
+ * @function normalizeKey
+ * @param {string} text - Text to normalize
+ * @returns {string} - Normalized text
+ */
+const normalizeKey = (text) => (text || '')
+  .normalize('NFKD')
+  .replace(/\p{M}/gu, '')
+  .toLowerCase()
+  .replace(/\s+/g, ' ')
+  .trim();
+
+/**
+ * Get the keys to index a text under: the text from the start of each of
+ * its words, so "Learn React Fast" can be found by "learn", "react" or "fast"
+ *
+ * @function wordKeys
+ * @param {string} text - Text to index
+ * @returns {Array<string>} - Distinct keys, the one for the whole text first
+ */
+const wordKeys = (text) => {
+  const normalized = normalizeKey(text);
+  const keys = new Set();
+
+  for (const match of normalized.matchAll(/(?<![\p{L}\p{N}])[\p{L}\p{N}]/gu)) {
+    keys.add(normalized.slice(match.index, match.index + KEY_LENGTH));
+  }
+
+  return [...keys];
+};
+
+/**
+ * Sorted index of (key, id) entries
+ *
+ * @class PrefixIndex
+ */
+class PrefixIndex {
+  constructor() {
+    this.entries = [];
+  }
+
+  /**
+   * Number of entries in the index
+   * @type {number}
+   */
+  get size() {
+    return this.entries.length;
+  }
+
+  /**
+   * Find the position of the first entry not ordered before (key, id)
+   *
+   * @param {string} key - Entry key
+   * @param {string} [id=''] - Entry id
+   * @returns {number} - Position in the entries
+   */
+  locate(key, id = '') {
+    let low = 0;
+    let high = this.entries.length;
+
+    while (low < high) {
+      const mid = (low + high) >>> 1;
+      const entry = this.entries[mid];
+      if (entry.key < key || (entry.key === key && entry.id < id)) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+
+    return low;
+  }
+
+  /**
+   * Add many entries at once, e.g. when the index is first built
+   *
+   * Sorts once instead of inserting each entry in place, which would take
+   * quadratic time for large indexes. Entries already indexed are kept and
+   * duplicates are dropped.
+   *
+   * @param {Array<Object>} entries - `{ key, id }` entries with normalized keys
+   */
+  build(entries) {
+    const all = this.entries;
+    entries.forEach(entry => all.push({ key: entry.key, id: entry.id }));
+    all.sort((a, b) => {
+      if (a.key !== b.key) {
+        return a.key < b.key ? -1 : 1;
+      }
+      if (a.id !== b.id) {
+        return a.id < b.id ? -1 : 1;
+      }
+      return 0;
+    });
+
+    this.entries = all.filter((entry, i) => i === 0 || entry.key !== all[i - 1].key || entry.id !== all[i - 1].id);
+  }
+
+  /**
+   * Add an entry, unless it is already indexed
+   *
+   * @param {string} key - Normalized key
+   * @param {string} id - Id of the indexed item
+   */
+  add(key, id) {
+    const position = this.locate(key, id);
+    const entry = this.entries[position];
+    if (!entry || entry.key !== key || entry.id !== id) {
+      this.entries.splice(position, 0, { key, id });
+    }
+  }
+
+  /**
+   * Remove an entry, if it is indexed
+   *
+   * @param {string} key - Normalized key
+   * @param {string} id - Id of the indexed item
+   */
+  remove(key, id) {
+    const position = this.locate(key, id);
+    const entry = this.entries[position];
+    if (entry && entry.key === key && entry.id === id) {
+      this.entries.splice(position, 1);
+    }
+  }
+
+  /**
+   * Get the entries whose key starts with a prefix, in key order
+   *
+   * @param {string} prefix - Normalized prefix
+   * @param {number} [limit=Infinity] - Maximum number of entries to return
+   * @returns {Array<Object>} - Matching `{ key, id }` entries
+   */
+  match(prefix, limit = Infinity) {
+    const matches = [];
+
+    for (let i = this.locate(prefix); i < this.entries.length && matches.length < limit; i++) {
+      if (!this.entries[i].key.startsWith(prefix)) {
+        break;
+      }
+      matches.push(this.entries[i]);
+    }
+
+    return matches;
+  }
+}
+
+module.exports = {
+  KEY_LENGTH,
+  PrefixIndex,
+  normalizeKey,
+  wordKeys,
+};
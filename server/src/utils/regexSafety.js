@@ -0,0 +1,138 @@
+/**
+ * Regex Safety Utilities
+ *
+ * Checks regular expressions entered by admins (ingest deny-patterns)
+ * for the constructions that make backtracking blow up exponentially
+ * (ReDoS): a repeated group that itself contains a quantifier, as in
+ * `(a+)+`, `(\w*\s?)*` or `(.+x){2,50}`, or an alternation, as in
+ * `(a|aa)+` or `(\w|\d)+`, whose branches can match the same text in
+ * many ways. Patterns are also limited in length.
+ *
+ * @module utils/regexSafety
+ */
+
+/**
+ * Longest pattern accepted
+ * @constant {number}
+ */
+const PATTERN_MAX_LENGTH = 200;
+
+/**
+ * Read the quantifier starting at a position of a pattern
+ *
+ * @param {string} source - Pattern
+ * @param {number} index - Position after the quantified atom
+ * @returns {Object|null} - `{ length, max }`, max being the most repetitions allowed
+ *   (Infinity when unbounded), or null if there is no quantifier
+ */
+const readQuantifier = (source, index) => {
+  const char = source[index];
+  if (char === '*' || char === '+') {
+    return { length: 1, max: Infinity };
+  }
+  if (char === '?') {
+    return { length: 1, max: 1 };
+  }
+
+  const braces = /^\{(\d+)(,(\d*))?\}/.exec(source.slice(index));
+  if (!braces) {
+    return null;
+  }
+  let max = parseInt(braces[1]);
+  if (braces[2]) {
+    max = braces[3] ? parseInt(braces[3]) : Infinity;
+  }
+  return { length: braces[0].length, max };
+};
+
+/**
+ * Check that a regular expression is safe to run on untrusted text
+ *
+ * The pattern must be valid; this looks for quantifiers and alternations
+ * inside repeated groups, at any depth, which covers the catastrophic
+ * cases. Optional groups (`?`, `{0,1}`) and alternations that aren't
+ * repeated, like `free (v|b)ucks`, are accepted.
+ *
+ * @function checkPatternSafety
+ * @param {string} source - Pattern source
+ * @returns {string|null} - The reason the pattern is refused, or null if it is accepted
+ */
+const checkPatternSafety = (source) => {
+  if (source.length > PATTERN_MAX_LENGTH) {
+    return `Pattern must be at most ${PATTERN_MAX_LENGTH} characters`;
+  }
+
+  // Per open group: whether it contains a quantifier, and an alternation
+  const groups = [{ quantified: false, alternation: false }];
+  let index = 0;
+
+  while (index < source.length) {
+    const char = source[index];
+    let closedGroup = null;
+
+    if (char === '\\') {
+      index += 2;
+    } else if (char === '[') {
+      index++;
+      if (source[index] === '^') {
+        index++;
+      }
+      if (source[index] === ']') {
+        index++;
+      }
+      while (index < source.length && source[index] !== ']') {
+        index += source[index] === '\\' ? 2 : 1;
+      }
+      index++;
+    } else if (char === '(') {
+      groups.push({ quantified: false, alternation: false });
+      index++;
+      continue;
+    } else if (char === ')') {
+      closedGroup = groups.length > 1 ? groups.pop() : { quantified: false, alternation: false };
+      index++;
+    } else if (char === '|') {
+      groups[groups.length - 1].alternation = true;
+      index++;
+      continue;
+    } else {
+      index++;
+    }
+
+    const parent = groups[groups.length - 1];
+    if (closedGroup && closedGroup.alternation) {
+      parent.alternation = true;
+    }
+
+    const quantifier = readQuantifier(source, index);
+    if (!quantifier) {
+      if (closedGroup && closedGroup.quantified) {
+        parent.quantified = true;
+      }
+      continue;
+    }
+
+    if (closedGroup && quantifier.max > 1) {
+      if (closedGroup.quantified) {
+        return 'Pattern must not repeat a group that contains a quantifier (nested quantifiers)';
+      }
+      if (closedGroup.alternation) {
+        return 'Pattern must not repeat a group that contains | (repeated alternation)';
+      }
+    }
+    parent.quantified = true;
+
+    index += quantifier.length;
+    // Lazy marker
+    if (source[index] === '?') {
+      index++;
+    }
+  }
+
+  return null;
+};
+
+module.exports = {
+  PATTERN_MAX_LENGTH,
+  checkPatternSafety,
+};
@@ -0,0 +1,315 @@
+/**
+ * Search Query Language
+ *
+ * Parses the query syntax of /api/videos/search and compiles it into a
+ * MongoDB filter:
+ * - `word` and `"quoted phrase"` search title and description (text index)
+ * - `-word` and `-"quoted phrase"` exclude videos containing them
+ * - `channel:name` or `channel:"Channel Name"` matches the channel title,
+ *   or the channel id for an id starting with UC
+ * - `before:2024-01-31` and `after:2024-01-01` bound the publish date
+ * - `duration:>10m`, `duration:<=90s`, `duration:1m..5m` compare the duration
+ * - `views:>1000`, `likes:>=1.5k`, `comments:<10` compare statistics
+ *
+ * Other `word:` prefixes are plain text. Syntax errors are thrown as
+ * SearchSyntaxError with the position of the offending character, so
+ * clients can point at it.
+ *
+ * @module utils/searchQuery
+ */
+
+/**
+ * Error thrown for invalid search syntax
+ *
+ * @class SearchSyntaxError
+ * @extends Error
+ * @property {number} position - Zero-based offset in the query where the error was found
+ * @property {string} token - Text of the offending token, if any
+ */
+class SearchSyntaxError extends Error {
+  constructor(message, position, token = '') {
+    super(message);
+    this.name = 'SearchSyntaxError';
+    this.position = position;
+    this.token = token;
+  }
+}
+
+/**
+ * Numeric operators, mapped to the video field they compare
+ * @constant {Object<string, string>}
+ */
+const NUMERIC_OPERATORS = {
+  duration: 'durationSeconds',
+  views: 'viewCount',
+  likes: 'likeCount',
+  comments: 'commentCount',
+};
+
+const OPERATORS = ['channel', 'before', 'after', ...Object.keys(NUMERIC_OPERATORS)];
+
+const COMPARATORS = {
+  '>=': '$gte',
+  '<=': '$lte',
+  '>': '$gt',
+  '<': '$lt',
+  '=': '$eq',
+};
+
+const DURATION_UNITS = { s: 1, m: 60, h: 3600 };
+const COUNT_SUFFIXES = { k: 1e3, m: 1e6, b: 1e9 };
+const CHANNEL_ID_PATTERN = /^UC[\w-]{22}$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Escape a string for use in a regular expression
+ *
+ * @param {string} value - Literal text
+ * @returns {string} - Escaped pattern
+ */
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Split a query into tokens
+ *
+ * A token is a bare word, a quoted phrase, or an operator with its value,
+ * optionally negated with a leading `-`.
+ *
+ * @param {string} input - Raw query
+ * @returns {Array<Object>} - Tokens with `negated`, `operator`, `value`, `quoted` and `position`
+ * @throws {SearchSyntaxError} - On an unterminated quote or a dangling `-`
+ */
+const tokenize = (input) => {
+  const tokens = [];
+  let i = 0;
+
+  const readValue = () => {
+    if (input[i] === '"') {
+      const start = i;
+      const end = input.indexOf('"', i + 1);
+      if (end === -1) {
+        throw new SearchSyntaxError('Unterminated quote', start, input.slice(start));
+      }
+      i = end + 1;
+      return { value: input.slice(start + 1, end), quoted: true };
+    }
+
+    const start = i;
+    while (i < input.length && !/\s/.test(input[i])) {
+      i++;
+    }
+    return { value: input.slice(start, i), quoted: false };
+  };
+
+  while (i < input.length) {
+    if (/\s/.test(input[i])) {
+      i++;
+      continue;
+    }
+
+    const position = i;
+    const negated = input[i] === '-';
+    if (negated) {
+      i++;
+      if (i >= input.length || /\s/.test(input[i])) {
+        throw new SearchSyntaxError('Expected a word or phrase after "-"', position, '-');
+      }
+    }
+
+    // Any other `word:` (e.g. "Re:Zero" or a pasted URL) is searched as text
+    const operatorMatch = /^([a-z]+):/i.exec(input.slice(i));
+    if (operatorMatch && OPERATORS.includes(operatorMatch[1].toLowerCase())) {
+      const operator = operatorMatch[1].toLowerCase();
+      i += operatorMatch[0].length;
+
+      if (negated) {
+        throw new SearchSyntaxError(`Operator "${operator}:" can't be negated`, position, `-${operatorMatch[0]}`);
+      }
+
+      const valuePosition = i;
+      const { value, quoted } = readValue();
+      if (!value) {
+        throw new SearchSyntaxError(`Expected a value after "${operator}:"`, valuePosition, operatorMatch[0]);
+      }
+
+      tokens.push({ negated, operator, value, quoted, position: valuePosition });
+      continue;
+    }
+
+    const valuePosition = i;
+    const { value, quoted } = readValue();
+    if (!value) {
+      throw new SearchSyntaxError('Empty phrase', valuePosition, '""');
+    }
+    tokens.push({ negated, operator: null, value, quoted, position: valuePosition });
+  }
+
+  return tokens;
+};
+
+/**
+ * Parse a number with an optional unit or suffix
+ *
+ * @param {string} text - Number text, e.g. '10m' for durations or '1.5k' for counts
+ * @param {string} operator - Operator the number belongs to
+ * @returns {number|null} - Parsed number, or null if invalid
+ */
+const parseNumber = (text, operator) => {
+  const match = /^(\d+(?:\.\d+)?)([a-z]?)$/i.exec(text);
+  if (!match) {
+    return null;
+  }
+
+  const number = parseFloat(match[1]);
+  const unit = match[2].toLowerCase();
+
+  if (operator === 'duration') {
+    if (unit && !DURATION_UNITS[unit]) {
+      return null;
+    }
+    return Math.round(number * (DURATION_UNITS[unit] || 1));
+  }
+
+  if (unit && !COUNT_SUFFIXES[unit]) {
+    return null;
+  }
+  return Math.round(number * (COUNT_SUFFIXES[unit] || 1));
+};
+
+/**
+ * Compile a numeric comparison such as '>10m' or '1k..5k'
+ *
+ * @param {Object} token - Operator token
+ * @returns {Object} - MongoDB condition for the field
+ * @throws {SearchSyntaxError} - If the comparison can't be parsed
+ */
+const compileComparison = (token) => {
+  const { operator, value, position } = token;
+  const hint = operator === 'duration' ? 'e.g. >10m, <=90s or 1m..5m' : 'e.g. >1000, >=1.5k or 1k..5k';
+
+  const range = /^([^.]*)\.\.([^.]*)$/.exec(value);
+  if (range) {
+    const min = parseNumber(range[1], operator);
+    const max = parseNumber(range[2], operator);
+    if (min === null || max === null) {
+      throw new SearchSyntaxError(`Invalid range for "${operator}:", ${hint}`, position, value);
+    }
+    return { $gte: min, $lte: max };
+  }
+
+  const comparator = Object.keys(COMPARATORS).find(symbol => value.startsWith(symbol));
+  const number = parseNumber(comparator ? value.slice(comparator.length) : value, operator);
+  if (number === null) {
+    throw new SearchSyntaxError(`Invalid value for "${operator}:", ${hint}`, position + (comparator ? comparator.length : 0), value);
+  }
+
+  return { [COMPARATORS[comparator || '=']]: number };
+};
+
+/**
+ * Parse a date operator value
+ *
+ * @param {Object} token - Operator token
+ * @returns {Date} - Start of the given day (UTC)
+ * @throws {SearchSyntaxError} - If the date is malformed or doesn't exist
+ */
+const parseDate = (token) => {
+  const date = new Date(`${token.value}T00:00:00.000Z`);
+  // Date rolls days past the end of the month over (2024-02-30 is March 1st)
+  if (!DATE_PATTERN.test(token.value) || isNaN(date) || date.toISOString().slice(0, 10) !== token.value) {
+    throw new SearchSyntaxError(`Invalid date for "${token.operator}:", use YYYY-MM-DD`, token.position, token.value);
+  }
+  return date;
+};
+
+/**
+ * Build the condition excluding videos whose title or description contains a text
+ *
+ * @function buildExclusion
+ * @param {string} value - Word or phrase to exclude
+ * @returns {Object} - MongoDB condition
+ */
+const buildExclusion = (value) => {
+  const pattern = { $regex: escapeRegex(value), $options: 'i' };
+  return { $nor: [{ title: pattern }, { description: pattern }] };
+};
+
+/**
+ * Parse a search query and compile it into MongoDB conditions
+ *
+ * Operators become MongoDB conditions. Words and phrases are returned as
+ * `text` for the search provider to match (see services/searchService).
+ * Exclusions are part of `text` too, except when the query has no positive
+ * terms, since a text search can't match on negations alone; then they
+ * become title/description regexes.
+ *
+ * @function parseSearchQuery
+ * @param {string} input - Raw query
+ * @returns {Object} - `{ text, conditions, terms }`: the words and phrases to search
+ *   (`{ include, exclude }` lists of `{ value, quoted }`, or null), further conditions
+ *   to AND with them, and the positive terms as typed
+ * @throws {SearchSyntaxError} - If the query is invalid
+ */
+const parseSearchQuery = (input) => {
+  const tokens = tokenize(String(input || ''));
+  const conditions = [];
+  const textTokens = [];
+  const publishedAt = {};
+  const numeric = {};
+
+  tokens.forEach(token => {
+    switch (token.operator) {
+      case null:
+        textTokens.push(token);
+        break;
+      case 'channel':
+        conditions.push(CHANNEL_ID_PATTERN.test(token.value)
+          ? { channelId: token.value }
+          : { channelTitle: { $regex: escapeRegex(token.value), $options: 'i' } });
+        break;
+      case 'before':
+        publishedAt.$lt = parseDate(token);
+        break;
+      case 'after':
+        publishedAt.$gte = parseDate(token);
+        break;
+      default: {
+        const field = NUMERIC_OPERATORS[token.operator];
+        numeric[field] = { ...numeric[field], ...compileComparison(token) };
+      }
+    }
+  });
+
+  if (Object.keys(publishedAt).length > 0) {
+    conditions.push({ publishedAt });
+  }
+  Object.entries(numeric).forEach(([field, condition]) => {
+    conditions.push({ [field]: condition });
+  });
+
+  const toTerm = ({ value, quoted }) => ({ value: value.replace(/"/g, ''), quoted });
+  const include = textTokens.filter(token => !token.negated).map(toTerm);
+  const exclude = textTokens.filter(token => token.negated).map(toTerm);
+  let text = null;
+
+  if (include.length > 0) {
+    text = { include, exclude };
+  } else {
+    exclude.forEach(term => {
+      conditions.push(buildExclusion(term.value));
+    });
+  }
+
+  return {
+    text,
+    conditions,
+    terms: include.map(term => term.value),
+  };
+};
+
+module.exports = {
+  SearchSyntaxError,
+  parseSearchQuery,
+  buildExclusion,
+  escapeRegex,
+};
@@ -0,0 +1,146 @@
+/**
+ * SimHash Utilities
+ *
+ * 64-bit SimHash fingerprints of video titles and descriptions. Similar
+ * texts get fingerprints that differ in few bits, so near-duplicates are
+ * found by comparing the Hamming distance of their fingerprints.
+ *
+ * Fingerprints are 16-character hex strings. Each is also split into
+ * FINGERPRINT_BANDS bands: two fingerprints within FINGERPRINT_BANDS - 1
+ * bits of each other share at least one band, so candidates can be looked
+ * up by band with an index before comparing full fingerprints.
+ *
+ * @module utils/simhash
+ */
+
+const crypto = require('crypto');
+const { normalizeKey } = require('./prefixIndex');
+
+/**
+ * SimHash configuration constants
+ * @constant {number} FINGERPRINT_BANDS - Number of 16-bit bands a fingerprint is split into
+ * @constant {number} SHINGLE_SIZE - Number of words in a description shingle
+ * @constant {number} TITLE_WEIGHT - Share of the fingerprint weight given to the title
+ * @constant {number} MIN_WORDS - Fewest words a video needs to be fingerprinted
+ */
+const FINGERPRINT_BANDS = 4;
+const SHINGLE_SIZE = 3;
+const TITLE_WEIGHT = 0.6;
+const MIN_WORDS = 4;
+
+/**
+ * Split text into normalized words, leaving out links, @mentions and
+ * #hashtags, which differ between the channels re-uploading a video
+ *
+ * @param {string} text - Title or description
+ * @returns {Array<string>} - Words
+ */
+const toWords = (text) => normalizeKey((text || '').replace(/https?:\/\/\S+|[@#]\S+/g, ' '))
+  .match(/[\p{L}\p{N}]+/gu) || [];
+
+/**
+ * Get the overlapping word n-grams of a list of words
+ *
+ * Lists shorter than n give a single shingle of all their words.
+ *
+ * @param {Array<string>} words - Words
+ * @param {number} n - Words per shingle
+ * @returns {Array<string>} - Shingles
+ */
+const shingles = (words, n) => {
+  if (words.length <= n) {
+    return words.length > 0 ? [words.join(' ')] : [];
+  }
+  return words.slice(0, words.length - n + 1).map((word, i) => words.slice(i, i + n).join(' '));
+};
+
+/**
+ * Compute the SimHash fingerprint of a video's title and description
+ *
+ * Title features are its words and word pairs; description features are
+ * SHINGLE_SIZE-word shingles. The title gets TITLE_WEIGHT of the total
+ * weight however long the description is, since re-uploads often keep the
+ * title and rewrite the description.
+ *
+ * @function simhash
+ * @param {string} title - Video title
+ * @param {string} [description] - Video description
+ * @returns {string|null} - Fingerprint as 16 hex characters, or null if the text is too short
+ */
+const simhash = (title, description) => {
+  // Bracketed title parts are mostly re-upload noise such as "(HD)" or "[Reupload]"
+  const titleWords = toWords((title || '').replace(/\([^)]*\)|\[[^\]]*\]/g, ' '));
+  const descriptionWords = toWords(description);
+
+  if (titleWords.length + descriptionWords.length < MIN_WORDS) {
+    return null;
+  }
+
+  const titleFeatures = [...titleWords, ...shingles(titleWords, 2)];
+  const descriptionFeatures = shingles(descriptionWords, SHINGLE_SIZE);
+  const titleShare = descriptionFeatures.length > 0 ? TITLE_WEIGHT : 1;
+
+  // One counter per bit: features with the bit set add their weight, others subtract it
+  const counters = new Array(64).fill(0);
+  const addFeature = (feature, weight) => {
+    const digest = crypto.createHash('md5').update(feature).digest();
+    for (let word = 0; word < 2; word++) {
+      const bits = digest.readUInt32BE(word * 4);
+      for (let bit = 0; bit < 32; bit++) {
+        counters[word * 32 + bit] += (bits >>> (31 - bit)) & 1 ? weight : -weight;
+      }
+    }
+  };
+
+  titleFeatures.forEach(feature => addFeature(`t:${feature}`, titleShare / titleFeatures.length));
+  descriptionFeatures.forEach(feature => addFeature(`d:${feature}`, (1 - titleShare) / descriptionFeatures.length));
+
+  let hex = '';
+  for (let nibble = 0; nibble < 16; nibble++) {
+    let value = 0;
+    for (let bit = 0; bit < 4; bit++) {
+      value = (value << 1) | (counters[nibble * 4 + bit] > 0 ? 1 : 0);
+    }
+    hex += value.toString(16);
+  }
+  return hex;
+};
+
+/**
+ * Split a fingerprint into its bands, tagged with their position
+ *
+ * @function fingerprintBands
+ * @param {string} fingerprint - Fingerprint from simhash
+ * @returns {Array<string>} - Bands such as '0:3fa2'
+ */
+const fingerprintBands = (fingerprint) => {
+  const size = 16 / FINGERPRINT_BANDS;
+  return Array.from({ length: FINGERPRINT_BANDS }, (_, i) => `${i}:${fingerprint.slice(i * size, (i + 1) * size)}`);
+};
+
+/**
+ * Count the bits in which two fingerprints differ
+ *
+ * @function hammingDistance
+ * @param {string} a - Fingerprint
+ * @param {string} b - Fingerprint
+ * @returns {number} - Hamming distance, 0 to 64
+ */
+const hammingDistance = (a, b) => {
+  let distance = 0;
+  for (let i = 0; i < 16; i += 8) {
+    let diff = (parseInt(a.slice(i, i + 8), 16) ^ parseInt(b.slice(i, i + 8), 16)) >>> 0;
+    while (diff) {
+      diff &= diff - 1;
+      distance++;
+    }
+  }
+  return distance;
+};
+
+module.exports = {
+  FINGERPRINT_BANDS,
+  simhash,
+  fingerprintBands,
+  hammingDistance,
+};
@@ -0,0 +1,172 @@
+/**
+ * Video Export Utilities
+ *
+ * Serializers for exporting videos as CSV, NDJSON (JSON Lines), RSS 2.0
+ * and Atom. Each format is written in three parts (`header`, one `item`
+ * per video, `footer`), so exports can be streamed video by video.
+ *
+ * @module utils/videoExport
+ */
+
+/**
+ * Columns of the CSV export, in order
+ * @constant {Array<string>}
+ */
+const CSV_COLUMNS = [
+  'videoId',
+  'url',
+  'title',
+  'channelId',
+  'channelTitle',
+  'publishedAt',
+  'viewCount',
+  'likeCount',
+  'commentCount',
+  'durationSeconds',
+  'categoryId',
+  'liveBroadcastContent',
+  'tags',
+  'description',
+];
+
+/**
+ * Get the watch URL of a video
+ *
+ * @param {string} videoId - YouTube video ID
+ * @returns {string} - Watch URL
+ */
+const videoUrl = (videoId) => `https://www.youtube.com/watch?v=${videoId}`;
+
+/**
+ * Quote a CSV field when needed (RFC 4180)
+ *
+ * Text starting with =, +, - or @ is prefixed with an apostrophe, so
+ * spreadsheets don't evaluate it as a formula.
+ *
+ * @param {*} value - Field value
+ * @returns {string} - CSV field
+ */
+const csvField = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Escape text for XML, dropping characters XML doesn't allow
+ *
+ * @param {*} value - Text
+ * @returns {string} - Escaped text
+ */
+const xmlText = (value) => String(value ?? '')
+  .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Export formats, by name
+ *
+ * Each format has a `contentType`, an `extension`, whether it is sent as
+ * an `attachment` (feeds are shown inline, so they can be subscribed to),
+ * and `header(feed)`, `item(video)` and `footer(feed)` serializers, where
+ * `feed` holds the `title`, `selfUrl` and `updated` date of the export.
+ * @constant {Object<string, Object>}
+ */
+const EXPORT_FORMATS = {
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    extension: 'csv',
+    attachment: true,
+    header: () => `${CSV_COLUMNS.join(',')}\r\n`,
+    item: (video) => `${CSV_COLUMNS.map(column => {
+      if (column === 'url') {
+        return csvField(videoUrl(video.videoId));
+      }
+      if (column === 'tags') {
+        return csvField((video.tags || []).join('|'));
+      }
+      return csvField(video[column]);
+    }).join(',')}\r\n`,
+    footer: () => '',
+  },
+  ndjson: {
+    contentType: 'application/x-ndjson; charset=utf-8',
+    extension: 'ndjson',
+    attachment: true,
+    header: () => '',
+    item: (video) => `${JSON.stringify(video)}\n`,
+    footer: () => '',
+  },
+  rss: {
+    contentType: 'application/rss+xml; charset=utf-8',
+    extension: 'xml',
+    attachment: false,
+    header: (feed) => [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+      '<channel>',
+      `<title>${xmlText(feed.title)}</title>`,
+      '<link>https://www.youtube.com/</link>',
+      `<description>${xmlText(feed.title)}</description>`,
+      `<atom:link href="${xmlText(feed.selfUrl)}" rel="self" type="application/rss+xml"/>`,
+      `<lastBuildDate>${feed.updated.toUTCString()}</lastBuildDate>`,
+      '',
+    ].join('\n'),
+    item: (video) => [
+      '<item>',
+      `<title>${xmlText(video.title)}</title>`,
+      `<link>${videoUrl(video.videoId)}</link>`,
+      `<guid isPermaLink="false">${xmlText(video.videoId)}</guid>`,
+      `<pubDate>${new Date(video.publishedAt).toUTCString()}</pubDate>`,
+      `<category>${xmlText(video.channelTitle)}</category>`,
+      `<description>${xmlText(video.description)}</description>`,
+      '</item>',
+      '',
+    ].join('\n'),
+    footer: () => '</channel>\n</rss>\n',
+  },
+  atom: {
+    contentType: 'application/atom+xml; charset=utf-8',
+    extension: 'xml',
+    attachment: false,
+    header: (feed) => [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<feed xmlns="http://www.w3.org/2005/Atom">',
+      `<id>${xmlText(feed.selfUrl)}</id>`,
+      `<title>${xmlText(feed.title)}</title>`,
+      `<updated>${feed.updated.toISOString()}</updated>`,
+      `<link rel="self" href="${xmlText(feed.selfUrl)}"/>`,
+      '',
+    ].join('\n'),
+    item: (video) => [
+      '<entry>',
+      `<id>yt:video:${xmlText(video.videoId)}</id>`,
+      `<title>${xmlText(video.title)}</title>`,
+      `<link rel="alternate" href="${videoUrl(video.videoId)}"/>`,
+      `<published>${new Date(video.publishedAt).toISOString()}</published>`,
+      `<updated>${new Date(video.updatedAt || video.publishedAt).toISOString()}</updated>`,
+      '<author>',
+      `<name>${xmlText(video.channelTitle)}</name>`,
+      ...(video.channelId ? [`<uri>https://www.youtube.com/channel/${xmlText(video.channelId)}</uri>`] : []),
+      '</author>',
+      `<summary>${xmlText(video.description)}</summary>`,
+      '</entry>',
+      '',
+    ].join('\n'),
+    footer: () => '</feed>\n',
+  },
+};
+
+module.exports = {
+  CSV_COLUMNS,
+  EXPORT_FORMATS,
+};
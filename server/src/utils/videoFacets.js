@@ -0,0 +1,129 @@
+/**
+ * Video Facet Utilities
+ *
+ * Builds the `$facet` sub-pipelines that describe how matching videos are
+ * distributed: top channels, uploads per day or week, and duration bands.
+ * They run in the same aggregation as the page of results, so the counts
+ * always agree with the filters of the request.
+ *
+ * @module utils/videoFacets
+ */
+
+/**
+ * Facet configuration constants
+ * @constant {number} FACET_CHANNEL_LIMIT - Number of top channels returned
+ * @constant {Array<string>} FACET_INTERVALS - Supported histogram intervals
+ */
+const FACET_CHANNEL_LIMIT = 10;
+const FACET_INTERVALS = ['day', 'week'];
+
+/**
+ * Duration bands, as filter ranges in seconds
+ *
+ * `maxDuration` is inclusive, like the maxDuration filter of getVideos,
+ * so a band's chip can apply its range directly.
+ * @constant {Array<Object>}
+ */
+const DURATION_BANDS = [
+  { key: 'short', label: 'Under 1 min', minDuration: 0, maxDuration: 60 },
+  { key: 'brief', label: '1-4 min', minDuration: 61, maxDuration: 239 },
+  { key: 'medium', label: '4-20 min', minDuration: 240, maxDuration: 1199 },
+  { key: 'long', label: '20-60 min', minDuration: 1200, maxDuration: 3599 },
+  { key: 'veryLong', label: 'Over 1 hour', minDuration: 3600, maxDuration: null },
+];
+
+/**
+ * Build the facet sub-pipelines
+ *
+ * @function buildFacetStages
+ * @param {string} interval - Histogram interval, 'day' or 'week'
+ * @returns {Object} - Sub-pipelines to spread into a `$facet` stage
+ */
+const buildFacetStages = (interval) => ({
+  channels: [
+    {
+      $group: {
+        _id: '$channelId',
+        channelTitle: { $first: '$channelTitle' },
+        count: { $sum: 1 },
+      },
+    },
+    { $sort: { count: -1, _id: 1 } },
+    { $limit: FACET_CHANNEL_LIMIT },
+  ],
+  histogram: [
+    {
+      $group: {
+        _id: {
+          $dateTrunc: {
+            date: '$publishedAt',
+            unit: interval,
+            ...(interval === 'week' ? { startOfWeek: 'monday' } : {}),
+          },
+        },
+        count: { $sum: 1 },
+      },
+    },
+    { $sort: { _id: 1 } },
+  ],
+  durations: [
+    {
+      $bucket: {
+        groupBy: '$durationSeconds',
+        boundaries: [...DURATION_BANDS.map(band => band.minDuration), Number.MAX_SAFE_INTEGER],
+        // Videos that weren't enriched yet have no duration
+        default: 'unknown',
+        output: { count: { $sum: 1 } },
+      },
+    },
+  ],
+});
+
+/**
+ * Shape the facet results of an aggregation for the response
+ *
+ * @function formatFacets
+ * @param {Object} result - Aggregation result holding the facet sub-pipelines' output
+ * @param {string} interval - Histogram interval, 'day' or 'week'
+ * @returns {Object} - `{ channels, histogram, durations }`
+ */
+const formatFacets = (result, interval) => {
+  const durationCounts = new Map(result.durations.map(bucket => [bucket._id, bucket.count]));
+  const durations = DURATION_BANDS.map(band => ({
+    ...band,
+    count: durationCounts.get(band.minDuration) || 0,
+  }));
+
+  if (durationCounts.has('unknown')) {
+    durations.push({
+      key: 'unknown',
+      label: 'Unknown',
+      minDuration: null,
+      maxDuration: null,
+      count: durationCounts.get('unknown'),
+    });
+  }
+
+  return {
+    channels: result.channels.map(channel => ({
+      channelId: channel._id,
+      channelTitle: channel.channelTitle,
+      count: channel.count,
+    })),
+    histogram: {
+      interval,
+      buckets: result.histogram.map(bucket => ({
+        date: bucket._id,
+        count: bucket.count,
+      })),
+    },
+    durations,
+  };
+};
+
+module.exports = {
+  FACET_INTERVALS,
+  DURATION_BANDS,
+  buildFacetStages,
+  formatFacets,
+};
@@ -0,0 +1,255 @@
+/**
+ * Video Import Utilities
+ *
+ * Parsers for the files accepted by the video import: NDJSON (one video
+ * document per line, as written by the NDJSON export), CSV (with a header
+ * row naming the columns, as written by the CSV export) and Google Takeout
+ * YouTube watch history (`watch-history.json`).
+ *
+ * Every parser returns one entry per row, `{ row, record }` with the
+ * row's fields or `{ row, errors }` when the row can't be read, so a bad
+ * row is reported without failing the whole file. Rows are numbered from
+ * 1: lines for NDJSON, records after the header for CSV, and entries for
+ * Takeout.
+ *
+ * @module utils/videoImport
+ */
+
+/**
+ * Error thrown when a whole file can't be read in the given format
+ *
+ * @class ImportFormatError
+ * @extends Error
+ */
+class ImportFormatError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ImportFormatError';
+  }
+}
+
+/**
+ * Prefix of the titles of watched videos in (English) Takeout watch history
+ * @constant {string}
+ */
+const TAKEOUT_TITLE_PREFIX = 'Watched ';
+
+/**
+ * Get the video ID from a YouTube video URL
+ *
+ * Understands watch, youtu.be and Shorts URLs.
+ *
+ * @function extractVideoId
+ * @param {string} url - Video URL
+ * @returns {string|null} - Video ID, or null if the URL isn't a video URL
+ */
+const extractVideoId = (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return null;
+  }
+
+  if (parsed.hostname === 'youtu.be') {
+    return parsed.pathname.slice(1) || null;
+  }
+
+  const shorts = /^\/shorts\/([^/]+)/.exec(parsed.pathname);
+  return shorts ? shorts[1] : parsed.searchParams.get('v');
+};
+
+/**
+ * Parse NDJSON: one JSON object per line, blank lines ignored
+ *
+ * @function parseNdjson
+ * @param {string} text - File contents
+ * @returns {Array<Object>} - `{ row, record }` or `{ row, errors }` per line
+ */
+const parseNdjson = (text) => text.split(/\r?\n/).flatMap((line, index) => {
+  if (!line.trim()) {
+    return [];
+  }
+
+  const row = index + 1;
+  try {
+    const record = JSON.parse(line);
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+      return [{ row, errors: ['Line is not a JSON object'] }];
+    }
+    return [{ row, record }];
+  } catch (error) {
+    return [{ row, errors: [`Invalid JSON: ${error.message}`] }];
+  }
+});
+
+/**
+ * Split CSV text into records of fields (RFC 4180)
+ *
+ * Handles quoted fields containing commas, quotes ("") and line breaks,
+ * and both CRLF and LF line endings.
+ *
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} - Records
+ * @throws {ImportFormatError} - If a quoted field is never closed
+ */
+const splitCsv = (text) => {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new ImportFormatError('Unterminated quoted field in CSV');
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  return records;
+};
+
+/**
+ * Parse CSV with a header row naming the columns
+ *
+ * Empty cells are left out of the record. The apostrophe the CSV export
+ * puts before text starting with =, +, - or @ is removed again, and the
+ * `tags` column is split on `|`.
+ *
+ * @function parseCsv
+ * @param {string} text - File contents
+ * @returns {Array<Object>} - `{ row, record }` or `{ row, errors }` per record
+ * @throws {ImportFormatError} - If the file has no header row or a quoted field is never closed
+ */
+const parseCsv = (text) => {
+  const [header, ...records] = splitCsv(text.replace(/^\uFEFF/, ''));
+  if (!header || header.every(column => !column.trim())) {
+    throw new ImportFormatError('CSV file has no header row');
+  }
+
+  const columns = header.map(column => column.trim());
+
+  return records
+    .map((fields, index) => ({ fields, row: index + 1 }))
+    .filter(({ fields }) => fields.some(value => value !== ''))
+    .map(({ fields, row }) => {
+      if (fields.length !== columns.length) {
+        return { row, errors: [`Expected ${columns.length} fields, found ${fields.length}`] };
+      }
+
+      const record = {};
+      columns.forEach((column, i) => {
+        const value = fields[i].replace(/^'(?=[=+\-@])/, '');
+        if (value !== '') {
+          record[column] = column === 'tags' ? value.split('|') : value;
+        }
+      });
+      return { row, record };
+    });
+};
+
+/**
+ * Parse a Google Takeout YouTube watch history file (watch-history.json)
+ *
+ * Each watched video becomes a record with its ID, title and channel.
+ * Takeout has no publish dates, so the time the video was watched stands
+ * in for `publishedAt`. Ads, removed videos and other entries without a
+ * video URL are reported as errors.
+ *
+ * @function parseTakeout
+ * @param {string} text - File contents
+ * @returns {Array<Object>} - `{ row, record }` or `{ row, errors }` per entry
+ * @throws {ImportFormatError} - If the file isn't a JSON array
+ */
+const parseTakeout = (text) => {
+  let entries;
+  try {
+    entries = JSON.parse(text.replace(/^\uFEFF/, ''));
+  } catch (error) {
+    throw new ImportFormatError(`Invalid Takeout JSON: ${error.message}`);
+  }
+
+  if (!Array.isArray(entries)) {
+    throw new ImportFormatError('Takeout watch history must be a JSON array');
+  }
+
+  return entries.map((entry, index) => {
+    const row = index + 1;
+
+    if (entry?.details?.some(detail => detail.name === 'From Google Ads')) {
+      return { row, errors: ['Entry is an ad'] };
+    }
+
+    const videoId = entry?.titleUrl ? extractVideoId(entry.titleUrl) : null;
+    if (!videoId) {
+      return { row, errors: ['Entry has no video URL (the video may have been removed)'] };
+    }
+
+    const channel = entry.subtitles?.[0];
+    const channelId = channel?.url ? /\/channel\/([^/?]+)/.exec(channel.url)?.[1] : undefined;
+    const title = entry.title?.startsWith(TAKEOUT_TITLE_PREFIX)
+      ? entry.title.slice(TAKEOUT_TITLE_PREFIX.length)
+      : entry.title;
+
+    return {
+      row,
+      record: {
+        videoId,
+        title,
+        channelTitle: channel?.name,
+        channelId,
+        publishedAt: entry.time,
+      },
+    };
+  });
+};
+
+/**
+ * Import file parsers, by format name
+ * @constant {Object<string, Function>}
+ */
+const IMPORT_PARSERS = {
+  ndjson: parseNdjson,
+  csv: parseCsv,
+  takeout: parseTakeout,
+};
+
+module.exports = {
+  ImportFormatError,
+  IMPORT_PARSERS,
+  extractVideoId,
+  parseNdjson,
+  parseCsv,
+  parseTakeout,
+};
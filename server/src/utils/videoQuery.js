@@ -0,0 +1,197 @@
+/**
+ * Video Query Utilities
+ *
+ * Builds the MongoDB filter and sort for the dashboard filters and sort
+ * options shared by the video listing and search endpoints.
+ *
+ * @module utils/videoQuery
+ */
+
+const mongoose = require('mongoose');
+const { escapeRegex } = require('./searchQuery');
+
+/**
+ * Error thrown for an invalid filter or sort parameter
+ *
+ * @class VideoQueryError
+ * @extends Error
+ */
+class VideoQueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'VideoQueryError';
+  }
+}
+
+/**
+ * Range filters, mapped to the video field they apply to
+ * @constant {Object<string, Array<string>>}
+ */
+const RANGE_FILTERS = {
+  viewCount: ['minViews', 'maxViews'],
+  likeCount: ['minLikes', 'maxLikes'],
+  commentCount: ['minComments', 'maxComments'],
+  durationSeconds: ['minDuration', 'maxDuration'],
+};
+
+/**
+ * Filter parameters read by buildVideoFilter
+ * @constant {Array<string>}
+ */
+const FILTER_PARAMS = [
+  'channelTitle',
+  'channelId',
+  'dateFrom',
+  'dateTo',
+  'title',
+  'query',
+  'sourceType',
+  'categoryId',
+  'liveBroadcastContent',
+  ...Object.values(RANGE_FILTERS).flat(),
+];
+
+/**
+ * Fields videos can be sorted by
+ * @constant {Array<string>}
+ */
+const SORT_FIELDS = ['publishedAt', 'title', 'channelTitle', 'viewCount', 'likeCount', 'commentCount', 'durationSeconds'];
+
+/**
+ * Build the filter for the dashboard filters of a request
+ *
+ * @function buildVideoFilter
+ * @param {Object} params - Express query parameters
+ * @returns {Object} - `{ filter, filters, hasFilters }`: the MongoDB filter, the
+ *   filters as given (for echoing back), and whether any filter was used
+ * @throws {VideoQueryError} - If the tracked query id is invalid
+ */
+const buildVideoFilter = (params) => {
+  const {
+    channelTitle,
+    channelId,
+    dateFrom,
+    dateTo,
+    title,
+    query,
+    sourceType,
+    categoryId,
+    liveBroadcastContent,
+  } = params;
+
+  if (query && !mongoose.isValidObjectId(query)) {
+    throw new VideoQueryError('Invalid query id');
+  }
+
+  const filter = {};
+
+  if (query) {
+    // Cast explicitly, since the filter is also used in aggregation pipelines
+    filter.queries = new mongoose.Types.ObjectId(query);
+  }
+
+  if (sourceType) {
+    filter.sourceTypes = sourceType;
+  }
+
+  if (categoryId) {
+    filter.categoryId = categoryId;
+  }
+
+  if (liveBroadcastContent) {
+    filter.liveBroadcastContent = liveBroadcastContent;
+  }
+
+  // Range filters on statistics, e.g. minViews=1000&maxDuration=60
+  const ranges = {};
+  Object.entries(RANGE_FILTERS).forEach(([field, [minParam, maxParam]]) => {
+    const min = parseInt(params[minParam]);
+    const max = parseInt(params[maxParam]);
+    if (!isNaN(min) || !isNaN(max)) {
+      filter[field] = {};
+      if (!isNaN(min)) {
+        filter[field].$gte = min;
+        ranges[minParam] = min;
+      }
+      if (!isNaN(max)) {
+        filter[field].$lte = max;
+        ranges[maxParam] = max;
+      }
+    }
+  });
+
+  // Text filters match a substring literally, so picked suggestions with
+  // characters such as '(' or '?' work as typed
+  if (channelTitle) {
+    filter.channelTitle = { $regex: escapeRegex(channelTitle), $options: 'i' };
+  }
+
+  if (channelId) {
+    filter.channelId = channelId;
+  }
+
+  if (title) {
+    filter.title = { $regex: escapeRegex(title), $options: 'i' };
+  }
+
+  if (dateFrom || dateTo) {
+    filter.publishedAt = {};
+    if (dateFrom) {
+      filter.publishedAt.$gte = new Date(dateFrom);
+    }
+    if (dateTo) {
+      const endDate = new Date(dateTo);
+      endDate.setDate(endDate.getDate() + 1);
+      filter.publishedAt.$lt = endDate;
+    }
+  }
+
+  return {
+    filter,
+    filters: {
+      channelTitle,
+      channelId,
+      dateFrom,
+      dateTo,
+      title,
+      query,
+      sourceType,
+      categoryId,
+      liveBroadcastContent,
+      ...ranges,
+    },
+    hasFilters: Boolean(channelTitle || channelId || dateFrom || dateTo || title || query
+      || sourceType || categoryId || liveBroadcastContent || Object.keys(ranges).length > 0),
+  };
+};
+
+/**
+ * Read the sort options of a request
+ *
+ * Unknown sort fields fall back to `publishedAt`, unknown orders to `desc`.
+ *
+ * @function buildVideoSort
+ * @param {Object} params - Express query parameters
+ * @returns {Object} - `{ sortBy, sortOrder, sortKeys }`, where sortKeys are the
+ *   [field, order] pairs to sort by, ending with `_id` as a tie-breaker
+ */
+const buildVideoSort = (params) => {
+  const sortBy = SORT_FIELDS.includes(params.sortBy) ? params.sortBy : 'publishedAt';
+  const sortOrder = params.sortOrder?.toLowerCase() === 'asc' ? 'asc' : 'desc';
+  const order = sortOrder === 'asc' ? 1 : -1;
+
+  return {
+    sortBy,
+    sortOrder,
+    sortKeys: [[sortBy, order], ['_id', order]],
+  };
+};
+
+module.exports = {
+  VideoQueryError,
+  RANGE_FILTERS,
+  FILTER_PARAMS,
+  SORT_FIELDS,
+  buildVideoFilter,
+  buildVideoSort,
+};